@@ -38,6 +38,8 @@ CREATE TABLE IF NOT EXISTS milestones (
     title VARCHAR(255) NOT NULL,
     description TEXT,
     allocation_percentage INTEGER NOT NULL, -- Basis points (10000 = 100%)
+    duration_days INTEGER DEFAULT 30, -- Time allowed after the due date of the previous stage
+    due_date BIGINT, -- Unix timestamp the stage funds must be released by (mirrors FundingEscrow.stageDeadlines)
     evidence_hash TEXT, -- IPFS hash
     status VARCHAR(20) DEFAULT 'pending', -- pending, in_progress, completed, rejected
     completed_at TIMESTAMP,
@@ -65,8 +67,10 @@ CREATE TABLE IF NOT EXISTS proposals (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     project_id INTEGER NOT NULL,
     proposal_id_onchain INTEGER NOT NULL,
+    proposal_type VARCHAR(20) DEFAULT 'milestone', -- milestone, cancellation
     stage_index INTEGER NOT NULL,
     evidence_hash TEXT NOT NULL,
+    previous_proposal_id_onchain INTEGER, -- rejected proposal this one resubmits, if any
     votes_for TEXT DEFAULT '0', -- Store as string (wei)
     votes_against TEXT DEFAULT '0', -- Store as string (wei)
     status VARCHAR(20) DEFAULT 'active', -- active, approved, rejected, executed
@@ -78,13 +82,23 @@ CREATE TABLE IF NOT EXISTS proposals (
     UNIQUE(project_id, proposal_id_onchain)
 );
 
+-- Existing databases: add stage due dates (duplicate column errors are ignored by migrate.js)
+ALTER TABLE milestones ADD COLUMN duration_days INTEGER DEFAULT 30;
+ALTER TABLE milestones ADD COLUMN due_date BIGINT;
+
+-- Existing databases: add proposal_type (duplicate column errors are ignored by migrate.js)
+ALTER TABLE proposals ADD COLUMN proposal_type VARCHAR(20) DEFAULT 'milestone';
+
+-- Existing databases: link resubmitted milestone proposals (duplicate column errors are ignored by migrate.js)
+ALTER TABLE proposals ADD COLUMN previous_proposal_id_onchain INTEGER;
+
 -- Votes table
 CREATE TABLE IF NOT EXISTS votes (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     proposal_id INTEGER NOT NULL,
     voter_address VARCHAR(42) NOT NULL,
     in_favor BOOLEAN NOT NULL,
-    weight TEXT NOT NULL, -- Store as string (wei)
+    weight TEXT NOT NULL, -- Store as string (wei, square root of stake + reputation on quadratic proposals)
     tx_hash VARCHAR(66) NOT NULL,
     timestamp BIGINT NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -93,6 +107,28 @@ CREATE TABLE IF NOT EXISTS votes (
     UNIQUE(proposal_id, voter_address)
 );
 
+-- Rationales voters gave for voting against a proposal (IPFS hashes)
+CREATE TABLE IF NOT EXISTS vote_rationales (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    proposal_id INTEGER NOT NULL,
+    voter_address VARCHAR(42) NOT NULL,
+    rationale_hash TEXT NOT NULL,
+    tx_hash VARCHAR(66),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
+    UNIQUE(proposal_id, voter_address)
+);
+
+-- Metadata last pinned for each contribution receipt, so unchanged receipts are not pinned and set again
+CREATE TABLE IF NOT EXISTS receipt_metadata (
+    receipt_contract VARCHAR(42) NOT NULL,
+    token_id TEXT NOT NULL,
+    metadata TEXT NOT NULL, -- JSON document the token URI points at
+    token_uri TEXT NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (receipt_contract, token_id)
+);
+
 -- Comments table (for project discussions)
 CREATE TABLE IF NOT EXISTS comments (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -126,6 +162,7 @@ CREATE INDEX IF NOT EXISTS idx_donations_donor ON donations(donor_address);
 CREATE INDEX IF NOT EXISTS idx_proposals_project ON proposals(project_id);
 CREATE INDEX IF NOT EXISTS idx_votes_proposal ON votes(proposal_id);
 CREATE INDEX IF NOT EXISTS idx_votes_voter ON votes(voter_address);
+CREATE INDEX IF NOT EXISTS idx_vote_rationales_proposal ON vote_rationales(proposal_id);
 CREATE INDEX IF NOT EXISTS idx_comments_project ON comments(project_id);
 
 -- SQLite doesn't support triggers for auto-updating updated_at, so we'll handle it in the application
@@ -10,6 +10,7 @@ import proposalRoutes from './routes/proposals.js';
 import ipfsRoutes from './routes/ipfs.js';
 import statsRoutes from './routes/stats.js';
 import deployRoutes from './routes/deploy.js';
+import receiptRoutes from './routes/receipts.js';
 
 dotenv.config();
 
@@ -39,6 +40,7 @@ app.use('/api/proposals', proposalRoutes);
 app.use('/api/ipfs', ipfsRoutes);
 app.use('/api/stats', statsRoutes);
 app.use('/api/deploy', deployRoutes);
+app.use('/api/receipts', receiptRoutes);
 
 // 404 handler
 app.use((req, res) => {
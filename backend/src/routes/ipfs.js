@@ -3,6 +3,7 @@ import multer from 'multer';
 import FormData from 'form-data';
 import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import { pinJSON } from '../services/ipfs.js';
 
 dotenv.config();
 
@@ -92,45 +93,9 @@ router.post('/upload-json', async (req, res, next) => {
       });
     }
 
-    const { PINATA_API_KEY, PINATA_SECRET_KEY } = process.env;
-
-    if (!PINATA_API_KEY || !PINATA_SECRET_KEY) {
-      return res.status(500).json({
-        success: false,
-        error: 'IPFS upload not configured',
-      });
-    }
-
-    const body = {
-      pinataContent: jsonData,
-      pinataMetadata: name ? { name } : undefined,
-    };
-
-    const response = await fetch('https://api.pinata.cloud/pinning/pinJSONToIPFS', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'pinata_api_key': PINATA_API_KEY,
-        'pinata_secret_api_key': PINATA_SECRET_KEY,
-      },
-      body: JSON.stringify(body),
-    });
+    const data = await pinJSON(jsonData, name);
 
-    if (!response.ok) {
-      throw new Error(`Pinata API error: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
-    res.json({
-      success: true,
-      data: {
-        hash: data.IpfsHash,
-        size: data.PinSize,
-        timestamp: data.Timestamp,
-        url: `https://gateway.pinata.cloud/ipfs/${data.IpfsHash}`,
-      },
-    });
+    res.json({ success: true, data });
   } catch (error) {
     next(error);
   }
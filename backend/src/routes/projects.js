@@ -1,8 +1,19 @@
 import express from 'express';
 import { query, execute } from '../db/database.js';
+import { createProjectEscrow, getEscrowDeadlines, getOwnershipTransfer } from '../services/blockchain.js';
 
 const router = express.Router();
 
+const DEFAULT_STAGE_DURATION_DAYS = 30;
+
+// Seconds allowed per stage, taken from each milestone's duration_days (30 days if missing)
+function getStageDurations(milestones, totalStages) {
+  const durationDays = milestones && milestones.length > 0
+    ? milestones.map(m => parseInt(m.duration_days) || DEFAULT_STAGE_DURATION_DAYS)
+    : Array(totalStages).fill(DEFAULT_STAGE_DURATION_DAYS);
+  return durationDays.map(days => days * 24 * 60 * 60);
+}
+
 // Get all projects
 router.get('/', async (req, res, next) => {
   try {
@@ -69,7 +80,9 @@ router.get('/:id', async (req, res, next) => {
 
     // Get milestones
     const milestonesResult = await query(`
-      SELECT * FROM milestones
+      SELECT *,
+        (status != 'completed' AND due_date IS NOT NULL AND due_date < CAST(strftime('%s', 'now') AS INTEGER)) as is_overdue
+      FROM milestones
       WHERE project_id = $1
       ORDER BY stage_index ASC
     `, [project.id]);
@@ -104,7 +117,9 @@ router.get('/contract/:address', async (req, res, next) => {
 
     // Get milestones
     const milestonesResult = await query(`
-      SELECT * FROM milestones
+      SELECT *,
+        (status != 'completed' AND due_date IS NOT NULL AND due_date < CAST(strftime('%s', 'now') AS INTEGER)) as is_overdue
+      FROM milestones
       WHERE project_id = $1
       ORDER BY stage_index ASC
     `, [project.id]);
@@ -187,6 +202,105 @@ router.patch('/contract/:address/update-contract', async (req, res, next) => {
   }
 });
 
+// Re-read funding and milestone deadlines from the escrow (after a deadline extension is applied)
+router.post('/contract/:address/sync-deadlines', async (req, res, next) => {
+  try {
+    const { address } = req.params;
+
+    if (!address.match(/^0x[a-fA-F0-9]{40}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contract address format',
+      });
+    }
+
+    const projectResult = await query(`
+      SELECT id FROM projects WHERE LOWER(contract_address) = LOWER($1)
+    `, [address]);
+
+    if (projectResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const projectId = projectResult.rows[0].id;
+    const { fundingDeadline, stageDeadlines } = await getEscrowDeadlines(address);
+
+    await execute(`
+      UPDATE projects
+      SET funding_deadline = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [fundingDeadline, projectId]);
+
+    for (const [stageIndex, dueDate] of stageDeadlines.entries()) {
+      await execute(`
+        UPDATE milestones
+        SET due_date = $1
+        WHERE project_id = $2 AND stage_index = $3
+      `, [dueDate, projectId, stageIndex]);
+    }
+
+    res.json({
+      success: true,
+      data: { funding_deadline: fundingDeadline, stage_deadlines: stageDeadlines },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Record a completed project ownership transfer from its on-chain event
+// The frontend calls this after the nominated owner accepts (ProjectOwnershipTransferred)
+router.post('/contract/:address/sync-owner', async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    const { transaction_hash } = req.body;
+
+    if (!address.match(/^0x[a-fA-F0-9]{40}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contract address format',
+      });
+    }
+
+    if (!transaction_hash || !transaction_hash.match(/^0x[a-fA-F0-9]{64}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transaction hash format',
+      });
+    }
+
+    const projectResult = await query(`
+      SELECT id FROM projects WHERE LOWER(contract_address) = LOWER($1)
+    `, [address]);
+
+    if (projectResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const { previousOwner, newOwner } = await getOwnershipTransfer(address, transaction_hash);
+    const ownerAddress = newOwner.toLowerCase();
+
+    await execute(`
+      INSERT INTO users (wallet_address)
+      VALUES ($1)
+      ON CONFLICT (wallet_address) DO NOTHING
+    `, [ownerAddress]);
+
+    await execute(`
+      UPDATE projects
+      SET owner_address = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [ownerAddress, projectResult.rows[0].id]);
+
+    res.json({
+      success: true,
+      data: { previous_owner: previousOwner.toLowerCase(), owner_address: ownerAddress },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Create new project (with automatic contract deployment)
 router.post('/', async (req, res, next) => {
   try {
@@ -201,6 +315,8 @@ router.post('/', async (req, res, next) => {
       funding_deadline,
       total_stages,
       milestones,
+      payment_token, // Optional: ERC-20 token for donations (ETH if omitted)
+      flexible_funding, // Optional: keep funds raised by the deadline even if the goal is missed
     } = req.body;
 
     // Validate required fields first
@@ -219,6 +335,13 @@ router.post('/', async (req, res, next) => {
       });
     }
 
+    if (payment_token && !payment_token.match(/^0x[a-fA-F0-9]{40}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid payment token address format',
+      });
+    }
+
     // Check if contract_address is provided (manual deployment) or needs auto-deployment
     const isManualDeployment = contract_address && 
                                typeof contract_address === 'string' && 
@@ -273,72 +396,30 @@ router.post('/', async (req, res, next) => {
         const currentTimestamp = Math.floor(Date.now() / 1000);
         const fundingDuration = Math.max(1, deadlineTimestamp - currentTimestamp); // At least 1 second
 
-        // Import deployment function
-        const { exec } = await import('child_process');
-        const { promisify } = await import('util');
-        const execAsync = promisify(exec);
-        const path = await import('path');
-        const { fileURLToPath } = await import('url');
-        const fs = await import('fs');
-        const __filename = fileURLToPath(import.meta.url);
-        const __dirname = path.dirname(__filename);
-
-        const blockchainDir = path.resolve(__dirname, '../../../blockchain');
-        const governanceAddress = process.env.GOVERNANCE_CONTRACT_ADDRESS || '0x0000000000000000000000000000000000000000';
-        
-        // Prepare deployment config as environment variables (avoids command line argument parsing issues)
-        const deploymentEnv = {
-          ...process.env,
-          DEPLOYMENT_PROJECT_OWNER: owner_address,
-          DEPLOYMENT_FUNDING_GOAL: funding_goal,
-          DEPLOYMENT_FUNDING_DURATION: fundingDuration.toString(),
-          DEPLOYMENT_TOTAL_STAGES: total_stages.toString(),
-          DEPLOYMENT_STAGE_ALLOCATIONS: JSON.stringify(stageAllocations),
-          DEPLOYMENT_GOVERNANCE_ADDRESS: governanceAddress,
-        };
-        
-        console.log('  Deploying with params:', {
+        const stageDurations = getStageDurations(milestones, total_stages);
+
+        console.log('  Creating escrow through ProjectFactory with params:', {
           projectOwner: owner_address,
           fundingGoal: funding_goal,
           fundingDuration,
           totalStages: total_stages,
           allocations: stageAllocations,
+          stageDurations,
         });
 
-        // Use absolute path and set cwd to avoid cd && issues on Windows
-        const deployScript = 'scripts/deployProject.js';
-        const command = `npx hardhat run ${deployScript} --network localhost`;
-        
-        console.log('  Running command:', command);
-        console.log('  Working directory:', blockchainDir);
-
-        const { stdout, stderr } = await execAsync(command, {
-          maxBuffer: 10 * 1024 * 1024,
-          env: deploymentEnv,
-          cwd: blockchainDir, // Set working directory here instead of using cd &&
-          timeout: 60000, // 60 second timeout
+        const deployment = await createProjectEscrow({
+          projectOwner: owner_address,
+          fundingGoal: funding_goal,
+          fundingDuration,
+          totalStages: total_stages,
+          stageAllocations,
+          paymentToken: payment_token,
+          stageDurations,
+          flexibleFunding: flexible_funding === true,
         });
+        contractAddress = deployment.contractAddress;
 
-        // Log output for debugging
-        if (stdout) console.log('  Deployment stdout:', stdout.substring(0, 500));
-        if (stderr) console.warn('  Deployment stderr:', stderr.substring(0, 500));
-
-        // Parse contract address from output
-        const markedMatch = stdout.match(/CONTRACT_ADDRESS:\s*(0x[a-fA-F0-9]{40})/);
-        if (markedMatch) {
-          contractAddress = markedMatch[1];
-        } else {
-          const addressMatch = stdout.match(/0x[a-fA-F0-9]{40}/);
-          if (addressMatch) {
-            contractAddress = addressMatch[0];
-          }
-        }
-
-        if (contractAddress) {
-          console.log('✅ Contract deployed successfully:', contractAddress);
-        } else {
-          throw new Error(`Contract address not found in deployment output. stdout: ${stdout.substring(0, 200)}, stderr: ${stderr?.substring(0, 200) || 'none'}`);
-        }
+        console.log('✅ Contract deployed successfully:', contractAddress);
 
       } catch (deployError) {
         console.error('❌ Auto-deployment failed:', deployError.message);
@@ -349,7 +430,7 @@ router.post('/', async (req, res, next) => {
                                   deployError.message?.includes('connect') ||
                                   deployError.code === 'ECONNREFUSED';
         
-        const isTimeoutError = deployError.code === 'ETIMEDOUT' || deployError.signal === 'SIGTERM';
+        const isTimeoutError = deployError.code === 'ETIMEDOUT' || deployError.code === 'TIMEOUT';
         
         // Fallback: Use contract address from .env if deployment fails
         const fallbackAddress = process.env.FALLBACK_CONTRACT_ADDRESS;
@@ -396,7 +477,7 @@ router.post('/', async (req, res, next) => {
             error: errorMessage,
             details: deployError.message || String(deployError),
             suggestion: suggestion,
-            hint: 'You can also deploy the contract manually using: `npx hardhat run scripts/deployManually.js --network hardhat`',
+            hint: 'Make sure PROJECT_FACTORY_ADDRESS is set in backend/.env, or deploy the contract manually using: `npx hardhat run scripts/deployManually.js --network hardhat`',
           });
         }
       }
@@ -474,18 +555,26 @@ router.post('/', async (req, res, next) => {
 
     // Insert milestones
     if (milestones && milestones.length > 0) {
-      for (const milestone of milestones) {
+      // Stages are due back to back from the funding deadline, like FundingEscrow.stageDeadlines
+      const stageDurations = getStageDurations(milestones, total_stages);
+      let dueDate = parseInt(funding_deadline);
+
+      for (const [index, milestone] of milestones.entries()) {
+        dueDate += stageDurations[index];
         await query(`
           INSERT INTO milestones (
-            project_id, stage_index, title, description, allocation_percentage
+            project_id, stage_index, title, description, allocation_percentage,
+            duration_days, due_date
           )
-          VALUES ($1, $2, $3, $4, $5)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
         `, [
           project.id,
           milestone.stage_index,
           milestone.title,
           milestone.description || '',
           milestone.allocation_percentage,
+          stageDurations[index] / (24 * 60 * 60),
+          dueDate,
         ]);
       }
     }
@@ -1,12 +1,13 @@
 import express from 'express';
-import { query } from '../db/database.js';
+import { getDb, query, transaction } from '../db/database.js';
+import { getCastVote, getCreatedProposal, getProposalState, getVoteRationale, relaySignedVote } from '../services/blockchain.js';
 
 const router = express.Router();
 
 // Get all proposals
 router.get('/', async (req, res, next) => {
   try {
-    const { status, project_id, limit = 50, offset = 0 } = req.query;
+    const { status, project_id, proposal_type, limit = 50, offset = 0 } = req.query;
     
     let sql = `
       SELECT pr.*, p.title as project_title, p.contract_address
@@ -27,6 +28,11 @@ router.get('/', async (req, res, next) => {
       params.push(project_id);
     }
 
+    if (proposal_type) {
+      sql += ` AND pr.proposal_type = $${paramIndex++}`;
+      params.push(proposal_type);
+    }
+
     sql += ` ORDER BY pr.created_at DESC LIMIT $${paramIndex++} OFFSET $${paramIndex}`;
     params.push(limit, offset);
 
@@ -37,6 +43,44 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// Attempt history of each milestone stage: every milestone proposal for the stage,
+// oldest first, with the rationales voters gave for voting against it
+router.get('/project/:projectId/stage-history', async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+
+    const proposalsResult = await query(`
+      SELECT *
+      FROM proposals
+      WHERE project_id = $1 AND proposal_type = 'milestone'
+      ORDER BY stage_index ASC, proposal_id_onchain ASC
+    `, [projectId]);
+
+    const rationalesResult = await query(`
+      SELECT r.*
+      FROM vote_rationales r
+      JOIN proposals pr ON r.proposal_id = pr.id
+      WHERE pr.project_id = $1
+      ORDER BY r.created_at ASC
+    `, [projectId]);
+
+    const stages = new Map();
+    for (const proposal of proposalsResult.rows) {
+      if (!stages.has(proposal.stage_index)) {
+        stages.set(proposal.stage_index, { stage_index: proposal.stage_index, attempts: [] });
+      }
+      stages.get(proposal.stage_index).attempts.push({
+        ...proposal,
+        rationales: rationalesResult.rows.filter((r) => r.proposal_id === proposal.id),
+      });
+    }
+
+    res.json({ success: true, data: Array.from(stages.values()) });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get proposal by ID
 router.get('/:id', async (req, res, next) => {
   try {
@@ -79,20 +123,32 @@ router.post('/', async (req, res, next) => {
     const {
       project_id,
       proposal_id_onchain,
+      proposal_type = 'milestone',
       stage_index,
       evidence_hash,
+      previous_proposal_id_onchain = null,
       start_time,
       end_time,
     } = req.body;
 
+    if (!['milestone', 'cancellation'].includes(proposal_type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'proposal_type must be "milestone" or "cancellation"',
+      });
+    }
+
     const result = await query(`
       INSERT INTO proposals (
-        project_id, proposal_id_onchain, stage_index,
-        evidence_hash, start_time, end_time
+        project_id, proposal_id_onchain, proposal_type, stage_index,
+        evidence_hash, previous_proposal_id_onchain, start_time, end_time
       )
-      VALUES ($1, $2, $3, $4, $5, $6)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       RETURNING *
-    `, [project_id, proposal_id_onchain, stage_index, evidence_hash, start_time, end_time]);
+    `, [
+      project_id, proposal_id_onchain, proposal_type, stage_index,
+      evidence_hash, previous_proposal_id_onchain, start_time, end_time,
+    ]);
 
     res.status(201).json({ success: true, data: result.rows[0] });
   } catch (error) {
@@ -100,6 +156,101 @@ router.post('/', async (req, res, next) => {
   }
 });
 
+/**
+ * Record a proposal created on MilestoneGovernance, reading it from the creation transaction
+ * POST /api/proposals/sync
+ * Body: { transaction_hash: string }
+ * The type, stage, evidence and resubmitted proposal come from the ProposalCreated and
+ * ProposalResubmitted events, so the stage history cannot be written from the client
+ */
+router.post('/sync', async (req, res, next) => {
+  try {
+    const { transaction_hash } = req.body;
+
+    if (!/^0x[a-fA-F0-9]{64}$/.test(transaction_hash || '')) {
+      return res.status(400).json({ success: false, error: 'Valid transaction_hash is required' });
+    }
+
+    const proposal = await getCreatedProposal(transaction_hash);
+
+    const projectResult = await query(
+      'SELECT id FROM projects WHERE LOWER(contract_address) = LOWER($1)',
+      [proposal.escrow]
+    );
+    if (projectResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+    const projectId = projectResult.rows[0].id;
+
+    // Syncing the same transaction twice leaves the first row as is
+    await query(`
+      INSERT INTO proposals (
+        project_id, proposal_id_onchain, proposal_type, stage_index, evidence_hash,
+        previous_proposal_id_onchain, status, start_time, end_time
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (project_id, proposal_id_onchain) DO NOTHING
+    `, [
+      projectId, proposal.proposalId, proposal.proposalType, proposal.stageIndex, proposal.evidenceHash,
+      proposal.previousProposalId, proposal.status, proposal.startTime, proposal.endTime,
+    ]);
+
+    const result = await query(
+      'SELECT * FROM proposals WHERE project_id = $1 AND proposal_id_onchain = $2',
+      [projectId, proposal.proposalId]
+    );
+
+    res.status(201).json({ success: true, data: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Bring a tracked proposal's status and vote totals in line with governance,
+ * after it was executed (approved or rejected)
+ * POST /api/proposals/:id/sync-status  (:id is the on-chain proposal ID)
+ */
+router.post('/:id/sync-status', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid proposal ID' });
+    }
+
+    const proposalResult = await query(
+      'SELECT id FROM proposals WHERE proposal_id_onchain = $1 LIMIT 1',
+      [id]
+    );
+    if (proposalResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Proposal not found' });
+    }
+
+    const { status, executed, votesFor, votesAgainst } = await getProposalState(id);
+
+    await query(`
+      UPDATE proposals
+      SET status = $1, votes_for = $2, votes_against = $3,
+          executed_at = CASE WHEN $4 = 1 THEN COALESCE(executed_at, CURRENT_TIMESTAMP) ELSE executed_at END
+      WHERE id = $5
+    `, [status, votesFor, votesAgainst, executed ? 1 : 0, proposalResult.rows[0].id]);
+
+    res.json({
+      success: true,
+      data: {
+        proposal_id_onchain: Number(id),
+        status,
+        executed,
+        votes_for: votesFor,
+        votes_against: votesAgainst,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Record vote
 router.post('/:id/votes', async (req, res, next) => {
   try {
@@ -141,4 +292,199 @@ router.post('/:id/votes', async (req, res, next) => {
   }
 });
 
+/**
+ * Store the rationale behind a vote against (MilestoneGovernance.voteAgainstWithRationale)
+ * POST /api/proposals/:id/rationales  (:id is the on-chain proposal ID)
+ * Body: { tx_hash: string (the voting transaction) }
+ * The voter and the IPFS hash of the rationale are read from the transaction's VoteRationale event
+ */
+router.post('/:id/rationales', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { tx_hash } = req.body;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid proposal ID' });
+    }
+
+    if (!/^0x[a-fA-F0-9]{64}$/.test(tx_hash || '')) {
+      return res.status(400).json({ success: false, error: 'Valid tx_hash is required' });
+    }
+
+    const proposalResult = await query(
+      'SELECT id FROM proposals WHERE proposal_id_onchain = $1 LIMIT 1',
+      [id]
+    );
+    if (proposalResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Proposal not found' });
+    }
+
+    const { voter, rationaleHash } = await getVoteRationale(id, tx_hash);
+    const voterAddress = voter.toLowerCase();
+
+    const result = await query(`
+      INSERT INTO vote_rationales (proposal_id, voter_address, rationale_hash, tx_hash)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (proposal_id, voter_address) DO NOTHING
+    `, [proposalResult.rows[0].id, voterAddress, rationaleHash, tx_hash]);
+
+    if (result.rowCount === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Rationale already recorded for this voter',
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        proposal_id_onchain: Number(id),
+        voter_address: voterAddress,
+        rationale_hash: rationaleHash,
+        tx_hash,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Submit a gasless vote signed with EIP-712 (MilestoneGovernance.voteBySig)
+ * POST /api/proposals/:id/relay-vote  (:id is the on-chain proposal ID)
+ * Body: {
+ *   in_favor: boolean,
+ *   nonce: string (the voter's current MilestoneGovernance nonce),
+ *   deadline: number (unix seconds the signature is valid until),
+ *   signature: string (0x-prefixed)
+ * }
+ */
+router.post('/:id/relay-vote', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { in_favor, nonce, deadline, signature } = req.body;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid proposal ID' });
+    }
+
+    if (typeof in_favor !== 'boolean' || nonce === undefined || !deadline || !signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'in_favor, nonce, deadline and signature are required',
+      });
+    }
+
+    if (!/^0x[a-fA-F0-9]+$/.test(signature)) {
+      return res.status(400).json({ success: false, error: 'Invalid signature format' });
+    }
+
+    const { voter, weight, transactionHash } = await relaySignedVote({
+      proposalId: id,
+      inFavor: in_favor,
+      nonce,
+      deadline,
+      signature,
+    });
+
+    await mirrorVote(id, voter, in_favor, weight, transactionHash);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        voter,
+        weight,
+        transactionHash,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Record a vote sent directly to MilestoneGovernance, with the weight the contract counted
+ * POST /api/proposals/:id/sync-vote  (:id is the on-chain proposal ID)
+ * Body: { transaction_hash: string }
+ */
+router.post('/:id/sync-vote', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { transaction_hash } = req.body;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid proposal ID' });
+    }
+
+    if (!/^0x[a-fA-F0-9]{64}$/.test(transaction_hash || '')) {
+      return res.status(400).json({ success: false, error: 'Valid transaction_hash is required' });
+    }
+
+    const { voter, inFavor, weight } = await getCastVote(id, transaction_hash);
+    await mirrorVote(id, voter, inFavor, weight, transaction_hash);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        voter,
+        in_favor: inFavor,
+        weight,
+        transactionHash: transaction_hash,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Mirror an on-chain vote into the backend tables when the proposal is tracked there
+ * The weight is the one from the VoteCast event; a vote already recorded is left as is
+ */
+async function mirrorVote(onchainProposalId, voter, inFavor, weight, transactionHash) {
+  const proposalResult = await query(
+    'SELECT id FROM proposals WHERE proposal_id_onchain = $1 LIMIT 1',
+    [onchainProposalId]
+  );
+  if (proposalResult.rows.length === 0) {
+    return;
+  }
+
+  const proposalRowId = proposalResult.rows[0].id;
+  const inFavorFlag = inFavor ? 1 : 0; // SQLite has no boolean bindings
+
+  await query(`
+    INSERT INTO users (wallet_address)
+    VALUES ($1)
+    ON CONFLICT (wallet_address) DO NOTHING
+  `, [voter.toLowerCase()]);
+
+  const voteResult = await query(`
+    INSERT INTO votes (
+      proposal_id, voter_address, in_favor, weight, tx_hash, timestamp
+    )
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (proposal_id, voter_address) DO NOTHING
+  `, [proposalRowId, voter.toLowerCase(), inFavorFlag, weight, transactionHash, Math.floor(Date.now() / 1000)]);
+
+  if (voteResult.rowCount > 0) {
+    await addVoteWeight(proposalRowId, inFavor, weight);
+  }
+}
+
+/**
+ * Add a vote's weight to a proposal's total for its side
+ * Totals are wei strings, beyond SQLite integers, so they are added as BigInt; reading and
+ * writing in one transaction keeps concurrent votes from overwriting each other
+ */
+function addVoteWeight(proposalRowId, inFavor, weight) {
+  const column = inFavor ? 'votes_for' : 'votes_against';
+  return transaction(() => {
+    const db = getDb();
+    const { total } = db.prepare(`SELECT ${column} AS total FROM proposals WHERE id = ?`).get(proposalRowId);
+    const updated = BigInt(total ?? 0) + BigInt(weight);
+    db.prepare(`UPDATE proposals SET ${column} = ? WHERE id = ?`).run(updated.toString(), proposalRowId);
+  });
+}
+
 export default router;
@@ -0,0 +1,129 @@
+import express from 'express';
+import { ethers } from 'ethers';
+import { query } from '../db/database.js';
+import { getReceiptDetails, setReceiptTokenURI } from '../services/blockchain.js';
+import { pinJSON } from '../services/ipfs.js';
+
+const router = express.Router();
+
+// Refreshes each client may request per window; a refresh that changes the metadata costs gas and pinning quota
+const REFRESH_LIMIT = 10;
+const REFRESH_WINDOW_MS = 60 * 1000;
+const refreshesByClient = new Map();
+
+function rateLimitRefresh(req, res, next) {
+  const now = Date.now();
+  for (const [client, window] of refreshesByClient) {
+    if (now - window.start >= REFRESH_WINDOW_MS) refreshesByClient.delete(client);
+  }
+
+  const window = refreshesByClient.get(req.ip) ?? { start: now, count: 0 };
+  window.count += 1;
+  refreshesByClient.set(req.ip, window);
+
+  if (window.count > REFRESH_LIMIT) {
+    res.set('Retry-After', String(Math.ceil((window.start + REFRESH_WINDOW_MS - now) / 1000)));
+    return res.status(429).json({ success: false, error: 'Too many receipt refreshes, try again later' });
+  }
+  next();
+}
+
+/**
+ * Regenerate a contribution receipt's metadata from the escrow and point the token at it
+ * Called after each donation, withdrawal and receipt transfer; the JSON is pinned like /api/ipfs/upload-json.
+ * Only pins and sends a transaction when the metadata differs from what the token already points at,
+ * and is rate limited per client.
+ * POST /api/receipts/refresh
+ * Body: {
+ *   escrow_address: string,
+ *   holder_address: string (current owner of the receipt)
+ * }
+ */
+router.post('/refresh', rateLimitRefresh, async (req, res, next) => {
+  try {
+    const { escrow_address, holder_address } = req.body;
+
+    if (!ethers.isAddress(escrow_address) || !ethers.isAddress(holder_address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'escrow_address and holder_address must be valid addresses',
+      });
+    }
+
+    const receipt = await getReceiptDetails(escrow_address, holder_address);
+
+    if (receipt.receiptContract === ethers.ZeroAddress) {
+      return res.status(400).json({ success: false, error: 'This project does not issue receipts' });
+    }
+    if (receipt.tokenId === '0') {
+      return res.status(404).json({ success: false, error: 'No receipt held for this project' });
+    }
+
+    const projectResult = await query(`
+      SELECT title, image_url FROM projects WHERE LOWER(contract_address) = LOWER($1)
+    `, [escrow_address]);
+    const project = projectResult.rows[0];
+    const title = project?.title || `Project ${escrow_address.slice(0, 8)}`;
+    const format = (amount) => `${ethers.formatUnits(amount, receipt.decimals)} ${receipt.symbol}`;
+    // Project images are stored as IPFS hashes or full URLs
+    const image = project?.image_url && (/^(https?|ipfs):/.test(project.image_url) ? project.image_url : `ipfs://${project.image_url}`);
+
+    // OpenSea-style metadata; amounts are read from the escrow, not taken from the caller
+    const metadata = {
+      name: `${title} - Backer Receipt #${receipt.tokenId}`,
+      description: `Receipt for backing ${title} on De-Fund. Escrow: ${ethers.getAddress(escrow_address)}`,
+      ...(image && { image }),
+      attributes: [
+        { trait_type: 'Project', value: title },
+        { trait_type: 'Contribution', value: format(receipt.contribution) },
+        { trait_type: 'Profit Share', value: format(receipt.profitShare) },
+      ],
+    };
+
+    const serialized = JSON.stringify(metadata);
+    const receiptContract = receipt.receiptContract.toLowerCase();
+
+    const storedResult = await query(`
+      SELECT metadata, token_uri FROM receipt_metadata WHERE receipt_contract = $1 AND token_id = $2
+    `, [receiptContract, receipt.tokenId]);
+    const stored = storedResult.rows[0];
+
+    // Nothing changed on-chain since the last refresh
+    if (stored && stored.metadata === serialized && stored.token_uri === receipt.tokenURI) {
+      return res.json({
+        success: true,
+        data: {
+          token_id: receipt.tokenId,
+          token_uri: stored.token_uri,
+          transaction_hash: null,
+          unchanged: true,
+        },
+      });
+    }
+
+    const { hash } = await pinJSON(metadata, `receipt-${receipt.tokenId}`);
+    const tokenURI = `ipfs://${hash}`;
+    const transactionHash = await setReceiptTokenURI(receipt.receiptContract, receipt.tokenId, tokenURI);
+
+    await query(`
+      INSERT INTO receipt_metadata (receipt_contract, token_id, metadata, token_uri)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (receipt_contract, token_id)
+      DO UPDATE SET metadata = excluded.metadata, token_uri = excluded.token_uri, updated_at = CURRENT_TIMESTAMP
+    `, [receiptContract, receipt.tokenId, serialized, tokenURI]);
+
+    res.json({
+      success: true,
+      data: {
+        token_id: receipt.tokenId,
+        token_uri: tokenURI,
+        transaction_hash: transactionHash,
+        unchanged: false,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,469 @@
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Only the ProjectFactory functions the backend calls
+const PROJECT_FACTORY_ABI = [
+  'function createProject(address _projectOwner, uint256 _fundingGoal, uint256 _fundingDuration, uint256 _totalStages, uint256[] _stageAllocations, address _paymentToken, uint256[] _stageDurations, bool _flexibleFunding) returns (address)',
+  'function getProjectsByOwner(address _projectOwner) view returns (address[])',
+  'event ProjectCreated(address indexed escrow, address indexed projectOwner, uint256 indexed projectIndex, uint256 fundingGoal, uint256 fundingDeadline, uint256 totalStages, address paymentToken, bool flexibleFunding)',
+];
+
+let provider = null;
+
+/**
+ * Shared JSON-RPC provider (defaults to the local Hardhat node)
+ * The network is fixed from CHAIN_ID so calls fail fast instead of retrying forever when the node is down
+ */
+export function getProvider() {
+  if (!provider) {
+    const network = ethers.Network.from(parseInt(process.env.CHAIN_ID || '1337'));
+    provider = new ethers.JsonRpcProvider(process.env.RPC_URL || 'http://127.0.0.1:8545', network, {
+      staticNetwork: network,
+    });
+  }
+  return provider;
+}
+
+/**
+ * Signer used for backend transactions
+ * Uses DEPLOYER_PRIVATE_KEY if set, otherwise the first unlocked account of the node (Hardhat)
+ */
+export async function getSigner() {
+  if (process.env.DEPLOYER_PRIVATE_KEY) {
+    return new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY, getProvider());
+  }
+  return getProvider().getSigner(0);
+}
+
+/**
+ * ProjectFactory contract instance connected to the backend signer
+ */
+export async function getProjectFactory() {
+  const factoryAddress = process.env.PROJECT_FACTORY_ADDRESS;
+  if (!factoryAddress || !ethers.isAddress(factoryAddress)) {
+    throw new Error('PROJECT_FACTORY_ADDRESS is not set in backend/.env');
+  }
+  return new ethers.Contract(factoryAddress, PROJECT_FACTORY_ABI, await getSigner());
+}
+
+/**
+ * Create a FundingEscrow for a project through the ProjectFactory
+ * Pass an ERC-20 paymentToken for a token-based escrow, or omit it for ETH
+ * stageDurations are seconds per stage, counted back to back from the funding deadline
+ * flexibleFunding keeps whatever was raised by the deadline even if the goal is missed
+ * @returns {{ contractAddress: string, transactionHash: string }}
+ */
+export async function createProjectEscrow({ projectOwner, fundingGoal, fundingDuration, totalStages, stageAllocations, paymentToken, stageDurations, flexibleFunding = false }) {
+  const factory = await getProjectFactory();
+
+  const tx = await factory.createProject(
+    ethers.getAddress(projectOwner),
+    BigInt(fundingGoal),
+    BigInt(fundingDuration),
+    BigInt(totalStages),
+    stageAllocations.map((allocation) => BigInt(allocation)),
+    paymentToken ? ethers.getAddress(paymentToken) : ethers.ZeroAddress,
+    stageDurations.map((duration) => BigInt(duration)),
+    Boolean(flexibleFunding)
+  );
+  const receipt = await tx.wait();
+
+  const createdEvent = receipt.logs
+    .map((log) => {
+      try {
+        return factory.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find((parsed) => parsed && parsed.name === 'ProjectCreated');
+
+  if (!createdEvent) {
+    throw new Error('ProjectCreated event not found in transaction receipt');
+  }
+
+  return {
+    contractAddress: createdEvent.args.escrow,
+    transactionHash: receipt.hash,
+  };
+}
+
+// Only the MilestoneGovernance functions the backend calls and the events it reads
+const MILESTONE_GOVERNANCE_ABI = [
+  'function voteBySig(uint256 _proposalId, bool _inFavor, uint256 _nonce, uint256 _deadline, bytes _signature)',
+  'function nonces(address owner) view returns (uint256)',
+  'function getVoteEligibility(uint256 _proposalId, address _voter) view returns (bool eligible, uint256 weight, string reason)',
+  'function getProposal(uint256 _proposalId) view returns (tuple(uint256 id, uint8 proposalType, uint8 votingMode, uint256 stageIndex, address projectOwner, address escrowContract, string evidenceHash, uint256 releasePercentage, uint256 votesFor, uint256 votesAgainst, uint256 startTime, uint256 endTime, uint256 snapshotBlock, uint256 totalVotingSupply, uint256 stakeVoted, uint256 quorumPercentage, uint256 minimumStake, bool commitReveal, uint256 revealEndTime, uint8 status, bool executed))',
+  'event ProposalCreated(uint256 indexed proposalId, uint256 indexed stageIndex, address indexed escrowContract, string evidenceHash, uint8 proposalType)',
+  'event ProposalResubmitted(uint256 indexed proposalId, uint256 indexed previousProposalId, uint256 resubmission)',
+  'event VoteCast(uint256 indexed proposalId, address indexed voter, bool inFavor, uint256 weight)',
+  'event VoteRationale(uint256 indexed proposalId, address indexed voter, string rationaleHash)',
+];
+
+// MilestoneGovernance.ProposalType and ProposalStatus, in enum order, as the backend stores them
+const PROPOSAL_TYPES = ['milestone', 'cancellation'];
+const PROPOSAL_STATUSES = ['pending', 'active', 'approved', 'rejected', 'executed'];
+
+// EIP-712 type signed by voters for MilestoneGovernance.voteBySig
+const VOTE_TYPES = {
+  Vote: [
+    { name: 'proposalId', type: 'uint256' },
+    { name: 'inFavor', type: 'bool' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+/**
+ * Signer that pays gas for relayed votes
+ * Uses RELAYER_PRIVATE_KEY if set, otherwise the same account as getSigner()
+ */
+export async function getRelayerSigner() {
+  if (process.env.RELAYER_PRIVATE_KEY) {
+    return new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, getProvider());
+  }
+  return getSigner();
+}
+
+function getGovernanceAddress() {
+  const governanceAddress = process.env.GOVERNANCE_CONTRACT_ADDRESS;
+  if (!governanceAddress || !ethers.isAddress(governanceAddress)) {
+    throw new Error('GOVERNANCE_CONTRACT_ADDRESS is not set in backend/.env');
+  }
+  return governanceAddress;
+}
+
+/**
+ * MilestoneGovernance contract instance connected to the relayer
+ */
+export async function getMilestoneGovernance() {
+  return new ethers.Contract(getGovernanceAddress(), MILESTONE_GOVERNANCE_ABI, await getRelayerSigner());
+}
+
+/**
+ * Events MilestoneGovernance emitted in a transaction (none if the transaction is unknown)
+ */
+async function getGovernanceEvents(transactionHash) {
+  const governanceAddress = getGovernanceAddress();
+  const governanceInterface = new ethers.Interface(MILESTONE_GOVERNANCE_ABI);
+  const receipt = await getProvider().getTransactionReceipt(transactionHash);
+
+  return (receipt?.logs ?? [])
+    .filter((log) => log.address.toLowerCase() === governanceAddress.toLowerCase())
+    .map((log) => {
+      try {
+        return governanceInterface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function governanceEventNotFound(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Read a vote cast on a proposal from the transaction's VoteCast event
+ * The weight is what governance counted, e.g. the square root of stake + reputation (18 decimals)
+ * on quadratic proposals, so the backend never trusts a client-reported weight
+ * Throws a 400 error if the transaction did not emit VoteCast for that proposal from governance
+ * @returns {{ voter: string, inFavor: boolean, weight: string }}
+ */
+export async function getCastVote(proposalId, transactionHash) {
+  const voteEvent = (await getGovernanceEvents(transactionHash))
+    .find((parsed) => parsed.name === 'VoteCast' && parsed.args.proposalId === BigInt(proposalId));
+
+  if (!voteEvent) {
+    throw governanceEventNotFound('VoteCast event for this proposal not found in transaction');
+  }
+
+  return {
+    voter: voteEvent.args.voter,
+    inFavor: voteEvent.args.inFavor,
+    weight: voteEvent.args.weight.toString(),
+  };
+}
+
+/**
+ * Read the rationale a voter gave for voting against a proposal from the transaction's VoteRationale event
+ * Throws a 400 error if the transaction did not emit VoteRationale for that proposal from governance
+ * @returns {{ voter: string, rationaleHash: string }}
+ */
+export async function getVoteRationale(proposalId, transactionHash) {
+  const rationaleEvent = (await getGovernanceEvents(transactionHash))
+    .find((parsed) => parsed.name === 'VoteRationale' && parsed.args.proposalId === BigInt(proposalId));
+
+  if (!rationaleEvent) {
+    throw governanceEventNotFound('VoteRationale event for this proposal not found in transaction');
+  }
+
+  return {
+    voter: rationaleEvent.args.voter,
+    rationaleHash: rationaleEvent.args.rationaleHash,
+  };
+}
+
+/**
+ * Read a proposal created in a transaction from its ProposalCreated event, with the voting window from governance
+ * previousProposalId is the rejected proposal a milestone resubmission follows (ProposalResubmitted), or null
+ * Throws a 400 error if the transaction did not emit ProposalCreated from governance
+ * @returns {{ proposalId: string, proposalType: string, stageIndex: number, escrow: string, evidenceHash: string,
+ *   previousProposalId: string | null, startTime: number, endTime: number, status: string }}
+ */
+export async function getCreatedProposal(transactionHash) {
+  const events = await getGovernanceEvents(transactionHash);
+  const createdEvent = events.find((parsed) => parsed.name === 'ProposalCreated');
+  if (!createdEvent) {
+    throw governanceEventNotFound('ProposalCreated event not found in transaction');
+  }
+
+  const { proposalId } = createdEvent.args;
+  const resubmittedEvent = events
+    .find((parsed) => parsed.name === 'ProposalResubmitted' && parsed.args.proposalId === proposalId);
+  const proposal = await getGovernanceReader().getProposal(proposalId);
+
+  return {
+    proposalId: proposalId.toString(),
+    proposalType: PROPOSAL_TYPES[Number(createdEvent.args.proposalType)],
+    stageIndex: Number(createdEvent.args.stageIndex),
+    escrow: createdEvent.args.escrowContract,
+    evidenceHash: createdEvent.args.evidenceHash,
+    previousProposalId: resubmittedEvent ? resubmittedEvent.args.previousProposalId.toString() : null,
+    startTime: Number(proposal.startTime),
+    endTime: Number(proposal.endTime),
+    status: PROPOSAL_STATUSES[Number(proposal.status)],
+  };
+}
+
+/**
+ * Read a proposal's current status and vote totals from governance
+ * @returns {{ status: string, executed: boolean, votesFor: string, votesAgainst: string }}
+ */
+export async function getProposalState(proposalId) {
+  const proposal = await getGovernanceReader().getProposal(BigInt(proposalId));
+
+  return {
+    status: PROPOSAL_STATUSES[Number(proposal.status)],
+    executed: proposal.executed,
+    votesFor: proposal.votesFor.toString(),
+    votesAgainst: proposal.votesAgainst.toString(),
+  };
+}
+
+function getGovernanceReader() {
+  return new ethers.Contract(getGovernanceAddress(), MILESTONE_GOVERNANCE_ABI, getProvider());
+}
+
+/**
+ * Check a signed vote and submit it through MilestoneGovernance.voteBySig, paying the gas
+ * Votes that would revert are rejected before sending, so the relayer does not pay for them
+ * @returns {{ voter: string, weight: string, transactionHash: string }}
+ */
+export async function relaySignedVote({ proposalId, inFavor, nonce, deadline, signature }) {
+  const governance = await getMilestoneGovernance();
+  const { chainId } = await getProvider().getNetwork();
+
+  const domain = {
+    name: 'MilestoneGovernance',
+    version: '1',
+    chainId,
+    verifyingContract: await governance.getAddress(),
+  };
+  const message = { proposalId: BigInt(proposalId), inFavor, nonce: BigInt(nonce), deadline: BigInt(deadline) };
+  let voter;
+  try {
+    voter = ethers.verifyTypedData(domain, VOTE_TYPES, message, signature);
+  } catch {
+    throw relayRejected('Invalid signature');
+  }
+
+  if (message.deadline < BigInt(Math.floor(Date.now() / 1000))) {
+    throw relayRejected('Signature expired');
+  }
+  if ((await governance.nonces(voter)) !== message.nonce) {
+    throw relayRejected('Invalid nonce');
+  }
+  const [eligible, , reason] = await governance.getVoteEligibility(message.proposalId, voter);
+  if (!eligible) {
+    throw relayRejected(reason);
+  }
+
+  const tx = await governance.voteBySig(message.proposalId, inFavor, message.nonce, message.deadline, signature);
+  const receipt = await tx.wait();
+
+  const voteEvent = receipt.logs
+    .map((log) => {
+      try {
+        return governance.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find((parsed) => parsed && parsed.name === 'VoteCast');
+
+  return {
+    voter,
+    weight: voteEvent ? voteEvent.args.weight.toString() : '0',
+    transactionHash: receipt.hash,
+  };
+}
+
+/**
+ * Error for a signed vote the relayer refuses to submit; the API error handler responds with 400
+ */
+function relayRejected(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Only the FundingEscrow functions the backend reads
+const FUNDING_ESCROW_ABI = [
+  'function projectOwner() view returns (address)',
+  'function fundingDeadline() view returns (uint256)',
+  'function getStageDeadlines() view returns (uint256[])',
+  'function contributions(address) view returns (uint256)',
+  'function profitShares(address) view returns (uint256)',
+  'function receiptContract() view returns (address)',
+  'function useTokenPayments() view returns (bool)',
+  'function paymentToken() view returns (address)',
+  'event ProjectOwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+];
+
+// Only the ContributionReceipt functions the backend calls
+const CONTRIBUTION_RECEIPT_ABI = [
+  'function receiptOf(address escrow, address holder) view returns (uint256)',
+  'function setTokenURI(uint256 _tokenId, string _uri)',
+  'function tokenURI(uint256 _tokenId) view returns (string)',
+];
+
+const ERC20_DISPLAY_ABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+];
+
+/**
+ * Read an escrow's current funding and stage deadlines
+ * They move when backers approve a deadline extension (FundingDeadlineExtended)
+ * @returns {{ fundingDeadline: number, stageDeadlines: number[] }}
+ */
+export async function getEscrowDeadlines(escrowAddress) {
+  const escrow = new ethers.Contract(ethers.getAddress(escrowAddress), FUNDING_ESCROW_ABI, getProvider());
+  const [fundingDeadline, stageDeadlines] = await Promise.all([
+    escrow.fundingDeadline(),
+    escrow.getStageDeadlines(),
+  ]);
+
+  return {
+    fundingDeadline: Number(fundingDeadline),
+    stageDeadlines: stageDeadlines.map((deadline) => Number(deadline)),
+  };
+}
+
+/**
+ * Read the completed ownership transfer of an escrow from the acceptProjectOwnership transaction
+ * Throws a 400 error if the transaction did not emit ProjectOwnershipTransferred from that escrow,
+ * and a 409 error if ownership has moved again since, so an old transfer cannot be replayed
+ * @returns {{ previousOwner: string, newOwner: string }}
+ */
+export async function getOwnershipTransfer(escrowAddress, transactionHash) {
+  const escrowInterface = new ethers.Interface(FUNDING_ESCROW_ABI);
+  const receipt = await getProvider().getTransactionReceipt(transactionHash);
+  if (!receipt) {
+    throw ownershipTransferNotFound();
+  }
+
+  const transferEvent = receipt.logs
+    .filter((log) => log.address.toLowerCase() === escrowAddress.toLowerCase())
+    .map((log) => {
+      try {
+        return escrowInterface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find((parsed) => parsed && parsed.name === 'ProjectOwnershipTransferred');
+
+  if (!transferEvent) {
+    throw ownershipTransferNotFound();
+  }
+
+  const escrow = new ethers.Contract(ethers.getAddress(escrowAddress), FUNDING_ESCROW_ABI, getProvider());
+  if ((await escrow.projectOwner()) !== transferEvent.args.newOwner) {
+    const error = new Error('Project ownership has changed since this transfer');
+    error.status = 409;
+    throw error;
+  }
+
+  return {
+    previousOwner: transferEvent.args.previousOwner,
+    newOwner: transferEvent.args.newOwner,
+  };
+}
+
+function ownershipTransferNotFound() {
+  const error = new Error('ProjectOwnershipTransferred event not found in transaction');
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Read a holder's receipt for an escrow and the amounts its metadata describes
+ * tokenId is 0 when the holder has no receipt; receiptContract is the zero address when the escrow issues none
+ * @returns {{ receiptContract: string, tokenId: string, contribution: string, profitShare: string, decimals: number, symbol: string }}
+ */
+export async function getReceiptDetails(escrowAddress, holderAddress) {
+  const escrow = new ethers.Contract(ethers.getAddress(escrowAddress), FUNDING_ESCROW_ABI, getProvider());
+  const holder = ethers.getAddress(holderAddress);
+
+  const [receiptContract, contribution, profitShare, useTokenPayments] = await Promise.all([
+    escrow.receiptContract(),
+    escrow.contributions(holder),
+    escrow.profitShares(holder),
+    escrow.useTokenPayments(),
+  ]);
+
+  let tokenId = 0n;
+  let tokenURI = '';
+  if (receiptContract !== ethers.ZeroAddress) {
+    const receipts = new ethers.Contract(receiptContract, CONTRIBUTION_RECEIPT_ABI, getProvider());
+    tokenId = await receipts.receiptOf(await escrow.getAddress(), holder);
+    if (tokenId !== 0n) {
+      tokenURI = await receipts.tokenURI(tokenId);
+    }
+  }
+
+  let decimals = 18;
+  let symbol = 'ETH';
+  if (useTokenPayments) {
+    const token = new ethers.Contract(await escrow.paymentToken(), ERC20_DISPLAY_ABI, getProvider());
+    [decimals, symbol] = await Promise.all([token.decimals(), token.symbol()]);
+  }
+
+  return {
+    receiptContract,
+    tokenId: tokenId.toString(),
+    tokenURI,
+    contribution: contribution.toString(),
+    profitShare: profitShare.toString(),
+    decimals: Number(decimals),
+    symbol,
+  };
+}
+
+/**
+ * Point a receipt at new metadata; the backend signer must own the ContributionReceipt contract
+ * @returns {string} Transaction hash
+ */
+export async function setReceiptTokenURI(receiptContract, tokenId, tokenURI) {
+  const receipts = new ethers.Contract(receiptContract, CONTRIBUTION_RECEIPT_ABI, await getSigner());
+  const tx = await receipts.setTokenURI(BigInt(tokenId), tokenURI);
+  const receipt = await tx.wait();
+  return receipt.hash;
+}
@@ -0,0 +1,47 @@
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Pin a JSON document to IPFS through Pinata
+ * Throws a 500 error when the Pinata keys are not configured
+ * @returns {{ hash: string, size: number, timestamp: string, url: string }}
+ */
+export async function pinJSON(content, name) {
+  const { PINATA_API_KEY, PINATA_SECRET_KEY } = process.env;
+
+  if (!PINATA_API_KEY || !PINATA_SECRET_KEY) {
+    const error = new Error('IPFS upload not configured');
+    error.status = 500;
+    throw error;
+  }
+
+  const body = {
+    pinataContent: content,
+    pinataMetadata: name ? { name } : undefined,
+  };
+
+  const response = await fetch('https://api.pinata.cloud/pinning/pinJSONToIPFS', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'pinata_api_key': PINATA_API_KEY,
+      'pinata_secret_api_key': PINATA_SECRET_KEY,
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Pinata API error: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+
+  return {
+    hash: data.IpfsHash,
+    size: data.PinSize,
+    timestamp: data.Timestamp,
+    url: `https://gateway.pinata.cloud/ipfs/${data.IpfsHash}`,
+  };
+}
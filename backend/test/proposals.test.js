@@ -0,0 +1,330 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import { ethers } from 'ethers';
+
+// Runs the proposals routes against a freshly migrated SQLite file, with a stub JSON-RPC node
+// that serves the transaction receipts below and governance's getProposal
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BACKEND_DIR = path.join(__dirname, '..');
+
+const GOVERNANCE_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const ESCROW = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const VOTER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const PROPOSAL_ID_ONCHAIN = 7;
+const VOTE_TX = `0x${'11'.repeat(32)}`;
+const OTHER_PROPOSAL_TX = `0x${'22'.repeat(32)}`;
+// Resubmits a rejected proposal for stage 1
+const RESUBMISSION_ID_ONCHAIN = 9;
+const RESUBMISSION_TX = `0x${'33'.repeat(32)}`;
+const RATIONALE_VOTER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const RATIONALE_TX = `0x${'44'.repeat(32)}`;
+// Square-rooted quadratic weight, larger than SQLite's 64-bit integers once added up
+const WEIGHT = '3162277660168379332';
+
+const governanceInterface = new ethers.Interface([
+  'function getProposal(uint256 _proposalId) view returns (tuple(uint256 id, uint8 proposalType, uint8 votingMode, uint256 stageIndex, address projectOwner, address escrowContract, string evidenceHash, uint256 releasePercentage, uint256 votesFor, uint256 votesAgainst, uint256 startTime, uint256 endTime, uint256 snapshotBlock, uint256 totalVotingSupply, uint256 stakeVoted, uint256 quorumPercentage, uint256 minimumStake, bool commitReveal, uint256 revealEndTime, uint8 status, bool executed))',
+  'event ProposalCreated(uint256 indexed proposalId, uint256 indexed stageIndex, address indexed escrowContract, string evidenceHash, uint8 proposalType)',
+  'event ProposalResubmitted(uint256 indexed proposalId, uint256 indexed previousProposalId, uint256 resubmission)',
+  'event VoteCast(uint256 indexed proposalId, address indexed voter, bool inFavor, uint256 weight)',
+  'event VoteRationale(uint256 indexed proposalId, address indexed voter, string rationaleHash)',
+]);
+
+// What governance currently reports for the resubmitted proposal (Active, not executed)
+const resubmission = {
+  status: 1,
+  executed: false,
+  votesFor: 0n,
+  votesAgainst: 0n,
+};
+
+function receiptWithVote(transactionHash, proposalId) {
+  return receiptWithEvents(transactionHash, [['VoteCast', [proposalId, VOTER, true, WEIGHT]]]);
+}
+
+function receiptWithEvents(transactionHash, events) {
+  const blockHash = `0x${'aa'.repeat(32)}`;
+  return {
+    transactionHash,
+    transactionIndex: '0x0',
+    blockHash,
+    blockNumber: '0x10',
+    from: VOTER,
+    to: GOVERNANCE_ADDRESS,
+    contractAddress: null,
+    cumulativeGasUsed: '0x5208',
+    gasUsed: '0x5208',
+    effectiveGasPrice: '0x1',
+    logsBloom: `0x${'00'.repeat(256)}`,
+    type: '0x2',
+    status: '0x1',
+    logs: events.map(([name, args], index) => ({
+      address: GOVERNANCE_ADDRESS,
+      ...governanceInterface.encodeEventLog(name, args),
+      blockHash,
+      blockNumber: '0x10',
+      transactionHash,
+      transactionIndex: '0x0',
+      logIndex: ethers.toQuantity(index),
+      removed: false,
+    })),
+  };
+}
+
+const receipts = {
+  [VOTE_TX]: receiptWithVote(VOTE_TX, PROPOSAL_ID_ONCHAIN),
+  [OTHER_PROPOSAL_TX]: receiptWithVote(OTHER_PROPOSAL_TX, PROPOSAL_ID_ONCHAIN + 1),
+  [RATIONALE_TX]: receiptWithEvents(RATIONALE_TX, [
+    ['VoteCast', [PROPOSAL_ID_ONCHAIN, RATIONALE_VOTER, false, WEIGHT]],
+    ['VoteRationale', [PROPOSAL_ID_ONCHAIN, RATIONALE_VOTER, 'QmRationale']],
+  ]),
+  [RESUBMISSION_TX]: receiptWithEvents(RESUBMISSION_TX, [
+    ['ProposalCreated', [RESUBMISSION_ID_ONCHAIN, 1, ESCROW, 'QmRevisedEvidence', 0]],
+    ['ProposalResubmitted', [RESUBMISSION_ID_ONCHAIN, RESUBMISSION_ID_ONCHAIN - 1, 1]],
+  ]),
+};
+
+function getProposalResult(proposalId) {
+  return [{
+    id: proposalId,
+    proposalType: 0,
+    votingMode: 0,
+    stageIndex: 1,
+    projectOwner: VOTER,
+    escrowContract: ESCROW,
+    evidenceHash: 'QmRevisedEvidence',
+    releasePercentage: 100,
+    votesFor: resubmission.votesFor,
+    votesAgainst: resubmission.votesAgainst,
+    startTime: 1000,
+    endTime: 2000,
+    snapshotBlock: 15,
+    totalVotingSupply: ethers.parseEther('10'),
+    stakeVoted: 0,
+    quorumPercentage: 20,
+    minimumStake: ethers.parseEther('0.1'),
+    commitReveal: false,
+    revealEndTime: 0,
+    status: resubmission.status,
+    executed: resubmission.executed,
+  }];
+}
+
+function answerCall(params) {
+  const call = governanceInterface.parseTransaction({ data: params[0].data });
+  return governanceInterface.encodeFunctionResult(call.name, getProposalResult(call.args[0]));
+}
+
+function startRpcNode() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      const answer = ({ id, method, params }) => {
+        if (method === 'eth_getTransactionReceipt') {
+          return { jsonrpc: '2.0', id, result: receipts[params[0]] ?? null };
+        }
+        if (method === 'eth_call') {
+          return { jsonrpc: '2.0', id, result: answerCall(params) };
+        }
+        return { jsonrpc: '2.0', id, error: { code: -32601, message: `${method} not supported` } };
+      };
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+let tempDir;
+let rpcNode;
+let apiServer;
+let apiUrl;
+let db;
+
+before(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'defund-backend-'));
+  rpcNode = await startRpcNode();
+
+  Object.assign(process.env, {
+    DATABASE_PATH: path.join(tempDir, 'test.sqlite'),
+    RPC_URL: `http://127.0.0.1:${rpcNode.address().port}`,
+    CHAIN_ID: '1337',
+    GOVERNANCE_CONTRACT_ADDRESS: GOVERNANCE_ADDRESS,
+  });
+
+  // The real migration, so schema.sql has to survive its statement splitting
+  execFileSync(process.execPath, ['src/db/migrate.js'], { cwd: BACKEND_DIR, env: process.env, stdio: 'pipe' });
+
+  // Imported after the environment is set, since they read it on load
+  const database = await import('../src/db/database.js');
+  const { default: proposalRoutes } = await import('../src/routes/proposals.js');
+  db = database.default;
+
+  db.prepare('INSERT INTO users (wallet_address) VALUES (?)').run('0xowner');
+  const project = db.prepare(`
+    INSERT INTO projects (contract_address, owner_address, title, description, funding_goal, funding_deadline, total_stages)
+    VALUES (?, '0xowner', 'Test project', 'Test', '10000000000000000000', 0, 3)
+  `).run(ESCROW.toLowerCase());
+  // Totals already past 2^63 wei
+  db.prepare(`
+    INSERT INTO proposals (project_id, proposal_id_onchain, stage_index, evidence_hash, votes_for, start_time, end_time)
+    VALUES (?, ?, 0, 'QmEvidence', '10000000000000000000', 0, 0)
+  `).run(project.lastInsertRowid, PROPOSAL_ID_ONCHAIN);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/proposals', proposalRoutes);
+  app.use((err, req, res, next) => {
+    res.status(err.status || 500).json({ error: err.message || 'Internal server error' });
+  });
+  apiServer = await new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  apiUrl = `http://127.0.0.1:${apiServer.address().port}/api/proposals`;
+});
+
+after(() => {
+  apiServer?.close();
+  rpcNode?.close();
+  db?.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function syncVote(proposalId, transactionHash) {
+  return fetch(`${apiUrl}/${proposalId}/sync-vote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ transaction_hash: transactionHash }),
+  });
+}
+
+function storedProposal() {
+  return db.prepare('SELECT id, votes_for, votes_against FROM proposals WHERE proposal_id_onchain = ?').get(PROPOSAL_ID_ONCHAIN);
+}
+
+test('sync-vote records the weight from the VoteCast event and adds it to the total', async () => {
+  const response = await syncVote(PROPOSAL_ID_ONCHAIN, VOTE_TX);
+  const body = await response.json();
+
+  assert.equal(response.status, 201);
+  assert.equal(body.success, true);
+  assert.equal(body.data.weight, WEIGHT);
+  assert.equal(body.data.in_favor, true);
+
+  const proposal = storedProposal();
+  const vote = db.prepare('SELECT voter_address, in_favor, weight, tx_hash FROM votes WHERE proposal_id = ?').get(proposal.id);
+  assert.deepEqual(vote, { voter_address: VOTER.toLowerCase(), in_favor: 1, weight: WEIGHT, tx_hash: VOTE_TX });
+  assert.equal(proposal.votes_for, (10000000000000000000n + BigInt(WEIGHT)).toString());
+  assert.equal(proposal.votes_against, '0');
+});
+
+test('sync-vote does not count the same vote twice', async () => {
+  const before = storedProposal();
+
+  const response = await syncVote(PROPOSAL_ID_ONCHAIN, VOTE_TX);
+
+  assert.equal(response.status, 201);
+  assert.deepEqual(storedProposal(), before);
+});
+
+test('sync-vote rejects a transaction without a vote on the proposal', async () => {
+  const response = await syncVote(PROPOSAL_ID_ONCHAIN, OTHER_PROPOSAL_TX);
+
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /VoteCast event/);
+});
+
+test('sync-vote validates the transaction hash', async () => {
+  const response = await syncVote(PROPOSAL_ID_ONCHAIN, '0x1234');
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).success, false);
+});
+
+function post(endpoint, body) {
+  return fetch(`${apiUrl}${endpoint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+test('sync records a created proposal from its events, with the proposal it resubmits', async () => {
+  const response = await post('/sync', { transaction_hash: RESUBMISSION_TX });
+  const body = await response.json();
+
+  assert.equal(response.status, 201);
+  assert.equal(body.data.proposal_id_onchain, RESUBMISSION_ID_ONCHAIN);
+  assert.equal(body.data.proposal_type, 'milestone');
+  assert.equal(body.data.stage_index, 1);
+  assert.equal(body.data.evidence_hash, 'QmRevisedEvidence');
+  assert.equal(body.data.previous_proposal_id_onchain, RESUBMISSION_ID_ONCHAIN - 1);
+  assert.equal(body.data.status, 'active');
+  assert.equal(body.data.start_time, 1000);
+  assert.equal(body.data.end_time, 2000);
+
+  const again = await post('/sync', { transaction_hash: RESUBMISSION_TX });
+  assert.equal(again.status, 201);
+  assert.equal((await again.json()).data.id, body.data.id);
+});
+
+test('sync rejects a transaction that created no proposal', async () => {
+  const response = await post('/sync', { transaction_hash: VOTE_TX });
+
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /ProposalCreated event/);
+});
+
+test('sync-status follows governance once a proposal is executed', async () => {
+  Object.assign(resubmission, { status: 3, executed: true, votesFor: 1n, votesAgainst: ethers.parseEther('4') });
+
+  const response = await post(`/${RESUBMISSION_ID_ONCHAIN}/sync-status`, {});
+
+  assert.equal(response.status, 200);
+  const stored = db.prepare(`
+    SELECT status, votes_for, votes_against, executed_at FROM proposals WHERE proposal_id_onchain = ?
+  `).get(RESUBMISSION_ID_ONCHAIN);
+  assert.equal(stored.status, 'rejected');
+  assert.equal(stored.votes_for, '1');
+  assert.equal(stored.votes_against, ethers.parseEther('4').toString());
+  assert.ok(stored.executed_at);
+});
+
+test('sync-status ignores proposals the backend does not track', async () => {
+  const response = await post('/12/sync-status', {});
+
+  assert.equal(response.status, 404);
+});
+
+test('rationales are read from the VoteRationale event, not the request', async () => {
+  const response = await post(`/${PROPOSAL_ID_ONCHAIN}/rationales`, {
+    tx_hash: RATIONALE_TX,
+    voter_address: VOTER,
+    rationale_hash: 'QmSomethingElse',
+  });
+
+  assert.equal(response.status, 201);
+  const stored = db.prepare('SELECT voter_address, rationale_hash, tx_hash FROM vote_rationales').all();
+  assert.deepEqual(stored, [{ voter_address: RATIONALE_VOTER.toLowerCase(), rationale_hash: 'QmRationale', tx_hash: RATIONALE_TX }]);
+
+  const again = await post(`/${PROPOSAL_ID_ONCHAIN}/rationales`, { tx_hash: RATIONALE_TX });
+  assert.equal(again.status, 409);
+});
+
+test('rationales need a transaction with a VoteRationale event for the proposal', async () => {
+  const missing = await post(`/${PROPOSAL_ID_ONCHAIN}/rationales`, { voter_address: VOTER, rationale_hash: 'QmRationale' });
+  assert.equal(missing.status, 400);
+
+  const withoutRationale = await post(`/${PROPOSAL_ID_ONCHAIN}/rationales`, { tx_hash: VOTE_TX });
+  assert.equal(withoutRationale.status, 400);
+  assert.match((await withoutRationale.json()).error, /VoteRationale event/);
+});
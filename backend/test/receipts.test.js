@@ -0,0 +1,172 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import { ethers } from 'ethers';
+
+// Runs the receipt refresh route against a freshly migrated SQLite file, with a stub JSON-RPC node
+// that answers the escrow and receipt reads below
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BACKEND_DIR = path.join(__dirname, '..');
+
+const ESCROW = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const RECEIPTS = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const HOLDER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const TOKEN_ID = 3n;
+const TOKEN_URI = 'ipfs://QmStoredReceipt';
+
+const contractInterface = new ethers.Interface([
+  'function receiptContract() view returns (address)',
+  'function contributions(address) view returns (uint256)',
+  'function profitShares(address) view returns (uint256)',
+  'function useTokenPayments() view returns (bool)',
+  'function receiptOf(address escrow, address holder) view returns (uint256)',
+  'function tokenURI(uint256 _tokenId) view returns (string)',
+]);
+
+// What the escrow currently reports for the holder
+let contribution = ethers.parseEther('2');
+
+const results = {
+  receiptContract: () => [RECEIPTS],
+  contributions: () => [contribution],
+  profitShares: () => [ethers.parseEther('0.5')],
+  useTokenPayments: () => [false],
+  receiptOf: () => [TOKEN_ID],
+  tokenURI: () => [TOKEN_URI],
+};
+
+function startRpcNode() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      const answer = ({ id, method, params }) => {
+        if (method !== 'eth_call') {
+          return { jsonrpc: '2.0', id, error: { code: -32601, message: `${method} not supported` } };
+        }
+        const call = contractInterface.parseTransaction({ data: params[0].data });
+        return { jsonrpc: '2.0', id, result: contractInterface.encodeFunctionResult(call.name, results[call.name]()) };
+      };
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+let tempDir;
+let rpcNode;
+let apiServer;
+let apiUrl;
+let db;
+
+before(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'defund-backend-'));
+  rpcNode = await startRpcNode();
+
+  Object.assign(process.env, {
+    DATABASE_PATH: path.join(tempDir, 'test.sqlite'),
+    RPC_URL: `http://127.0.0.1:${rpcNode.address().port}`,
+    CHAIN_ID: '1337',
+    // Empty rather than unset, so a local .env cannot make the test pin for real
+    PINATA_API_KEY: '',
+    PINATA_SECRET_KEY: '',
+  });
+
+  execFileSync(process.execPath, ['src/db/migrate.js'], { cwd: BACKEND_DIR, env: process.env, stdio: 'pipe' });
+
+  // Imported after the environment is set, since they read it on load
+  const database = await import('../src/db/database.js');
+  const { default: receiptRoutes } = await import('../src/routes/receipts.js');
+  db = database.default;
+
+  db.prepare('INSERT INTO users (wallet_address) VALUES (?)').run('0xowner');
+  db.prepare(`
+    INSERT INTO projects (contract_address, owner_address, title, description, funding_goal, funding_deadline, total_stages)
+    VALUES (?, '0xowner', 'Test project', 'Test', '10000000000000000000', 0, 3)
+  `).run(ESCROW);
+
+  // The metadata the token already points at, as the route would generate it for a 2 ETH contribution
+  const metadata = {
+    name: `Test project - Backer Receipt #${TOKEN_ID}`,
+    description: `Receipt for backing Test project on De-Fund. Escrow: ${ESCROW}`,
+    attributes: [
+      { trait_type: 'Project', value: 'Test project' },
+      { trait_type: 'Contribution', value: '2.0 ETH' },
+      { trait_type: 'Profit Share', value: '0.5 ETH' },
+    ],
+  };
+  db.prepare('INSERT INTO receipt_metadata (receipt_contract, token_id, metadata, token_uri) VALUES (?, ?, ?, ?)')
+    .run(RECEIPTS.toLowerCase(), TOKEN_ID.toString(), JSON.stringify(metadata), TOKEN_URI);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/receipts', receiptRoutes);
+  app.use((err, req, res, next) => {
+    res.status(err.status || 500).json({ error: err.message || 'Internal server error' });
+  });
+  apiServer = await new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  apiUrl = `http://127.0.0.1:${apiServer.address().port}/api/receipts`;
+});
+
+after(() => {
+  apiServer?.close();
+  rpcNode?.close();
+  db?.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function refresh() {
+  return fetch(`${apiUrl}/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ escrow_address: ESCROW, holder_address: HOLDER }),
+  });
+}
+
+test('refresh leaves an unchanged receipt alone', async () => {
+  const response = await refresh();
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.data, {
+    token_id: TOKEN_ID.toString(),
+    token_uri: TOKEN_URI,
+    transaction_hash: null,
+    unchanged: true,
+  });
+});
+
+test('refresh regenerates the metadata once the contribution changed', async () => {
+  contribution = 0n;
+
+  // Reaches the pinning step, which is not configured here
+  const response = await refresh();
+
+  assert.equal(response.status, 500);
+  assert.equal((await response.json()).error, 'IPFS upload not configured');
+});
+
+test('refresh is rate limited per client', async () => {
+  const statuses = [];
+  for (let i = 0; i < 10; i++) {
+    const response = await refresh();
+    statuses.push(response.status);
+    if (response.status === 429) {
+      assert.ok(Number(response.headers.get('retry-after')) > 0);
+    }
+  }
+
+  // Two refreshes were already spent by the tests above
+  assert.deepEqual(statuses, [...Array(8).fill(500), 429, 429]);
+});
@@ -0,0 +1,150 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./FundingEscrow.sol";
+
+/**
+ * @title ContributionReceipt
+ * @dev ERC-721 receipt minted to each donor of a registered FundingEscrow on their first donation
+ * @notice One receipt per donor and project. Metadata is IPFS JSON the platform regenerates from
+ * the escrow as the contribution grows. Receipts only transfer if the project allows it, and then
+ * carry the donor's profit share with them.
+ */
+contract ContributionReceipt is ERC721Enumerable, ERC721URIStorage, Ownable {
+    // Number of receipts minted; token IDs start at 1 so 0 means "no receipt"
+    uint256 public receiptCount;
+
+    // ProjectFactory allowed to register the escrows it creates
+    address public projectFactory;
+
+    // Mapping of escrow address to whether it may mint receipts
+    mapping(address => bool) public isEscrow;
+
+    // Mapping of token ID to the escrow the receipt was minted for
+    mapping(uint256 => address) public escrowOf;
+
+    // Mapping of escrow address to each holder's receipt for that project
+    mapping(address => mapping(address => uint256)) public receiptOf;
+
+    // Events
+    event ProjectFactorySet(address indexed projectFactory);
+    event EscrowRegistered(address indexed escrow);
+    event ReceiptIssued(uint256 indexed tokenId, address indexed escrow, address indexed donor);
+
+    constructor() ERC721("De-Fund Contribution Receipt", "DFR") Ownable(msg.sender) {}
+
+    /**
+     * @dev Set the ProjectFactory that registers new escrows as it creates them
+     * @param _projectFactory Address of the ProjectFactory (address(0) to stop automatic registration)
+     */
+    function setProjectFactory(address _projectFactory) external onlyOwner {
+        projectFactory = _projectFactory;
+        emit ProjectFactorySet(_projectFactory);
+    }
+
+    /**
+     * @dev Allow an escrow to mint receipts to its donors
+     * @notice The escrow must also point at this contract through setReceiptContract()
+     */
+    function registerEscrow(address _escrow) external {
+        require(msg.sender == owner() || msg.sender == projectFactory, "Only owner or factory can register");
+        require(_escrow != address(0), "Invalid escrow address");
+        isEscrow[_escrow] = true;
+        emit EscrowRegistered(_escrow);
+    }
+
+    /**
+     * @dev Called by an escrow on every donation; mints the donor's receipt if they have none
+     * @notice Emits MetadataUpdate for an existing receipt, as the contribution it describes grew
+     * @return tokenId The donor's receipt for the calling escrow
+     */
+    function issue(address _donor) external returns (uint256 tokenId) {
+        require(isEscrow[msg.sender], "Only registered escrows can issue receipts");
+
+        tokenId = receiptOf[msg.sender][_donor];
+        if (tokenId != 0) {
+            emit MetadataUpdate(tokenId);
+            return tokenId;
+        }
+
+        tokenId = ++receiptCount;
+        escrowOf[tokenId] = msg.sender;
+        receiptOf[msg.sender][_donor] = tokenId;
+        // _mint rather than _safeMint, so a contract donor without onERC721Received can still donate
+        _mint(_donor, tokenId);
+
+        emit ReceiptIssued(tokenId, msg.sender, _donor);
+    }
+
+    /**
+     * @dev Called by an escrow when a contribution shrinks; flags the holder's receipt metadata as stale
+     * @notice Does nothing if the holder has no receipt for the calling escrow
+     */
+    function refresh(address _holder) external {
+        require(isEscrow[msg.sender], "Only registered escrows can refresh receipts");
+
+        uint256 tokenId = receiptOf[msg.sender][_holder];
+        if (tokenId != 0) {
+            emit MetadataUpdate(tokenId);
+        }
+    }
+
+    /**
+     * @dev Point a receipt at regenerated IPFS metadata
+     * @param _tokenId Receipt to update
+     * @param _uri Token URI, e.g. ipfs://<hash> of JSON uploaded through the backend
+     */
+    function setTokenURI(uint256 _tokenId, string calldata _uri) external onlyOwner {
+        _requireOwned(_tokenId);
+        _setTokenURI(_tokenId, _uri);
+    }
+
+    /**
+     * @dev Returns every receipt held by an account
+     */
+    function getReceipts(address _holder) external view returns (uint256[] memory tokenIds) {
+        uint256 count = balanceOf(_holder);
+        tokenIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            tokenIds[i] = tokenOfOwnerByIndex(_holder, i);
+        }
+        return tokenIds;
+    }
+
+    /**
+     * @dev Moves the profit share with the receipt on transfers; the escrow refuses unless it allows transfers
+     */
+    function _update(
+        address _to,
+        uint256 _tokenId,
+        address _auth
+    ) internal override(ERC721, ERC721Enumerable) returns (address from) {
+        from = super._update(_to, _tokenId, _auth);
+
+        if (from != address(0) && _to != address(0)) {
+            address escrow = escrowOf[_tokenId];
+            require(receiptOf[escrow][_to] == 0, "Recipient already holds a receipt for this project");
+            receiptOf[escrow][from] = 0;
+            receiptOf[escrow][_to] = _tokenId;
+            FundingEscrow(payable(escrow)).transferProfitShare(from, _to);
+        }
+        return from;
+    }
+
+    function _increaseBalance(address _account, uint128 _value) internal override(ERC721, ERC721Enumerable) {
+        super._increaseBalance(_account, _value);
+    }
+
+    function tokenURI(uint256 _tokenId) public view override(ERC721, ERC721URIStorage) returns (string memory) {
+        return super.tokenURI(_tokenId);
+    }
+
+    function supportsInterface(
+        bytes4 _interfaceId
+    ) public view override(ERC721Enumerable, ERC721URIStorage) returns (bool) {
+        return super.supportsInterface(_interfaceId);
+    }
+}
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title EscrowRegistry
+ * @dev The escrows MilestoneGovernance takes proposals for
+ * @notice Deployed separately and linked into MilestoneGovernance, which would otherwise
+ * exceed the contract size limit. Functions run in the governance contract's storage.
+ */
+library EscrowRegistry {
+    struct Registry {
+        mapping(address => bool) registered;
+        address[] escrows; // unordered once an escrow is removed
+    }
+
+    // Also declared in MilestoneGovernance, whose address emits them
+    event EscrowRegistered(address indexed escrowContract);
+    event EscrowDeregistered(address indexed escrowContract);
+
+    function register(Registry storage self, address _escrowContract) external {
+        require(_escrowContract != address(0), "Invalid escrow address");
+        require(!self.registered[_escrowContract], "Escrow already registered");
+
+        self.registered[_escrowContract] = true;
+        self.escrows.push(_escrowContract);
+        emit EscrowRegistered(_escrowContract);
+    }
+
+    /**
+     * @dev Removes an escrow by moving the last one into its slot
+     */
+    function deregister(Registry storage self, address _escrowContract) external {
+        require(self.registered[_escrowContract], "Escrow not registered");
+
+        self.registered[_escrowContract] = false;
+        uint256 last = self.escrows.length - 1;
+        for (uint256 i = 0; i < last; i++) {
+            if (self.escrows[i] == _escrowContract) {
+                self.escrows[i] = self.escrows[last];
+                break;
+            }
+        }
+        self.escrows.pop();
+        emit EscrowDeregistered(_escrowContract);
+    }
+}
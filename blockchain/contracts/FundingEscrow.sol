@@ -3,44 +3,207 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./ContributionReceipt.sol";
+import "./GuardianPausable.sol";
+import "./ProjectFactory.sol";
 
 /**
  * @title FundingEscrow
  * @dev Manages milestone-based fund escrow for decentralized crowdfunding
- * @notice This contract holds funds in escrow and releases them upon milestone verification
+ * @notice This contract holds funds (ETH or a single ERC-20 token) in escrow and releases them upon milestone verification.
+ * The guardian can pause donations and releases for a limited time; refunds keep working,
+ * and stage deadlines are pushed back by the time spent paused.
  */
-contract FundingEscrow is ReentrancyGuard, Ownable {
+contract FundingEscrow is ReentrancyGuard, Ownable, GuardianPausable {
+    using SafeERC20 for IERC20;
+    
     // State variables
     address public projectOwner;
     address public governanceContract;
     uint256 public fundingGoal;
     uint256 public fundingDeadline;
     uint256 public fundsRaised;
+    uint256 public totalReleased;
     uint256 public totalStages;
     uint256 public currentStage;
     bool public fundingGoalReached;
     bool public projectCancelled;
     
+    // Keep-what-you-raise: whatever was raised by the deadline is kept even if the goal was missed
+    bool public flexibleFunding;
+    
+    // Funding tier unlocked once fundsRaised reaches its threshold
+    struct StretchGoal {
+        uint256 threshold;
+        uint256 stageDuration; // > 0 adds a stage funded by this tier; 0 spreads the tier over existing stages
+    }
+    
+    // Donations stay open past the goal until this amount (0 closes them at the goal)
+    uint256 public hardCap;
+    
+    // Stretch goals in ascending threshold order, set by the project owner before the first donation
+    StretchGoal[] private stretchGoals;
+    
+    // Number of stretch goals unlocked so far (always the first ones, as thresholds ascend)
+    uint256 public stretchGoalsReached;
+    
+    // Stages appended after the original ones by unlocked stretch goals
+    uint256 private stretchStages;
+    
+    // Funding deadline extension requested by the project owner
+    struct DeadlineExtension {
+        uint256 duration;
+        uint256 approvals; // contribution weight of the donors who approved it
+        bool applied;
+    }
+    
+    // Most extensions that can be applied, and the longest each can be
+    uint256 public constant MAX_DEADLINE_EXTENSIONS = 2;
+    uint256 public constant MAX_EXTENSION_DURATION = 30 days;
+    
+    // Every extension requested; only the latest can still be approved
+    DeadlineExtension[] private deadlineExtensions;
+    
+    // Mapping of extension index to each donor's approval weight (0 if they did not approve)
+    mapping(uint256 => mapping(address => uint256)) public extensionApprovals;
+    
+    // Number of extensions applied so far
+    uint256 public deadlineExtensionCount;
+    
+    // Latest applied extension and the deadline it replaced; donors who did not approve it
+    // can withdraw in full from that deadline until the extended one
+    uint256 public activeExtension;
+    uint256 public extensionWindowStart;
+    
+    // ERC-20 token the escrow settles in (only used when useTokenPayments is true)
+    IERC20 public paymentToken;
+    bool public useTokenPayments;
+    
+    // Set once the escrow has been configured (by the constructor or by initialize() on a clone)
+    bool private initialized;
+    
+    // ProjectFactory that created this clone, told about ownership changes (address(0) if deployed directly)
+    address public projectFactory;
+    
     // Mapping of stage index to funds allocated for that stage
     mapping(uint256 => uint256) public fundsAllocatedPerStage;
     
     // Mapping of stage index to whether funds have been released
     mapping(uint256 => bool) public stageCompleted;
     
+    // Mapping of stage index to funds released so far (a stage can be paid out in parts)
+    mapping(uint256 => uint256) public stageReleased;
+    
+    // Mapping of stage index to the timestamp its funds must be released by, before pausedTime() is added
+    mapping(uint256 => uint256) public stageDeadlines;
+    
+    // Seconds spent paused in pauses already folded in, and when the latest pause began (0 once unpaused)
+    uint256 private foldedPauseTime;
+    uint256 private pauseStartedAt;
+    
     // Mapping of donor addresses to their contribution amounts
     mapping(address => uint256) public contributions;
     
+    // Mapping of account to the contribution weight it earns donor profit on; equal to the
+    // contribution unless receipts are transferable and the donor's receipt changed hands
+    mapping(address => uint256) public profitShares;
+    
+    // Platform ERC-721 that mints each donor a receipt on their first donation (unset for none)
+    ContributionReceipt public receiptContract;
+    
+    // Lets donors transfer their receipt, and with it their profit share, once funding succeeds
+    bool public transferableReceipts;
+    
+    // Address nominated by the project owner; becomes the owner once it accepts
+    address public pendingProjectOwner;
+    
+    // Recipient of a share of every stage release and of the owner's profit share
+    struct PayoutSplit {
+        address recipient;
+        uint256 share; // basis points; all splits sum to 10000
+    }
+    
+    // Most recipients a payout can be split between
+    uint256 public constant MAX_PAYOUT_RECIPIENTS = 10;
+    
+    // Payout splits set by the project owner (empty pays everything to the project owner)
+    PayoutSplit[] private payoutSplits;
+    
+    // Stage funds credited to payout split recipients and not yet withdrawn
+    mapping(address => uint256) public pendingPayouts;
+    
+    // Approved stage funds vesting linearly to the project owner from the time of the release
+    struct VestingStream {
+        uint256 stageIndex;
+        uint256 amount;
+        uint256 start;
+    }
+    
+    // Longest vesting period the project owner can choose
+    uint256 public constant MAX_VESTING_DURATION = 365 days;
+    
+    // Period each release vests over, set before the first donation (0 pays releases out at once)
+    uint256 public vestingDuration;
+    
+    // One stream per release made while vesting is on
+    VestingStream[] private vestingStreams;
+    
+    // Total amount put into streams, and how much of it the owner has withdrawn
+    uint256 public totalVesting;
+    uint256 public vestingWithdrawn;
+    
+    // Time vesting stopped at because the project was cancelled (0 while it runs)
+    uint256 public vestingStoppedAt;
+    
     // Array to track all donors for refund purposes
     address[] public donors;
     mapping(address => bool) public isDonor;
     
+    // Scaling factor for the per-contribution profit accumulator
+    uint256 private constant PROFIT_PRECISION = 1e18;
+    
+    // Donor profit credited per unit of contribution, scaled by PROFIT_PRECISION
+    uint256 public accProfitPerContribution;
+    
+    // Accumulator value already accounted for in each donor's credited profit
+    mapping(address => uint256) private profitDebt;
+    
+    // Profit settled to an account but not yet claimed (includes the owner's 20% share)
+    mapping(address => uint256) private creditedProfit;
+    
     // Events
     event DonationReceived(address indexed donor, uint256 amount, uint256 totalRaised);
     event FundingGoalReached(uint256 totalAmount, uint256 timestamp);
-    event FundsReleased(uint256 indexed stageIndex, uint256 amount, address indexed recipient);
+    event FundsReleased(
+        uint256 indexed stageIndex,
+        uint256 amount,
+        address indexed recipient,
+        uint256 stageReleased
+    );
     event RefundIssued(address indexed donor, uint256 amount);
+    event ContributionWithdrawn(address indexed donor, uint256 amount, uint256 totalRaised);
     event ProjectCancelled(uint256 timestamp);
+    event StageDefaulted(uint256 indexed stageIndex, uint256 deadline);
     event GovernanceContractSet(address indexed governanceAddress);
+    event StretchGoalsSet(uint256 hardCap, uint256 stretchGoalCount);
+    event StretchGoalReached(uint256 indexed goalIndex, uint256 threshold, uint256 totalStages);
+    event DeadlineExtensionRequested(uint256 indexed extensionIndex, uint256 duration, uint256 approvalDeadline);
+    event DeadlineExtensionApproved(uint256 indexed extensionIndex, address indexed donor, uint256 weight, uint256 totalApprovals);
+    event FundingDeadlineExtended(uint256 indexed extensionIndex, uint256 previousDeadline, uint256 newDeadline);
+    event ReceiptContractSet(address indexed receiptContract);
+    event TransferableReceiptsSet(bool transferable);
+    event ProfitShareTransferred(address indexed from, address indexed to, uint256 amount);
+    event ProjectOwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event ProjectOwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event PayoutSplitsSet(address[] recipients, uint256[] shares);
+    event PayoutCredited(address indexed recipient, uint256 amount);
+    event PayoutWithdrawn(address indexed recipient, uint256 amount);
+    event VestingDurationSet(uint256 duration);
+    event VestingStarted(uint256 indexed stageIndex, uint256 amount, uint256 start, uint256 end);
+    event VestedFundsWithdrawn(address indexed projectOwner, uint256 amount, uint256 totalWithdrawn);
+    event VestingStopped(uint256 unvestedAmount, uint256 timestamp);
     
     // Modifiers
     modifier onlyGovernance() {
@@ -55,7 +218,11 @@ contract FundingEscrow is ReentrancyGuard, Ownable {
     
     modifier fundingActive() {
         require(block.timestamp < fundingDeadline, "Funding period has ended");
-        require(!fundingGoalReached, "Funding goal already reached");
+        if (hardCap == 0) {
+            require(!fundingGoalReached, "Funding goal already reached");
+        } else {
+            require(fundsRaised < hardCap, "Hard cap reached");
+        }
         require(!projectCancelled, "Project has been cancelled");
         _;
     }
@@ -67,14 +234,67 @@ contract FundingEscrow is ReentrancyGuard, Ownable {
      * @param _fundingDuration Duration of funding period in seconds
      * @param _totalStages Total number of milestone stages
      * @param _stageAllocations Array of fund allocations per stage (must sum to 100%)
+     * @param _paymentToken ERC-20 token to accept (address(0) for ETH)
+     * @param _stageDurations Time allowed per stage in seconds; stage deadlines run back to back from the funding deadline
+     * @param _flexibleFunding True to keep funds raised by the deadline even if the goal is missed
      */
     constructor(
         address _projectOwner,
         uint256 _fundingGoal,
         uint256 _fundingDuration,
         uint256 _totalStages,
-        uint256[] memory _stageAllocations
+        uint256[] memory _stageAllocations,
+        address _paymentToken,
+        uint256[] memory _stageDurations,
+        bool _flexibleFunding
     ) Ownable(msg.sender) {
+        _initialize(_projectOwner, _fundingGoal, _fundingDuration, _totalStages, _stageAllocations, _paymentToken, _stageDurations, _flexibleFunding);
+    }
+    
+    /**
+     * @dev Initializes a minimal clone created by ProjectFactory
+     * @notice Clones never run the constructor, so this can only be called once on a fresh clone
+     * @param _owner Address that receives Ownable rights (the factory)
+     * @param _projectOwner Address of the project owner
+     * @param _fundingGoal Total funding goal in wei
+     * @param _fundingDuration Duration of funding period in seconds
+     * @param _totalStages Total number of milestone stages
+     * @param _stageAllocations Array of fund allocations per stage (must sum to 100%)
+     * @param _paymentToken ERC-20 token to accept (address(0) for ETH)
+     * @param _stageDurations Time allowed per stage in seconds; stage deadlines run back to back from the funding deadline
+     * @param _flexibleFunding True to keep funds raised by the deadline even if the goal is missed
+     */
+    function initialize(
+        address _owner,
+        address _projectOwner,
+        uint256 _fundingGoal,
+        uint256 _fundingDuration,
+        uint256 _totalStages,
+        uint256[] memory _stageAllocations,
+        address _paymentToken,
+        uint256[] memory _stageDurations,
+        bool _flexibleFunding
+    ) external {
+        require(!initialized, "Escrow already initialized");
+        require(_owner != address(0), "Invalid owner address");
+        _transferOwnership(_owner);
+        projectFactory = msg.sender;
+        _initialize(_projectOwner, _fundingGoal, _fundingDuration, _totalStages, _stageAllocations, _paymentToken, _stageDurations, _flexibleFunding);
+    }
+    
+    /**
+     * @dev Validates and stores the escrow configuration
+     */
+    function _initialize(
+        address _projectOwner,
+        uint256 _fundingGoal,
+        uint256 _fundingDuration,
+        uint256 _totalStages,
+        uint256[] memory _stageAllocations,
+        address _paymentToken,
+        uint256[] memory _stageDurations,
+        bool _flexibleFunding
+    ) private {
         require(_projectOwner != address(0), "Invalid project owner address");
         require(_fundingGoal > 0, "Funding goal must be greater than 0");
         require(_totalStages >= 3 && _totalStages <= 7, "Total stages must be between 3 and 7");
@@ -89,10 +309,25 @@ contract FundingEscrow is ReentrancyGuard, Ownable {
         }
         require(totalAllocation == 10000, "Total allocation must equal 10000 (100%)");
         
+        initialized = true;
         projectOwner = _projectOwner;
         fundingGoal = _fundingGoal;
         fundingDeadline = block.timestamp + _fundingDuration;
+        
+        // Each stage is due its duration after the previous one, starting from the funding deadline
+        require(_stageDurations.length == _totalStages, "Stage durations must match total stages");
+        uint256 stageDeadline = fundingDeadline;
+        for (uint256 i = 0; i < _stageDurations.length; i++) {
+            require(_stageDurations[i] > 0, "Each stage must have a duration");
+            stageDeadline += _stageDurations[i];
+            stageDeadlines[i] = stageDeadline;
+        }
         totalStages = _totalStages;
+        if (_paymentToken != address(0)) {
+            paymentToken = IERC20(_paymentToken);
+            useTokenPayments = true;
+        }
+        flexibleFunding = _flexibleFunding;
         currentStage = 0;
         fundingGoalReached = false;
         projectCancelled = false;
@@ -109,96 +344,692 @@ contract FundingEscrow is ReentrancyGuard, Ownable {
         emit GovernanceContractSet(_governanceContract);
     }
     
+    /**
+     * @dev Set a hard cap and stretch goals so donations stay open past the funding goal
+     * @notice Locked once the first donation arrives. Each stretch goal's tier (from its threshold
+     * to the next threshold) either funds a new stage appended after the others, or is spread
+     * over the existing stages by their allocations when its stage duration is 0.
+     * @param _hardCap Most the escrow accepts (0 to close donations at the goal, with no stretch goals)
+     * @param _thresholds Funds raised that unlock each stretch goal, ascending, above the goal and up to the cap
+     * @param _stageDurations Time allowed for each stretch goal's added stage in seconds, or 0 to add no stage
+     */
+    function setStretchGoals(
+        uint256 _hardCap,
+        uint256[] calldata _thresholds,
+        uint256[] calldata _stageDurations
+    ) external onlyProjectOwner {
+        require(fundsRaised == 0, "Stretch goals are locked once donations start");
+        require(!projectCancelled, "Project has been cancelled");
+        require(_hardCap == 0 || _hardCap > fundingGoal, "Hard cap must exceed funding goal");
+        require(_thresholds.length == _stageDurations.length, "Stretch goal lengths mismatch");
+        require(_hardCap > 0 || _thresholds.length == 0, "Stretch goals need a hard cap");
+        
+        delete stretchGoals;
+        uint256 previousThreshold = fundingGoal;
+        uint256 stageCount = totalStages;
+        for (uint256 i = 0; i < _thresholds.length; i++) {
+            require(
+                _thresholds[i] > previousThreshold && _thresholds[i] <= _hardCap,
+                "Thresholds must ascend between goal and cap"
+            );
+            previousThreshold = _thresholds[i];
+            if (_stageDurations[i] > 0) {
+                stageCount++;
+            }
+            stretchGoals.push(StretchGoal({threshold: _thresholds[i], stageDuration: _stageDurations[i]}));
+        }
+        require(stageCount <= 7, "Total stages must be between 3 and 7");
+        
+        hardCap = _hardCap;
+        emit StretchGoalsSet(_hardCap, _thresholds.length);
+    }
+    
+    /**
+     * @dev Set the contract minting donation receipts (can only be set once)
+     * @param _receiptContract Address of the ContributionReceipt contract, which must register this escrow
+     */
+    function setReceiptContract(address _receiptContract) external onlyOwner {
+        require(address(receiptContract) == address(0), "Receipt contract already set");
+        require(_receiptContract != address(0), "Invalid receipt address");
+        receiptContract = ContributionReceipt(_receiptContract);
+        emit ReceiptContractSet(_receiptContract);
+    }
+    
+    /**
+     * @dev Lets donors sell or give away their profit share by transferring their receipt
+     * @notice Project owner only, before the first donation so donors know the terms
+     */
+    function setTransferableReceipts(bool _transferable) external onlyProjectOwner {
+        require(fundsRaised == 0, "Receipt terms are locked once donations start");
+        transferableReceipts = _transferable;
+        emit TransferableReceiptsSet(_transferable);
+    }
+    
+    /**
+     * @dev Moves an account's profit share to the new holder of its receipt
+     * @notice Called by the receipt contract on transfer. Only allowed once funding has succeeded,
+     * when contributions can no longer be withdrawn. The contribution itself (refunds and donor
+     * voting weight) stays with the donor.
+     */
+    function transferProfitShare(address _from, address _to) external {
+        require(msg.sender == address(receiptContract), "Only receipt contract can call this");
+        require(transferableReceipts, "Receipts are not transferable");
+        require(fundingSucceeded(), "Receipts transfer once funding succeeds");
+        
+        _settleProfit(_from);
+        _settleProfit(_to);
+        uint256 amount = profitShares[_from];
+        profitShares[_from] = 0;
+        profitShares[_to] += amount;
+        profitDebt[_from] = 0;
+        profitDebt[_to] = (profitShares[_to] * accProfitPerContribution) / PROFIT_PRECISION;
+        
+        emit ProfitShareTransferred(_from, _to, amount);
+    }
+    
+    /**
+     * @dev Nominate a new project owner, who must call acceptProjectOwnership() to take over
+     * @notice Replaces any pending nomination; address(0) cancels it. Profit already credited
+     * to the current owner stays claimable by them.
+     * @param _newOwner Address of the new project owner
+     */
+    function transferProjectOwnership(address _newOwner) external onlyProjectOwner {
+        require(_newOwner != projectOwner, "Already the project owner");
+        pendingProjectOwner = _newOwner;
+        emit ProjectOwnershipTransferStarted(projectOwner, _newOwner);
+    }
+    
+    /**
+     * @dev Complete a project ownership transfer
+     * @notice Can only be called by the nominated owner. Payout splits are kept; the new owner
+     * can change them with setPayoutSplits(). The factory's per-owner registry follows the transfer.
+     */
+    function acceptProjectOwnership() external {
+        require(msg.sender == pendingProjectOwner, "Only pending owner can accept");
+        address previousOwner = projectOwner;
+        projectOwner = msg.sender;
+        pendingProjectOwner = address(0);
+        if (projectFactory != address(0)) {
+            ProjectFactory(projectFactory).projectOwnerChanged(previousOwner, msg.sender);
+        }
+        emit ProjectOwnershipTransferred(previousOwner, msg.sender);
+    }
+    
+    /**
+     * @dev Split stage releases and the owner's profit share between several recipients
+     * @notice Applies to every later release and profit deposit. Recipients withdraw their share of
+     * releases with withdrawPayout(). Pass empty arrays to pay everything to the project owner again.
+     * @param _recipients Addresses receiving a share of each payout
+     * @param _shares Share of each recipient in basis points (must sum to 10000)
+     */
+    function setPayoutSplits(
+        address[] calldata _recipients,
+        uint256[] calldata _shares
+    ) external onlyProjectOwner {
+        require(_recipients.length == _shares.length, "Payout split lengths mismatch");
+        require(_recipients.length <= MAX_PAYOUT_RECIPIENTS, "Too many payout recipients");
+        
+        delete payoutSplits;
+        uint256 totalShares = 0;
+        for (uint256 i = 0; i < _recipients.length; i++) {
+            require(_recipients[i] != address(0), "Invalid payout recipient");
+            require(_shares[i] > 0, "Payout share must be positive");
+            totalShares += _shares[i];
+            payoutSplits.push(PayoutSplit({recipient: _recipients[i], share: _shares[i]}));
+        }
+        require(_recipients.length == 0 || totalShares == 10000, "Payout shares must sum to 10000");
+        
+        emit PayoutSplitsSet(_recipients, _shares);
+    }
+    
+    /**
+     * @dev Returns the payout splits (empty if everything goes to the project owner)
+     */
+    function getPayoutSplits() external view returns (address[] memory recipients, uint256[] memory shares) {
+        recipients = new address[](payoutSplits.length);
+        shares = new uint256[](payoutSplits.length);
+        for (uint256 i = 0; i < payoutSplits.length; i++) {
+            recipients[i] = payoutSplits[i].recipient;
+            shares[i] = payoutSplits[i].share;
+        }
+        return (recipients, shares);
+    }
+    
+    /**
+     * @dev Have every stage release vest linearly over a period instead of paying out at once
+     * @notice Project owner only, before the first donation so donors know the terms. The owner
+     * collects vested funds with withdrawVested(); if the project is later cancelled, vesting stops
+     * and the unvested part goes back to the donors' refunds.
+     * @param _duration Vesting period in seconds (0 to pay releases out at once)
+     */
+    function setVestingDuration(uint256 _duration) external onlyProjectOwner {
+        require(fundsRaised == 0, "Vesting terms are locked once donations start");
+        require(_duration <= MAX_VESTING_DURATION, "Vesting duration too long");
+        vestingDuration = _duration;
+        emit VestingDurationSet(_duration);
+    }
+    
     /**
      * @dev Allows users to donate ETH to the project
      * @notice Funds are held in escrow until milestones are verified
      */
-    function donate() external payable fundingActive nonReentrant {
+    function donate() external payable fundingActive whenNotPaused nonReentrant {
+        require(!useTokenPayments, "Use donateToken() for token-based escrow");
         require(msg.value > 0, "Donation must be greater than 0");
+        _recordDonation(msg.sender, msg.value);
+    }
+    
+    /**
+     * @dev Allows users to donate the escrow's ERC-20 token to the project
+     * @notice The donor must approve this contract for `_amount` first
+     * @param _amount Amount of tokens to donate (in the token's smallest unit)
+     */
+    function donateToken(uint256 _amount) external fundingActive whenNotPaused nonReentrant {
+        require(useTokenPayments, "This escrow uses ETH payments");
+        require(_amount > 0, "Donation must be greater than 0");
+        paymentToken.safeTransferFrom(msg.sender, address(this), _amount);
+        _recordDonation(msg.sender, _amount);
+    }
+    
+    /**
+     * @dev Books a donation and checks whether the funding goal was reached
+     */
+    function _recordDonation(address _donor, uint256 _amount) private {
+        _settleProfit(_donor);
         
         // Track donor if first-time contributor
-        if (!isDonor[msg.sender]) {
-            donors.push(msg.sender);
-            isDonor[msg.sender] = true;
+        if (!isDonor[_donor]) {
+            donors.push(_donor);
+            isDonor[_donor] = true;
         }
         
-        contributions[msg.sender] += msg.value;
-        fundsRaised += msg.value;
+        require(hardCap == 0 || fundsRaised + _amount <= hardCap, "Donation exceeds hard cap");
+        contributions[_donor] += _amount;
+        profitShares[_donor] += _amount;
+        fundsRaised += _amount;
+        profitDebt[_donor] = (profitShares[_donor] * accProfitPerContribution) / PROFIT_PRECISION;
         
-        emit DonationReceived(msg.sender, msg.value, fundsRaised);
+        emit DonationReceived(_donor, _amount, fundsRaised);
         
         // Check if funding goal is reached
         if (fundsRaised >= fundingGoal && !fundingGoalReached) {
             fundingGoalReached = true;
             emit FundingGoalReached(fundsRaised, block.timestamp);
         }
+        
+        // Unlock stretch goals; those that add a stage append it after the current last stage
+        while (stretchGoalsReached < stretchGoals.length && fundsRaised >= stretchGoals[stretchGoalsReached].threshold) {
+            StretchGoal memory goal = stretchGoals[stretchGoalsReached];
+            if (goal.stageDuration > 0) {
+                stageDeadlines[totalStages] = stageDeadlines[totalStages - 1] + goal.stageDuration;
+                totalStages++;
+                stretchStages++;
+            }
+            emit StretchGoalReached(stretchGoalsReached, goal.threshold, totalStages);
+            stretchGoalsReached++;
+        }
+        
+        // Mint the donor's receipt, or flag its metadata as stale
+        if (address(receiptContract) != address(0)) {
+            receiptContract.issue(_donor);
+        }
     }
     
     /**
-     * @dev Releases funds for a specific milestone stage
+     * @dev Asks donors to push the funding deadline (and every stage deadline) back
+     * @param _duration Seconds to add, up to MAX_EXTENSION_DURATION
+     * @notice Donors approve with approveDeadlineExtension() before the current deadline; the
+     * extension applies once approvals exceed half of the funds raised. A new request replaces
+     * a pending one and its approvals.
+     */
+    function requestDeadlineExtension(uint256 _duration) external onlyProjectOwner {
+        require(block.timestamp < fundingDeadline, "Funding period has ended");
+        require(!fundingGoalReached, "Funding goal already reached");
+        require(!projectCancelled, "Project has been cancelled");
+        require(deadlineExtensionCount < MAX_DEADLINE_EXTENSIONS, "Extension limit reached");
+        require(_duration > 0 && _duration <= MAX_EXTENSION_DURATION, "Extension duration out of range");
+        
+        deadlineExtensions.push(DeadlineExtension({duration: _duration, approvals: 0, applied: false}));
+        
+        emit DeadlineExtensionRequested(deadlineExtensions.length - 1, _duration, fundingDeadline);
+    }
+    
+    /**
+     * @dev Approves the pending deadline extension with the caller's contribution as weight
+     */
+    function approveDeadlineExtension() external {
+        require(
+            deadlineExtensions.length > 0 && !deadlineExtensions[deadlineExtensions.length - 1].applied,
+            "No pending extension"
+        );
+        require(block.timestamp < fundingDeadline, "Funding period has ended");
+        require(!fundingGoalReached, "Funding goal already reached");
+        require(!projectCancelled, "Project has been cancelled");
+        
+        uint256 index = deadlineExtensions.length - 1;
+        uint256 weight = contributions[msg.sender];
+        require(weight > 0, "Only donors can approve");
+        require(extensionApprovals[index][msg.sender] == 0, "Already approved");
+        
+        DeadlineExtension storage extension = deadlineExtensions[index];
+        extensionApprovals[index][msg.sender] = weight;
+        extension.approvals += weight;
+        
+        emit DeadlineExtensionApproved(index, msg.sender, weight, extension.approvals);
+        
+        if (extension.approvals * 2 > fundsRaised) {
+            _applyDeadlineExtension(index);
+        }
+    }
+    
+    /**
+     * @dev Moves the funding deadline and every stage deadline back by the extension
+     */
+    function _applyDeadlineExtension(uint256 _index) private {
+        DeadlineExtension storage extension = deadlineExtensions[_index];
+        extension.applied = true;
+        deadlineExtensionCount++;
+        activeExtension = _index;
+        extensionWindowStart = fundingDeadline;
+        
+        fundingDeadline += extension.duration;
+        for (uint256 i = 0; i < totalStages; i++) {
+            stageDeadlines[i] += extension.duration;
+        }
+        
+        emit FundingDeadlineExtended(_index, extensionWindowStart, fundingDeadline);
+    }
+    
+    /**
+     * @dev Returns the most recent extension request
+     * @return count Number of extensions requested (0 if none; the latest has index count - 1)
+     * @return duration Seconds the latest request adds
+     * @return approvals Contribution weight approving it
+     * @return applied Whether it has been applied
+     */
+    function getLatestDeadlineExtension() external view returns (
+        uint256 count,
+        uint256 duration,
+        uint256 approvals,
+        bool applied
+    ) {
+        count = deadlineExtensions.length;
+        if (count == 0) {
+            return (0, 0, 0, false);
+        }
+        DeadlineExtension storage extension = deadlineExtensions[count - 1];
+        return (count, extension.duration, extension.approvals, extension.applied);
+    }
+    
+    /**
+     * @dev Returns the whole contribution of a donor who did not approve the active extension
+     * @notice Only between the deadline the extension replaced and the extended one, while the
+     * goal is still unreached. The donation no longer counts towards the goal.
+     */
+    function withdrawDuringExtension() external nonReentrant {
+        require(
+            deadlineExtensionCount > 0 &&
+                block.timestamp >= extensionWindowStart &&
+                block.timestamp < fundingDeadline,
+            "Not in an extension window"
+        );
+        require(!fundingGoalReached, "Funding goal already reached");
+        require(!projectCancelled, "Project has been cancelled");
+        require(extensionApprovals[activeExtension][msg.sender] == 0, "Approved the extension");
+        
+        uint256 amount = contributions[msg.sender];
+        require(amount > 0, "No contribution to refund");
+        
+        // A withdrawn donor's approval of a pending request no longer counts
+        uint256 pending = deadlineExtensions.length - 1;
+        if (!deadlineExtensions[pending].applied) {
+            deadlineExtensions[pending].approvals -= extensionApprovals[pending][msg.sender];
+            extensionApprovals[pending][msg.sender] = 0;
+        }
+        
+        _settleProfit(msg.sender);
+        contributions[msg.sender] = 0;
+        profitShares[msg.sender] = 0;
+        profitDebt[msg.sender] = 0;
+        fundsRaised -= amount;
+        
+        // The receipt still describes the withdrawn contribution
+        if (address(receiptContract) != address(0)) {
+            receiptContract.refresh(msg.sender);
+        }
+        
+        _transferFunds(msg.sender, amount, "Refund transfer failed");
+        
+        emit RefundIssued(msg.sender, amount);
+        emit ContributionWithdrawn(msg.sender, amount, fundsRaised);
+    }
+    
+    /**
+     * @dev Releases what is left of a milestone stage's funds
      * @param _stageIndex Index of the milestone stage to release funds for
      * @notice Can only be called by the governance contract after successful vote
      */
-    function releaseFunds(uint256 _stageIndex) external onlyGovernance nonReentrant {
-        require(fundingGoalReached, "Funding goal not reached");
+    function releaseFunds(uint256 _stageIndex) external onlyGovernance whenNotPaused nonReentrant {
+        _releaseStage(_stageIndex, 100);
+    }
+    
+    /**
+     * @dev Releases part of a milestone stage's funds
+     * @param _stageIndex Index of the milestone stage to release funds for
+     * @param _percentage Share of the stage allocation to release (1-100), capped at what is left
+     * @notice Can only be called by the governance contract after successful vote. The stage
+     * stays open, and later stages locked, until its full allocation has been released.
+     */
+    function releasePartialFunds(uint256 _stageIndex, uint256 _percentage) external onlyGovernance whenNotPaused nonReentrant {
+        require(_percentage > 0 && _percentage <= 100, "Percentage must be between 1 and 100");
+        _releaseStage(_stageIndex, _percentage);
+    }
+    
+    /**
+     * @dev Pays out _percentage of a stage's allocation and completes the stage once all of it is out
+     */
+    function _releaseStage(uint256 _stageIndex, uint256 _percentage) private {
+        require(fundingSucceeded(), "Funding goal not reached");
         require(_stageIndex < totalStages, "Invalid stage index");
         require(!stageCompleted[_stageIndex], "Funds already released for this stage");
         require(_stageIndex == currentStage, "Must complete stages in order");
         require(!projectCancelled, "Project has been cancelled");
         
-        // Calculate amount to release (percentage of total funds raised)
-        uint256 amountToRelease = (fundsRaised * fundsAllocatedPerStage[_stageIndex]) / 10000;
-        require(address(this).balance >= amountToRelease, "Insufficient contract balance");
+        uint256 allocation = _stageAllocation(_stageIndex);
+        uint256 remaining = allocation - stageReleased[_stageIndex];
+        uint256 amountToRelease = _percentage == 100 ? remaining : (allocation * _percentage) / 100;
+        if (amountToRelease > remaining) {
+            amountToRelease = remaining;
+        }
+        require(_escrowBalance() >= amountToRelease, "Insufficient contract balance");
+        
+        stageReleased[_stageIndex] += amountToRelease;
+        totalReleased += amountToRelease;
+        if (stageReleased[_stageIndex] == allocation) {
+            stageCompleted[_stageIndex] = true;
+            currentStage++;
+        }
+        
+        // The recipient is only set when the owner was paid directly; split payouts emit
+        // PayoutCredited per recipient and vesting releases pay out through withdrawVested()
+        address recipient = address(0);
+        if (vestingDuration > 0) {
+            // Funds stay in escrow and vest to the owner from now on
+            vestingStreams.push(VestingStream({
+                stageIndex: _stageIndex,
+                amount: amountToRelease,
+                start: block.timestamp
+            }));
+            totalVesting += amountToRelease;
+            emit VestingStarted(_stageIndex, amountToRelease, block.timestamp, block.timestamp + vestingDuration);
+        } else {
+            recipient = _payOut(amountToRelease);
+        }
+        
+        emit FundsReleased(_stageIndex, amountToRelease, recipient, stageReleased[_stageIndex]);
+    }
+    
+    /**
+     * @dev Transfers funds to the project owner, or credits them across the payout splits
+     * @notice Split recipients withdraw with withdrawPayout(), so one that cannot receive funds
+     * does not block releases to the others
+     * @return paidTo The project owner if it was paid directly, address(0) if the payout was split
+     */
+    function _payOut(uint256 _amount) private returns (address paidTo) {
+        if (payoutSplits.length == 0) {
+            _transferFunds(projectOwner, _amount, "Fund transfer failed");
+            return projectOwner;
+        }
+        
+        uint256 credited = 0;
+        for (uint256 i = 0; i < payoutSplits.length; i++) {
+            // The last recipient takes the rounding remainder
+            uint256 amount = i == payoutSplits.length - 1
+                ? _amount - credited
+                : (_amount * payoutSplits[i].share) / 10000;
+            credited += amount;
+            pendingPayouts[payoutSplits[i].recipient] += amount;
+            emit PayoutCredited(payoutSplits[i].recipient, amount);
+        }
+        return address(0);
+    }
+    
+    /**
+     * @dev Withdraw the stage funds credited to the caller as a payout split recipient
+     */
+    function withdrawPayout() external whenNotPaused nonReentrant {
+        uint256 amount = pendingPayouts[msg.sender];
+        require(amount > 0, "No payout to withdraw");
+        
+        pendingPayouts[msg.sender] = 0;
+        _transferFunds(msg.sender, amount, "Payout transfer failed");
         
-        // Mark stage as completed
-        stageCompleted[_stageIndex] = true;
-        currentStage++;
+        emit PayoutWithdrawn(msg.sender, amount);
+    }
+    
+    /**
+     * @dev Pays out the released stage funds that have vested so far
+     * @notice Follows the payout splits. Funds vested before a cancellation can still be withdrawn.
+     */
+    function withdrawVested() external onlyProjectOwner whenNotPaused nonReentrant {
+        uint256 amount = vestedAmount() - vestingWithdrawn;
+        require(amount > 0, "No vested funds to withdraw");
         
-        // Transfer funds to project owner
-        (bool success, ) = payable(projectOwner).call{value: amountToRelease}("");
-        require(success, "Fund transfer failed");
+        vestingWithdrawn += amount;
+        _payOut(amount);
         
-        emit FundsReleased(_stageIndex, amountToRelease, projectOwner);
+        emit VestedFundsWithdrawn(projectOwner, amount, vestingWithdrawn);
+    }
+    
+    /**
+     * @dev Returns how much of the released stage funds has vested, including what was withdrawn
+     */
+    function vestedAmount() public view returns (uint256 vested) {
+        for (uint256 i = 0; i < vestingStreams.length; i++) {
+            vested += _vestedFromStream(vestingStreams[i]);
+        }
+        return vested;
+    }
+    
+    /**
+     * @dev Returns the funds released for a stage while vesting was on, and how much of them has vested
+     */
+    function getStageVesting(uint256 _stageIndex) external view returns (uint256 amount, uint256 vested) {
+        for (uint256 i = 0; i < vestingStreams.length; i++) {
+            if (vestingStreams[i].stageIndex == _stageIndex) {
+                amount += vestingStreams[i].amount;
+                vested += _vestedFromStream(vestingStreams[i]);
+            }
+        }
+        return (amount, vested);
+    }
+    
+    /**
+     * @dev Linear vesting from the stream's start, frozen at the cancellation time if vesting stopped
+     */
+    function _vestedFromStream(VestingStream storage _stream) private view returns (uint256) {
+        uint256 until = vestingStoppedAt != 0 ? vestingStoppedAt : block.timestamp;
+        if (until >= _stream.start + vestingDuration) {
+            return _stream.amount;
+        }
+        return (_stream.amount * (until - _stream.start)) / vestingDuration;
     }
     
     /**
      * @dev Issues refunds to all donors
-     * @notice Called when funding goal is not met or project is cancelled
+     * @notice Called when funding goal is not met (all-or-nothing mode only) or project is cancelled.
+     * After a mid-project cancellation each donor gets their share of the unreleased funds only,
+     * which includes stage funds that had not yet vested.
      */
     function refund() external nonReentrant {
         require(
-            (block.timestamp >= fundingDeadline && !fundingGoalReached) || projectCancelled,
+            (block.timestamp >= fundingDeadline && !fundingSucceeded()) || projectCancelled,
             "Refund conditions not met"
         );
+        require(contributions[msg.sender] > 0, "No contribution to refund");
         
-        uint256 refundAmount = contributions[msg.sender];
-        require(refundAmount > 0, "No contribution to refund");
+        uint256 refundAmount = refundableAmount(msg.sender);
         
+        // Keep any profit already earned claimable after the contribution is refunded
+        _settleProfit(msg.sender);
         contributions[msg.sender] = 0;
+        profitShares[msg.sender] = 0;
+        profitDebt[msg.sender] = 0;
         
-        (bool success, ) = payable(msg.sender).call{value: refundAmount}("");
-        require(success, "Refund transfer failed");
+        _transferFunds(msg.sender, refundAmount, "Refund transfer failed");
         
         emit RefundIssued(msg.sender, refundAmount);
     }
     
+    /**
+     * @dev Returns true once the project keeps its funds and milestones can be released
+     * @notice All-or-nothing escrows need the goal reached; flexible escrows keep whatever
+     * was raised once the funding deadline has passed. With a hard cap, funding must also
+     * have closed (cap or deadline reached) so stage allocations no longer change.
+     */
+    function fundingSucceeded() public view returns (bool) {
+        if (fundingGoalReached) {
+            return hardCap == 0 || fundsRaised >= hardCap || block.timestamp >= fundingDeadline;
+        }
+        return flexibleFunding && block.timestamp >= fundingDeadline && fundsRaised > 0;
+    }
+    
+    /**
+     * @dev Returns true once donations can no longer arrive or be withdrawn
+     * @notice From then on fundsRaised is fixed and contributions can only fall (refunds)
+     */
+    function fundingClosed() public view returns (bool) {
+        if (projectCancelled || block.timestamp >= fundingDeadline) {
+            return true;
+        }
+        return hardCap == 0 ? fundingGoalReached : fundsRaised >= hardCap;
+    }
+    
+    /**
+     * @dev Returns what a donor gets back from refund() once refunds are open
+     * @notice Stage payouts already released are deducted pro rata from every contribution
+     * @param _donor Address of the donor
+     */
+    function refundableAmount(address _donor) public view returns (uint256) {
+        if (fundsRaised == 0) {
+            return 0;
+        }
+        return (contributions[_donor] * (fundsRaised - totalReleased)) / fundsRaised;
+    }
+    
     /**
      * @dev Cancels the project and enables refunds
      * @notice Can be called by governance contract in case of project failure
      */
     function cancelProject() external onlyGovernance {
+        _cancelProject();
+    }
+    
+    /**
+     * @dev Cancels the project once the current stage has missed its deadline
+     * @notice Anyone can call this, so donors are never locked in by an inactive owner
+     */
+    function cancelOverdueProject() external whenNotPaused {
+        require(isStageOverdue(), "Current stage is not overdue");
+        emit StageDefaulted(currentStage, stageDeadline(currentStage));
+        _cancelProject();
+    }
+    
+    /**
+     * @dev Returns true if the funded project has not released the current stage by its deadline
+     */
+    function isStageOverdue() public view returns (bool) {
+        return fundingSucceeded() &&
+            !projectCancelled &&
+            currentStage < totalStages &&
+            block.timestamp > stageDeadline(currentStage);
+    }
+    
+    /**
+     * @dev Returns the timestamp a stage's funds must be released by, pushed back by the time
+     * releases were paused
+     */
+    function stageDeadline(uint256 _stageIndex) public view returns (uint256) {
+        return stageDeadlines[_stageIndex] + pausedTime();
+    }
+    
+    /**
+     * @dev Returns the seconds the escrow has spent paused, the current pause included
+     */
+    function pausedTime() public view returns (uint256) {
+        if (pauseStartedAt == 0) {
+            return foldedPauseTime;
+        }
+        uint256 pauseEnd = paused() ? block.timestamp : pausedUntil;
+        return foldedPauseTime + pauseEnd - pauseStartedAt;
+    }
+    
+    /**
+     * @dev Pause the escrow; stage deadlines stop running until the pause ends
+     */
+    function pause(uint256 _duration) public override {
+        // Folds in a previous pause that expired on its own
+        foldedPauseTime = pausedTime();
+        pauseStartedAt = block.timestamp;
+        super.pause(_duration);
+    }
+    
+    /**
+     * @dev Lift a pause before it expires; stage deadlines resume from where they stopped
+     */
+    function unpause() public override {
+        foldedPauseTime = pausedTime();
+        pauseStartedAt = 0;
+        super.unpause();
+    }
+    
+    /**
+     * @dev Marks the project cancelled so donors can claim refunds
+     */
+    function _cancelProject() private {
         require(!projectCancelled, "Project already cancelled");
         projectCancelled = true;
+        
+        // Stop vesting and return what has not vested to the refund pool
+        if (totalVesting > 0) {
+            uint256 unvested = totalVesting - vestedAmount();
+            vestingStoppedAt = block.timestamp;
+            totalReleased -= unvested;
+            emit VestingStopped(unvested, block.timestamp);
+        }
+        
         emit ProjectCancelled(block.timestamp);
     }
     
     /**
-     * @dev Returns the current contract balance
+     * @dev Returns the current contract balance (in the payment token when in token mode)
      */
     function getBalance() external view returns (uint256) {
+        return _escrowBalance();
+    }
+    
+    /**
+     * @dev Returns the escrowed balance in the currency the escrow settles in
+     */
+    function _escrowBalance() private view returns (uint256) {
+        if (useTokenPayments) {
+            return paymentToken.balanceOf(address(this));
+        }
         return address(this).balance;
     }
     
+    /**
+     * @dev Sends ETH or the payment token, depending on the escrow mode
+     */
+    function _transferFunds(address _to, uint256 _amount, string memory _errorMessage) private {
+        if (useTokenPayments) {
+            paymentToken.safeTransfer(_to, _amount);
+        } else {
+            (bool success, ) = payable(_to).call{value: _amount}("");
+            require(success, _errorMessage);
+        }
+    }
+    
     /**
      * @dev Returns the number of donors
      */
@@ -215,11 +1046,70 @@ contract FundingEscrow is ReentrancyGuard, Ownable {
     }
     
     /**
-     * @dev Returns the amount allocated for a specific stage
+     * @dev Returns the amount allocated for a specific stage and how much of it has been released
      */
-    function getStageAllocation(uint256 _stageIndex) external view returns (uint256) {
+    function getStageAllocation(uint256 _stageIndex) external view returns (uint256 allocation, uint256 released) {
         require(_stageIndex < totalStages, "Invalid stage index");
-        return (fundsRaised * fundsAllocatedPerStage[_stageIndex]) / 10000;
+        return (_stageAllocation(_stageIndex), stageReleased[_stageIndex]);
+    }
+    
+    /**
+     * @dev Returns the hard cap and every stretch goal
+     * @return cap Most the escrow accepts (0 if donations close at the goal)
+     * @return thresholds Funds raised that unlock each stretch goal
+     * @return stageDurations Duration of each stretch goal's added stage (0 if it adds none)
+     * @return reached Number of stretch goals unlocked so far
+     */
+    function getStretchGoals() external view returns (
+        uint256 cap,
+        uint256[] memory thresholds,
+        uint256[] memory stageDurations,
+        uint256 reached
+    ) {
+        thresholds = new uint256[](stretchGoals.length);
+        stageDurations = new uint256[](stretchGoals.length);
+        for (uint256 i = 0; i < stretchGoals.length; i++) {
+            thresholds[i] = stretchGoals[i].threshold;
+            stageDurations[i] = stretchGoals[i].stageDuration;
+        }
+        return (hardCap, thresholds, stageDurations, stretchGoalsReached);
+    }
+    
+    /**
+     * @dev Amount a stage is entitled to out of the funds raised
+     * @notice Each unlocked stretch goal that added a stage funds it with its tier; everything
+     * else is split over the original stages by their allocations
+     */
+    function _stageAllocation(uint256 _stageIndex) private view returns (uint256) {
+        uint256 stage = totalStages - stretchStages; // index of the first appended stage
+        uint256 basePool = fundsRaised;
+        for (uint256 i = 0; i < stretchGoalsReached; i++) {
+            if (stretchGoals[i].stageDuration == 0) {
+                continue;
+            }
+            uint256 tierEnd = i + 1 < stretchGoals.length ? stretchGoals[i + 1].threshold : fundsRaised;
+            if (tierEnd > fundsRaised) {
+                tierEnd = fundsRaised;
+            }
+            uint256 tier = tierEnd - stretchGoals[i].threshold;
+            if (stage == _stageIndex) {
+                return tier;
+            }
+            basePool -= tier;
+            stage++;
+        }
+        return (basePool * fundsAllocatedPerStage[_stageIndex]) / 10000;
+    }
+    
+    /**
+     * @dev Returns the deadline of every stage, pushed back by the time spent paused
+     */
+    function getStageDeadlines() external view returns (uint256[] memory) {
+        uint256[] memory deadlines = new uint256[](totalStages);
+        for (uint256 i = 0; i < totalStages; i++) {
+            deadlines[i] = stageDeadline(i);
+        }
+        return deadlines;
     }
     
     /**
@@ -251,44 +1141,65 @@ contract FundingEscrow is ReentrancyGuard, Ownable {
     }
     
     /**
-     * @dev Distribute profits from project revenue
-     * @notice Divides profits between project owner (20%) and donors (80%) based on their contribution percentage
-     * @param totalProfit Total profit amount in wei to distribute
-     */
-    function distributeProfit(uint256 totalProfit) external onlyProjectOwner nonReentrant {
-        require(fundingGoalReached, "Funding goal must be reached");
-        require(totalProfit > 0, "Profit must be greater than 0");
-        require(address(this).balance >= totalProfit, "Insufficient contract balance");
-        
-        // Project owner gets 20% of profits
-        uint256 ownerShare = (totalProfit * 2000) / 10000; // 20%
-        uint256 donorShare = totalProfit - ownerShare; // 80% for donors
-        
-        // Transfer owner's share
-        if (ownerShare > 0) {
-            (bool ownerSuccess, ) = payable(projectOwner).call{value: ownerShare}("");
-            require(ownerSuccess, "Owner profit transfer failed");
-        }
-        
-        // Distribute donor share proportionally based on contributions
-        if (donorShare > 0 && fundsRaised > 0) {
-            for (uint256 i = 0; i < donors.length; i++) {
-                address donor = donors[i];
-                uint256 donorContribution = contributions[donor];
-                
-                if (donorContribution > 0) {
-                    // Calculate donor's share: (donor contribution / total funds raised) * donor share
-                    uint256 donorProfit = (donorShare * donorContribution) / fundsRaised;
-                    
-                    if (donorProfit > 0) {
-                        (bool donorSuccess, ) = payable(donor).call{value: donorProfit}("");
-                        require(donorSuccess, "Donor profit transfer failed");
-                    }
-                }
+     * @dev Claim all profit credited to the caller
+     * @notice Donors earn 80% of every deposit pro rata to their profit share (their contribution unless a
+     * receipt changed hands); the project owner earns the other 20%
+     */
+    function claimProfit() external nonReentrant {
+        _settleProfit(msg.sender);
+        
+        uint256 amount = creditedProfit[msg.sender];
+        require(amount > 0, "No profit to claim");
+        
+        creditedProfit[msg.sender] = 0;
+        _transferFunds(msg.sender, amount, "Profit transfer failed");
+        
+        emit ProfitClaimed(msg.sender, amount);
+    }
+    
+    /**
+     * @dev Returns the profit an account can currently claim
+     * @param _account Address of the donor or project owner
+     */
+    function pendingProfit(address _account) public view returns (uint256) {
+        uint256 accumulated = (profitShares[_account] * accProfitPerContribution) / PROFIT_PRECISION;
+        return creditedProfit[_account] + accumulated - profitDebt[_account];
+    }
+    
+    /**
+     * @dev Moves profit accrued on an account's profit share into its credited balance
+     */
+    function _settleProfit(address _account) private {
+        uint256 accumulated = (profitShares[_account] * accProfitPerContribution) / PROFIT_PRECISION;
+        uint256 pending = accumulated - profitDebt[_account];
+        if (pending > 0) {
+            creditedProfit[_account] += pending;
+        }
+        profitDebt[_account] = accumulated;
+    }
+    
+    /**
+     * @dev Splits a profit deposit between the project owner (20%, divided across the payout splits if set) and donors (80%)
+     */
+    function _creditProfit(uint256 _totalProfit) private {
+        uint256 ownerShare = (_totalProfit * 2000) / 10000; // 20%
+        uint256 donorShare = _totalProfit - ownerShare; // 80% for donors
+        
+        if (payoutSplits.length == 0) {
+            creditedProfit[projectOwner] += ownerShare;
+        } else {
+            uint256 credited = 0;
+            for (uint256 i = 0; i < payoutSplits.length; i++) {
+                uint256 amount = i == payoutSplits.length - 1
+                    ? ownerShare - credited
+                    : (ownerShare * payoutSplits[i].share) / 10000;
+                credited += amount;
+                creditedProfit[payoutSplits[i].recipient] += amount;
             }
         }
+        accProfitPerContribution += (donorShare * PROFIT_PRECISION) / fundsRaised;
         
-        emit ProfitDistributed(totalProfit, ownerShare, donorShare);
+        emit ProfitDistributed(_totalProfit, ownerShare, donorShare);
     }
     
     /**
@@ -298,12 +1209,12 @@ contract FundingEscrow is ReentrancyGuard, Ownable {
      * @return profitShare The donor's share in wei
      */
     function calculateDonorProfitShare(address donor, uint256 totalProfit) external view returns (uint256) {
-        if (!fundingGoalReached || fundsRaised == 0 || contributions[donor] == 0) {
+        if (!fundingSucceeded() || profitShares[donor] == 0) {
             return 0;
         }
         
         uint256 donorShare = (totalProfit * 8000) / 10000; // 80% for all donors
-        return (donorShare * contributions[donor]) / fundsRaised;
+        return (donorShare * profitShares[donor]) / fundsRaised;
     }
     
     /**
@@ -312,7 +1223,7 @@ contract FundingEscrow is ReentrancyGuard, Ownable {
      * @return profitShare The owner's share (20%)
      */
     function calculateOwnerProfitShare(uint256 totalProfit) external view returns (uint256) {
-        if (!fundingGoalReached) {
+        if (!fundingSucceeded()) {
             return 0;
         }
         return (totalProfit * 2000) / 10000; // 20%
@@ -320,17 +1231,38 @@ contract FundingEscrow is ReentrancyGuard, Ownable {
     
     /**
      * @dev Allows project owner to deposit profits into the contract for distribution
-     * @notice Call this before distributeProfit()
+     * @notice Shares are credited immediately; donors and the owner withdraw them with claimProfit()
      */
     function depositProfit() external payable onlyProjectOwner {
+        require(!useTokenPayments, "Use depositProfitToken() for token-based escrow");
         require(msg.value > 0, "Must deposit profit");
-        require(fundingGoalReached, "Funding goal must be reached");
+        require(fundingSucceeded(), "Funding goal must be reached");
+        // Donors refunded after a cancellation could never claim their share
+        require(!projectCancelled, "Project has been cancelled");
         emit ProfitDeposited(msg.sender, msg.value);
+        _creditProfit(msg.value);
+    }
+    
+    /**
+     * @dev Token-mode equivalent of depositProfit()
+     * @notice The project owner must approve this contract for `_amount` first
+     * @param _amount Amount of tokens to deposit
+     */
+    function depositProfitToken(uint256 _amount) external onlyProjectOwner nonReentrant {
+        require(useTokenPayments, "This escrow uses ETH payments");
+        require(_amount > 0, "Must deposit profit");
+        require(fundingSucceeded(), "Funding goal must be reached");
+        // Donors refunded after a cancellation could never claim their share
+        require(!projectCancelled, "Project has been cancelled");
+        paymentToken.safeTransferFrom(msg.sender, address(this), _amount);
+        emit ProfitDeposited(msg.sender, _amount);
+        _creditProfit(_amount);
     }
     
     // Events for profit distribution
     event ProfitDistributed(uint256 totalProfit, uint256 ownerShare, uint256 donorShare);
     event ProfitDeposited(address indexed depositor, uint256 amount);
+    event ProfitClaimed(address indexed account, uint256 amount);
     
     /**
      * @dev Fallback function to receive ETH
@@ -0,0 +1,77 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title GuardianPausable
+ * @dev Lets a guardian chosen by the owner pause a contract for a limited time
+ * @notice Pauses expire on their own after at most MAX_PAUSE_DURATION, so a lost or
+ * compromised guardian cannot freeze the contract for good. Inheriting contracts decide
+ * which functions stop while paused.
+ */
+abstract contract GuardianPausable is Ownable {
+    // Longest a single pause can last
+    uint256 public constant MAX_PAUSE_DURATION = 7 days;
+
+    // Address allowed to pause and unpause (address(0) for none)
+    address public guardian;
+
+    // Timestamp the current pause ends at (in the past when not paused)
+    uint256 public pausedUntil;
+
+    // Events
+    event GuardianSet(address indexed previousGuardian, address indexed newGuardian);
+    event Paused(address indexed guardian, uint256 pausedUntil);
+    event Unpaused(address indexed guardian);
+
+    modifier whenNotPaused() {
+        _requireNotPaused();
+        _;
+    }
+
+    modifier onlyGuardian() {
+        require(msg.sender == guardian, "Only guardian can call this");
+        _;
+    }
+
+    /**
+     * @dev Set the guardian allowed to pause this contract
+     * @param _guardian Address of the guardian (address(0) to remove it)
+     */
+    function setGuardian(address _guardian) external onlyOwner {
+        emit GuardianSet(guardian, _guardian);
+        guardian = _guardian;
+    }
+
+    /**
+     * @dev Pause the contract for up to MAX_PAUSE_DURATION
+     * @param _duration Seconds until the pause lifts by itself
+     */
+    function pause(uint256 _duration) public virtual onlyGuardian {
+        require(!paused(), "Already paused");
+        require(_duration > 0 && _duration <= MAX_PAUSE_DURATION, "Pause duration out of range");
+        pausedUntil = block.timestamp + _duration;
+        emit Paused(msg.sender, pausedUntil);
+    }
+
+    /**
+     * @dev Lift a pause before it expires
+     */
+    function unpause() public virtual onlyGuardian {
+        require(paused(), "Not paused");
+        pausedUntil = 0;
+        emit Unpaused(msg.sender);
+    }
+
+    /**
+     * @dev Returns true while a pause is in effect
+     */
+    function paused() public view returns (bool) {
+        return block.timestamp < pausedUntil;
+    }
+
+    function _requireNotPaused() internal view {
+        require(!paused(), "Contract is paused");
+    }
+}
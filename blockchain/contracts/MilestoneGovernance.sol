@@ -2,15 +2,32 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
 import "./FundingEscrow.sol";
+import "./VotingPowerLedger.sol";
+import "./ProposalRules.sol";
+import "./ParameterTimelock.sol";
+import "./VoteSignatures.sol";
+import "./GuardianPausable.sol";
+import "./EscrowRegistry.sol";
 
 /**
  * @title MilestoneGovernance
  * @dev Implements DAO-based voting mechanism for milestone verification
- * @notice Governance token holders vote on milestone completion claims
+ * @notice Governance token holders vote on milestone completion claims. The guardian can pause
+ * voting and execution for a limited time; registration and stake withdrawals keep working.
+ * Proposals can only target escrows registered by the ProjectFactory or the owner.
  */
-contract MilestoneGovernance is ReentrancyGuard {
+contract MilestoneGovernance is ReentrancyGuard, Ownable, GuardianPausable, EIP712, Nonces {
+    using Checkpoints for Checkpoints.Trace208;
+    using VotingPowerLedger for VotingPowerLedger.Ledger;
+    using ParameterTimelock for mapping(GovernanceParameter => ParameterTimelock.PendingChange);
+    using EscrowRegistry for EscrowRegistry.Registry;
+    
     // Proposal status enum
     enum ProposalStatus {
         Pending,
@@ -20,21 +37,75 @@ contract MilestoneGovernance is ReentrancyGuard {
         Executed
     }
     
+    // What a passed proposal does to its escrow
+    enum ProposalType {
+        Milestone, // release the stage funds
+        Cancellation // cancel the project and open refunds
+    }
+    
+    // Who can vote on a project's proposals and how votes are weighted
+    enum VotingMode {
+        StakeWeighted, // registered voters, weighted by stake + reputation
+        DonorWeighted, // the escrow's donors, weighted by contribution
+        Quadratic // attested registered voters, weighted by the square root of stake + reputation
+    }
+    
     // Proposal struct
     struct Proposal {
         uint256 id;
+        ProposalType proposalType;
+        VotingMode votingMode; // fixed when the proposal is created
         uint256 stageIndex;
         address projectOwner;
         address escrowContract;
-        string evidenceHash; // IPFS hash of milestone evidence
+        string evidenceHash; // IPFS hash of milestone (or cancellation) evidence
+        uint256 releasePercentage; // milestone proposals: share of the stage allocation released on approval
         uint256 votesFor;
         uint256 votesAgainst;
         uint256 startTime;
         uint256 endTime;
+        uint256 snapshotBlock; // stakes are read as of this block
+        uint256 totalVotingSupply; // quorum base at the snapshot: total voting power, total stake (quadratic) or funds raised (donor)
+        uint256 stakeVoted; // quadratic proposals: stake behind the votes cast, counted toward quorum
+        uint256 quorumPercentage; // governance parameters as of creation, so a change applied
+        uint256 minimumStake; // while voting is open cannot move the outcome
+        bool commitReveal; // votes are committed until endTime, then revealed until revealEndTime
+        uint256 revealEndTime;
         ProposalStatus status;
         bool executed;
         mapping(address => bool) hasVoted;
         mapping(address => uint256) voterStake;
+        mapping(address => bool) support; // direction of each cast vote
+        mapping(address => uint256) delegationOverrides; // delegate => power of delegators who voted directly
+        mapping(address => bytes32) commitments; // commit-reveal: hash of (proposalId, voter, inFavor, salt)
+        mapping(address => bool) missedRevealReported;
+        mapping(address => bool) reputationSettled; // outcome reward paid out
+        mapping(address => bool) cancellationSettled; // later cancellation ruling applied
+    }
+    
+    // Proposal fields returned by getProposal (Proposal itself holds mappings)
+    struct ProposalView {
+        uint256 id;
+        ProposalType proposalType;
+        VotingMode votingMode;
+        uint256 stageIndex;
+        address projectOwner;
+        address escrowContract;
+        string evidenceHash;
+        uint256 releasePercentage;
+        uint256 votesFor;
+        uint256 votesAgainst;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 snapshotBlock;
+        uint256 totalVotingSupply;
+        uint256 stakeVoted;
+        uint256 quorumPercentage;
+        uint256 minimumStake;
+        bool commitReveal;
+        uint256 revealEndTime;
+        ProposalStatus status;
+        bool executed;
     }
     
     // Voter information
@@ -46,25 +117,83 @@ contract MilestoneGovernance is ReentrancyGuard {
     
     // State variables
     uint256 public proposalCount;
-    uint256 public constant VOTING_PERIOD = 7 days;
-    uint256 public constant MINIMUM_STAKE = 0.01 ether; // Minimum stake to vote
-    uint256 public constant QUORUM_PERCENTAGE = 51; // 51% quorum required
+    // Stake a voter asked to withdraw; it no longer counts for voting and is paid out after the cooldown
+    struct PendingUnstake {
+        uint256 amount;
+        uint256 availableAt;
+    }
+    
+    // Governance parameters
+    uint256 public votingPeriod = 7 days;
+    uint256 public minimumStake = 0.01 ether; // Minimum stake to vote
+    uint256 public quorumPercentage = 51; // 51% quorum required
+    uint256 public slashPercentage; // share of stake slashed from approvers of a cancelled project (0 = off)
+    uint256 public unstakeCooldown = 7 days; // wait between requestUnstake() and completeUnstake()
+    
+    // Delay between queueing and applying a parameter change, so voters can react
+    uint256 public constant PARAMETER_TIMELOCK = ParameterTimelock.TIMELOCK;
+    uint256 public constant MIN_VOTING_PERIOD = ParameterTimelock.MIN_VOTING_PERIOD;
+    uint256 public constant MAX_VOTING_PERIOD = ParameterTimelock.MAX_VOTING_PERIOD;
+    uint256 public constant MAX_UNSTAKE_COOLDOWN = ParameterTimelock.MAX_UNSTAKE_COOLDOWN;
+    
+    // Commit-reveal: time to reveal after the commit phase, and the cost of repeatedly not revealing
+    uint256 public constant REVEAL_PERIOD = 2 days;
+    uint256 public constant FREE_MISSED_REVEALS = 1;
+    uint256 public constant MISSED_REVEAL_PENALTY = 10; // reputation points
+    
+    // Reputation: voters on the winning side gain it, approvers of later-cancelled projects lose it
+    uint256 public constant INITIAL_REPUTATION = 100;
+    uint256 public constant MAX_REPUTATION = 200;
+    uint256 public constant REPUTATION_REWARD = ProposalRules.REPUTATION_REWARD;
+    uint256 public constant REPUTATION_PENALTY = ProposalRules.REPUTATION_PENALTY;
+    uint256 public constant MAX_SLASH_PERCENTAGE = ParameterTimelock.MAX_SLASH_PERCENTAGE;
+    
+    // A milestone can be resubmitted with revised evidence after a rejection this many times
+    uint256 public constant MAX_RESUBMISSIONS = 3;
+    
+    // EIP-712 type of a signed vote, relayed by someone else through voteBySig()
+    bytes32 public constant VOTE_TYPEHASH = VoteSignatures.VOTE_TYPEHASH;
+    
+    // EIP-712 type of the registration attestation quadratic voting requires, see attestVoter()
+    bytes32 public constant ATTESTATION_TYPEHASH = VoteSignatures.ATTESTATION_TYPEHASH;
     
     // Governance token (optional - can use ETH staking or ERC20)
     IERC20 public governanceToken;
     bool public useTokenStaking;
     
     // Mappings
-    mapping(uint256 => Proposal) public proposals;
+    mapping(uint256 => Proposal) private proposals; // read through getProposal()
     mapping(address => Voter) public voters;
     mapping(address => uint256[]) public voterProposals;
+    mapping(address => VotingMode) public escrowVotingMode;
+    mapping(address => bool) public escrowCommitReveal;
+    mapping(address => uint256) public missedReveals;
+    mapping(address => bool) private hasRegistered; // re-registering keeps earned reputation
+    mapping(address => bool) public cancelledByGovernance; // escrow => cancelled by an approved proposal
+    address public treasury; // receives slashed stake
+    address public projectFactory; // registers the escrows it creates
+    address public attestationSigner; // admin key whose attestations admit voters to quadratic votes
+    mapping(address => bool) public isAttested;
+    mapping(GovernanceParameter => ParameterTimelock.PendingChange) public pendingParameterChanges;
+    mapping(address => PendingUnstake) public pendingUnstakes;
+    mapping(address => mapping(uint256 => uint256[])) private stageProposals; // escrow => stage => attempts, oldest first
+    mapping(address => mapping(uint256 => uint256)) public stageResubmissions; // escrow => stage => resubmissions after rejection
+    mapping(address => bool) private openCancellation; // escrow => has an active cancellation proposal
+    
+    // Stake, voting power and delegation history by block number, so proposals can read them
+    // as of their snapshot. A voter's power (stake + reputation) counts toward their delegate's votes.
+    VotingPowerLedger.Ledger private ledger;
+    
+    // Escrows proposals can be made for, read through isRegisteredEscrow() and getRegisteredEscrows()
+    EscrowRegistry.Registry private escrowRegistry;
     
     // Events
     event ProposalCreated(
         uint256 indexed proposalId,
         uint256 indexed stageIndex,
         address indexed escrowContract,
-        string evidenceHash
+        string evidenceHash,
+        ProposalType proposalType
     );
     event VoteCast(
         uint256 indexed proposalId,
@@ -77,25 +206,69 @@ contract MilestoneGovernance is ReentrancyGuard {
     event ProposalExecuted(uint256 indexed proposalId, bool success);
     event VoterRegistered(address indexed voter, uint256 stakedAmount);
     event StakeAdded(address indexed voter, uint256 amount, uint256 totalStake);
+    event ProposalResubmitted(uint256 indexed proposalId, uint256 indexed previousProposalId, uint256 resubmission);
+    event VoteRationale(uint256 indexed proposalId, address indexed voter, string rationaleHash);
+    event UnstakeRequested(address indexed voter, uint256 amount, uint256 availableAt);
     event StakeWithdrawn(address indexed voter, uint256 amount);
+    event VotingModeSet(address indexed escrowContract, VotingMode mode);
+    event CommitRevealSet(address indexed escrowContract, bool enabled);
+    event VoteCommitted(uint256 indexed proposalId, address indexed voter);
+    event RevealMissed(uint256 indexed proposalId, address indexed voter, uint256 missedReveals, uint256 reputation);
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event DelegatedPowerChanged(address indexed delegate, uint256 previousPower, uint256 newPower);
+    event DelegationOverridden(
+        uint256 indexed proposalId,
+        address indexed delegator,
+        address indexed delegate,
+        uint256 power
+    );
+    event ParameterChangeQueued(GovernanceParameter indexed parameter, uint256 value, uint256 executableAt);
+    event ParameterChangeCancelled(GovernanceParameter indexed parameter);
+    event ParameterChanged(GovernanceParameter indexed parameter, uint256 oldValue, uint256 newValue);
+    event ReputationChanged(
+        address indexed voter,
+        uint256 indexed proposalId,
+        uint256 oldReputation,
+        uint256 newReputation
+    );
+    event StakeSlashed(address indexed voter, uint256 indexed proposalId, uint256 amount);
+    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
+    event ProjectFactorySet(address indexed projectFactory);
+    event EscrowRegistered(address indexed escrowContract);
+    event EscrowDeregistered(address indexed escrowContract);
+    event AttestationSignerSet(address indexed attestationSigner);
+    event VoterAttested(address indexed voter, address indexed attestationSigner);
     
     // Modifiers
+    // Modifier checks live in functions so they are not inlined into every caller
     modifier onlyRegisteredVoter() {
-        require(voters[msg.sender].isRegistered, "Not a registered voter");
-        require(voters[msg.sender].stakedAmount >= MINIMUM_STAKE, "Insufficient stake");
+        _checkRegisteredVoter();
         _;
     }
     
     modifier proposalExists(uint256 _proposalId) {
-        require(_proposalId < proposalCount, "Proposal does not exist");
+        _checkProposalExists(_proposalId);
         _;
     }
     
+    function _checkRegisteredVoter() private view {
+        require(voters[msg.sender].isRegistered, "Not a registered voter");
+        require(voters[msg.sender].stakedAmount >= minimumStake, "Insufficient stake");
+    }
+    
+    function _checkProposalExists(uint256 _proposalId) private view {
+        require(_proposalId < proposalCount, "Proposal does not exist");
+    }
+    
+    function _checkRegisteredEscrow(address _escrowContract) private view {
+        require(escrowRegistry.registered[_escrowContract], "Escrow not registered");
+    }
+    
     /**
      * @dev Constructor
      * @param _governanceToken Address of governance token (address(0) for ETH staking)
      */
-    constructor(address _governanceToken) {
+    constructor(address _governanceToken) Ownable(msg.sender) EIP712("MilestoneGovernance", "1") {
         if (_governanceToken != address(0)) {
             governanceToken = IERC20(_governanceToken);
             useTokenStaking = true;
@@ -113,15 +286,9 @@ contract MilestoneGovernance is ReentrancyGuard {
         if (useTokenStaking) {
             revert("Use registerVoterWithTokens() for token-based governance");
         } else {
-            require(msg.value >= MINIMUM_STAKE, "Insufficient stake amount");
-            voters[msg.sender] = Voter({
-                stakedAmount: msg.value,
-                reputation: 100, // Initial reputation score
-                isRegistered: true
-            });
+            require(msg.value >= minimumStake, "Insufficient stake amount");
+            _register(msg.value);
         }
-        
-        emit VoterRegistered(msg.sender, msg.value);
     }
     
     /**
@@ -131,18 +298,29 @@ contract MilestoneGovernance is ReentrancyGuard {
     function registerVoterWithTokens(uint256 _amount) external {
         require(useTokenStaking, "This governance uses ETH staking");
         require(!voters[msg.sender].isRegistered, "Already registered");
-        require(_amount >= MINIMUM_STAKE, "Insufficient stake amount");
+        require(_amount >= minimumStake, "Insufficient stake amount");
         
         require(
             governanceToken.transferFrom(msg.sender, address(this), _amount),
             "Token transfer failed"
         );
         
+        _register(_amount);
+    }
+    
+    /**
+     * @dev Registers msg.sender with a stake already received; returning voters keep their reputation
+     */
+    function _register(uint256 _amount) private {
+        uint256 reputation = hasRegistered[msg.sender] ? voters[msg.sender].reputation : INITIAL_REPUTATION;
+        hasRegistered[msg.sender] = true;
+        
         voters[msg.sender] = Voter({
             stakedAmount: _amount,
-            reputation: 100,
+            reputation: reputation,
             isRegistered: true
         });
+        _recordStake(msg.sender, _amount, true);
         
         emit VoterRegistered(msg.sender, _amount);
     }
@@ -154,8 +332,7 @@ contract MilestoneGovernance is ReentrancyGuard {
         require(!useTokenStaking, "Use addStakeWithTokens() for token-based governance");
         require(msg.value > 0, "Must stake a positive amount");
         
-        voters[msg.sender].stakedAmount += msg.value;
-        emit StakeAdded(msg.sender, msg.value, voters[msg.sender].stakedAmount);
+        _addStake(msg.value);
     }
     
     /**
@@ -171,12 +348,178 @@ contract MilestoneGovernance is ReentrancyGuard {
             "Token transfer failed"
         );
         
+        _addStake(_amount);
+    }
+    
+    function _addStake(uint256 _amount) private {
         voters[msg.sender].stakedAmount += _amount;
+        _recordStake(msg.sender, _amount, true);
         emit StakeAdded(msg.sender, _amount, voters[msg.sender].stakedAmount);
     }
     
     /**
-     * @dev Create a new milestone completion proposal
+     * @dev Let another registered voter vote with your stake and reputation
+     * @notice You can still vote directly on any proposal, which takes your power back for that proposal
+     * @param _delegatee Registered voter to delegate to
+     */
+    function delegate(address _delegatee) external onlyRegisteredVoter {
+        require(_delegatee != msg.sender, "Cannot delegate to yourself");
+        require(voters[_delegatee].isRegistered, "Delegate must be a registered voter");
+        require(ledger.delegates[msg.sender] != _delegatee, "Already delegated to this address");
+        
+        ledger.setDelegate(msg.sender, _delegatee);
+    }
+    
+    /**
+     * @dev Stop delegating; your power counts only for your own votes again
+     */
+    function undelegate() external {
+        require(ledger.delegates[msg.sender] != address(0), "Not delegating");
+        
+        ledger.setDelegate(msg.sender, address(0));
+    }
+    
+    /**
+     * @dev Queue a change to a governance parameter
+     * @notice The change can be applied with executeParameterChange() after PARAMETER_TIMELOCK
+     * @param _parameter Parameter to change
+     * @param _value New value (seconds, wei or percent depending on the parameter)
+     */
+    function queueParameterChange(GovernanceParameter _parameter, uint256 _value) external onlyOwner {
+        pendingParameterChanges.queue(_parameter, _value);
+    }
+    
+    /**
+     * @dev Drop a queued parameter change
+     * @param _parameter Parameter whose pending change is cancelled
+     */
+    function cancelParameterChange(GovernanceParameter _parameter) external onlyOwner {
+        pendingParameterChanges.cancel(_parameter);
+    }
+    
+    /**
+     * @dev Apply a queued parameter change once its timelock has passed
+     * @notice Anyone can call this; proposals already open keep the voting period, quorum and
+     * minimum stake they were created with
+     * @param _parameter Parameter to apply
+     */
+    function executeParameterChange(GovernanceParameter _parameter) external {
+        uint256 newValue = pendingParameterChanges.take(_parameter);
+        
+        uint256 oldValue;
+        if (_parameter == GovernanceParameter.VotingPeriod) {
+            oldValue = votingPeriod;
+            votingPeriod = newValue;
+        } else if (_parameter == GovernanceParameter.MinimumStake) {
+            oldValue = minimumStake;
+            minimumStake = newValue;
+        } else if (_parameter == GovernanceParameter.SlashPercentage) {
+            oldValue = slashPercentage;
+            slashPercentage = newValue;
+        } else if (_parameter == GovernanceParameter.UnstakeCooldown) {
+            oldValue = unstakeCooldown;
+            unstakeCooldown = newValue;
+        } else {
+            oldValue = quorumPercentage;
+            quorumPercentage = newValue;
+        }
+        
+        emit ParameterChanged(_parameter, oldValue, newValue);
+    }
+    
+    
+    /**
+     * @dev Set where slashed stake is sent; slashing stays off until this is set
+     * @param _treasury Treasury address
+     */
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Invalid treasury address");
+        
+        emit TreasuryUpdated(treasury, _treasury);
+        treasury = _treasury;
+    }
+    
+    /**
+     * @dev Set the admin key whose attestations admit voters to quadratic votes
+     * @notice Attestations already recorded stay valid when the signer changes
+     */
+    function setAttestationSigner(address _attestationSigner) external onlyOwner {
+        attestationSigner = _attestationSigner;
+        emit AttestationSignerSet(_attestationSigner);
+    }
+    
+    /**
+     * @dev Record a voter's registration attestation, which quadratic proposals require
+     * @notice The attestation signer gives one address per person after an off-chain check, so
+     * splitting stake across addresses does not buy extra quadratic weight. Anyone can submit it.
+     * @param _signature Attestation signer's signature over the Attestation typed data
+     */
+    function attestVoter(address _voter, bytes calldata _signature) external {
+        require(
+            VoteSignatures.recoverAttester(_domainSeparatorV4(), _voter, _signature) == attestationSigner,
+            "Invalid attestation"
+        );
+        
+        isAttested[_voter] = true;
+        emit VoterAttested(_voter, attestationSigner);
+    }
+    
+    /**
+     * @dev Set the ProjectFactory that registers new escrows as it creates them
+     * @param _projectFactory Address of the ProjectFactory (address(0) to stop automatic registration)
+     */
+    function setProjectFactory(address _projectFactory) external onlyOwner {
+        projectFactory = _projectFactory;
+        emit ProjectFactorySet(_projectFactory);
+    }
+    
+    /**
+     * @dev Allow proposals for an escrow
+     * @notice Only escrows created by the ProjectFactory, or deployed and checked by the owner,
+     * should be registered: governance trusts what a registered escrow reports about itself
+     */
+    function registerEscrow(address _escrowContract) external {
+        require(msg.sender == owner() || msg.sender == projectFactory, "Only owner or factory can register");
+        escrowRegistry.register(_escrowContract);
+    }
+    
+    /**
+     * @dev Stop accepting proposals for an escrow
+     * @notice Its open proposals can no longer pass; executeProposal() closes them as rejected
+     */
+    function deregisterEscrow(address _escrowContract) external onlyOwner {
+        escrowRegistry.deregister(_escrowContract);
+    }
+    
+    /**
+     * @dev Choose who votes on a project's proposals
+     * @notice Only the project owner can change this, and only until the funding goal is reached
+     * @param _escrowContract Address of the FundingEscrow contract
+     * @param _mode StakeWeighted (registered voters), DonorWeighted (the escrow's donors) or
+     * Quadratic (attested registered voters, square-root weights)
+     */
+    function setVotingMode(address _escrowContract, VotingMode _mode) external {
+        ProposalRules.checkVotingSettingsChange(_escrowContract, msg.sender);
+        
+        escrowVotingMode[_escrowContract] = _mode;
+        emit VotingModeSet(_escrowContract, _mode);
+    }
+    
+    /**
+     * @dev Hide votes until the voting period ends by having voters commit, then reveal
+     * @notice Only the project owner can change this, and only until the funding goal is reached
+     * @param _escrowContract Address of the FundingEscrow contract
+     * @param _enabled True to use commit-reveal voting on the project's proposals
+     */
+    function setCommitReveal(address _escrowContract, bool _enabled) external {
+        ProposalRules.checkVotingSettingsChange(_escrowContract, msg.sender);
+        
+        escrowCommitReveal[_escrowContract] = _enabled;
+        emit CommitRevealSet(_escrowContract, _enabled);
+    }
+    
+    /**
+     * @dev Create a new milestone completion proposal that releases the rest of the stage's funds
      * @param _escrowContract Address of the FundingEscrow contract
      * @param _stageIndex Index of the milestone stage
      * @param _evidenceHash IPFS hash of the evidence for milestone completion
@@ -186,31 +529,115 @@ contract MilestoneGovernance is ReentrancyGuard {
         uint256 _stageIndex,
         string memory _evidenceHash
     ) external returns (uint256) {
-        require(_escrowContract != address(0), "Invalid escrow address");
-        require(bytes(_evidenceHash).length > 0, "Evidence hash required");
+        return createPartialMilestoneProposal(_escrowContract, _stageIndex, 100, _evidenceHash);
+    }
+    
+    /**
+     * @dev Create a milestone proposal that releases a share of the stage's allocation
+     * @notice The stage stays open until all of its allocation is released, so a new proposal can
+     * follow an approved one. One that follows a rejection is linked to it as a resubmission, up to
+     * MAX_RESUBMISSIONS per stage.
+     * @param _escrowContract Address of the FundingEscrow contract
+     * @param _stageIndex Index of the milestone stage
+     * @param _releasePercentage Share of the stage allocation to release (1-100), capped at what is left
+     * @param _evidenceHash IPFS hash of the evidence for the work done
+     */
+    function createPartialMilestoneProposal(
+        address _escrowContract,
+        uint256 _stageIndex,
+        uint256 _releasePercentage,
+        string memory _evidenceHash
+    ) public returns (uint256) {
+        _checkRegisteredEscrow(_escrowContract);
+        ProposalRules.checkMilestoneProposal(
+            _escrowContract,
+            msg.sender,
+            _stageIndex,
+            _releasePercentage,
+            _evidenceHash
+        );
         
-        FundingEscrow escrow = FundingEscrow(payable(_escrowContract));
-        require(msg.sender == escrow.projectOwner(), "Only project owner can create proposal");
-        require(escrow.fundingGoalReached(), "Funding goal not reached");
-        require(!escrow.stageCompleted(_stageIndex), "Stage already completed");
-        require(_stageIndex == escrow.currentStage(), "Must complete stages in order");
+        uint256[] storage attempts = stageProposals[_escrowContract][_stageIndex];
+        uint256 resubmission;
+        if (attempts.length > 0) {
+            ProposalStatus previousStatus = proposals[attempts[attempts.length - 1]].status;
+            require(previousStatus != ProposalStatus.Active, "Stage has an open proposal");
+            if (previousStatus == ProposalStatus.Rejected) {
+                resubmission = ++stageResubmissions[_escrowContract][_stageIndex];
+                require(resubmission <= MAX_RESUBMISSIONS, "Resubmission limit reached");
+            }
+        }
         
+        uint256 proposalId = _createProposal(
+            _escrowContract,
+            ProposalType.Milestone,
+            _stageIndex,
+            msg.sender,
+            _evidenceHash
+        );
+        proposals[proposalId].releasePercentage = _releasePercentage;
+        if (resubmission > 0) {
+            emit ProposalResubmitted(proposalId, attempts[attempts.length - 1], resubmission);
+        }
+        attempts.push(proposalId);
+        
+        return proposalId;
+    }
+    
+    /**
+     * @dev Create a proposal to cancel a project and open refunds
+     * @notice Any donor of the project or registered voter can open one
+     * @param _escrowContract Address of the FundingEscrow contract
+     * @param _evidenceHash IPFS hash of the evidence supporting cancellation
+     */
+    function createCancellationProposal(
+        address _escrowContract,
+        string memory _evidenceHash
+    ) external returns (uint256) {
+        _checkRegisteredEscrow(_escrowContract);
+        (uint256 stageIndex, address projectOwner) = ProposalRules.checkCancellationProposal(
+            openCancellation,
+            _escrowContract,
+            msg.sender,
+            voters[msg.sender].isRegistered,
+            _evidenceHash
+        );
+        
+        return _createProposal(_escrowContract, ProposalType.Cancellation, stageIndex, projectOwner, _evidenceHash);
+    }
+    
+    /**
+     * @dev Opens a proposal with the escrow's voting settings and the current voting period
+     */
+    function _createProposal(
+        address _escrowContract,
+        ProposalType _proposalType,
+        uint256 _stageIndex,
+        address _projectOwner,
+        string memory _evidenceHash
+    ) private returns (uint256) {
         uint256 proposalId = proposalCount++;
         Proposal storage newProposal = proposals[proposalId];
         
         newProposal.id = proposalId;
+        newProposal.proposalType = _proposalType;
+        newProposal.votingMode = escrowVotingMode[_escrowContract];
+        newProposal.commitReveal = escrowCommitReveal[_escrowContract];
         newProposal.stageIndex = _stageIndex;
-        newProposal.projectOwner = msg.sender;
+        newProposal.projectOwner = _projectOwner;
         newProposal.escrowContract = _escrowContract;
         newProposal.evidenceHash = _evidenceHash;
-        newProposal.votesFor = 0;
-        newProposal.votesAgainst = 0;
         newProposal.startTime = block.timestamp;
-        newProposal.endTime = block.timestamp + VOTING_PERIOD;
+        newProposal.endTime = block.timestamp + votingPeriod;
+        newProposal.quorumPercentage = quorumPercentage;
+        newProposal.minimumStake = minimumStake;
+        if (newProposal.commitReveal) {
+            newProposal.revealEndTime = newProposal.endTime + REVEAL_PERIOD;
+        }
+        _snapshotVotingSupply(newProposal, FundingEscrow(payable(_escrowContract)));
         newProposal.status = ProposalStatus.Active;
-        newProposal.executed = false;
         
-        emit ProposalCreated(proposalId, _stageIndex, _escrowContract, _evidenceHash);
+        emit ProposalCreated(proposalId, _stageIndex, _escrowContract, _evidenceHash, _proposalType);
         
         return proposalId;
     }
@@ -222,23 +649,172 @@ contract MilestoneGovernance is ReentrancyGuard {
      */
     function vote(uint256 _proposalId, bool _inFavor) 
         external 
-        onlyRegisteredVoter 
         proposalExists(_proposalId) 
         nonReentrant 
+    {
+        _castVote(_proposalId, msg.sender, _inFavor);
+    }
+    
+    /**
+     * @dev Vote against a proposal and explain why, so the owner can address it in a resubmission
+     * @param _proposalId ID of the proposal to vote on
+     * @param _rationaleHash IPFS hash of the voter's rationale
+     */
+    function voteAgainstWithRationale(uint256 _proposalId, string calldata _rationaleHash) 
+        external 
+        proposalExists(_proposalId) 
+        nonReentrant 
+    {
+        require(bytes(_rationaleHash).length > 0, "Rationale hash required");
+        
+        _castVote(_proposalId, msg.sender, false);
+        emit VoteRationale(_proposalId, msg.sender, _rationaleHash);
+    }
+    
+    /**
+     * @dev Cast a vote signed off-chain (EIP-712), so a relayer can pay the gas
+     * @param _proposalId ID of the proposal to vote on
+     * @param _inFavor True to vote for approval, false to vote against
+     * @param _nonce The voter's current nonce (see nonces())
+     * @param _deadline Timestamp after which the signature can no longer be used
+     * @param _signature Voter's signature over the Vote typed data
+     */
+    function voteBySig(
+        uint256 _proposalId,
+        bool _inFavor,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external proposalExists(_proposalId) nonReentrant {
+        address voter = VoteSignatures.recoverVoter(
+            _domainSeparatorV4(),
+            _proposalId,
+            _inFavor,
+            _nonce,
+            _deadline,
+            _signature
+        );
+        require(_nonce == nonces(voter), "Invalid nonce");
+        _useNonce(voter);
+        
+        _castVote(_proposalId, voter, _inFavor);
+    }
+    
+    /**
+     * @dev EIP-712 domain separator used for signed votes
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+    
+    /**
+     * @dev Records a vote for `_voter`, shared by vote() and voteBySig()
+     * @notice A pause stops new votes, but not reveals of votes committed before it
+     */
+    function _castVote(uint256 _proposalId, address _voter, bool _inFavor) private {
+        _requireNotPaused();
+        Proposal storage proposal = proposals[_proposalId];
+        ProposalRules.checkVote(proposal, _voter);
+        
+        _recordVote(proposal, _voter, _inFavor);
+    }
+    
+    /**
+     * @dev Commit to a hidden vote on a commit-reveal proposal
+     * @param _proposalId ID of the proposal to vote on
+     * @param _commitHash getCommitHash(proposalId, voter, inFavor, salt); keep the salt to reveal
+     */
+    function commitVote(uint256 _proposalId, bytes32 _commitHash) 
+        external 
+        proposalExists(_proposalId) 
+        whenNotPaused 
+        nonReentrant 
     {
         Proposal storage proposal = proposals[_proposalId];
+        ProposalRules.checkCommit(proposal, msg.sender, _commitHash);
+        
+        (uint256 votingWeight, string memory reason) = _votingWeight(proposal, msg.sender);
+        require(votingWeight > 0, reason);
         
-        require(proposal.status == ProposalStatus.Active, "Proposal not active");
-        require(block.timestamp <= proposal.endTime, "Voting period ended");
-        require(!proposal.hasVoted[msg.sender], "Already voted on this proposal");
+        proposal.commitments[msg.sender] = _commitHash;
+        if (proposal.votingMode != VotingMode.DonorWeighted) {
+            // Committed stake stays locked until the proposal closes, as with a direct vote
+            voterProposals[msg.sender].push(_proposalId);
+        }
+        
+        emit VoteCommitted(_proposalId, msg.sender);
+    }
+    
+    /**
+     * @dev Reveal a committed vote after the commit period; only revealed votes count
+     * @notice Works while paused, since a pause can outlast the reveal period and votes not
+     * revealed in time are lost
+     * @param _proposalId ID of the proposal
+     * @param _inFavor The committed choice
+     * @param _salt The salt used in the commitment
+     */
+    function revealVote(uint256 _proposalId, bool _inFavor, bytes32 _salt) 
+        external 
+        proposalExists(_proposalId) 
+        nonReentrant 
+    {
+        Proposal storage proposal = proposals[_proposalId];
+        ProposalRules.checkReveal(proposal, msg.sender, getCommitHash(_proposalId, msg.sender, _inFavor, _salt));
         
-        // Calculate voting weight (stake + reputation)
-        uint256 votingWeight = voters[msg.sender].stakedAmount + 
-                               (voters[msg.sender].reputation * 1 ether / 100);
+        _recordVote(proposal, msg.sender, _inFavor);
+    }
+    
+    /**
+     * @dev Record that a voter committed but never revealed
+     * @notice Anyone can call this after the reveal period; misses beyond FREE_MISSED_REVEALS cost reputation
+     * @param _proposalId ID of the commit-reveal proposal
+     * @param _voter Voter who did not reveal
+     */
+    function reportMissedReveal(uint256 _proposalId, address _voter) external proposalExists(_proposalId) {
+        ProposalRules.recordMissedReveal(proposals[_proposalId], _voter);
+        uint256 missed = ++missedReveals[_voter];
         
-        proposal.hasVoted[msg.sender] = true;
-        proposal.voterStake[msg.sender] = voters[msg.sender].stakedAmount;
-        voterProposals[msg.sender].push(_proposalId);
+        if (missed > FREE_MISSED_REVEALS && voters[_voter].isRegistered) {
+            _adjustReputation(_voter, _proposalId, -int256(MISSED_REVEAL_PENALTY));
+        }
+        
+        emit RevealMissed(_proposalId, _voter, missed, voters[_voter].reputation);
+    }
+    
+    /**
+     * @dev Commitment a voter submits for a hidden vote
+     */
+    function getCommitHash(uint256 _proposalId, address _voter, bool _inFavor, bytes32 _salt) 
+        public 
+        pure 
+        returns (bytes32) 
+    {
+        return keccak256(abi.encode(_proposalId, _voter, _inFavor, _salt));
+    }
+    
+    /**
+     * @dev Tallies a vote whose timing and uniqueness the caller has already checked
+     */
+    function _recordVote(Proposal storage proposal, address _voter, bool _inFavor) private {
+        (uint256 votingWeight, string memory reason) = _votingWeight(proposal, _voter);
+        require(votingWeight > 0, reason);
+        
+        proposal.hasVoted[_voter] = true;
+        proposal.support[_voter] = _inFavor;
+        if (proposal.votingMode != VotingMode.DonorWeighted) {
+            // Only staked votes lock the voter's stake until the proposal closes
+            uint256 stake = stakeAt(_voter, proposal.snapshotBlock);
+            proposal.voterStake[_voter] = stake;
+            if (!proposal.commitReveal) {
+                // Committers were already recorded when they committed
+                voterProposals[_voter].push(proposal.id);
+            }
+            if (proposal.votingMode == VotingMode.Quadratic) {
+                proposal.stakeVoted += stake;
+            } else {
+                _overrideDelegation(proposal, _voter);
+            }
+        }
         
         if (_inFavor) {
             proposal.votesFor += votingWeight;
@@ -246,7 +822,74 @@ contract MilestoneGovernance is ReentrancyGuard {
             proposal.votesAgainst += votingWeight;
         }
         
-        emit VoteCast(_proposalId, msg.sender, _inFavor, votingWeight);
+        emit VoteCast(proposal.id, _voter, _inFavor, votingWeight);
+    }
+    
+    /**
+     * @dev Returns a voter's weight on a proposal, or zero and the reason they cannot vote
+     */
+    function _votingWeight(Proposal storage _proposal, address _voter) 
+        private 
+        view 
+        returns (uint256 weight, string memory reason) 
+    {
+        if (_proposal.votingMode == VotingMode.DonorWeighted) {
+            // Read live: donor proposals only open once funding has closed, after which
+            // contributions cannot grow past the funds raised the quorum is measured against
+            uint256 contribution = FundingEscrow(payable(_proposal.escrowContract)).contributions(_voter);
+            if (contribution == 0) {
+                return (0, "Only donors to this project can vote");
+            }
+            return (contribution, "");
+        }
+        
+        Voter memory voter = voters[_voter];
+        if (!voter.isRegistered) {
+            return (0, "Not a registered voter");
+        }
+        // Stake added after the proposal opened does not count
+        uint256 snapshot = _proposal.snapshotBlock;
+        if (stakeAt(_voter, snapshot) < _proposal.minimumStake) {
+            return (0, "Insufficient stake at proposal snapshot");
+        }
+        if (_proposal.votingMode == VotingMode.Quadratic) {
+            if (!isAttested[_voter]) {
+                return (0, "Quadratic voting requires an attestation");
+            }
+            // Own stake + reputation only, square-rooted and scaled so 1 ETH of power weighs 1 ETH
+            return (Math.sqrt(votingPowerAt(_voter, snapshot) * 1 ether), "");
+        }
+        // Own stake + reputation, plus power delegated to the voter by those who have not voted themselves
+        return (
+            votingPowerAt(_voter, snapshot) + delegatedPowerAt(_voter, snapshot)
+                - _proposal.delegationOverrides[_voter],
+            ""
+        );
+    }
+    
+    /**
+     * @dev Takes a directly voting delegator's power back from their delegate on this proposal
+     */
+    function _overrideDelegation(Proposal storage _proposal, address _voter) private {
+        uint256 snapshot = _proposal.snapshotBlock;
+        address delegatee = delegateAt(_voter, snapshot);
+        if (delegatee == address(0)) {
+            return;
+        }
+        
+        uint256 power = votingPowerAt(_voter, snapshot);
+        _proposal.delegationOverrides[delegatee] += power;
+        
+        // If the delegate already voted, that vote included this power
+        if (_proposal.hasVoted[delegatee]) {
+            if (_proposal.support[delegatee]) {
+                _proposal.votesFor -= power;
+            } else {
+                _proposal.votesAgainst -= power;
+            }
+        }
+        
+        emit DelegationOverridden(_proposal.id, _voter, delegatee, power);
     }
     
     /**
@@ -256,48 +899,95 @@ contract MilestoneGovernance is ReentrancyGuard {
     function executeProposal(uint256 _proposalId) 
         external 
         proposalExists(_proposalId) 
+        whenNotPaused 
         nonReentrant 
     {
         Proposal storage proposal = proposals[_proposalId];
         
-        require(proposal.status == ProposalStatus.Active, "Proposal not active");
-        require(block.timestamp > proposal.endTime, "Voting period not ended");
-        require(!proposal.executed, "Proposal already executed");
-        
-        uint256 totalVotes = proposal.votesFor + proposal.votesAgainst;
-        FundingEscrow escrow = FundingEscrow(payable(proposal.escrowContract));
-        uint256 totalStaked = address(this).balance;
-        
-        // Check quorum (51% of staked tokens must participate)
-        bool quorumReached = (totalVotes * 100) >= (totalStaked * QUORUM_PERCENTAGE);
-        
-        if (quorumReached && proposal.votesFor > proposal.votesAgainst) {
-            // Proposal approved
-            proposal.status = ProposalStatus.Approved;
-            proposal.executed = true;
-            
-            // Release funds from escrow
-            try escrow.releaseFunds(proposal.stageIndex) {
-                emit ProposalApproved(_proposalId, proposal.votesFor, proposal.votesAgainst);
-                emit ProposalExecuted(_proposalId, true);
-            } catch {
-                proposal.status = ProposalStatus.Rejected;
-                emit ProposalExecuted(_proposalId, false);
-            }
-        } else {
-            // Proposal rejected
-            proposal.status = ProposalStatus.Rejected;
-            proposal.executed = true;
-            emit ProposalRejected(_proposalId, proposal.votesFor, proposal.votesAgainst);
+        if (ProposalRules.execute(proposal, escrowRegistry.registered[proposal.escrowContract], openCancellation)) {
+            cancelledByGovernance[proposal.escrowContract] = true;
+        }
+    }
+    
+    /**
+     * @dev Update a voter's reputation for how they voted on an executed proposal
+     * @notice Anyone can call this. Voters on the winning side gain reputation. If the project
+     * is later cancelled by governance, approvers of its milestones lose reputation (and, when
+     * slashing is on, part of their stake) while those who opposed them are rewarded instead.
+     * @param _proposalId ID of the executed stake-weighted proposal
+     * @param _voter Voter to settle
+     */
+    function settleReputation(uint256 _proposalId, address _voter) 
+        external 
+        proposalExists(_proposalId) 
+        nonReentrant 
+    {
+        Proposal storage proposal = proposals[_proposalId];
+        (int256 delta, bool slash) = ProposalRules.settleReputation(
+            proposal,
+            _voter,
+            cancelledByGovernance[proposal.escrowContract]
+        );
+        _adjustReputation(_voter, _proposalId, delta);
+        if (slash) {
+            _slashStake(_voter, _proposalId);
         }
     }
     
     /**
-     * @dev Withdraw stake (only if no active votes)
+     * @dev Moves a voter's reputation by _delta, clamped to [0, MAX_REPUTATION]
+     */
+    function _adjustReputation(address _voter, uint256 _proposalId, int256 _delta) private {
+        uint256 oldReputation = voters[_voter].reputation;
+        int256 updated = int256(oldReputation) + _delta;
+        uint256 newReputation = updated < 0 
+            ? 0 
+            : (updated > int256(MAX_REPUTATION) ? MAX_REPUTATION : uint256(updated));
+        if (newReputation == oldReputation) return;
+        
+        voters[_voter].reputation = newReputation;
+        _updateVotingPower(_voter);
+        emit ReputationChanged(_voter, _proposalId, oldReputation, newReputation);
+    }
+    
+    /**
+     * @dev Sends slashPercentage of a voter's stake to the treasury (no-op while slashing is off)
+     * @notice Stake waiting out the unstake cooldown is slashed first
      */
-    function withdrawStake() external onlyRegisteredVoter nonReentrant {
-        uint256 stakedAmount = voters[msg.sender].stakedAmount;
-        require(stakedAmount > 0, "No stake to withdraw");
+    function _slashStake(address _voter, uint256 _proposalId) private {
+        PendingUnstake storage pending = pendingUnstakes[_voter];
+        uint256 amount = (voters[_voter].stakedAmount + pending.amount) * slashPercentage / 100;
+        if (amount == 0 || treasury == address(0)) return;
+        
+        uint256 fromPending = amount < pending.amount ? amount : pending.amount;
+        pending.amount -= fromPending;
+        if (amount > fromPending) {
+            voters[_voter].stakedAmount -= amount - fromPending;
+            _recordStake(_voter, amount - fromPending, false);
+        }
+        
+        _transferStake(treasury, amount);
+        
+        emit StakeSlashed(_voter, _proposalId, amount);
+    }
+    
+    /**
+     * @dev Start withdrawing some or all of your stake (only if no active votes)
+     * @notice The amount stops counting for voting at once and can be collected with
+     * completeUnstake() after the cooldown. Withdrawing everything deregisters you; otherwise
+     * the remaining stake must stay at or above the minimum.
+     * @param _amount Amount of stake to withdraw
+     */
+    function requestUnstake(uint256 _amount) external nonReentrant {
+        Voter storage voter = voters[msg.sender];
+        // No minimum-stake check here, so a voter left below a raised minimum can still leave
+        require(voter.isRegistered, "Not a registered voter");
+        require(_amount > 0, "Must unstake a positive amount");
+        require(_amount <= voter.stakedAmount, "Amount exceeds stake");
+        require(pendingUnstakes[msg.sender].amount == 0, "Unstake already pending");
+        
+        uint256 remaining = voter.stakedAmount - _amount;
+        require(remaining == 0 || remaining >= minimumStake, "Remaining stake below minimum");
         
         // Check if voter has any active proposals they voted on
         uint256[] memory userProposals = voterProposals[msg.sender];
@@ -309,20 +999,43 @@ contract MilestoneGovernance is ReentrancyGuard {
             );
         }
         
-        voters[msg.sender].stakedAmount = 0;
-        voters[msg.sender].isRegistered = false;
+        voter.stakedAmount = remaining;
+        if (remaining == 0) {
+            voter.isRegistered = false;
+        }
+        _recordStake(msg.sender, _amount, false);
+        
+        uint256 availableAt = block.timestamp + unstakeCooldown;
+        pendingUnstakes[msg.sender] = PendingUnstake({amount: _amount, availableAt: availableAt});
+        
+        emit UnstakeRequested(msg.sender, _amount, availableAt);
+    }
+    
+    /**
+     * @dev Collect stake requested with requestUnstake() once its cooldown has passed
+     */
+    function completeUnstake() external nonReentrant {
+        PendingUnstake memory pending = pendingUnstakes[msg.sender];
+        require(pending.amount > 0, "No pending unstake");
+        require(block.timestamp >= pending.availableAt, "Unstake cooldown not over");
+        
+        delete pendingUnstakes[msg.sender];
+        
+        _transferStake(msg.sender, pending.amount);
         
+        emit StakeWithdrawn(msg.sender, pending.amount);
+    }
+    
+    /**
+     * @dev Sends staked ETH or governance tokens out of the contract
+     */
+    function _transferStake(address _to, uint256 _amount) private {
         if (useTokenStaking) {
-            require(
-                governanceToken.transfer(msg.sender, stakedAmount),
-                "Token transfer failed"
-            );
+            require(governanceToken.transfer(_to, _amount), "Token transfer failed");
         } else {
-            (bool success, ) = payable(msg.sender).call{value: stakedAmount}("");
+            (bool success, ) = payable(_to).call{value: _amount}("");
             require(success, "ETH transfer failed");
         }
-        
-        emit StakeWithdrawn(msg.sender, stakedAmount);
     }
     
     /**
@@ -332,34 +1045,56 @@ contract MilestoneGovernance is ReentrancyGuard {
         external 
         view 
         proposalExists(_proposalId) 
-        returns (
-            uint256 id,
-            uint256 stageIndex,
-            address projectOwner,
-            address escrowContract,
-            string memory evidenceHash,
-            uint256 votesFor,
-            uint256 votesAgainst,
-            uint256 startTime,
-            uint256 endTime,
-            ProposalStatus status,
-            bool executed
-        ) 
+        returns (ProposalView memory) 
+    {
+        return ProposalRules.describe(proposals[_proposalId]);
+    }
+    
+    /**
+     * @dev Whether proposals can be made for an escrow
+     */
+    function isRegisteredEscrow(address _escrowContract) external view returns (bool) {
+        return escrowRegistry.registered[_escrowContract];
+    }
+    
+    /**
+     * @dev Returns every escrow proposals can be made for
+     */
+    function getRegisteredEscrows() external view returns (address[] memory) {
+        return escrowRegistry.escrows;
+    }
+    
+    /**
+     * @dev Milestone proposals made for a project's stage, oldest first
+     */
+    function getStageProposals(address _escrowContract, uint256 _stageIndex) 
+        external 
+        view 
+        returns (uint256[] memory) 
+    {
+        return stageProposals[_escrowContract][_stageIndex];
+    }
+    
+    /**
+     * @dev Check whether an address can vote on a proposal right now
+     * @return eligible True if a vote would be accepted
+     * @return weight Weight the vote would carry
+     * @return reason Why the address cannot vote (empty when eligible)
+     */
+    function getVoteEligibility(uint256 _proposalId, address _voter) 
+        external 
+        view 
+        proposalExists(_proposalId) 
+        returns (bool eligible, uint256 weight, string memory reason) 
     {
         Proposal storage proposal = proposals[_proposalId];
-        return (
-            proposal.id,
-            proposal.stageIndex,
-            proposal.projectOwner,
-            proposal.escrowContract,
-            proposal.evidenceHash,
-            proposal.votesFor,
-            proposal.votesAgainst,
-            proposal.startTime,
-            proposal.endTime,
-            proposal.status,
-            proposal.executed
-        );
+        reason = ProposalRules.voteBlocker(proposal, _voter);
+        if (bytes(reason).length > 0) {
+            return (false, 0, reason);
+        }
+        
+        (weight, reason) = _votingWeight(proposal, _voter);
+        return (weight > 0, weight, reason);
     }
     
     /**
@@ -397,13 +1132,122 @@ contract MilestoneGovernance is ReentrancyGuard {
     }
     
     /**
-     * @dev Get total staked amount in the contract
+     * @dev Get total amount staked by voters
      */
     function getTotalStaked() external view returns (uint256) {
-        if (useTokenStaking) {
-            return governanceToken.balanceOf(address(this));
+        return ledger.totalStake.latest();
+    }
+    
+    /**
+     * @dev Get a voter's stake as of a past block
+     * @param _voter Address of the voter
+     * @param _blockNumber Block to read the stake at
+     */
+    function stakeAt(address _voter, uint256 _blockNumber) public view returns (uint256) {
+        return ledger.stakeAt(_voter, _blockNumber);
+    }
+    
+    /**
+     * @dev Get the total amount staked by voters as of a past block
+     * @param _blockNumber Block to read the total at
+     */
+    function totalStakedAt(uint256 _blockNumber) public view returns (uint256) {
+        return ledger.totalStakeAt(_blockNumber);
+    }
+    
+    /**
+     * @dev Get the voting power (stake + reputation) of all voters as of a past block
+     */
+    function totalVotingPowerAt(uint256 _blockNumber) public view returns (uint256) {
+        return ledger.totalVotingPowerAt(_blockNumber);
+    }
+    
+    /**
+     * @dev Get a voter's own voting power (stake + reputation) as of a past block
+     */
+    function votingPowerAt(address _voter, uint256 _blockNumber) public view returns (uint256) {
+        return ledger.votingPowerAt(_voter, _blockNumber);
+    }
+    
+    /**
+     * @dev Get the voting power delegated to an address as of a past block
+     */
+    function delegatedPowerAt(address _delegatee, uint256 _blockNumber) public view returns (uint256) {
+        return ledger.delegatedPowerAt(_delegatee, _blockNumber);
+    }
+    
+    /**
+     * @dev Get who a voter had delegated to as of a past block (address(0) if nobody)
+     */
+    function delegateAt(address _delegator, uint256 _blockNumber) public view returns (address) {
+        return ledger.delegateAt(_delegator, _blockNumber);
+    }
+    
+    /**
+     * @dev Get who a voter currently delegates to (address(0) if nobody)
+     */
+    function delegates(address _voter) external view returns (address) {
+        return ledger.delegates[_voter];
+    }
+    
+    /**
+     * @dev Get a voter's current delegation state
+     * @return delegatee Address the voter delegates to (address(0) if nobody)
+     * @return votingPower The voter's own stake + reputation weight
+     * @return delegatedPower Power other voters currently delegate to this voter
+     */
+    function getDelegationInfo(address _voter) 
+        external 
+        view 
+        returns (address delegatee, uint256 votingPower, uint256 delegatedPower) 
+    {
+        return (
+            ledger.delegates[_voter],
+            ledger.votingPower[_voter].latest(),
+            ledger.delegatedPower[_voter].latest()
+        );
+    }
+    
+    /**
+     * @dev Records a stake change for the voter and the total
+     */
+    function _recordStake(address _voter, uint256 _amount, bool _added) private {
+        ledger.recordStake(_voter, voters[_voter].stakedAmount, _amount, _added, _votingPowerOf(_voter));
+    }
+    
+    /**
+     * @dev Re-checkpoints a voter's power after a reputation or registration change
+     */
+    function _updateVotingPower(address _voter) private {
+        ledger.updateVotingPower(_voter, _votingPowerOf(_voter));
+    }
+    
+    /**
+     * @dev Current own voting power: stake plus reputation weight, or nothing once unregistered
+     */
+    function _votingPowerOf(address _voter) private view returns (uint256) {
+        Voter memory voter = voters[_voter];
+        return voter.isRegistered 
+            ? voter.stakedAmount + (voter.reputation * 1 ether / 100) 
+            : 0;
+    }
+    
+    /**
+     * @dev Fixes the snapshot a new proposal is voted and measured against
+     * @notice The snapshot is the previous block, so stake added in the creation block is excluded
+     */
+    function _snapshotVotingSupply(Proposal storage _proposal, FundingEscrow _escrow) private {
+        _proposal.snapshotBlock = block.number - 1;
+        // Measured in the unit votes are counted toward quorum in: stake + reputation (delegated
+        // power included) for stake-weighted votes, stake behind quadratic votes, contributions for
+        // donor votes
+        VotingMode mode = _proposal.votingMode;
+        if (mode == VotingMode.DonorWeighted) {
+            _proposal.totalVotingSupply = ProposalRules.donorVotingSupply(_escrow);
+        } else if (mode == VotingMode.Quadratic) {
+            _proposal.totalVotingSupply = totalStakedAt(_proposal.snapshotBlock);
         } else {
-            return address(this).balance;
+            _proposal.totalVotingSupply = totalVotingPowerAt(_proposal.snapshotBlock);
         }
     }
 }
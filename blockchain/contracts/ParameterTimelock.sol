@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Parameters the MilestoneGovernance owner can change through the timelock
+enum GovernanceParameter {
+    VotingPeriod,
+    MinimumStake,
+    QuorumPercentage,
+    SlashPercentage,
+    UnstakeCooldown
+}
+
+/**
+ * @title ParameterTimelock
+ * @dev Queues MilestoneGovernance parameter changes and checks they are in range
+ * @notice Deployed separately and linked into MilestoneGovernance to keep it under the contract size limit
+ */
+library ParameterTimelock {
+    // Parameter change queued by the owner, applicable once the timelock has passed
+    struct PendingChange {
+        uint256 value;
+        uint256 executableAt; // 0 when nothing is queued
+    }
+
+    // Delay between queueing and applying a parameter change, so voters can react
+    uint256 internal constant TIMELOCK = 2 days;
+    uint256 internal constant MIN_VOTING_PERIOD = 1 hours;
+    uint256 internal constant MAX_VOTING_PERIOD = 30 days;
+    uint256 internal constant MAX_SLASH_PERCENTAGE = 50;
+    uint256 internal constant MAX_UNSTAKE_COOLDOWN = 30 days;
+
+    // Also declared in MilestoneGovernance, whose address emits them
+    event ParameterChangeQueued(GovernanceParameter indexed parameter, uint256 value, uint256 executableAt);
+    event ParameterChangeCancelled(GovernanceParameter indexed parameter);
+
+    /**
+     * @dev Validates and queues a change, replacing any already queued for the parameter
+     */
+    function queue(
+        mapping(GovernanceParameter => PendingChange) storage self,
+        GovernanceParameter _parameter,
+        uint256 _value
+    ) external {
+        _validate(_parameter, _value);
+
+        uint256 executableAt = block.timestamp + TIMELOCK;
+        self[_parameter] = PendingChange({value: _value, executableAt: executableAt});
+
+        emit ParameterChangeQueued(_parameter, _value, executableAt);
+    }
+
+    /**
+     * @dev Drops a queued change
+     */
+    function cancel(mapping(GovernanceParameter => PendingChange) storage self, GovernanceParameter _parameter) external {
+        require(self[_parameter].executableAt != 0, "No pending change");
+
+        delete self[_parameter];
+        emit ParameterChangeCancelled(_parameter);
+    }
+
+    /**
+     * @dev Removes a change whose timelock has passed and returns its value for the caller to apply
+     */
+    function take(
+        mapping(GovernanceParameter => PendingChange) storage self,
+        GovernanceParameter _parameter
+    ) external returns (uint256) {
+        PendingChange memory pending = self[_parameter];
+        require(pending.executableAt != 0, "No pending change");
+        require(block.timestamp >= pending.executableAt, "Timelock not expired");
+
+        delete self[_parameter];
+        return pending.value;
+    }
+
+    /**
+     * @dev Reverts if a value is out of range for its parameter
+     */
+    function _validate(GovernanceParameter _parameter, uint256 _value) private pure {
+        if (_parameter == GovernanceParameter.VotingPeriod) {
+            require(
+                _value >= MIN_VOTING_PERIOD && _value <= MAX_VOTING_PERIOD,
+                "Voting period out of range"
+            );
+        } else if (_parameter == GovernanceParameter.MinimumStake) {
+            require(_value > 0, "Minimum stake must be positive");
+        } else if (_parameter == GovernanceParameter.SlashPercentage) {
+            require(_value <= MAX_SLASH_PERCENTAGE, "Slash percentage too high");
+        } else if (_parameter == GovernanceParameter.UnstakeCooldown) {
+            require(_value <= MAX_UNSTAKE_COOLDOWN, "Cooldown too long");
+        } else {
+            require(_value > 0 && _value <= 100, "Quorum must be between 1 and 100");
+        }
+    }
+}
@@ -0,0 +1,224 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./ContributionReceipt.sol";
+import "./FundingEscrow.sol";
+import "./MilestoneGovernance.sol";
+
+/**
+ * @title ProjectFactory
+ * @dev Deploys FundingEscrow instances as minimal clones and keeps a registry of them
+ * @notice Every escrow created here is wired to the platform governance contract on creation and
+ * registered with it, so governance must list this factory through setProjectFactory()
+ */
+contract ProjectFactory is Ownable {
+    // FundingEscrow instance that every clone delegates to
+    address public immutable escrowImplementation;
+
+    // Governance contract wired into every new escrow
+    address public governanceContract;
+
+    // Receipt contract wired into every new escrow (address(0) for no receipts)
+    address public receiptContract;
+
+    // Guardian allowed to pause every new escrow (address(0) for none)
+    address public guardian;
+
+    // Array of every escrow created by this factory
+    address[] public projects;
+
+    // Mapping of project owner to the escrows they own; escrows report accepted ownership transfers
+    mapping(address => address[]) private ownerProjects;
+
+    // Mapping of escrow address to whether it was created by this factory
+    mapping(address => bool) public isProject;
+
+    // Events
+    event ProjectCreated(
+        address indexed escrow,
+        address indexed projectOwner,
+        uint256 indexed projectIndex,
+        uint256 fundingGoal,
+        uint256 fundingDeadline,
+        uint256 totalStages,
+        address paymentToken,
+        bool flexibleFunding
+    );
+    event GovernanceContractUpdated(address indexed governanceAddress);
+    event ReceiptContractUpdated(address indexed receiptAddress);
+    event GuardianUpdated(address indexed guardian);
+    event ProjectOwnerChanged(address indexed escrow, address indexed previousOwner, address indexed newOwner);
+
+    /**
+     * @dev Constructor
+     * @param _escrowImplementation Address of a deployed FundingEscrow used as the clone template
+     * @param _governanceContract Address of the MilestoneGovernance contract (address(0) to set later)
+     */
+    constructor(address _escrowImplementation, address _governanceContract) Ownable(msg.sender) {
+        require(_escrowImplementation != address(0), "Invalid implementation address");
+        escrowImplementation = _escrowImplementation;
+        governanceContract = _governanceContract;
+        emit GovernanceContractUpdated(_governanceContract);
+    }
+
+    /**
+     * @dev Update the governance contract wired into new escrows
+     * @notice The new governance contract must list this factory through setProjectFactory().
+     * Escrows created earlier keep the governance contract they were created with.
+     * @param _governanceContract Address of the MilestoneGovernance contract
+     */
+    function setGovernanceContract(address _governanceContract) external onlyOwner {
+        require(_governanceContract != address(0), "Invalid governance address");
+        governanceContract = _governanceContract;
+        emit GovernanceContractUpdated(_governanceContract);
+    }
+
+    /**
+     * @dev Update the ContributionReceipt contract wired into new escrows
+     * @notice The receipt contract must list this factory through setProjectFactory() so it can
+     * register new escrows. Escrows created earlier keep the receipt contract they were created with.
+     * @param _receiptContract Address of the ContributionReceipt contract (address(0) for no receipts)
+     */
+    function setReceiptContract(address _receiptContract) external onlyOwner {
+        receiptContract = _receiptContract;
+        emit ReceiptContractUpdated(_receiptContract);
+    }
+
+    /**
+     * @dev Update the guardian wired into new escrows
+     * @notice Escrows created earlier keep their guardian; the platform owner can change it on each escrow
+     * @param _guardian Address allowed to pause new escrows (address(0) for none)
+     */
+    function setGuardian(address _guardian) external onlyOwner {
+        guardian = _guardian;
+        emit GuardianUpdated(_guardian);
+    }
+
+    /**
+     * @dev Create a new FundingEscrow for a project
+     * @param _projectOwner Address of the project owner
+     * @param _fundingGoal Total funding goal in wei
+     * @param _fundingDuration Duration of funding period in seconds
+     * @param _totalStages Total number of milestone stages
+     * @param _stageAllocations Array of fund allocations per stage (must sum to 100%)
+     * @param _paymentToken ERC-20 token the escrow accepts (address(0) for ETH)
+     * @param _stageDurations Time allowed per stage in seconds, counted from the previous stage deadline
+     * @param _flexibleFunding True to keep funds raised by the deadline even if the goal is missed
+     * @return escrow Address of the new escrow
+     */
+    function createProject(
+        address _projectOwner,
+        uint256 _fundingGoal,
+        uint256 _fundingDuration,
+        uint256 _totalStages,
+        uint256[] calldata _stageAllocations,
+        address _paymentToken,
+        uint256[] calldata _stageDurations,
+        bool _flexibleFunding
+    ) external returns (address escrow) {
+        require(governanceContract != address(0), "Governance contract not set");
+
+        escrow = Clones.clone(escrowImplementation);
+        FundingEscrow fundingEscrow = FundingEscrow(payable(escrow));
+
+        // The factory owns the clone just long enough to wire governance, receipts and the guardian, then hands it to the platform owner
+        fundingEscrow.initialize(
+            address(this),
+            _projectOwner,
+            _fundingGoal,
+            _fundingDuration,
+            _totalStages,
+            _stageAllocations,
+            _paymentToken,
+            _stageDurations,
+            _flexibleFunding
+        );
+        fundingEscrow.setGovernanceContract(governanceContract);
+        MilestoneGovernance(governanceContract).registerEscrow(escrow);
+        if (receiptContract != address(0)) {
+            fundingEscrow.setReceiptContract(receiptContract);
+            ContributionReceipt(receiptContract).registerEscrow(escrow);
+        }
+        if (guardian != address(0)) {
+            fundingEscrow.setGuardian(guardian);
+        }
+        fundingEscrow.transferOwnership(owner());
+
+        uint256 projectIndex = projects.length;
+        projects.push(escrow);
+        ownerProjects[_projectOwner].push(escrow);
+        isProject[escrow] = true;
+
+        emit ProjectCreated(
+            escrow,
+            _projectOwner,
+            projectIndex,
+            _fundingGoal,
+            fundingEscrow.fundingDeadline(),
+            _totalStages,
+            _paymentToken,
+            _flexibleFunding
+        );
+    }
+
+    /**
+     * @dev Called by an escrow of this factory once a project ownership transfer is accepted
+     * @notice Moves the escrow to the new owner's list; the previous owner's list is reordered
+     * @param _previousOwner Project owner before the transfer
+     * @param _newOwner Project owner after the transfer
+     */
+    function projectOwnerChanged(address _previousOwner, address _newOwner) external {
+        require(isProject[msg.sender], "Only factory projects can report owner changes");
+
+        address[] storage previousProjects = ownerProjects[_previousOwner];
+        for (uint256 i = 0; i < previousProjects.length; i++) {
+            if (previousProjects[i] == msg.sender) {
+                previousProjects[i] = previousProjects[previousProjects.length - 1];
+                previousProjects.pop();
+                break;
+            }
+        }
+        ownerProjects[_newOwner].push(msg.sender);
+
+        emit ProjectOwnerChanged(msg.sender, _previousOwner, _newOwner);
+    }
+
+    /**
+     * @dev Returns the number of projects created by this factory
+     */
+    function getProjectCount() external view returns (uint256) {
+        return projects.length;
+    }
+
+    /**
+     * @dev Returns the escrow address at a specific index
+     */
+    function getProject(uint256 index) external view returns (address) {
+        require(index < projects.length, "Index out of bounds");
+        return projects[index];
+    }
+
+    /**
+     * @dev Returns the number of projects owned by an address
+     */
+    function getOwnerProjectCount(address _projectOwner) external view returns (uint256) {
+        return ownerProjects[_projectOwner].length;
+    }
+
+    /**
+     * @dev Returns the escrow owned by an address at a specific index
+     */
+    function getOwnerProject(address _projectOwner, uint256 index) external view returns (address) {
+        require(index < ownerProjects[_projectOwner].length, "Index out of bounds");
+        return ownerProjects[_projectOwner][index];
+    }
+
+    /**
+     * @dev Returns every escrow owned by an address
+     */
+    function getProjectsByOwner(address _projectOwner) external view returns (address[] memory) {
+        return ownerProjects[_projectOwner];
+    }
+}
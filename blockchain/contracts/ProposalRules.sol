@@ -0,0 +1,322 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./FundingEscrow.sol";
+import "./MilestoneGovernance.sol";
+
+/**
+ * @title ProposalRules
+ * @dev Checks a project's escrow before MilestoneGovernance opens a proposal or changes its voting
+ * settings, carries out proposals once voting ends, and works out the reputation earned by votes
+ * on executed proposals
+ * @notice Deployed separately and linked into MilestoneGovernance to keep it under the contract size limit.
+ * Functions run in the governance contract's storage.
+ */
+library ProposalRules {
+    // Reputation gained for siding with the outcome, and lost for approving a later-cancelled project
+    uint256 internal constant REPUTATION_REWARD = 5;
+    uint256 internal constant REPUTATION_PENALTY = 20;
+
+    // Also declared in MilestoneGovernance, whose address emits them
+    event ProposalApproved(uint256 indexed proposalId, uint256 votesFor, uint256 votesAgainst);
+    event ProposalRejected(uint256 indexed proposalId, uint256 votesFor, uint256 votesAgainst);
+    event ProposalExecuted(uint256 indexed proposalId, bool success);
+    
+    /**
+     * @dev Reverts unless the project owner may open a proposal for this milestone
+     * @param _releasePercentage Share of the stage allocation the proposal would release
+     */
+    function checkMilestoneProposal(
+        address _escrowContract,
+        address _proposer,
+        uint256 _stageIndex,
+        uint256 _releasePercentage,
+        string memory _evidenceHash
+    ) external view {
+        require(_escrowContract != address(0), "Invalid escrow address");
+        require(bytes(_evidenceHash).length > 0, "Evidence hash required");
+        require(
+            _releasePercentage > 0 && _releasePercentage <= 100,
+            "Release percentage must be between 1 and 100"
+        );
+
+        FundingEscrow escrow = FundingEscrow(payable(_escrowContract));
+        require(_proposer == escrow.projectOwner(), "Only project owner can create proposal");
+        require(escrow.fundingSucceeded(), "Funding goal not reached");
+        require(!escrow.stageCompleted(_stageIndex), "Stage already completed");
+        require(_stageIndex == escrow.currentStage(), "Must complete stages in order");
+    }
+
+    /**
+     * @dev Reverts unless the proposer may open a cancellation proposal for the project, and marks
+     * the project as having one open, so only one can be voted on at a time
+     * @notice Funding must have closed: the proposal would otherwise compete with donations still arriving
+     * @param _openCancellation Escrows with an active cancellation proposal
+     * @param _isRegisteredVoter Whether the proposer is a registered voter
+     * @return stageIndex The project's current stage
+     * @return projectOwner The project's owner
+     */
+    function checkCancellationProposal(
+        mapping(address => bool) storage _openCancellation,
+        address _escrowContract,
+        address _proposer,
+        bool _isRegisteredVoter,
+        string memory _evidenceHash
+    ) external returns (uint256 stageIndex, address projectOwner) {
+        require(_escrowContract != address(0), "Invalid escrow address");
+        require(bytes(_evidenceHash).length > 0, "Evidence hash required");
+
+        FundingEscrow escrow = FundingEscrow(payable(_escrowContract));
+        require(
+            escrow.contributions(_proposer) > 0 || _isRegisteredVoter,
+            "Only donors or registered voters can propose cancellation"
+        );
+        require(!escrow.projectCancelled(), "Project already cancelled");
+        require(escrow.fundingClosed(), "Funding is still open");
+        require(!_openCancellation[_escrowContract], "Project has an open cancellation proposal");
+        stageIndex = escrow.currentStage();
+        require(stageIndex < escrow.totalStages(), "All stages already completed");
+        _openCancellation[_escrowContract] = true;
+
+        return (stageIndex, escrow.projectOwner());
+    }
+
+    /**
+     * @dev Quorum base of a donor-weighted proposal: the funds raised, which are only fixed once funding has closed
+     */
+    function donorVotingSupply(FundingEscrow _escrow) external view returns (uint256) {
+        require(_escrow.fundingClosed(), "Donor votes need funding to have closed");
+        return _escrow.fundsRaised();
+    }
+
+    /**
+     * @dev Reverts unless the voter may cast an open (not commit-reveal) vote on the proposal now
+     */
+    function checkVote(MilestoneGovernance.Proposal storage _proposal, address _voter) external view {
+        require(_proposal.status == MilestoneGovernance.ProposalStatus.Active, "Proposal not active");
+        require(!_proposal.commitReveal, "Proposal uses commit-reveal voting");
+        require(block.timestamp <= _proposal.endTime, "Voting period ended");
+        require(!_proposal.hasVoted[_voter], "Already voted on this proposal");
+    }
+    
+    /**
+     * @dev Why the voter cannot vote or commit on the proposal right now, whatever their weight
+     * @return reason Empty if nothing but the voter's weight stands in the way
+     */
+    function voteBlocker(
+        MilestoneGovernance.Proposal storage _proposal,
+        address _voter
+    ) external view returns (string memory reason) {
+        if (_proposal.status != MilestoneGovernance.ProposalStatus.Active) {
+            return "Proposal not active";
+        }
+        if (block.timestamp > _proposal.endTime) {
+            return "Voting period ended";
+        }
+        if (_proposal.hasVoted[_voter]) {
+            return "Already voted on this proposal";
+        }
+        if (_proposal.commitments[_voter] != bytes32(0)) {
+            return "Already committed";
+        }
+    }
+    
+    /**
+     * @dev Reverts unless the voter may commit to a hidden vote on the proposal
+     */
+    function checkCommit(
+        MilestoneGovernance.Proposal storage _proposal,
+        address _voter,
+        bytes32 _commitHash
+    ) external view {
+        require(_proposal.commitReveal, "Proposal does not use commit-reveal voting");
+        require(_proposal.status == MilestoneGovernance.ProposalStatus.Active, "Proposal not active");
+        require(block.timestamp <= _proposal.endTime, "Commit period ended");
+        require(_proposal.commitments[_voter] == bytes32(0), "Already committed");
+        require(_commitHash != bytes32(0), "Invalid commitment");
+    }
+    
+    /**
+     * @dev Reverts unless the voter may reveal now and the reveal matches their commitment
+     * @param _commitHash Commitment recomputed from the revealed choice and salt
+     */
+    function checkReveal(
+        MilestoneGovernance.Proposal storage _proposal,
+        address _voter,
+        bytes32 _commitHash
+    ) external view {
+        require(_proposal.commitReveal, "Proposal does not use commit-reveal voting");
+        require(_proposal.status == MilestoneGovernance.ProposalStatus.Active, "Proposal not active");
+        require(block.timestamp > _proposal.endTime, "Commit period not ended");
+        require(block.timestamp <= _proposal.revealEndTime, "Reveal period ended");
+        require(_proposal.commitments[_voter] != bytes32(0), "No commitment");
+        require(!_proposal.hasVoted[_voter], "Already revealed");
+        require(_commitHash == _proposal.commitments[_voter], "Reveal does not match commitment");
+    }
+    
+    /**
+     * @dev Marks a committed vote that was never revealed as reported, once per voter and proposal
+     */
+    function recordMissedReveal(MilestoneGovernance.Proposal storage _proposal, address _voter) external {
+        require(_proposal.commitReveal, "Proposal does not use commit-reveal voting");
+        require(block.timestamp > _proposal.revealEndTime, "Reveal period not ended");
+        require(_proposal.commitments[_voter] != bytes32(0), "No commitment");
+        require(!_proposal.hasVoted[_voter], "Vote was revealed");
+        require(!_proposal.missedRevealReported[_voter], "Already reported");
+        
+        _proposal.missedRevealReported[_voter] = true;
+    }
+    
+    /**
+     * @dev Tallies a proposal whose voting has ended and, if it passed, applies it to the escrow
+     * @notice A passed proposal the escrow refuses (e.g. the stage was already paid) ends up rejected.
+     * A proposal of a deregistered escrow is rejected at once, without a tally or reputation changes,
+     * so its voters are not kept from unstaking.
+     * @param _escrowRegistered Whether the proposal's escrow is still registered with governance
+     * @param _openCancellation Escrows with an active cancellation proposal, cleared as this one closes
+     * @return cancelled True if the proposal cancelled its project
+     */
+    function execute(
+        MilestoneGovernance.Proposal storage _proposal,
+        bool _escrowRegistered,
+        mapping(address => bool) storage _openCancellation
+    ) external returns (bool cancelled) {
+        require(_proposal.status == MilestoneGovernance.ProposalStatus.Active, "Proposal not active");
+        // Every path below leaves the proposal approved or rejected
+        bool cancellation = _proposal.proposalType == MilestoneGovernance.ProposalType.Cancellation;
+        if (cancellation) {
+            delete _openCancellation[_proposal.escrowContract];
+        }
+        if (!_escrowRegistered) {
+            _proposal.status = MilestoneGovernance.ProposalStatus.Rejected;
+            emit ProposalRejected(_proposal.id, _proposal.votesFor, _proposal.votesAgainst);
+            return false;
+        }
+        require(block.timestamp > _proposal.endTime, "Voting period not ended");
+        require(
+            !_proposal.commitReveal || block.timestamp > _proposal.revealEndTime,
+            "Reveal period not ended"
+        );
+        require(!_proposal.executed, "Proposal already executed");
+        
+        // Quadratic weights do not add up to stake, so their quorum counts the stake that voted
+        uint256 totalVotes = _proposal.votingMode == MilestoneGovernance.VotingMode.Quadratic
+            ? _proposal.stakeVoted
+            : _proposal.votesFor + _proposal.votesAgainst;
+        FundingEscrow escrow = FundingEscrow(payable(_proposal.escrowContract));
+        _proposal.executed = true;
+        
+        // Check quorum against the voting supply snapshotted at creation, with the quorum of that time
+        bool quorumReached = (totalVotes * 100) >= (_proposal.totalVotingSupply * _proposal.quorumPercentage);
+        
+        if (!quorumReached || _proposal.votesFor <= _proposal.votesAgainst) {
+            _proposal.status = MilestoneGovernance.ProposalStatus.Rejected;
+            emit ProposalRejected(_proposal.id, _proposal.votesFor, _proposal.votesAgainst);
+            return false;
+        }
+        
+        bool success;
+        if (cancellation) {
+            // Cancel the project so donors can claim refunds
+            try escrow.cancelProject() {
+                success = true;
+            } catch {}
+        } else {
+            // Release the approved share of the stage's funds from escrow
+            try escrow.releasePartialFunds(_proposal.stageIndex, _proposal.releasePercentage) {
+                success = true;
+            } catch {}
+        }
+        
+        if (success) {
+            _proposal.status = MilestoneGovernance.ProposalStatus.Approved;
+            emit ProposalApproved(_proposal.id, _proposal.votesFor, _proposal.votesAgainst);
+        } else {
+            _proposal.status = MilestoneGovernance.ProposalStatus.Rejected;
+        }
+        emit ProposalExecuted(_proposal.id, success);
+        return success && cancellation;
+    }
+    
+    /**
+     * @dev Copies a proposal's fields (everything but the per-voter mappings) for getProposal()
+     */
+    function describe(
+        MilestoneGovernance.Proposal storage _proposal
+    ) external view returns (MilestoneGovernance.ProposalView memory details) {
+        details.id = _proposal.id;
+        details.proposalType = _proposal.proposalType;
+        details.votingMode = _proposal.votingMode;
+        details.stageIndex = _proposal.stageIndex;
+        details.projectOwner = _proposal.projectOwner;
+        details.escrowContract = _proposal.escrowContract;
+        details.evidenceHash = _proposal.evidenceHash;
+        details.releasePercentage = _proposal.releasePercentage;
+        details.votesFor = _proposal.votesFor;
+        details.votesAgainst = _proposal.votesAgainst;
+        details.startTime = _proposal.startTime;
+        details.endTime = _proposal.endTime;
+        details.snapshotBlock = _proposal.snapshotBlock;
+        details.totalVotingSupply = _proposal.totalVotingSupply;
+        details.stakeVoted = _proposal.stakeVoted;
+        details.quorumPercentage = _proposal.quorumPercentage;
+        details.minimumStake = _proposal.minimumStake;
+        details.commitReveal = _proposal.commitReveal;
+        details.revealEndTime = _proposal.revealEndTime;
+        details.status = _proposal.status;
+        details.executed = _proposal.executed;
+    }
+    
+    /**
+     * @dev Marks a voter's vote on an executed proposal as settled and returns its reputation change
+     * @param _projectCancelled Whether governance has since cancelled the proposal's project
+     * @return delta Reputation to add (negative to remove)
+     * @return slash Whether the voter's stake is slashed as well
+     */
+    function settleReputation(
+        MilestoneGovernance.Proposal storage _proposal,
+        address _voter,
+        bool _projectCancelled
+    ) external returns (int256 delta, bool slash) {
+        require(_proposal.executed, "Proposal not executed");
+        require(
+            _proposal.votingMode != MilestoneGovernance.VotingMode.DonorWeighted,
+            "Reputation only applies to staked votes"
+        );
+        require(_proposal.hasVoted[_voter], "Did not vote on this proposal");
+        
+        bool approved = _proposal.status == MilestoneGovernance.ProposalStatus.Approved;
+        bool overturned = approved 
+            && _proposal.proposalType == MilestoneGovernance.ProposalType.Milestone 
+            && _projectCancelled;
+        
+        if (overturned) {
+            // The cancellation ruling replaces the outcome reward
+            require(!_proposal.cancellationSettled[_voter], "Already settled");
+            _proposal.cancellationSettled[_voter] = true;
+            bool rewarded = _proposal.reputationSettled[_voter];
+            _proposal.reputationSettled[_voter] = true;
+            if (_proposal.support[_voter]) {
+                // Undo the outcome reward if it was already paid
+                uint256 penalty = REPUTATION_PENALTY + (rewarded ? REPUTATION_REWARD : 0);
+                return (-int256(penalty), true);
+            }
+            return (int256(REPUTATION_REWARD), false);
+        }
+        
+        require(!_proposal.reputationSettled[_voter], "Already settled");
+        _proposal.reputationSettled[_voter] = true;
+        return (_proposal.support[_voter] == approved ? int256(REPUTATION_REWARD) : int256(0), false);
+    }
+    
+    /**
+     * @dev Reverts unless the caller owns the project and its funding has not yet succeeded
+     */
+    function checkVotingSettingsChange(address _escrowContract, address _caller) external view {
+        require(_escrowContract != address(0), "Invalid escrow address");
+
+        FundingEscrow escrow = FundingEscrow(payable(_escrowContract));
+        require(_caller == escrow.projectOwner(), "Only project owner can set voting mode");
+        require(!escrow.fundingSucceeded(), "Voting mode is locked once funded");
+    }
+}
@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+/**
+ * @title VoteSignatures
+ * @dev Recovers the signers of EIP-712 messages accepted by MilestoneGovernance
+ * @notice Deployed separately and linked into MilestoneGovernance to keep it under the contract size limit
+ */
+library VoteSignatures {
+    // EIP-712 type of a signed vote, relayed by someone else through voteBySig()
+    bytes32 internal constant VOTE_TYPEHASH =
+        keccak256("Vote(uint256 proposalId,bool inFavor,uint256 nonce,uint256 deadline)");
+
+    // EIP-712 type of the registration attestation quadratic voting requires, see attestVoter()
+    bytes32 internal constant ATTESTATION_TYPEHASH = keccak256("Attestation(address voter)");
+
+    /**
+     * @dev Returns the voter who signed a vote, reverting if the signature is expired or malformed
+     * @param _domainSeparator The governance contract's EIP-712 domain separator
+     */
+    function recoverVoter(
+        bytes32 _domainSeparator,
+        uint256 _proposalId,
+        bool _inFavor,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external view returns (address voter) {
+        require(block.timestamp <= _deadline, "Signature expired");
+
+        return _recover(
+            _domainSeparator,
+            keccak256(abi.encode(VOTE_TYPEHASH, _proposalId, _inFavor, _nonce, _deadline)),
+            _signature
+        );
+    }
+
+    /**
+     * @dev Returns who signed a voter's registration attestation, reverting if the signature is malformed
+     * @param _domainSeparator The governance contract's EIP-712 domain separator
+     */
+    function recoverAttester(
+        bytes32 _domainSeparator,
+        address _voter,
+        bytes calldata _signature
+    ) external pure returns (address) {
+        return _recover(_domainSeparator, keccak256(abi.encode(ATTESTATION_TYPEHASH, _voter)), _signature);
+    }
+
+    function _recover(
+        bytes32 _domainSeparator,
+        bytes32 _structHash,
+        bytes calldata _signature
+    ) private pure returns (address signer) {
+        ECDSA.RecoverError error;
+        (signer, error, ) = ECDSA.tryRecover(MessageHashUtils.toTypedDataHash(_domainSeparator, _structHash), _signature);
+        require(error == ECDSA.RecoverError.NoError, "Invalid signature");
+    }
+}
@@ -0,0 +1,136 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+
+/**
+ * @title VotingPowerLedger
+ * @dev Block-checkpointed stakes, voting power and delegation for MilestoneGovernance
+ * @notice Deployed separately and linked into MilestoneGovernance, which would otherwise
+ * exceed the contract size limit. Functions run in the governance contract's storage.
+ */
+library VotingPowerLedger {
+    using Checkpoints for Checkpoints.Trace208;
+
+    struct Ledger {
+        mapping(address => Checkpoints.Trace208) stakes;
+        Checkpoints.Trace208 totalStake;
+        mapping(address => address) delegates;
+        mapping(address => Checkpoints.Trace208) delegateHistory; // delegate address as uint160
+        mapping(address => Checkpoints.Trace208) votingPower; // own stake + reputation weight
+        mapping(address => Checkpoints.Trace208) delegatedPower; // power delegated to the address
+        Checkpoints.Trace208 totalVotingPower; // sum of every voter's own power
+    }
+
+    // Also declared in MilestoneGovernance, whose address emits them
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event DelegatedPowerChanged(address indexed delegate, uint256 previousPower, uint256 newPower);
+
+    /**
+     * @dev Checkpoints a voter's new stake and the total, then their voting power
+     * @param _stake The voter's stake after the change
+     * @param _amount Size of the change
+     * @param _added True if stake was added, false if removed
+     * @param _power The voter's voting power after the change
+     */
+    function recordStake(
+        Ledger storage self,
+        address _voter,
+        uint256 _stake,
+        uint256 _amount,
+        bool _added,
+        uint256 _power
+    ) external {
+        uint48 blockNumber = SafeCast.toUint48(block.number);
+        uint256 total = self.totalStake.latest();
+
+        self.stakes[_voter].push(blockNumber, SafeCast.toUint208(_stake));
+        self.totalStake.push(blockNumber, SafeCast.toUint208(_added ? total + _amount : total - _amount));
+        updateVotingPower(self, _voter, _power);
+    }
+
+    /**
+     * @dev Re-checkpoints a voter's power and the total, and carries the change to their delegate
+     */
+    function updateVotingPower(Ledger storage self, address _voter, uint256 _power) public {
+        uint48 blockNumber = SafeCast.toUint48(block.number);
+        uint256 oldPower = self.votingPower[_voter].latest();
+        uint256 total = self.totalVotingPower.latest();
+
+        self.votingPower[_voter].push(blockNumber, SafeCast.toUint208(_power));
+        self.totalVotingPower.push(blockNumber, SafeCast.toUint208(total + _power - oldPower));
+
+        address delegatee = self.delegates[_voter];
+        if (_power > oldPower) {
+            _moveDelegatedPower(self, address(0), delegatee, _power - oldPower);
+        } else {
+            _moveDelegatedPower(self, delegatee, address(0), oldPower - _power);
+        }
+    }
+
+    /**
+     * @dev Points a voter at a new delegate (or none) and moves their power across
+     */
+    function setDelegate(Ledger storage self, address _delegator, address _delegatee) external {
+        address previous = self.delegates[_delegator];
+
+        self.delegates[_delegator] = _delegatee;
+        self.delegateHistory[_delegator].push(
+            SafeCast.toUint48(block.number),
+            uint208(uint160(_delegatee))
+        );
+        _moveDelegatedPower(self, previous, _delegatee, self.votingPower[_delegator].latest());
+
+        emit DelegateChanged(_delegator, previous, _delegatee);
+    }
+
+    function stakeAt(Ledger storage self, address _voter, uint256 _blockNumber) external view returns (uint256) {
+        return self.stakes[_voter].upperLookupRecent(SafeCast.toUint48(_blockNumber));
+    }
+
+    function totalStakeAt(Ledger storage self, uint256 _blockNumber) external view returns (uint256) {
+        return self.totalStake.upperLookupRecent(SafeCast.toUint48(_blockNumber));
+    }
+
+    function totalVotingPowerAt(Ledger storage self, uint256 _blockNumber) external view returns (uint256) {
+        return self.totalVotingPower.upperLookupRecent(SafeCast.toUint48(_blockNumber));
+    }
+
+    function votingPowerAt(Ledger storage self, address _voter, uint256 _blockNumber) external view returns (uint256) {
+        return self.votingPower[_voter].upperLookupRecent(SafeCast.toUint48(_blockNumber));
+    }
+
+    function delegatedPowerAt(
+        Ledger storage self,
+        address _delegatee,
+        uint256 _blockNumber
+    ) external view returns (uint256) {
+        return self.delegatedPower[_delegatee].upperLookupRecent(SafeCast.toUint48(_blockNumber));
+    }
+
+    function delegateAt(Ledger storage self, address _delegator, uint256 _blockNumber) external view returns (address) {
+        return address(uint160(self.delegateHistory[_delegator].upperLookupRecent(SafeCast.toUint48(_blockNumber))));
+    }
+
+    /**
+     * @dev Moves delegated power between delegates; address(0) means no delegate
+     */
+    function _moveDelegatedPower(Ledger storage self, address _from, address _to, uint256 _amount) private {
+        if (_from == _to || _amount == 0) {
+            return;
+        }
+        uint48 blockNumber = SafeCast.toUint48(block.number);
+
+        if (_from != address(0)) {
+            uint256 previousPower = self.delegatedPower[_from].latest();
+            self.delegatedPower[_from].push(blockNumber, SafeCast.toUint208(previousPower - _amount));
+            emit DelegatedPowerChanged(_from, previousPower, previousPower - _amount);
+        }
+        if (_to != address(0)) {
+            uint256 previousPower = self.delegatedPower[_to].latest();
+            self.delegatedPower[_to].push(blockNumber, SafeCast.toUint208(previousPower + _amount));
+            emit DelegatedPowerChanged(_to, previousPower, previousPower + _amount);
+        }
+    }
+}
@@ -6,6 +6,8 @@ module.exports = {
   solidity: {
     version: "0.8.20",
     settings: {
+      // The IR pipeline keeps MilestoneGovernance under the 24KB contract size limit
+      viaIR: true,
       optimizer: {
         enabled: true,
         runs: 200,
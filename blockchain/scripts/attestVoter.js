@@ -0,0 +1,54 @@
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+
+/**
+ * Sign a voter's registration attestation and record it on MilestoneGovernance
+ * Usage: GOVERNANCE_ADDRESS=0x... VOTER_ADDRESS=0x... npx hardhat run scripts/attestVoter.js --network <network>
+ *
+ * Run with the attestation signer's key (the deployer unless setAttestationSigner() changed it),
+ * and only after checking off-chain that the voter holds no other attested address: quadratic
+ * votes count each attested address once.
+ */
+async function main() {
+  const governanceAddress = process.env.GOVERNANCE_ADDRESS;
+  const voterAddress = process.env.VOTER_ADDRESS;
+
+  if (!ethers.isAddress(governanceAddress) || !ethers.isAddress(voterAddress)) {
+    console.log("? Please provide GOVERNANCE_ADDRESS and VOTER_ADDRESS");
+    process.exit(1);
+  }
+
+  const [signer] = await ethers.getSigners();
+  const governance = await ethers.getContractAt("MilestoneGovernance", governanceAddress);
+
+  const attestationSigner = await governance.attestationSigner();
+  if (attestationSigner !== signer.address) {
+    console.log("? Attestations must be signed by", attestationSigner, "but this account is", signer.address);
+    process.exit(1);
+  }
+  if (await governance.isAttested(voterAddress)) {
+    console.log("? Voter is already attested:", voterAddress);
+    return;
+  }
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const domain = {
+    name: "MilestoneGovernance",
+    version: "1",
+    chainId,
+    verifyingContract: governanceAddress,
+  };
+  const types = { Attestation: [{ name: "voter", type: "address" }] };
+  const signature = await signer.signTypedData(domain, types, { voter: voterAddress });
+
+  await (await governance.attestVoter(voterAddress, signature)).wait();
+  console.log("? Attested voter on", hre.network.name, ":", voterAddress);
+  console.log("  Signature (anyone can resubmit it with attestVoter):", signature);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -18,6 +18,7 @@ async function main() {
   const fundingDuration = 30 * 24 * 60 * 60; // 30 days
   const totalStages = 5; // 5 milestone stages
   const stageAllocations = [2000, 2000, 2000, 2000, 2000]; // 20% each stage
+  const stageDurations = Array(totalStages).fill(30 * 24 * 60 * 60); // each stage due 30 days after the previous one
 
   console.log("?? Deployment Configuration:");
   console.log("  Project Owner:", projectOwner);
@@ -25,36 +26,118 @@ async function main() {
   console.log("  Funding Duration:", fundingDuration / (24 * 60 * 60), "days");
   console.log("  Total Stages:", totalStages);
   console.log("  Stage Allocations:", stageAllocations.map(a => a / 100 + "%").join(", "));
+  console.log("  Stage Durations:", stageDurations.map(d => d / (24 * 60 * 60) + " days").join(", "));
   console.log("====================================\n");
 
   // Deploy MilestoneGovernance contract
   console.log("?? Deploying MilestoneGovernance contract...");
-  const MilestoneGovernance = await ethers.getContractFactory("MilestoneGovernance");
+  // Governance links the VotingPowerLedger, ProposalRules, ParameterTimelock, VoteSignatures and EscrowRegistry libraries, which are deployed first
+  const VotingPowerLedger = await ethers.getContractFactory("VotingPowerLedger");
+  const ledger = await VotingPowerLedger.deploy();
+  await ledger.waitForDeployment();
+  const ProposalRules = await ethers.getContractFactory("ProposalRules");
+  const rules = await ProposalRules.deploy();
+  await rules.waitForDeployment();
+  const ParameterTimelock = await ethers.getContractFactory("ParameterTimelock");
+  const timelock = await ParameterTimelock.deploy();
+  await timelock.waitForDeployment();
+  const VoteSignatures = await ethers.getContractFactory("VoteSignatures");
+  const signatures = await VoteSignatures.deploy();
+  await signatures.waitForDeployment();
+  const EscrowRegistry = await ethers.getContractFactory("EscrowRegistry");
+  const registry = await EscrowRegistry.deploy();
+  await registry.waitForDeployment();
+  const MilestoneGovernance = await ethers.getContractFactory("MilestoneGovernance", {
+    libraries: {
+      VotingPowerLedger: await ledger.getAddress(),
+      ProposalRules: await rules.getAddress(),
+      ParameterTimelock: await timelock.getAddress(),
+      VoteSignatures: await signatures.getAddress(),
+      EscrowRegistry: await registry.getAddress(),
+    },
+  });
   const governance = await MilestoneGovernance.deploy(ethers.ZeroAddress); // Use ETH staking
   await governance.waitForDeployment();
   const governanceAddress = await governance.getAddress();
   console.log("? MilestoneGovernance deployed to:", governanceAddress);
   console.log("====================================\n");
 
-  // Deploy FundingEscrow contract
-  console.log("?? Deploying FundingEscrow contract...");
+  // Deploy FundingEscrow implementation (template for factory clones)
+  console.log("?? Deploying FundingEscrow implementation...");
   const FundingEscrow = await ethers.getContractFactory("FundingEscrow");
-  const escrow = await FundingEscrow.deploy(
+  const implementation = await FundingEscrow.deploy(
+    deployer.address,
+    1,
+    0,
+    3,
+    [3334, 3333, 3333],
+    hre.ethers.ZeroAddress, // ETH payments
+    [1, 1, 1],
+    false // All-or-nothing funding
+  );
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  console.log("? FundingEscrow implementation deployed to:", implementationAddress);
+  console.log("====================================\n");
+
+  // Deploy ProjectFactory contract (wires governance into every escrow it creates)
+  console.log("?? Deploying ProjectFactory contract...");
+  const ProjectFactory = await ethers.getContractFactory("ProjectFactory");
+  const factory = await ProjectFactory.deploy(implementationAddress, governanceAddress);
+  await factory.waitForDeployment();
+  const factoryAddress = await factory.getAddress();
+  // Governance only takes proposals for escrows its listed factory registers
+  await (await governance.setProjectFactory(factoryAddress)).wait();
+  console.log("? ProjectFactory deployed to:", factoryAddress);
+  console.log("====================================\n");
+
+  // Deploy ContributionReceipt (donor receipt NFTs) and let the factory register every escrow it creates
+  console.log("?? Deploying ContributionReceipt contract...");
+  const ContributionReceipt = await ethers.getContractFactory("ContributionReceipt");
+  const receipts = await ContributionReceipt.deploy();
+  await receipts.waitForDeployment();
+  const receiptAddress = await receipts.getAddress();
+  await (await receipts.setProjectFactory(factoryAddress)).wait();
+  await (await factory.setReceiptContract(receiptAddress)).wait();
+  console.log("? ContributionReceipt deployed to:", receiptAddress);
+  console.log("====================================\n");
+
+  // The guardian can pause governance and every escrow the factory creates (defaults to the deployer)
+  const guardianAddress = process.env.GUARDIAN_ADDRESS || deployer.address;
+  await (await governance.setGuardian(guardianAddress)).wait();
+  await (await factory.setGuardian(guardianAddress)).wait();
+  console.log("? Guardian set to:", guardianAddress);
+
+  // Quadratic votes only count voters this key has attested (see scripts/attestVoter.js)
+  const attestationSignerAddress = process.env.ATTESTATION_SIGNER_ADDRESS || deployer.address;
+  await (await governance.setAttestationSigner(attestationSignerAddress)).wait();
+  console.log("? Attestation signer set to:", attestationSignerAddress);
+  console.log("====================================\n");
+
+  // Create the sample FundingEscrow through the factory
+  console.log("?? Creating FundingEscrow through ProjectFactory...");
+  const createTx = await factory.createProject(
     projectOwner,
     fundingGoal,
     fundingDuration,
     totalStages,
-    stageAllocations
+    stageAllocations,
+    hre.ethers.ZeroAddress, // ETH payments
+    stageDurations,
+    false // All-or-nothing funding
   );
-  await escrow.waitForDeployment();
-  const escrowAddress = await escrow.getAddress();
-  console.log("? FundingEscrow deployed to:", escrowAddress);
-  console.log("====================================\n");
-
-  // Link contracts
-  console.log("?? Linking contracts...");
-  const setGovTx = await escrow.setGovernanceContract(governanceAddress);
-  await setGovTx.wait();
+  const createReceipt = await createTx.wait();
+  const createdEvent = createReceipt.logs
+    .map((log) => {
+      try {
+        return factory.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find((parsed) => parsed && parsed.name === "ProjectCreated");
+  const escrowAddress = createdEvent.args.escrow;
+  console.log("? FundingEscrow created at:", escrowAddress);
   console.log("? Governance contract linked to Escrow");
   console.log("====================================\n");
 
@@ -65,15 +148,23 @@ async function main() {
   console.log("Deployer:", deployer.address);
   console.log("\n?? Contract Addresses:");
   console.log("  MilestoneGovernance:", governanceAddress);
+  console.log("  ProjectFactory:", factoryAddress);
+  console.log("  ContributionReceipt:", receiptAddress);
+  console.log("  FundingEscrow implementation:", implementationAddress);
   console.log("  FundingEscrow:", escrowAddress);
+  console.log("  Guardian:", guardianAddress);
+  console.log("  Attestation signer:", attestationSignerAddress);
   
   console.log("\n?? Verification Commands:");
   console.log(`  npx hardhat verify --network ${hre.network.name} ${governanceAddress} "${ethers.ZeroAddress}"`);
-  console.log(`  npx hardhat verify --network ${hre.network.name} ${escrowAddress} "${projectOwner}" "${fundingGoal}" "${fundingDuration}" "${totalStages}" "[${stageAllocations}]"`);
+  console.log(`  npx hardhat verify --network ${hre.network.name} ${implementationAddress} "${deployer.address}" "1" "0" "3" "[3334,3333,3333]" "${hre.ethers.ZeroAddress}" "[1,1,1]" "false"`);
+  console.log(`  npx hardhat verify --network ${hre.network.name} ${factoryAddress} "${implementationAddress}" "${governanceAddress}"`);
+  console.log(`  npx hardhat verify --network ${hre.network.name} ${receiptAddress}`);
   
   console.log("\n?? Block Explorer URLs:");
   if (hre.network.name === "sepolia") {
     console.log("  MilestoneGovernance:", `https://sepolia.etherscan.io/address/${governanceAddress}`);
+    console.log("  ProjectFactory:", `https://sepolia.etherscan.io/address/${factoryAddress}`);
     console.log("  FundingEscrow:", `https://sepolia.etherscan.io/address/${escrowAddress}`);
   }
   
@@ -89,8 +180,13 @@ async function main() {
     timestamp: new Date().toISOString(),
     contracts: {
       MilestoneGovernance: governanceAddress,
+      ProjectFactory: factoryAddress,
+      ContributionReceipt: receiptAddress,
+      FundingEscrowImplementation: implementationAddress,
       FundingEscrow: escrowAddress,
     },
+    guardian: guardianAddress,
+    attestationSigner: attestationSignerAddress,
     configuration: {
       projectOwner,
       fundingGoal: fundingGoal.toString(),
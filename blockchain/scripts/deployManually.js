@@ -9,7 +9,7 @@ const hre = require("hardhat");
  * Usage:
  *   Interactive mode: npx hardhat run scripts/deployManually.js --network hardhat
  *   Command line: npx hardhat run scripts/deployManually.js --network hardhat -- \
- *     <projectOwner> <fundingGoal> <durationDays> <totalStages> <allocations>
+ *     <projectOwner> <fundingGoal> <durationDays> <totalStages> <allocations> [governance] [stageDurationDays]
  * 
  * Example:
  *   npx hardhat run scripts/deployManually.js --network hardhat -- \
@@ -18,6 +18,10 @@ const hre = require("hardhat");
  *     30 \
  *     5 \
  *     "[2000,2000,2000,2000,2000]"
+ *
+ * Stage durations default to 30 days per stage, counted from the funding deadline.
+ * Governance only takes proposals for escrows registered with it: the script registers the escrow
+ * when the deployer owns the governance contract, otherwise the governance owner must call registerEscrow.
  */
 
 async function deployManually() {
@@ -31,7 +35,7 @@ async function deployManually() {
   // Parse command line arguments
   const args = process.argv.slice(process.argv.indexOf('--') + 1);
   
-  let projectOwner, fundingGoal, durationDays, totalStages, stageAllocations, governanceAddress;
+  let projectOwner, fundingGoal, durationDays, totalStages, stageAllocations, governanceAddress, stageDurationDays;
   
   if (args.length >= 5) {
     // Command-line mode
@@ -41,6 +45,7 @@ async function deployManually() {
     totalStages = parseInt(args[3]);
     stageAllocations = JSON.parse(args[4]);
     governanceAddress = args[5] || hre.ethers.ZeroAddress;
+    stageDurationDays = args[6] ? JSON.parse(args[6]) : Array(totalStages).fill(30);
     
     console.log("📋 Using command-line parameters:");
   } else {
@@ -56,6 +61,7 @@ async function deployManually() {
     totalStages = 5;
     stageAllocations = [2000, 2000, 2000, 2000, 2000]; // 20% each
     governanceAddress = hre.ethers.ZeroAddress;
+    stageDurationDays = Array(totalStages).fill(30);
     
     console.log("📋 Using default parameters:");
   }
@@ -69,6 +75,7 @@ async function deployManually() {
   // Convert funding goal from ETH to wei
   const fundingGoalWei = hre.ethers.parseEther(fundingGoal.toString()).toString();
   const fundingDuration = durationDays * 24 * 60 * 60; // Convert days to seconds
+  const stageDurations = stageDurationDays.map(days => days * 24 * 60 * 60);
   
   // Validate allocations sum to 10000 (100%)
   const totalAllocation = stageAllocations.reduce((sum, val) => sum + val, 0);
@@ -97,6 +104,7 @@ async function deployManually() {
   console.log("   Duration:", durationDays, "days (" + fundingDuration + " seconds)");
   console.log("   Total Stages:", totalStages);
   console.log("   Stage Allocations:", stageAllocations.join(", "), "(basis points)");
+  console.log("   Stage Durations:", stageDurationDays.join(", "), "(days)");
   console.log("   Governance:", normalizedGovernance === hre.ethers.ZeroAddress ? "None" : normalizedGovernance);
   console.log("");
   
@@ -109,7 +117,10 @@ async function deployManually() {
     fundingGoalWei,
     fundingDuration,
     totalStages,
-    stageAllocations
+    stageAllocations,
+    hre.ethers.ZeroAddress, // ETH payments
+    stageDurations,
+    false // All-or-nothing funding
   );
   
   console.log("⏳ Waiting for deployment confirmation...");
@@ -125,6 +136,15 @@ async function deployManually() {
       const setGovTx = await escrow.setGovernanceContract(normalizedGovernance);
       await setGovTx.wait();
       console.log("✅ Governance contract linked");
+      
+      // Governance only takes proposals for escrows it has registered
+      const governance = await hre.ethers.getContractAt("MilestoneGovernance", normalizedGovernance);
+      if ((await governance.owner()).toLowerCase() === deployer.address.toLowerCase()) {
+        await (await governance.registerEscrow(contractAddress)).wait();
+        console.log("✅ Escrow registered with governance");
+      } else {
+        console.log("⚠️  The governance owner must call registerEscrow", contractAddress, "before proposals can be created");
+      }
     } catch (error) {
       console.warn("⚠️  Could not link governance contract:", error.message);
     }
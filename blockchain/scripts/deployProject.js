@@ -1,19 +1,78 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
 
 /**
- * Deploy a FundingEscrow contract for a project
- * Usage: npx hardhat run scripts/deployProject.js --network hardhat
- * Or call from backend with: node -e "require('./scripts/deployProject.js')"
- * 
- * Each deployment uses a different deployer account to ensure unique contract addresses
+ * Create a FundingEscrow for a project through the ProjectFactory
+ * Usage: npx hardhat run scripts/deployProject.js --network localhost
+ * Or call from another script with: require('./scripts/deployProject.js').deployProject({...})
+ *
+ * Every escrow is a minimal clone created by the factory, so each project gets a unique
+ * address from a single deployer account and is wired to governance automatically.
+ * If no factory address is given, a fresh implementation + factory is deployed first.
  */
+async function deployFactory(governanceAddress) {
+  const [deployer] = await hre.ethers.getSigners();
+
+  // Template escrow that every clone delegates to
+  const FundingEscrow = await hre.ethers.getContractFactory("FundingEscrow");
+  const implementation = await FundingEscrow.deploy(deployer.address, 1, 0, 3, [3334, 3333, 3333], hre.ethers.ZeroAddress, [1, 1, 1], false);
+  await implementation.waitForDeployment();
+
+  // The factory refuses to create projects without governance, so deploy one if none was given
+  let governance = governanceAddress;
+  let governanceContract;
+  if (governance === hre.ethers.ZeroAddress) {
+    const ledger = await hre.ethers.deployContract("VotingPowerLedger");
+    await ledger.waitForDeployment();
+    const rules = await hre.ethers.deployContract("ProposalRules");
+    await rules.waitForDeployment();
+    const timelock = await hre.ethers.deployContract("ParameterTimelock");
+    await timelock.waitForDeployment();
+    const signatures = await hre.ethers.deployContract("VoteSignatures");
+    await signatures.waitForDeployment();
+    const registry = await hre.ethers.deployContract("EscrowRegistry");
+    await registry.waitForDeployment();
+    const MilestoneGovernance = await hre.ethers.getContractFactory("MilestoneGovernance", {
+      libraries: {
+        VotingPowerLedger: await ledger.getAddress(),
+        ProposalRules: await rules.getAddress(),
+        ParameterTimelock: await timelock.getAddress(),
+        VoteSignatures: await signatures.getAddress(),
+        EscrowRegistry: await registry.getAddress(),
+      },
+    });
+    governanceContract = await MilestoneGovernance.deploy(hre.ethers.ZeroAddress);
+    await governanceContract.waitForDeployment();
+    governance = await governanceContract.getAddress();
+    console.log("✅ MilestoneGovernance deployed to:", governance);
+  }
+
+  const ProjectFactory = await hre.ethers.getContractFactory("ProjectFactory");
+  const factory = await ProjectFactory.deploy(await implementation.getAddress(), governance);
+  await factory.waitForDeployment();
+
+  // Governance only takes proposals for escrows its listed factory registers
+  if (governanceContract) {
+    await (await governanceContract.setProjectFactory(await factory.getAddress())).wait();
+  } else {
+    console.log("⚠️  The governance owner must call setProjectFactory", await factory.getAddress(), "before projects can be created");
+  }
+
+  console.log("✅ ProjectFactory deployed to:", await factory.getAddress());
+
+  // Donors get a receipt NFT from every escrow the factory creates
+  const receipts = await hre.ethers.deployContract("ContributionReceipt");
+  await receipts.waitForDeployment();
+  await (await receipts.setProjectFactory(await factory.getAddress())).wait();
+  await (await factory.setReceiptContract(await receipts.getAddress())).wait();
+  console.log("✅ ContributionReceipt deployed to:", await receipts.getAddress());
+  return factory;
+}
+
 async function deployProject(projectData) {
   // Support both direct object and environment variables
   let config = projectData;
-  
-  // If no projectData provided, try reading from environment variables (for backend deployment)
+
+  // If no projectData provided, try reading from environment variables
   if (!projectData || Object.keys(projectData).length === 0) {
     if (process.env.DEPLOYMENT_CONFIG) {
       config = JSON.parse(process.env.DEPLOYMENT_CONFIG);
@@ -25,56 +84,35 @@ async function deployProject(projectData) {
         totalStages: parseInt(process.env.DEPLOYMENT_TOTAL_STAGES || '5'),
         stageAllocations: JSON.parse(process.env.DEPLOYMENT_STAGE_ALLOCATIONS || '[2000,2000,2000,2000,2000]'),
         governanceAddress: process.env.DEPLOYMENT_GOVERNANCE_ADDRESS || hre.ethers.ZeroAddress,
+        factoryAddress: process.env.DEPLOYMENT_FACTORY_ADDRESS || hre.ethers.ZeroAddress,
+        paymentToken: process.env.DEPLOYMENT_PAYMENT_TOKEN || hre.ethers.ZeroAddress,
+        stageDurations: process.env.DEPLOYMENT_STAGE_DURATIONS ? JSON.parse(process.env.DEPLOYMENT_STAGE_DURATIONS) : undefined,
+        flexibleFunding: process.env.DEPLOYMENT_FLEXIBLE_FUNDING === 'true',
       };
     }
   }
-  
+
   const {
     projectOwner,
     fundingGoal, // in wei (string)
     fundingDuration, // in seconds (number)
     totalStages,
     stageAllocations, // array of basis points [2000, 2000, ...]
-    governanceAddress // optional
+    governanceAddress, // optional, only used when a new factory is deployed
+    factoryAddress, // optional
+    paymentToken, // optional, ERC-20 accepted for donations (ETH if omitted)
+    stageDurations, // optional, seconds per stage (30 days each if omitted)
+    flexibleFunding // optional, keep funds raised by the deadline even if the goal is missed
   } = config;
 
-  console.log("📦 Deploying FundingEscrow contract for project...");
-  
-  // ============================================
-  // UNIQUE ADDRESS GENERATION: Use counter-based deployer account
-  // ============================================
-  // Read deployment counter from file
-  const counterPath = path.join(__dirname, 'deploymentCounter.json');
-  let counterData = { counter: 0, lastDeployment: null };
-  
-  try {
-    if (fs.existsSync(counterPath)) {
-      counterData = JSON.parse(fs.readFileSync(counterPath, 'utf8'));
-    }
-  } catch (error) {
-    console.warn('⚠️  Could not read deployment counter, starting from 0:', error.message);
-  }
-  
-  // Increment counter for this deployment
-  const deploymentCounter = (counterData.counter || 0) + 1;
-  
-  // Get all available signers
-  const signers = await hre.ethers.getSigners();
-  
-  // Use a different signer based on counter (cycles through available accounts)
-  // This ensures each deployment gets a unique contract address
-  const deployerIndex = (deploymentCounter - 1) % signers.length;
-  const deployer = signers[deployerIndex];
-  
-  console.log(`🔑 Using deployer account #${deploymentCounter} (signer index ${deployerIndex}):`, deployer.address);
-  console.log(`📊 Deployment counter: ${deploymentCounter}`);
-  
+  console.log("📦 Creating FundingEscrow contract for project...");
+
   // Validate and normalize project owner address (prevent resolveName issues)
   if (!projectOwner || !hre.ethers.isAddress(projectOwner)) {
     throw new Error(`Invalid project owner address: ${projectOwner}`);
   }
   const normalizedOwner = hre.ethers.getAddress(projectOwner); // Normalize to checksum address
-  
+
   // Validate and normalize governance address if provided
   let normalizedGovernance = hre.ethers.ZeroAddress;
   if (governanceAddress && governanceAddress !== '0x0000000000000000000000000000000000000000') {
@@ -83,73 +121,90 @@ async function deployProject(projectData) {
     }
     normalizedGovernance = hre.ethers.getAddress(governanceAddress);
   }
-  
+
+  // Validate and normalize payment token address if provided
+  let normalizedToken = hre.ethers.ZeroAddress;
+  if (paymentToken && paymentToken !== '0x0000000000000000000000000000000000000000') {
+    if (!hre.ethers.isAddress(paymentToken)) {
+      throw new Error(`Invalid payment token address: ${paymentToken}`);
+    }
+    normalizedToken = hre.ethers.getAddress(paymentToken);
+  }
+
   // Convert stage allocations to numbers if they're strings
   const allocations = stageAllocations.map(a => typeof a === 'string' ? parseInt(a) : a);
-  
+
+  // Each stage is due its duration after the previous one, counted from the funding deadline
+  const durations = (stageDurations || Array(allocations.length).fill(30 * 24 * 60 * 60))
+    .map(d => typeof d === 'string' ? parseInt(d) : d);
+  if (durations.length !== allocations.length || durations.some(d => !(d > 0))) {
+    throw new Error(`Invalid stage durations: ${JSON.stringify(stageDurations)}`);
+  }
+
   // Validate funding goal is a valid number
   const goal = typeof fundingGoal === 'string' ? BigInt(fundingGoal) : BigInt(fundingGoal);
   if (goal <= 0n) {
     throw new Error(`Invalid funding goal: ${fundingGoal}`);
   }
-  
-  // Deploy FundingEscrow using the selected deployer
-  // IMPORTANT: Connect the factory to the specific deployer account to ensure unique addresses
-  const FundingEscrow = await hre.ethers.getContractFactory("FundingEscrow", deployer);
-  const escrow = await FundingEscrow.deploy(
+
+  // Use the existing factory if provided, otherwise deploy a fresh one
+  let factory;
+  if (factoryAddress && factoryAddress !== '0x0000000000000000000000000000000000000000') {
+    if (!hre.ethers.isAddress(factoryAddress)) {
+      throw new Error(`Invalid factory address: ${factoryAddress}`);
+    }
+    factory = await hre.ethers.getContractAt("ProjectFactory", hre.ethers.getAddress(factoryAddress));
+  } else {
+    console.log("⚠️  No factory address provided, deploying a new ProjectFactory");
+    factory = await deployFactory(normalizedGovernance);
+  }
+
+  const tx = await factory.createProject(
     normalizedOwner, // Use normalized address to prevent resolveName
     goal.toString(), // Convert back to string for deployment
     parseInt(fundingDuration),
     parseInt(totalStages),
-    allocations
+    allocations,
+    normalizedToken,
+    durations,
+    !!flexibleFunding
   );
-  
-  await escrow.waitForDeployment();
-  const contractAddress = await escrow.getAddress();
-  
-  console.log("✅ FundingEscrow deployed to:", contractAddress);
-  
-  // Update deployment counter and save to file
-  try {
-    const updatedCounter = {
-      counter: deploymentCounter,
-      lastDeployment: {
-        address: contractAddress,
-        timestamp: new Date().toISOString(),
-        deployer: deployer.address,
+  const receipt = await tx.wait();
+
+  const createdEvent = receipt.logs
+    .map((log) => {
+      try {
+        return factory.interface.parseLog(log);
+      } catch {
+        return null;
       }
-    };
-    fs.writeFileSync(counterPath, JSON.stringify(updatedCounter, null, 2));
-    console.log(`💾 Updated deployment counter to ${deploymentCounter}`);
-  } catch (error) {
-    console.warn('⚠️  Could not save deployment counter:', error.message);
-  }
-  
-  // Link governance contract if provided
-  if (normalizedGovernance !== hre.ethers.ZeroAddress) {
-    try {
-      const setGovTx = await escrow.setGovernanceContract(normalizedGovernance);
-      await setGovTx.wait();
-      console.log("✅ Governance contract linked");
-    } catch (error) {
-      console.warn("⚠️  Could not link governance contract:", error.message);
-    }
+    })
+    .find((parsed) => parsed && parsed.name === "ProjectCreated");
+
+  if (!createdEvent) {
+    throw new Error("ProjectCreated event not found in transaction receipt");
   }
-  
+
+  const contractAddress = createdEvent.args.escrow;
+
+  console.log("✅ FundingEscrow created at:", contractAddress);
+  console.log("✅ Governance contract linked:", await factory.governanceContract());
+
   // Output contract address in a format that's easy to parse
   console.log("\n=== DEPLOYMENT SUCCESS ===");
   console.log("CONTRACT_ADDRESS:", contractAddress);
   console.log("========================");
-  
+
   return {
     contractAddress,
-    transactionHash: escrow.deploymentTransaction()?.hash,
+    transactionHash: receipt.hash,
+    factoryAddress: await factory.getAddress(),
   };
 }
 
 // If called directly from command line
 if (require.main === module) {
-  // Check for environment variables first (preferred method from backend)
+  // Check for environment variables first
   if (process.env.DEPLOYMENT_PROJECT_OWNER) {
     deployProject({}) // Empty object, will read from env vars
       .then((result) => {
@@ -164,28 +219,25 @@ if (require.main === module) {
     // Fallback: Parse command line arguments (for direct CLI usage)
     // Skip everything before the script name
     const scriptIndex = process.argv.findIndex(arg => arg.includes('deployProject.js'));
-    const args = process.argv.slice(scriptIndex + 1).filter(arg => arg !== '--network' && arg !== 'hardhat' && arg !== '--');
-    
+    const args = process.argv.slice(scriptIndex + 1).filter(arg => arg !== '--network' && arg !== 'hardhat' && arg !== 'localhost' && arg !== '--');
+
     // Normalize addresses from command line to prevent resolveName issues
     let projectOwner = args[0] || "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
     if (projectOwner && hre.ethers.isAddress(projectOwner)) {
       projectOwner = hre.ethers.getAddress(projectOwner);
     }
-    
-    let governanceAddr = args[5] || hre.ethers.ZeroAddress;
-    if (governanceAddr && governanceAddr !== hre.ethers.ZeroAddress && hre.ethers.isAddress(governanceAddr)) {
-      governanceAddr = hre.ethers.getAddress(governanceAddr);
-    } else if (!governanceAddr || governanceAddr === '0x0000000000000000000000000000000000000000') {
-      governanceAddr = hre.ethers.ZeroAddress;
-    }
-    
+
     deployProject({
       projectOwner: projectOwner,
       fundingGoal: args[1] || hre.ethers.parseEther("10").toString(),
       fundingDuration: parseInt(args[2] || "2592000"), // 30 days
       totalStages: parseInt(args[3] || "5"),
       stageAllocations: args[4] ? JSON.parse(args[4]) : [2000, 2000, 2000, 2000, 2000],
-      governanceAddress: governanceAddr,
+      governanceAddress: args[5] || hre.ethers.ZeroAddress,
+      factoryAddress: args[6] || process.env.PROJECT_FACTORY_ADDRESS || hre.ethers.ZeroAddress,
+      paymentToken: args[7] || hre.ethers.ZeroAddress,
+      stageDurations: args[8] ? JSON.parse(args[8]) : undefined,
+      flexibleFunding: args[9] === 'true',
     })
       .then((result) => {
         console.log("\n✅ Deployment result:", JSON.stringify(result));
@@ -199,4 +251,3 @@ if (require.main === module) {
 }
 
 module.exports = { deployProject };
-
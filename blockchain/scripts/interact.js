@@ -32,8 +32,7 @@ async function main() {
   const FundingEscrow = await ethers.getContractFactory("FundingEscrow");
   const escrow = FundingEscrow.attach(escrowAddress);
 
-  const MilestoneGovernance = await ethers.getContractFactory("MilestoneGovernance");
-  const governance = MilestoneGovernance.attach(governanceAddress);
+  const governance = await ethers.getContractAt("MilestoneGovernance", governanceAddress);
 
   // Display project status
   console.log("\n?? PROJECT STATUS");
@@ -89,6 +88,7 @@ async function main() {
     for (let i = 0; i < Number(proposalCount); i++) {
       const proposal = await governance.getProposal(i);
       console.log(`\nProposal #${i}:`);
+      console.log("  Type:", ["Milestone", "Cancellation"][proposal.proposalType]);
       console.log("  Stage Index:", proposal.stageIndex.toString());
       console.log("  Evidence Hash:", proposal.evidenceHash);
       console.log("  Votes For:", ethers.formatEther(proposal.votesFor), "ETH");
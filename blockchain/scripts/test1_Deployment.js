@@ -24,13 +24,17 @@ async function testDeployment() {
     const fundingDuration = 30 * 24 * 60 * 60; // 30 days
     const totalStages = 5;
     const stageAllocations = [2000, 2000, 2000, 2000, 2000];
+    const stageDurations = Array(totalStages).fill(fundingDuration); // each stage due 30 days after the previous one
 
     const escrow = await FundingEscrow.deploy(
       projectOwner.address,
       fundingGoal.toString(),
       fundingDuration,
       totalStages,
-      stageAllocations
+      stageAllocations,
+      hre.ethers.ZeroAddress, // ETH payments
+      stageDurations,
+      false // All-or-nothing funding
     );
 
     await escrow.waitForDeployment();
@@ -82,7 +82,7 @@ async function testStaking(contractAddress) {
     console.log("");
 
     // Test 3.3: Profit Distribution
-    console.log("✅ Test 3.3: Profit Distribution");
+    console.log("✅ Test 3.3: Profit Claims");
     const ownerBalanceBefore = await hre.ethers.provider.getBalance(projectOwner.address);
     const donorBalanceBefore = await hre.ethers.provider.getBalance(donor.address);
 
@@ -97,18 +97,23 @@ async function testStaking(contractAddress) {
     if (ownerContribution > 0n) {
       console.log("   Owner will receive owner share + donor share");
     }
-    console.log("   Distributing profit...");
+    console.log("   Claiming profit...");
     
-    const distributeTx = await escrow.connect(projectOwner).distributeProfit(profitAmount);
-    const distributeReceipt = await distributeTx.wait();
-    const gasUsed = distributeReceipt.gasUsed * distributeReceipt.gasPrice;
-    console.log("   ✅ Profit distributed! Tx:", distributeTx.hash);
+    const ownerClaimTx = await escrow.connect(projectOwner).claimProfit();
+    const ownerClaimReceipt = await ownerClaimTx.wait();
+    const ownerGasUsed = ownerClaimReceipt.gasUsed * ownerClaimReceipt.gasPrice;
+    console.log("   ✅ Owner profit claimed! Tx:", ownerClaimTx.hash);
+
+    const donorClaimTx = await escrow.connect(donor).claimProfit();
+    const donorClaimReceipt = await donorClaimTx.wait();
+    const donorGasUsed = donorClaimReceipt.gasUsed * donorClaimReceipt.gasPrice;
+    console.log("   ✅ Donor profit claimed! Tx:", donorClaimTx.hash);
 
     const ownerBalanceAfter = await hre.ethers.provider.getBalance(projectOwner.address);
     const donorBalanceAfter = await hre.ethers.provider.getBalance(donor.address);
 
-    const ownerReceived = ownerBalanceAfter - ownerBalanceBefore + gasUsed;
-    const donorReceived = donorBalanceAfter - donorBalanceBefore;
+    const ownerReceived = ownerBalanceAfter - ownerBalanceBefore + ownerGasUsed;
+    const donorReceived = donorBalanceAfter - donorBalanceBefore + donorGasUsed;
 
     const tolerance = hre.ethers.parseEther("0.001"); // 0.001 ETH tolerance for gas
     const ownerShareCheck = ownerReceived >= expectedOwnerTotal - tolerance && ownerReceived <= expectedOwnerTotal + tolerance;
@@ -31,13 +31,17 @@ async function testAllFeatures() {
     const fundingDuration = 30 * 24 * 60 * 60; // 30 days
     const totalStages = 5;
     const stageAllocations = [2000, 2000, 2000, 2000, 2000]; // 20% each
+    const stageDurations = Array(totalStages).fill(fundingDuration); // each stage due 30 days after the previous one
 
     const escrow = await FundingEscrow.deploy(
       projectOwner.address,
       fundingGoal.toString(),
       fundingDuration,
       totalStages,
-      stageAllocations
+      stageAllocations,
+      hre.ethers.ZeroAddress, // ETH payments
+      stageDurations,
+      false // All-or-nothing funding
     );
 
     await escrow.waitForDeployment();
@@ -150,7 +154,10 @@ async function testAllFeatures() {
       fundingGoal.toString(),
       fundingDuration,
       totalStages,
-      stageAllocations
+      stageAllocations,
+      hre.ethers.ZeroAddress, // ETH payments
+      stageDurations,
+      false // All-or-nothing funding
     );
     await escrow2.waitForDeployment();
     const contractAddress2 = await escrow2.getAddress();
@@ -217,22 +224,26 @@ async function testAllFeatures() {
     console.log("   Expected Owner Share (20%):", hre.ethers.formatEther(ownerShare), "ETH");
     console.log("   Expected Donor 2 Share:", hre.ethers.formatEther(donor2Share), "ETH");
 
-    // Check balances before distribution
+    // Check balances before claiming
     const ownerBalanceBefore = await hre.ethers.provider.getBalance(projectOwner.address);
     const donor2BalanceBefore = await hre.ethers.provider.getBalance(donor2.address);
 
-    // Distribute profit
-    console.log("   Distributing profit...");
-    const distributeTx = await escrow2.connect(projectOwner).distributeProfit(profitAmount);
-    const distributeReceipt = await distributeTx.wait();
-    const distributeGasUsed = distributeReceipt.gasUsed * distributeReceipt.gasPrice;
+    // Each party claims its credited profit
+    console.log("   Claiming profit...");
+    const ownerClaimTx = await escrow2.connect(projectOwner).claimProfit();
+    const ownerClaimReceipt = await ownerClaimTx.wait();
+    const ownerClaimGasUsed = ownerClaimReceipt.gasUsed * ownerClaimReceipt.gasPrice;
 
-    // Check balances after distribution
+    const donor2ClaimTx = await escrow2.connect(donor2).claimProfit();
+    const donor2ClaimReceipt = await donor2ClaimTx.wait();
+    const donor2ClaimGasUsed = donor2ClaimReceipt.gasUsed * donor2ClaimReceipt.gasPrice;
+
+    // Check balances after claims
     const ownerBalanceAfter = await hre.ethers.provider.getBalance(projectOwner.address);
     const donor2BalanceAfter = await hre.ethers.provider.getBalance(donor2.address);
 
-    const ownerReceived = ownerBalanceAfter - ownerBalanceBefore + distributeGasUsed;
-    const donor2Received = donor2BalanceAfter - donor2BalanceBefore;
+    const ownerReceived = ownerBalanceAfter - ownerBalanceBefore + ownerClaimGasUsed;
+    const donor2Received = donor2BalanceAfter - donor2BalanceBefore + donor2ClaimGasUsed;
 
     console.log("   Owner received:", hre.ethers.formatEther(ownerReceived), "ETH");
     console.log("   Donor 2 received:", hre.ethers.formatEther(donor2Received), "ETH");
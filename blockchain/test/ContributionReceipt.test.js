@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ContributionReceipt", function () {
+  async function deployReceiptFixture() {
+    const [owner, projectOwner, donor1, donor2, buyer, governance] = await ethers.getSigners();
+
+    const receipts = await ethers.deployContract("ContributionReceipt");
+
+    const FundingEscrow = await ethers.getContractFactory("FundingEscrow");
+    const escrow = await FundingEscrow.deploy(
+      projectOwner.address,
+      ethers.parseEther("10"),
+      30 * 24 * 60 * 60,
+      3,
+      [3334, 3333, 3333],
+      ethers.ZeroAddress, // ETH payments
+      Array(3).fill(30 * 24 * 60 * 60),
+      false // All-or-nothing funding
+    );
+    await escrow.setGovernanceContract(governance.address);
+    await escrow.setReceiptContract(await receipts.getAddress());
+    await receipts.registerEscrow(await escrow.getAddress());
+
+    return { receipts, escrow, owner, projectOwner, donor1, donor2, buyer };
+  }
+
+  describe("Issuing", function () {
+    it("Should mint one receipt per donor on their first donation", async function () {
+      const { receipts, escrow, donor1 } = await loadFixture(deployReceiptFixture);
+      const escrowAddress = await escrow.getAddress();
+
+      await expect(escrow.connect(donor1).donate({ value: ethers.parseEther("1") }))
+        .to.emit(receipts, "ReceiptIssued")
+        .withArgs(1, escrowAddress, donor1.address);
+      expect(await receipts.ownerOf(1)).to.equal(donor1.address);
+      expect(await receipts.receiptOf(escrowAddress, donor1.address)).to.equal(1);
+
+      // Later donations flag the metadata as stale instead of minting again
+      await expect(escrow.connect(donor1).donate({ value: ethers.parseEther("1") }))
+        .to.emit(receipts, "MetadataUpdate")
+        .withArgs(1);
+      expect(await receipts.balanceOf(donor1.address)).to.equal(1);
+      expect(await receipts.getReceipts(donor1.address)).to.deep.equal([1n]);
+    });
+
+    it("Should only issue receipts for registered escrows", async function () {
+      const { receipts, donor1 } = await loadFixture(deployReceiptFixture);
+
+      await expect(
+        receipts.connect(donor1).issue(donor1.address)
+      ).to.be.revertedWith("Only registered escrows can issue receipts");
+      await expect(
+        receipts.connect(donor1).refresh(donor1.address)
+      ).to.be.revertedWith("Only registered escrows can refresh receipts");
+      await expect(
+        receipts.connect(donor1).registerEscrow(donor1.address)
+      ).to.be.revertedWith("Only owner or factory can register");
+    });
+
+    it("Should flag the receipt as stale when its donor withdraws during an extension", async function () {
+      const { receipts, escrow, projectOwner, donor1, donor2 } = await loadFixture(deployReceiptFixture);
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("1") });
+      await escrow.connect(donor2).donate({ value: ethers.parseEther("2") });
+      await escrow.connect(projectOwner).requestDeadlineExtension(10 * 24 * 60 * 60);
+      await escrow.connect(donor2).approveDeadlineExtension();
+      await time.increase(30 * 24 * 60 * 60 + 1);
+
+      await expect(escrow.connect(donor1).withdrawDuringExtension())
+        .to.emit(receipts, "MetadataUpdate")
+        .withArgs(1);
+      expect(await receipts.ownerOf(1)).to.equal(donor1.address);
+    });
+
+    it("Should let only the platform owner set token metadata", async function () {
+      const { receipts, escrow, donor1 } = await loadFixture(deployReceiptFixture);
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("1") });
+
+      await expect(
+        receipts.connect(donor1).setTokenURI(1, "ipfs://QmFake")
+      ).to.be.revertedWithCustomError(receipts, "OwnableUnauthorizedAccount");
+
+      await expect(receipts.setTokenURI(1, "ipfs://QmReceipt"))
+        .to.emit(receipts, "MetadataUpdate")
+        .withArgs(1);
+      expect(await receipts.tokenURI(1)).to.equal("ipfs://QmReceipt");
+    });
+  });
+
+  describe("Transfers", function () {
+    it("Should not transfer unless the project allows it", async function () {
+      const { receipts, escrow, donor1, buyer } = await loadFixture(deployReceiptFixture);
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("10") });
+
+      await expect(
+        receipts.connect(donor1).transferFrom(donor1.address, buyer.address, 1)
+      ).to.be.revertedWith("Receipts are not transferable");
+    });
+
+    it("Should move the profit share but not the contribution with the receipt", async function () {
+      const { receipts, escrow, projectOwner, donor1, donor2, buyer } = await loadFixture(deployReceiptFixture);
+      const escrowAddress = await escrow.getAddress();
+
+      await escrow.connect(projectOwner).setTransferableReceipts(true);
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("4") });
+      await expect(
+        receipts.connect(donor1).transferFrom(donor1.address, buyer.address, 1)
+      ).to.be.revertedWith("Receipts transfer once funding succeeds");
+      await escrow.connect(donor2).donate({ value: ethers.parseEther("6") });
+
+      // Profit earned before the transfer stays with the seller
+      await escrow.connect(projectOwner).depositProfit({ value: ethers.parseEther("1") });
+      await expect(receipts.connect(donor1).transferFrom(donor1.address, buyer.address, 1))
+        .to.emit(escrow, "ProfitShareTransferred")
+        .withArgs(donor1.address, buyer.address, ethers.parseEther("4"));
+      await escrow.connect(projectOwner).depositProfit({ value: ethers.parseEther("1") });
+
+      expect(await escrow.pendingProfit(donor1.address)).to.equal(ethers.parseEther("0.32")); // 40% of 0.8
+      expect(await escrow.pendingProfit(buyer.address)).to.equal(ethers.parseEther("0.32"));
+      expect(await escrow.contributions(donor1.address)).to.equal(ethers.parseEther("4"));
+      expect(await escrow.contributions(buyer.address)).to.equal(0);
+      expect(await receipts.receiptOf(escrowAddress, buyer.address)).to.equal(1);
+      expect(await receipts.receiptOf(escrowAddress, donor1.address)).to.equal(0);
+
+      // A holder can only have one receipt per project
+      await expect(
+        receipts.connect(donor2).transferFrom(donor2.address, buyer.address, 2)
+      ).to.be.revertedWith("Recipient already holds a receipt for this project");
+    });
+
+    it("Should lock the transfer setting once donations start", async function () {
+      const { escrow, projectOwner, donor1 } = await loadFixture(deployReceiptFixture);
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("1") });
+
+      await expect(
+        escrow.connect(projectOwner).setTransferableReceipts(true)
+      ).to.be.revertedWith("Receipt terms are locked once donations start");
+    });
+  });
+});
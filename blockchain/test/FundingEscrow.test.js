@@ -12,6 +12,9 @@ describe("FundingEscrow", function () {
     const totalStages = 5;
     // Stage allocations: 20%, 20%, 20%, 20%, 20% = 10000 basis points
     const stageAllocations = [2000, 2000, 2000, 2000, 2000];
+    // Each stage is due 60 days after the previous one
+    const stageDuration = 60 * 24 * 60 * 60;
+    const stageDurations = Array(totalStages).fill(stageDuration);
 
     const FundingEscrow = await ethers.getContractFactory("FundingEscrow");
     const escrow = await FundingEscrow.deploy(
@@ -19,10 +22,13 @@ describe("FundingEscrow", function () {
       fundingGoal,
       fundingDuration,
       totalStages,
-      stageAllocations
+      stageAllocations,
+      ethers.ZeroAddress, // ETH payments
+      stageDurations,
+      false // All-or-nothing funding
     );
 
-    return { escrow, owner, projectOwner, donor1, donor2, donor3, governance, fundingGoal, fundingDuration };
+    return { escrow, owner, projectOwner, donor1, donor2, donor3, governance, fundingGoal, fundingDuration, stageDuration };
   }
 
   describe("Deployment", function () {
@@ -56,7 +62,10 @@ describe("FundingEscrow", function () {
           ethers.parseEther("10"),
           30 * 24 * 60 * 60,
           2, // Invalid: less than 3
-          [5000, 5000]
+          [5000, 5000],
+          ethers.ZeroAddress, // ETH payments
+          [1, 1],
+          false
         )
       ).to.be.revertedWith("Total stages must be between 3 and 7");
     });
@@ -71,7 +80,10 @@ describe("FundingEscrow", function () {
           ethers.parseEther("10"),
           30 * 24 * 60 * 60,
           3,
-          [3000, 3000, 3000] // Sums to 9000, not 10000
+          [3000, 3000, 3000], // Sums to 9000, not 10000
+          ethers.ZeroAddress, // ETH payments
+          [1, 1, 1],
+          false
         )
       ).to.be.revertedWith("Total allocation must equal 10000 (100%)");
     });
@@ -175,7 +187,7 @@ describe("FundingEscrow", function () {
       // Release funds for stage 0 (20% of 10 ETH = 2 ETH)
       await expect(escrow.connect(governance).releaseFunds(0))
         .to.emit(escrow, "FundsReleased")
-        .withArgs(0, ethers.parseEther("2"), projectOwner.address);
+        .withArgs(0, ethers.parseEther("2"), projectOwner.address, ethers.parseEther("2"));
 
       const projectOwnerBalanceAfter = await ethers.provider.getBalance(projectOwner.address);
       expect(projectOwnerBalanceAfter - projectOwnerBalanceBefore).to.equal(ethers.parseEther("2"));
@@ -228,6 +240,49 @@ describe("FundingEscrow", function () {
         escrow.connect(governance).releaseFunds(0)
       ).to.be.revertedWith("Funds already released for this stage");
     });
+
+    it("Should release a stage in parts and complete it once fully paid", async function () {
+      const { escrow, owner, projectOwner, donor1, governance } = await loadFixture(deployFundingEscrowFixture);
+
+      await escrow.connect(owner).setGovernanceContract(governance.address);
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("10") });
+
+      // 60% of the 2 ETH stage 0 allocation
+      await expect(escrow.connect(governance).releasePartialFunds(0, 60))
+        .to.emit(escrow, "FundsReleased")
+        .withArgs(0, ethers.parseEther("1.2"), projectOwner.address, ethers.parseEther("1.2"));
+
+      expect(await escrow.stageCompleted(0)).to.be.false;
+      expect(await escrow.currentStage()).to.equal(0);
+      await expect(
+        escrow.connect(governance).releaseFunds(1)
+      ).to.be.revertedWith("Must complete stages in order");
+
+      // A second 60% is capped at the 0.8 ETH left
+      await expect(escrow.connect(governance).releasePartialFunds(0, 60))
+        .to.emit(escrow, "FundsReleased")
+        .withArgs(0, ethers.parseEther("0.8"), projectOwner.address, ethers.parseEther("2"));
+
+      expect(await escrow.stageCompleted(0)).to.be.true;
+      expect(await escrow.currentStage()).to.equal(1);
+      expect(await escrow.totalReleased()).to.equal(ethers.parseEther("2"));
+      const [allocation, released] = await escrow.getStageAllocation(0);
+      expect(released).to.equal(allocation);
+    });
+
+    it("Should reject partial releases outside 1-100 percent", async function () {
+      const { escrow, owner, donor1, governance } = await loadFixture(deployFundingEscrowFixture);
+
+      await escrow.connect(owner).setGovernanceContract(governance.address);
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("10") });
+
+      await expect(
+        escrow.connect(governance).releasePartialFunds(0, 0)
+      ).to.be.revertedWith("Percentage must be between 1 and 100");
+      await expect(
+        escrow.connect(governance).releasePartialFunds(0, 101)
+      ).to.be.revertedWith("Percentage must be between 1 and 100");
+    });
   });
 
   describe("Refunds", function () {
@@ -290,6 +345,674 @@ describe("FundingEscrow", function () {
     });
   });
 
+  describe("Flexible Funding", function () {
+    async function flexibleEscrowFixture() {
+      const fixture = await deployFundingEscrowFixture();
+      const { owner, projectOwner, governance, fundingGoal, fundingDuration, stageDuration } = fixture;
+
+      const FundingEscrow = await ethers.getContractFactory("FundingEscrow");
+      const escrow = await FundingEscrow.deploy(
+        projectOwner.address,
+        fundingGoal,
+        fundingDuration,
+        5,
+        [2000, 2000, 2000, 2000, 2000],
+        ethers.ZeroAddress, // ETH payments
+        Array(5).fill(stageDuration),
+        true // Keep what is raised
+      );
+      await escrow.connect(owner).setGovernanceContract(governance.address);
+
+      return { ...fixture, escrow };
+    }
+
+    it("Should keep funds below the goal once the deadline passes", async function () {
+      const { escrow, projectOwner, donor1, governance, fundingDuration } = await loadFixture(flexibleEscrowFixture);
+
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("4") });
+      expect(await escrow.flexibleFunding()).to.be.true;
+      expect(await escrow.fundingSucceeded()).to.be.false;
+      await expect(
+        escrow.connect(governance).releaseFunds(0)
+      ).to.be.revertedWith("Funding goal not reached");
+
+      await time.increase(fundingDuration + 1);
+
+      expect(await escrow.fundingGoalReached()).to.be.false;
+      expect(await escrow.fundingSucceeded()).to.be.true;
+      await expect(
+        escrow.connect(donor1).refund()
+      ).to.be.revertedWith("Refund conditions not met");
+
+      // Stage 0 gets 20% of the 4 ETH raised
+      await expect(escrow.connect(governance).releaseFunds(0))
+        .to.emit(escrow, "FundsReleased")
+        .withArgs(0, ethers.parseEther("0.8"), projectOwner.address, ethers.parseEther("0.8"));
+    });
+
+    it("Should still refund donors if a flexible project is cancelled", async function () {
+      const { escrow, donor1, governance, fundingDuration } = await loadFixture(flexibleEscrowFixture);
+
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("4") });
+      await time.increase(fundingDuration + 1);
+      await escrow.connect(governance).releaseFunds(0);
+      await escrow.connect(governance).cancelProject();
+
+      await expect(escrow.connect(donor1).refund())
+        .to.emit(escrow, "RefundIssued")
+        .withArgs(donor1.address, ethers.parseEther("3.2"));
+    });
+
+    it("Should not succeed if nothing was raised", async function () {
+      const { escrow, fundingDuration } = await loadFixture(flexibleEscrowFixture);
+
+      await time.increase(fundingDuration + 1);
+
+      expect(await escrow.fundingSucceeded()).to.be.false;
+    });
+  });
+
+  describe("Stretch Goals", function () {
+    // Goal 10 ETH, cap 20 ETH; at 14 ETH a sixth stage is added, at 18 ETH the tier is spread over all stages
+    async function stretchGoalFixture() {
+      const fixture = await deployFundingEscrowFixture();
+      const { escrow, owner, projectOwner, governance } = fixture;
+
+      await escrow.connect(owner).setGovernanceContract(governance.address);
+      await escrow.connect(projectOwner).setStretchGoals(
+        ethers.parseEther("20"),
+        [ethers.parseEther("14"), ethers.parseEther("18")],
+        [30 * 24 * 60 * 60, 0]
+      );
+
+      return fixture;
+    }
+
+    it("Should validate stretch goals and lock them once donations start", async function () {
+      const { escrow, projectOwner, donor1 } = await loadFixture(deployFundingEscrowFixture);
+      const cap = ethers.parseEther("20");
+
+      await expect(
+        escrow.connect(donor1).setStretchGoals(cap, [], [])
+      ).to.be.revertedWith("Only project owner can call this");
+      await expect(
+        escrow.connect(projectOwner).setStretchGoals(ethers.parseEther("10"), [], [])
+      ).to.be.revertedWith("Hard cap must exceed funding goal");
+      await expect(
+        escrow.connect(projectOwner).setStretchGoals(0, [ethers.parseEther("14")], [1])
+      ).to.be.revertedWith("Stretch goals need a hard cap");
+      await expect(
+        escrow.connect(projectOwner).setStretchGoals(cap, [ethers.parseEther("16"), ethers.parseEther("14")], [1, 1])
+      ).to.be.revertedWith("Thresholds must ascend between goal and cap");
+      await expect(
+        escrow.connect(projectOwner).setStretchGoals(cap, [ethers.parseEther("12"), ethers.parseEther("14"), ethers.parseEther("16")], [1, 1, 1])
+      ).to.be.revertedWith("Total stages must be between 3 and 7");
+
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("1") });
+      await expect(
+        escrow.connect(projectOwner).setStretchGoals(cap, [], [])
+      ).to.be.revertedWith("Stretch goals are locked once donations start");
+    });
+
+    it("Should keep donations open past the goal until the hard cap", async function () {
+      const { escrow, donor1, donor2 } = await loadFixture(stretchGoalFixture);
+
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("12") });
+      expect(await escrow.fundingGoalReached()).to.be.true;
+      expect(await escrow.fundingSucceeded()).to.be.false; // Still open, so allocations can change
+
+      await expect(
+        escrow.connect(donor2).donate({ value: ethers.parseEther("9") })
+      ).to.be.revertedWith("Donation exceeds hard cap");
+      await escrow.connect(donor2).donate({ value: ethers.parseEther("8") });
+
+      expect(await escrow.fundingSucceeded()).to.be.true;
+      await expect(
+        escrow.connect(donor2).donate({ value: 1 })
+      ).to.be.revertedWith("Hard cap reached");
+    });
+
+    it("Should add a stage for its tier and spread the other tiers over every stage", async function () {
+      const { escrow, donor1, governance, fundingDuration } = await loadFixture(stretchGoalFixture);
+      const lastDeadline = await escrow.stageDeadlines(4);
+
+      await expect(escrow.connect(donor1).donate({ value: ethers.parseEther("16") }))
+        .to.emit(escrow, "StretchGoalReached")
+        .withArgs(0, ethers.parseEther("14"), 6);
+
+      expect(await escrow.totalStages()).to.equal(6);
+      expect(await escrow.stageDeadlines(5)).to.equal(lastDeadline + BigInt(30 * 24 * 60 * 60));
+      expect((await escrow.getStageAllocation(5)).allocation).to.equal(ethers.parseEther("2"));
+      expect((await escrow.getStageAllocation(0)).allocation).to.equal(ethers.parseEther("2.8")); // 20% of 14
+
+      // Releases wait for funding to close
+      await expect(
+        escrow.connect(governance).releaseFunds(0)
+      ).to.be.revertedWith("Funding goal not reached");
+
+      // Reaching 18 ETH caps the added stage's tier at 4 ETH; the rest goes to the original stages
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("4") });
+      const goals = await escrow.getStretchGoals();
+      expect(goals.reached).to.equal(2);
+      expect(await escrow.totalStages()).to.equal(6);
+      expect((await escrow.getStageAllocation(5)).allocation).to.equal(ethers.parseEther("4"));
+      expect((await escrow.getStageAllocation(0)).allocation).to.equal(ethers.parseEther("3.2")); // 20% of 16
+
+      await time.increase(fundingDuration + 1);
+      for (let i = 0; i < 6; i++) {
+        await escrow.connect(governance).releaseFunds(i);
+      }
+      expect(await escrow.totalReleased()).to.equal(ethers.parseEther("20"));
+      expect(await escrow.getBalance()).to.equal(0);
+    });
+  });
+
+  describe("Deadline Extensions", function () {
+    // 8 of 10 ETH raised: donor1 4 ETH, donor2 3 ETH, donor3 1 ETH, and a 10 day extension requested
+    async function extensionRequestedFixture() {
+      const fixture = await deployFundingEscrowFixture();
+      const { escrow, projectOwner, donor1, donor2, donor3 } = fixture;
+
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("4") });
+      await escrow.connect(donor2).donate({ value: ethers.parseEther("3") });
+      await escrow.connect(donor3).donate({ value: ethers.parseEther("1") });
+      await escrow.connect(projectOwner).requestDeadlineExtension(10 * 24 * 60 * 60);
+
+      return fixture;
+    }
+
+    it("Should only let the owner request an extension within the limits", async function () {
+      const { escrow, projectOwner, donor1, fundingDuration } = await loadFixture(deployFundingEscrowFixture);
+
+      await expect(
+        escrow.connect(donor1).requestDeadlineExtension(1)
+      ).to.be.revertedWith("Only project owner can call this");
+      await expect(
+        escrow.connect(projectOwner).requestDeadlineExtension(31 * 24 * 60 * 60)
+      ).to.be.revertedWith("Extension duration out of range");
+
+      await time.increase(fundingDuration + 1);
+      await expect(
+        escrow.connect(projectOwner).requestDeadlineExtension(1)
+      ).to.be.revertedWith("Funding period has ended");
+    });
+
+    it("Should extend every deadline once donors holding over half of the funds approve", async function () {
+      const { escrow, donor1, donor2, donor3 } = await loadFixture(extensionRequestedFixture);
+      const extension = BigInt(10 * 24 * 60 * 60);
+      const deadline = await escrow.fundingDeadline();
+      const stageDeadline = await escrow.stageDeadlines(4);
+
+      await expect(escrow.connect(donor1).approveDeadlineExtension())
+        .to.emit(escrow, "DeadlineExtensionApproved")
+        .withArgs(0, donor1.address, ethers.parseEther("4"), ethers.parseEther("4"));
+      expect(await escrow.fundingDeadline()).to.equal(deadline); // Exactly half is not enough
+      await expect(
+        escrow.connect(donor1).approveDeadlineExtension()
+      ).to.be.revertedWith("Already approved");
+
+      await expect(escrow.connect(donor3).approveDeadlineExtension())
+        .to.emit(escrow, "FundingDeadlineExtended")
+        .withArgs(0, deadline, deadline + extension);
+
+      expect(await escrow.fundingDeadline()).to.equal(deadline + extension);
+      expect(await escrow.stageDeadlines(4)).to.equal(stageDeadline + extension);
+      expect(await escrow.deadlineExtensionCount()).to.equal(1);
+      expect((await escrow.getLatestDeadlineExtension()).applied).to.be.true;
+      await expect(
+        escrow.connect(donor2).approveDeadlineExtension()
+      ).to.be.revertedWith("No pending extension");
+    });
+
+    it("Should cap the number of extensions", async function () {
+      const { escrow, projectOwner, donor1, donor2 } = await loadFixture(extensionRequestedFixture);
+
+      for (let i = 0; i < 2; i++) {
+        await escrow.connect(donor1).approveDeadlineExtension();
+        await escrow.connect(donor2).approveDeadlineExtension();
+        if (i === 0) {
+          await escrow.connect(projectOwner).requestDeadlineExtension(24 * 60 * 60);
+        }
+      }
+
+      expect(await escrow.deadlineExtensionCount()).to.equal(2);
+      await expect(
+        escrow.connect(projectOwner).requestDeadlineExtension(24 * 60 * 60)
+      ).to.be.revertedWith("Extension limit reached");
+    });
+
+    it("Should let donors who did not approve withdraw during the extension", async function () {
+      const { escrow, donor1, donor2, donor3, fundingDuration } = await loadFixture(extensionRequestedFixture);
+
+      await escrow.connect(donor1).approveDeadlineExtension();
+      await escrow.connect(donor3).approveDeadlineExtension();
+      await expect(
+        escrow.connect(donor2).withdrawDuringExtension()
+      ).to.be.revertedWith("Not in an extension window");
+
+      await time.increase(fundingDuration + 1);
+      await expect(
+        escrow.connect(donor1).withdrawDuringExtension()
+      ).to.be.revertedWith("Approved the extension");
+
+      const withdrawal = escrow.connect(donor2).withdrawDuringExtension();
+      await expect(withdrawal)
+        .to.changeEtherBalances([escrow, donor2], [ethers.parseEther("-3"), ethers.parseEther("3")]);
+      await expect(withdrawal)
+        .to.emit(escrow, "ContributionWithdrawn")
+        .withArgs(donor2.address, ethers.parseEther("3"), ethers.parseEther("5"));
+      expect(await escrow.fundsRaised()).to.equal(ethers.parseEther("5"));
+      expect(await escrow.contributions(donor2.address)).to.equal(0);
+
+      // Donations are still open until the extended deadline
+      await escrow.connect(donor2).donate({ value: ethers.parseEther("5") });
+      expect(await escrow.fundingGoalReached()).to.be.true;
+      await expect(
+        escrow.connect(donor3).withdrawDuringExtension()
+      ).to.be.revertedWith("Funding goal already reached");
+    });
+  });
+
+  describe("Ownership and Payout Splits", function () {
+    it("Should hand over the project only once the new owner accepts", async function () {
+      const { escrow, projectOwner, donor1, donor2 } = await loadFixture(deployFundingEscrowFixture);
+
+      await expect(
+        escrow.connect(donor1).transferProjectOwnership(donor1.address)
+      ).to.be.revertedWith("Only project owner can call this");
+      await expect(escrow.connect(projectOwner).transferProjectOwnership(donor1.address))
+        .to.emit(escrow, "ProjectOwnershipTransferStarted")
+        .withArgs(projectOwner.address, donor1.address);
+      expect(await escrow.projectOwner()).to.equal(projectOwner.address);
+
+      await expect(
+        escrow.connect(donor2).acceptProjectOwnership()
+      ).to.be.revertedWith("Only pending owner can accept");
+      await expect(escrow.connect(donor1).acceptProjectOwnership())
+        .to.emit(escrow, "ProjectOwnershipTransferred")
+        .withArgs(projectOwner.address, donor1.address);
+      expect(await escrow.projectOwner()).to.equal(donor1.address);
+      expect(await escrow.pendingProjectOwner()).to.equal(ethers.ZeroAddress);
+
+      await expect(
+        escrow.connect(projectOwner).requestDeadlineExtension(7 * 24 * 60 * 60)
+      ).to.be.revertedWith("Only project owner can call this");
+    });
+
+    it("Should validate payout splits", async function () {
+      const { escrow, projectOwner, donor1, donor2 } = await loadFixture(deployFundingEscrowFixture);
+
+      await expect(
+        escrow.connect(projectOwner).setPayoutSplits([donor1.address, donor2.address], [5000])
+      ).to.be.revertedWith("Payout split lengths mismatch");
+      await expect(
+        escrow.connect(projectOwner).setPayoutSplits([donor1.address, ethers.ZeroAddress], [5000, 5000])
+      ).to.be.revertedWith("Invalid payout recipient");
+      await expect(
+        escrow.connect(projectOwner).setPayoutSplits([donor1.address, donor2.address], [5000, 4000])
+      ).to.be.revertedWith("Payout shares must sum to 10000");
+
+      await expect(escrow.connect(projectOwner).setPayoutSplits([donor1.address, donor2.address], [7000, 3000]))
+        .to.emit(escrow, "PayoutSplitsSet")
+        .withArgs([donor1.address, donor2.address], [7000, 3000]);
+      const [recipients, shares] = await escrow.getPayoutSplits();
+      expect(recipients).to.deep.equal([donor1.address, donor2.address]);
+      expect(shares).to.deep.equal([7000n, 3000n]);
+    });
+
+    it("Should split stage releases and the owner's profit share", async function () {
+      const { escrow, owner, projectOwner, donor1, donor2, donor3, governance } = await loadFixture(deployFundingEscrowFixture);
+      await escrow.connect(owner).setGovernanceContract(governance.address);
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("10") });
+      await escrow.connect(projectOwner).setPayoutSplits([donor2.address, donor3.address], [7500, 2500]);
+
+      // Stage 0 is 2 ETH, credited to the recipients rather than sent
+      const tx = escrow.connect(governance).releaseFunds(0);
+      await expect(tx).to.changeEtherBalances([escrow, projectOwner, donor2, donor3], [0, 0, 0, 0]);
+      await expect(tx)
+        .to.emit(escrow, "FundsReleased")
+        .withArgs(0, ethers.parseEther("2"), ethers.ZeroAddress, ethers.parseEther("2"))
+        .and.to.emit(escrow, "PayoutCredited")
+        .withArgs(donor2.address, ethers.parseEther("1.5"))
+        .and.to.emit(escrow, "PayoutCredited")
+        .withArgs(donor3.address, ethers.parseEther("0.5"));
+      expect(await escrow.pendingPayouts(donor2.address)).to.equal(ethers.parseEther("1.5"));
+
+      await expect(escrow.connect(donor2).withdrawPayout())
+        .to.changeEtherBalances([escrow, donor2], [ethers.parseEther("-1.5"), ethers.parseEther("1.5")]);
+      expect(await escrow.pendingPayouts(donor2.address)).to.equal(0);
+      await expect(
+        escrow.connect(donor2).withdrawPayout()
+      ).to.be.revertedWith("No payout to withdraw");
+
+      // The 20% owner share of a 10 ETH deposit is split the same way
+      await escrow.connect(projectOwner).depositProfit({ value: ethers.parseEther("10") });
+      expect(await escrow.pendingProfit(projectOwner.address)).to.equal(0);
+      expect(await escrow.pendingProfit(donor2.address)).to.equal(ethers.parseEther("1.5"));
+      expect(await escrow.pendingProfit(donor3.address)).to.equal(ethers.parseEther("0.5"));
+      expect(await escrow.pendingProfit(donor1.address)).to.equal(ethers.parseEther("8"));
+    });
+
+    it("Should not let a recipient that rejects ETH block the other payouts", async function () {
+      const { escrow, owner, projectOwner, donor1, donor2, governance } = await loadFixture(deployFundingEscrowFixture);
+      // A contract without a receive function
+      const rejecting = await ethers.deployContract("MockERC20", ["Rejecting", "REJ", 18]);
+      await escrow.connect(owner).setGovernanceContract(governance.address);
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("10") });
+      await escrow.connect(projectOwner).setPayoutSplits([await rejecting.getAddress(), donor2.address], [5000, 5000]);
+
+      await escrow.connect(governance).releaseFunds(0);
+      await escrow.connect(governance).releaseFunds(1);
+
+      await expect(escrow.connect(donor2).withdrawPayout())
+        .to.emit(escrow, "PayoutWithdrawn")
+        .withArgs(donor2.address, ethers.parseEther("2"));
+      expect(await escrow.pendingPayouts(await rejecting.getAddress())).to.equal(ethers.parseEther("2"));
+    });
+  });
+
+  describe("Vesting", function () {
+    const vestingDuration = 100 * 24 * 60 * 60; // 100 days
+
+    // 10 ETH raised with vesting on, then stage 0 (2 ETH) approved
+    async function vestingReleasedFixture() {
+      const fixture = await loadFixture(deployFundingEscrowFixture);
+      const { escrow, owner, projectOwner, donor1, governance } = fixture;
+
+      await escrow.connect(owner).setGovernanceContract(governance.address);
+      await escrow.connect(projectOwner).setVestingDuration(vestingDuration);
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("10") });
+      await escrow.connect(governance).releaseFunds(0);
+
+      return fixture;
+    }
+
+    it("Should only let the owner set vesting before donations start", async function () {
+      const { escrow, projectOwner, donor1 } = await loadFixture(deployFundingEscrowFixture);
+
+      await expect(
+        escrow.connect(donor1).setVestingDuration(vestingDuration)
+      ).to.be.revertedWith("Only project owner can call this");
+      await expect(
+        escrow.connect(projectOwner).setVestingDuration(366 * 24 * 60 * 60)
+      ).to.be.revertedWith("Vesting duration too long");
+
+      await expect(escrow.connect(projectOwner).setVestingDuration(vestingDuration))
+        .to.emit(escrow, "VestingDurationSet")
+        .withArgs(vestingDuration);
+
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("1") });
+      await expect(
+        escrow.connect(projectOwner).setVestingDuration(0)
+      ).to.be.revertedWith("Vesting terms are locked once donations start");
+    });
+
+    it("Should vest an approved stage linearly instead of paying it out", async function () {
+      const { escrow, projectOwner } = await loadFixture(vestingReleasedFixture);
+
+      // The stage completes but its funds stay in escrow
+      expect(await escrow.stageCompleted(0)).to.be.true;
+      expect(await escrow.getBalance()).to.equal(ethers.parseEther("10"));
+      expect(await escrow.vestedAmount()).to.equal(0);
+
+      await time.increase(vestingDuration / 4 - 1);
+      await expect(escrow.connect(projectOwner).withdrawVested())
+        .to.emit(escrow, "VestedFundsWithdrawn")
+        .withArgs(projectOwner.address, ethers.parseEther("0.5"), ethers.parseEther("0.5"));
+
+      await time.increase(vestingDuration);
+      await expect(escrow.connect(projectOwner).withdrawVested())
+        .to.changeEtherBalance(projectOwner, ethers.parseEther("1.5"));
+      const [amount, vested] = await escrow.getStageVesting(0);
+      expect(amount).to.equal(ethers.parseEther("2"));
+      expect(vested).to.equal(ethers.parseEther("2"));
+      await expect(
+        escrow.connect(projectOwner).withdrawVested()
+      ).to.be.revertedWith("No vested funds to withdraw");
+    });
+
+    it("Should return unvested funds to refunds when the project is cancelled", async function () {
+      const { escrow, projectOwner, donor1, governance } = await loadFixture(vestingReleasedFixture);
+
+      await time.increase(vestingDuration / 2 - 1);
+      await expect(escrow.connect(governance).cancelProject())
+        .to.emit(escrow, "VestingStopped")
+        .withArgs(ethers.parseEther("1"), await time.latest() + 1);
+
+      // Half of stage 0 vested; the other half is refunded with the unreleased 8 ETH
+      await time.increase(vestingDuration);
+      expect(await escrow.vestedAmount()).to.equal(ethers.parseEther("1"));
+      expect(await escrow.refundableAmount(donor1.address)).to.equal(ethers.parseEther("9"));
+      await expect(escrow.connect(donor1).refund())
+        .to.changeEtherBalance(donor1, ethers.parseEther("9"));
+      await expect(escrow.connect(projectOwner).withdrawVested())
+        .to.changeEtherBalance(projectOwner, ethers.parseEther("1"));
+      expect(await escrow.getBalance()).to.equal(0);
+    });
+  });
+
+  describe("Mid-project Cancellation", function () {
+    // Goal reached by two donors (40% / 60%), then `stagesReleased` stages paid out before cancelling
+    async function cancelAfterStages(stagesReleased) {
+      const fixture = await loadFixture(deployFundingEscrowFixture);
+      const { escrow, owner, donor1, donor2, governance } = fixture;
+
+      await escrow.connect(owner).setGovernanceContract(governance.address);
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("4") });
+      await escrow.connect(donor2).donate({ value: ethers.parseEther("6") });
+
+      for (let stage = 0; stage < stagesReleased; stage++) {
+        await escrow.connect(governance).releaseFunds(stage);
+      }
+      await escrow.connect(governance).cancelProject();
+
+      return fixture;
+    }
+
+    it("Should report full contributions before any stage is released", async function () {
+      const { escrow, donor1, donor2 } = await cancelAfterStages(0);
+
+      expect(await escrow.totalReleased()).to.equal(0);
+      expect(await escrow.refundableAmount(donor1.address)).to.equal(ethers.parseEther("4"));
+      expect(await escrow.refundableAmount(donor2.address)).to.equal(ethers.parseEther("6"));
+    });
+
+    it("Should refund pro rata after stage 1", async function () {
+      const { escrow, donor1, donor2 } = await cancelAfterStages(1);
+
+      // 8 ETH left after releasing 20%
+      expect(await escrow.totalReleased()).to.equal(ethers.parseEther("2"));
+      expect(await escrow.refundableAmount(donor1.address)).to.equal(ethers.parseEther("3.2"));
+      expect(await escrow.refundableAmount(donor2.address)).to.equal(ethers.parseEther("4.8"));
+
+      await expect(escrow.connect(donor1).refund())
+        .to.emit(escrow, "RefundIssued")
+        .withArgs(donor1.address, ethers.parseEther("3.2"));
+      await expect(escrow.connect(donor2).refund())
+        .to.changeEtherBalance(donor2, ethers.parseEther("4.8"));
+
+      expect(await escrow.getBalance()).to.equal(0);
+    });
+
+    it("Should refund pro rata after stage 2", async function () {
+      const { escrow, donor1, donor2 } = await cancelAfterStages(2);
+
+      // 6 ETH left after releasing 40%
+      await expect(escrow.connect(donor1).refund())
+        .to.changeEtherBalance(donor1, ethers.parseEther("2.4"));
+      await expect(escrow.connect(donor2).refund())
+        .to.changeEtherBalance(donor2, ethers.parseEther("3.6"));
+
+      expect(await escrow.getBalance()).to.equal(0);
+    });
+
+    it("Should refund pro rata after stage 3", async function () {
+      const { escrow, donor1, donor2 } = await cancelAfterStages(3);
+
+      // 4 ETH left after releasing 60%; refund order must not change the split
+      await expect(escrow.connect(donor2).refund())
+        .to.changeEtherBalance(donor2, ethers.parseEther("2.4"));
+      await expect(escrow.connect(donor1).refund())
+        .to.changeEtherBalance(donor1, ethers.parseEther("1.6"));
+
+      expect(await escrow.getBalance()).to.equal(0);
+      expect(await escrow.refundableAmount(donor1.address)).to.equal(0);
+    });
+
+    it("Should not pay refunds out of deposited profit", async function () {
+      const { escrow, owner, projectOwner, donor1, donor2, governance } = await loadFixture(deployFundingEscrowFixture);
+
+      await escrow.connect(owner).setGovernanceContract(governance.address);
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("4") });
+      await escrow.connect(donor2).donate({ value: ethers.parseEther("6") });
+      await escrow.connect(governance).releaseFunds(0);
+      await escrow.connect(projectOwner).depositProfit({ value: ethers.parseEther("10") });
+      await escrow.connect(governance).cancelProject();
+
+      // Refunded donors could never claim profit deposited from now on
+      await expect(escrow.connect(projectOwner).depositProfit({ value: ethers.parseEther("1") }))
+        .to.be.revertedWith("Project has been cancelled");
+
+      await expect(escrow.connect(donor1).refund())
+        .to.changeEtherBalance(donor1, ethers.parseEther("3.2"));
+      await expect(escrow.connect(donor2).refund())
+        .to.changeEtherBalance(donor2, ethers.parseEther("4.8"));
+
+      // Only the profit is left, and it is still claimable
+      expect(await escrow.getBalance()).to.equal(ethers.parseEther("10"));
+      expect(await escrow.pendingProfit(donor2.address)).to.equal(ethers.parseEther("4.8"));
+    });
+  });
+
+  describe("Stage Deadlines", function () {
+    async function fundedEscrowFixture() {
+      const fixture = await loadFixture(deployFundingEscrowFixture);
+      const { escrow, owner, donor1, donor2, governance } = fixture;
+
+      await escrow.connect(owner).setGovernanceContract(governance.address);
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("4") });
+      await escrow.connect(donor2).donate({ value: ethers.parseEther("6") });
+
+      return fixture;
+    }
+
+    it("Should schedule stage deadlines back to back from the funding deadline", async function () {
+      const { escrow, stageDuration } = await loadFixture(deployFundingEscrowFixture);
+      const fundingDeadline = await escrow.fundingDeadline();
+
+      const deadlines = await escrow.getStageDeadlines();
+      expect(deadlines.length).to.equal(5);
+      for (let i = 0; i < 5; i++) {
+        expect(deadlines[i]).to.equal(fundingDeadline + BigInt((i + 1) * stageDuration));
+      }
+    });
+
+    it("Should revert if stage durations don't match total stages", async function () {
+      const [owner, projectOwner] = await ethers.getSigners();
+      const FundingEscrow = await ethers.getContractFactory("FundingEscrow");
+
+      await expect(
+        FundingEscrow.deploy(projectOwner.address, ethers.parseEther("10"), 30 * 24 * 60 * 60, 3, [3334, 3333, 3333], ethers.ZeroAddress, [1, 1], false)
+      ).to.be.revertedWith("Stage durations must match total stages");
+      await expect(
+        FundingEscrow.deploy(projectOwner.address, ethers.parseEther("10"), 30 * 24 * 60 * 60, 3, [3334, 3333, 3333], ethers.ZeroAddress, [1, 0, 1], false)
+      ).to.be.revertedWith("Each stage must have a duration");
+    });
+
+    it("Should not cancel before the current stage is overdue", async function () {
+      const { escrow, donor3 } = await loadFixture(fundedEscrowFixture);
+
+      // The next transaction is mined exactly at the deadline
+      const deadline = await escrow.stageDeadlines(0);
+      await time.increaseTo(deadline - 1n);
+
+      expect(await escrow.isStageOverdue()).to.be.false;
+      await expect(
+        escrow.connect(donor3).cancelOverdueProject()
+      ).to.be.revertedWith("Current stage is not overdue");
+    });
+
+    it("Should let anyone cancel once the current stage is overdue", async function () {
+      const { escrow, donor1, donor3 } = await loadFixture(fundedEscrowFixture);
+
+      const deadline = await escrow.stageDeadlines(0);
+      await time.increaseTo(deadline + 1n);
+
+      expect(await escrow.isStageOverdue()).to.be.true;
+      await expect(escrow.connect(donor3).cancelOverdueProject())
+        .to.emit(escrow, "StageDefaulted")
+        .withArgs(0, deadline)
+        .and.to.emit(escrow, "ProjectCancelled");
+
+      expect(await escrow.projectCancelled()).to.be.true;
+      expect(await escrow.isStageOverdue()).to.be.false;
+      await expect(escrow.connect(donor1).refund())
+        .to.changeEtherBalance(donor1, ethers.parseEther("4"));
+    });
+
+    it("Should move to the next deadline after a stage is released", async function () {
+      const { escrow, governance, donor2, donor3 } = await loadFixture(fundedEscrowFixture);
+
+      await escrow.connect(governance).releaseFunds(0);
+      await time.increaseTo((await escrow.stageDeadlines(0)) + 1n);
+      expect(await escrow.isStageOverdue()).to.be.false;
+
+      const deadline = await escrow.stageDeadlines(1);
+      await time.increaseTo(deadline + 1n);
+
+      await expect(escrow.connect(donor3).cancelOverdueProject())
+        .to.emit(escrow, "StageDefaulted")
+        .withArgs(1, deadline);
+      await expect(escrow.connect(donor2).refund())
+        .to.changeEtherBalance(donor2, ethers.parseEther("4.8"));
+    });
+
+    it("Should push the deadline back by the time spent paused", async function () {
+      const { escrow, owner, donor3 } = await loadFixture(fundedEscrowFixture);
+      await escrow.connect(owner).setGuardian(donor3.address);
+      const deadline = await escrow.stageDeadlines(0);
+
+      // Paused an hour before the deadline and unpaused two days after it
+      await time.increaseTo(deadline - 3600n);
+      await escrow.connect(donor3).pause(7 * 24 * 60 * 60);
+      const pausedAt = BigInt(await time.latest());
+      await time.increaseTo(deadline + 1n);
+      expect(await escrow.isStageOverdue()).to.be.false;
+      await expect(
+        escrow.connect(donor3).cancelOverdueProject()
+      ).to.be.revertedWith("Contract is paused");
+
+      await time.increase(2 * 24 * 60 * 60);
+      await escrow.connect(donor3).unpause();
+      const firstPause = BigInt(await time.latest()) - pausedAt;
+      expect(await escrow.pausedTime()).to.equal(firstPause);
+      expect(await escrow.stageDeadline(0)).to.equal(deadline + firstPause);
+      expect(await escrow.isStageOverdue()).to.be.false;
+
+      // A pause that runs out on its own counts in full
+      await escrow.connect(donor3).pause(24 * 60 * 60);
+      await time.increase(24 * 60 * 60 + 60);
+      expect(await escrow.paused()).to.be.false;
+      const shifted = deadline + firstPause + BigInt(24 * 60 * 60);
+      expect(await escrow.stageDeadline(0)).to.equal(shifted);
+      expect((await escrow.getStageDeadlines())[0]).to.equal(shifted);
+
+      await time.increaseTo(shifted + 1n);
+      await expect(escrow.connect(donor3).cancelOverdueProject())
+        .to.emit(escrow, "StageDefaulted")
+        .withArgs(0, shifted);
+    });
+
+    it("Should not treat unfunded projects as overdue", async function () {
+      const { escrow, donor1 } = await loadFixture(deployFundingEscrowFixture);
+
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("1") });
+      await time.increaseTo((await escrow.stageDeadlines(0)) + 1n);
+
+      expect(await escrow.isStageOverdue()).to.be.false;
+    });
+  });
+
   describe("Project Status", function () {
     it("Should return correct project status", async function () {
       const { escrow, donor1, fundingGoal } = await loadFixture(deployFundingEscrowFixture);
@@ -312,8 +1035,274 @@ describe("FundingEscrow", function () {
 
       // Each stage should get 20% of 10 ETH = 2 ETH
       for (let i = 0; i < 5; i++) {
-        expect(await escrow.getStageAllocation(i)).to.equal(ethers.parseEther("2"));
+        const [allocation, released] = await escrow.getStageAllocation(i);
+        expect(allocation).to.equal(ethers.parseEther("2"));
+        expect(released).to.equal(0);
+      }
+    });
+  });
+
+  describe("Profit Claims", function () {
+    async function fundedEscrowFixture() {
+      const fixture = await deployFundingEscrowFixture();
+      const { escrow, owner, donor1, donor2, governance } = fixture;
+
+      await escrow.connect(owner).setGovernanceContract(governance.address);
+      // 25% / 75% split of the 10 ETH goal
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("2.5") });
+      await escrow.connect(donor2).donate({ value: ethers.parseEther("7.5") });
+
+      return fixture;
+    }
+
+    it("Should credit owner and donor shares on deposit", async function () {
+      const { escrow, projectOwner, donor1, donor2 } = await loadFixture(fundedEscrowFixture);
+
+      await expect(escrow.connect(projectOwner).depositProfit({ value: ethers.parseEther("10") }))
+        .to.emit(escrow, "ProfitDistributed")
+        .withArgs(ethers.parseEther("10"), ethers.parseEther("2"), ethers.parseEther("8"));
+
+      expect(await escrow.pendingProfit(projectOwner.address)).to.equal(ethers.parseEther("2"));
+      expect(await escrow.pendingProfit(donor1.address)).to.equal(ethers.parseEther("2"));
+      expect(await escrow.pendingProfit(donor2.address)).to.equal(ethers.parseEther("6"));
+    });
+
+    it("Should let each account claim its profit", async function () {
+      const { escrow, projectOwner, donor1 } = await loadFixture(fundedEscrowFixture);
+
+      await escrow.connect(projectOwner).depositProfit({ value: ethers.parseEther("10") });
+
+      const balanceBefore = await ethers.provider.getBalance(donor1.address);
+      const tx = await escrow.connect(donor1).claimProfit();
+      const receipt = await tx.wait();
+      const gasUsed = receipt.gasUsed * receipt.gasPrice;
+      const balanceAfter = await ethers.provider.getBalance(donor1.address);
+
+      expect(balanceAfter - balanceBefore + gasUsed).to.equal(ethers.parseEther("2"));
+      await expect(tx).to.emit(escrow, "ProfitClaimed").withArgs(donor1.address, ethers.parseEther("2"));
+      expect(await escrow.pendingProfit(donor1.address)).to.equal(0);
+
+      await expect(
+        escrow.connect(projectOwner).claimProfit()
+      ).to.changeEtherBalance(projectOwner, ethers.parseEther("2"));
+    });
+
+    it("Should not allow claiming twice", async function () {
+      const { escrow, projectOwner, donor1 } = await loadFixture(fundedEscrowFixture);
+
+      await escrow.connect(projectOwner).depositProfit({ value: ethers.parseEther("10") });
+      await escrow.connect(donor1).claimProfit();
+
+      await expect(
+        escrow.connect(donor1).claimProfit()
+      ).to.be.revertedWith("No profit to claim");
+    });
+
+    it("Should accumulate profit across deposits", async function () {
+      const { escrow, projectOwner, donor1, donor2 } = await loadFixture(fundedEscrowFixture);
+
+      await escrow.connect(projectOwner).depositProfit({ value: ethers.parseEther("10") });
+      await escrow.connect(donor1).claimProfit();
+      await escrow.connect(projectOwner).depositProfit({ value: ethers.parseEther("5") });
+
+      expect(await escrow.pendingProfit(donor1.address)).to.equal(ethers.parseEther("1"));
+      expect(await escrow.pendingProfit(donor2.address)).to.equal(ethers.parseEther("9"));
+    });
+
+    it("Should keep earned profit claimable after a refund", async function () {
+      const { escrow, projectOwner, donor1, governance } = await loadFixture(fundedEscrowFixture);
+
+      await escrow.connect(projectOwner).depositProfit({ value: ethers.parseEther("10") });
+      await escrow.connect(governance).cancelProject();
+      await escrow.connect(donor1).refund();
+
+      expect(await escrow.contributions(donor1.address)).to.equal(0);
+      expect(await escrow.pendingProfit(donor1.address)).to.equal(ethers.parseEther("2"));
+      await expect(
+        escrow.connect(donor1).claimProfit()
+      ).to.changeEtherBalance(donor1, ethers.parseEther("2"));
+    });
+  });
+
+  describe("Token Payments", function () {
+    async function deployTokenEscrowFixture() {
+      const [owner, projectOwner, donor1, donor2, governance] = await ethers.getSigners();
+
+      // 6-decimal stablecoin
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+
+      const fundingGoal = ethers.parseUnits("10000", 6);
+      const fundingDuration = 30 * 24 * 60 * 60;
+
+      const FundingEscrow = await ethers.getContractFactory("FundingEscrow");
+      const escrow = await FundingEscrow.deploy(
+        projectOwner.address,
+        fundingGoal,
+        fundingDuration,
+        5,
+        [2000, 2000, 2000, 2000, 2000],
+        await token.getAddress(),
+        Array(5).fill(fundingDuration),
+        false
+      );
+      await escrow.connect(owner).setGovernanceContract(governance.address);
+
+      const escrowAddress = await escrow.getAddress();
+      for (const account of [projectOwner, donor1, donor2]) {
+        await token.mint(account.address, ethers.parseUnits("100000", 6));
+        await token.connect(account).approve(escrowAddress, ethers.MaxUint256);
       }
+
+      return { escrow, token, owner, projectOwner, donor1, donor2, governance, fundingGoal };
+    }
+
+    it("Should store the payment token", async function () {
+      const { escrow, token } = await loadFixture(deployTokenEscrowFixture);
+      expect(await escrow.paymentToken()).to.equal(await token.getAddress());
+      expect(await escrow.useTokenPayments()).to.be.true;
+    });
+
+    it("Should accept token donations", async function () {
+      const { escrow, token, donor1, fundingGoal } = await loadFixture(deployTokenEscrowFixture);
+
+      await expect(escrow.connect(donor1).donateToken(fundingGoal))
+        .to.emit(escrow, "DonationReceived")
+        .withArgs(donor1.address, fundingGoal, fundingGoal)
+        .and.to.emit(escrow, "FundingGoalReached");
+
+      expect(await escrow.contributions(donor1.address)).to.equal(fundingGoal);
+      expect(await escrow.getBalance()).to.equal(fundingGoal);
+      expect(await token.balanceOf(await escrow.getAddress())).to.equal(fundingGoal);
+    });
+
+    it("Should reject ETH donations in token mode", async function () {
+      const { escrow, donor1 } = await loadFixture(deployTokenEscrowFixture);
+
+      await expect(
+        escrow.connect(donor1).donate({ value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Use donateToken() for token-based escrow");
+    });
+
+    it("Should reject token donations in ETH mode", async function () {
+      const { escrow, donor1 } = await loadFixture(deployFundingEscrowFixture);
+
+      await expect(
+        escrow.connect(donor1).donateToken(1000)
+      ).to.be.revertedWith("This escrow uses ETH payments");
+    });
+
+    it("Should release stage funds in tokens", async function () {
+      const { escrow, token, projectOwner, donor1, governance, fundingGoal } = await loadFixture(deployTokenEscrowFixture);
+
+      await escrow.connect(donor1).donateToken(fundingGoal);
+      const balanceBefore = await token.balanceOf(projectOwner.address);
+
+      await escrow.connect(governance).releaseFunds(0);
+
+      expect(await token.balanceOf(projectOwner.address) - balanceBefore).to.equal(ethers.parseUnits("2000", 6));
+    });
+
+    it("Should refund tokens after cancellation", async function () {
+      const { escrow, token, donor1, governance } = await loadFixture(deployTokenEscrowFixture);
+
+      const donation = ethers.parseUnits("5000", 6);
+      await escrow.connect(donor1).donateToken(donation);
+      await escrow.connect(governance).cancelProject();
+
+      const balanceBefore = await token.balanceOf(donor1.address);
+      await expect(escrow.connect(donor1).refund())
+        .to.emit(escrow, "RefundIssued")
+        .withArgs(donor1.address, donation);
+      expect(await token.balanceOf(donor1.address) - balanceBefore).to.equal(donation);
+    });
+
+    it("Should deposit and pay out profit in tokens", async function () {
+      const { escrow, token, projectOwner, donor1, donor2, fundingGoal } = await loadFixture(deployTokenEscrowFixture);
+
+      await escrow.connect(donor1).donateToken(fundingGoal / 4n);
+      await escrow.connect(donor2).donateToken((fundingGoal * 3n) / 4n);
+
+      const profit = ethers.parseUnits("1000", 6);
+      await expect(
+        escrow.connect(projectOwner).depositProfit({ value: 1 })
+      ).to.be.revertedWith("Use depositProfitToken() for token-based escrow");
+      await expect(escrow.connect(projectOwner).depositProfitToken(profit))
+        .to.emit(escrow, "ProfitDeposited")
+        .withArgs(projectOwner.address, profit);
+
+      const donor1Before = await token.balanceOf(donor1.address);
+      const donor2Before = await token.balanceOf(donor2.address);
+      await escrow.connect(donor1).claimProfit();
+      await escrow.connect(donor2).claimProfit();
+
+      // 80% of profit split 25/75 between donors
+      expect(await token.balanceOf(donor1.address) - donor1Before).to.equal(ethers.parseUnits("200", 6));
+      expect(await token.balanceOf(donor2.address) - donor2Before).to.equal(ethers.parseUnits("600", 6));
+    });
+  });
+
+  describe("Guardian Pause", function () {
+    it("Should let only the guardian pause, for a bounded duration", async function () {
+      const { escrow, owner, donor1, donor3 } = await loadFixture(deployFundingEscrowFixture);
+
+      await expect(
+        escrow.connect(donor1).setGuardian(donor3.address)
+      ).to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+      await expect(escrow.connect(owner).setGuardian(donor3.address))
+        .to.emit(escrow, "GuardianSet")
+        .withArgs(ethers.ZeroAddress, donor3.address);
+
+      await expect(
+        escrow.connect(donor1).pause(24 * 60 * 60)
+      ).to.be.revertedWith("Only guardian can call this");
+      await expect(
+        escrow.connect(donor3).pause(8 * 24 * 60 * 60)
+      ).to.be.revertedWith("Pause duration out of range");
+
+      await escrow.connect(donor3).pause(24 * 60 * 60);
+      expect(await escrow.paused()).to.be.true;
+      await expect(
+        escrow.connect(donor3).pause(24 * 60 * 60)
+      ).to.be.revertedWith("Already paused");
+    });
+
+    it("Should block donations and releases but not refunds while paused", async function () {
+      const { escrow, owner, donor1, donor2, donor3, governance } = await loadFixture(deployFundingEscrowFixture);
+      await escrow.setGovernanceContract(governance.address);
+      await escrow.connect(owner).setGuardian(donor3.address);
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("4") });
+      await escrow.connect(donor3).pause(7 * 24 * 60 * 60);
+
+      await expect(
+        escrow.connect(donor2).donate({ value: ethers.parseEther("6") })
+      ).to.be.revertedWith("Contract is paused");
+
+      // Donors can still get their money out of a failed campaign
+      await time.increase(31 * 24 * 60 * 60);
+      await expect(escrow.connect(donor1).refund())
+        .to.changeEtherBalance(donor1, ethers.parseEther("4"));
+    });
+
+    it("Should lift the pause on expiry or when the guardian unpauses", async function () {
+      const { escrow, owner, donor1, donor3, governance, fundingGoal } = await loadFixture(deployFundingEscrowFixture);
+      await escrow.setGovernanceContract(governance.address);
+      await escrow.connect(owner).setGuardian(donor3.address);
+      await escrow.connect(donor1).donate({ value: fundingGoal });
+
+      await escrow.connect(donor3).pause(24 * 60 * 60);
+      await expect(
+        escrow.connect(governance).releaseFunds(0)
+      ).to.be.revertedWith("Contract is paused");
+      await expect(escrow.connect(donor3).unpause())
+        .to.emit(escrow, "Unpaused")
+        .withArgs(donor3.address);
+      await expect(escrow.connect(donor3).unpause()).to.be.revertedWith("Not paused");
+
+      await escrow.connect(donor3).pause(24 * 60 * 60);
+      await time.increase(24 * 60 * 60);
+      expect(await escrow.paused()).to.be.false;
+      await expect(escrow.connect(governance).releaseFunds(0)).to.emit(escrow, "FundsReleased");
     });
   });
 
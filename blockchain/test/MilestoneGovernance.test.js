@@ -7,7 +7,20 @@ describe("MilestoneGovernance", function () {
     const [owner, projectOwner, voter1, voter2, voter3, voter4] = await ethers.getSigners();
 
     // Deploy governance contract (ETH staking)
-    const MilestoneGovernance = await ethers.getContractFactory("MilestoneGovernance");
+    const ledger = await ethers.deployContract("VotingPowerLedger");
+    const rules = await ethers.deployContract("ProposalRules");
+    const timelock = await ethers.deployContract("ParameterTimelock");
+    const signatures = await ethers.deployContract("VoteSignatures");
+    const registry = await ethers.deployContract("EscrowRegistry");
+    const MilestoneGovernance = await ethers.getContractFactory("MilestoneGovernance", {
+      libraries: {
+        VotingPowerLedger: await ledger.getAddress(),
+        ProposalRules: await rules.getAddress(),
+        ParameterTimelock: await timelock.getAddress(),
+        VoteSignatures: await signatures.getAddress(),
+        EscrowRegistry: await registry.getAddress(),
+      },
+    });
     const governance = await MilestoneGovernance.deploy(ethers.ZeroAddress); // ETH staking
 
     // Deploy escrow contract
@@ -22,11 +35,15 @@ describe("MilestoneGovernance", function () {
       fundingGoal,
       fundingDuration,
       totalStages,
-      stageAllocations
+      stageAllocations,
+      ethers.ZeroAddress, // ETH payments
+      Array(totalStages).fill(fundingDuration),
+      false // All-or-nothing funding
     );
 
-    // Set governance contract in escrow
+    // Set governance contract in escrow and allow proposals for it
     await escrow.setGovernanceContract(await governance.getAddress());
+    await governance.registerEscrow(await escrow.getAddress());
 
     return { governance, escrow, owner, projectOwner, voter1, voter2, voter3, voter4, fundingGoal };
   }
@@ -39,12 +56,12 @@ describe("MilestoneGovernance", function () {
 
     it("Should set correct voting period", async function () {
       const { governance } = await loadFixture(deployGovernanceFixture);
-      expect(await governance.VOTING_PERIOD()).to.equal(7 * 24 * 60 * 60); // 7 days
+      expect(await governance.votingPeriod()).to.equal(7 * 24 * 60 * 60); // 7 days
     });
 
     it("Should set correct minimum stake", async function () {
       const { governance } = await loadFixture(deployGovernanceFixture);
-      expect(await governance.MINIMUM_STAKE()).to.equal(ethers.parseEther("0.01"));
+      expect(await governance.minimumStake()).to.equal(ethers.parseEther("0.01"));
     });
   });
 
@@ -119,6 +136,7 @@ describe("MilestoneGovernance", function () {
       expect(proposal.projectOwner).to.equal(projectOwner.address);
       expect(proposal.evidenceHash).to.equal(evidenceHash);
       expect(proposal.status).to.equal(1); // Active
+      expect(proposal.proposalType).to.equal(0); // Milestone
     });
 
     it("Should not allow non-project-owner to create proposal", async function () {
@@ -162,6 +180,160 @@ describe("MilestoneGovernance", function () {
     });
   });
 
+  describe("Quadratic Voting", function () {
+    async function quadraticFixture() {
+      const fixture = await loadFixture(deployGovernanceFixture);
+      const { governance, escrow, owner, projectOwner, voter1, voter2, voter3, voter4, fundingGoal } = fixture;
+
+      await governance.connect(projectOwner).setVotingMode(await escrow.getAddress(), 2); // Quadratic
+      await governance.connect(owner).setAttestationSigner(owner.address);
+
+      // Stake + 1 ETH of reputation: 4, 9 and 16 ETH of power, so weights of 2, 3 and 4
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("3") });
+      await governance.connect(voter2).registerVoter({ value: ethers.parseEther("8") });
+      await governance.connect(voter3).registerVoter({ value: ethers.parseEther("15") });
+      for (const voter of [voter1, voter2, voter3]) {
+        await governance.attestVoter(voter.address, await signAttestation(governance, owner, voter.address));
+      }
+      await governance.connect(voter4).registerVoter({ value: ethers.parseEther("1") }); // Not attested
+
+      await escrow.connect(voter4).donate({ value: fundingGoal });
+      await governance.connect(projectOwner).createMilestoneProposal(
+        await escrow.getAddress(),
+        0,
+        "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
+      );
+      return fixture;
+    }
+
+    async function signAttestation(governance, signer, voter) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "MilestoneGovernance",
+        version: "1",
+        chainId,
+        verifyingContract: await governance.getAddress(),
+      };
+      return signer.signTypedData(domain, { Attestation: [{ name: "voter", type: "address" }] }, { voter });
+    }
+
+    it("Should only admit voters attested by the attestation signer", async function () {
+      const { governance, owner, voter4 } = await loadFixture(quadraticFixture);
+
+      const [eligible, , reason] = await governance.getVoteEligibility(0, voter4.address);
+      expect(eligible).to.be.false;
+      expect(reason).to.equal("Quadratic voting requires an attestation");
+      await expect(governance.connect(voter4).vote(0, true)).to.be.revertedWith("Quadratic voting requires an attestation");
+
+      await expect(
+        governance.attestVoter(voter4.address, await signAttestation(governance, voter4, voter4.address))
+      ).to.be.revertedWith("Invalid attestation");
+      await expect(governance.attestVoter(voter4.address, await signAttestation(governance, owner, voter4.address)))
+        .to.emit(governance, "VoterAttested")
+        .withArgs(voter4.address, owner.address);
+      expect(await governance.isAttested(voter4.address)).to.be.true;
+    });
+
+    it("Should weight votes by the square root of stake and reputation", async function () {
+      const { governance, voter1, voter2, voter3 } = await loadFixture(quadraticFixture);
+
+      expect((await governance.getVoteEligibility(0, voter1.address)).weight).to.equal(ethers.parseEther("2"));
+
+      await expect(governance.connect(voter1).vote(0, true))
+        .to.emit(governance, "VoteCast")
+        .withArgs(0, voter1.address, true, ethers.parseEther("2"));
+      await governance.connect(voter2).vote(0, true);
+      await governance.connect(voter3).vote(0, false);
+
+      // The whale outweighs the other two linearly (16 to 13) but not quadratically (4 to 5)
+      await time.increase(8 * 24 * 60 * 60);
+      await expect(governance.executeProposal(0)).to.emit(governance, "ProposalApproved");
+      const proposal = await governance.getProposal(0);
+      expect(proposal.votesFor).to.equal(ethers.parseEther("5"));
+      expect(proposal.votesAgainst).to.equal(ethers.parseEther("4"));
+      expect(proposal.stakeVoted).to.equal(ethers.parseEther("26"));
+    });
+
+    it("Should measure quorum by the stake that voted", async function () {
+      const { governance, voter1 } = await loadFixture(quadraticFixture);
+
+      // 3 of 27 ETH staked took part
+      await governance.connect(voter1).vote(0, true);
+      await time.increase(8 * 24 * 60 * 60);
+      await expect(governance.executeProposal(0)).to.emit(governance, "ProposalRejected");
+    });
+  });
+
+  describe("Escrow Registry", function () {
+    it("Should only take proposals for registered escrows", async function () {
+      const { governance, escrow, projectOwner, voter1, fundingGoal } = await loadFixture(deployGovernanceFixture);
+      const escrowAddress = await escrow.getAddress();
+
+      expect(await governance.getRegisteredEscrows()).to.deep.equal([escrowAddress]);
+      await expect(
+        governance.connect(voter1).registerEscrow(voter1.address)
+      ).to.be.revertedWith("Only owner or factory can register");
+      await expect(
+        governance.registerEscrow(escrowAddress)
+      ).to.be.revertedWith("Escrow already registered");
+
+      // Anything can answer projectOwner(); only registered escrows are trusted to
+      const FundingEscrow = await ethers.getContractFactory("FundingEscrow");
+      const impostor = await FundingEscrow.deploy(
+        projectOwner.address,
+        fundingGoal,
+        30 * 24 * 60 * 60,
+        3,
+        [3334, 3333, 3333],
+        ethers.ZeroAddress,
+        Array(3).fill(30 * 24 * 60 * 60),
+        false
+      );
+      await impostor.connect(voter1).donate({ value: fundingGoal });
+      await expect(
+        governance.connect(projectOwner).createMilestoneProposal(await impostor.getAddress(), 0, "QmEvidence")
+      ).to.be.revertedWith("Escrow not registered");
+      await expect(
+        governance.connect(voter1).createCancellationProposal(await impostor.getAddress(), "QmEvidence")
+      ).to.be.revertedWith("Escrow not registered");
+    });
+
+    it("Should close proposals of a deregistered escrow without executing them", async function () {
+      const { governance, escrow, projectOwner, voter1, fundingGoal } = await loadFixture(deployGovernanceFixture);
+      const escrowAddress = await escrow.getAddress();
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("1") });
+      await escrow.connect(voter1).donate({ value: fundingGoal });
+      await governance.connect(projectOwner).createMilestoneProposal(escrowAddress, 0, "QmEvidence");
+      await governance.connect(voter1).vote(0, true);
+
+      await expect(
+        governance.connect(voter1).deregisterEscrow(escrowAddress)
+      ).to.be.revertedWithCustomError(governance, "OwnableUnauthorizedAccount");
+      await expect(governance.deregisterEscrow(escrowAddress))
+        .to.emit(governance, "EscrowDeregistered")
+        .withArgs(escrowAddress);
+      expect(await governance.getRegisteredEscrows()).to.deep.equal([]);
+
+      await expect(
+        governance.connect(voter1).requestUnstake(ethers.parseEther("1"))
+      ).to.be.revertedWith("Cannot withdraw while having active votes");
+
+      // Closed at once, since it could never pass, and nothing is released
+      await expect(governance.executeProposal(0))
+        .to.emit(governance, "ProposalRejected")
+        .and.not.to.emit(governance, "ProposalExecuted");
+      const proposal = await governance.getProposal(0);
+      expect(proposal.status).to.equal(3); // Rejected
+      expect(proposal.executed).to.be.false;
+      expect(await escrow.stageCompleted(0)).to.be.false;
+
+      // The voter's stake is no longer locked
+      await expect(governance.connect(voter1).requestUnstake(ethers.parseEther("1")))
+        .to.emit(governance, "UnstakeRequested");
+    });
+  });
+
   describe("Voting", function () {
     async function setupProposal() {
       const fixture = await loadFixture(deployGovernanceFixture);
@@ -335,54 +507,1177 @@ describe("MilestoneGovernance", function () {
         governance.executeProposal(proposalId)
       ).to.be.revertedWith("Proposal not active");
     });
+
+    it("Should release part of a stage and accept a follow-up proposal for the rest", async function () {
+      const { governance, escrow, projectOwner, voter1, voter2, fundingGoal } = await loadFixture(deployGovernanceFixture);
+      const escrowAddress = await escrow.getAddress();
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("2") });
+      await governance.connect(voter2).registerVoter({ value: ethers.parseEther("2") });
+      await escrow.connect(voter1).donate({ value: fundingGoal });
+
+      await expect(
+        governance.connect(projectOwner).createPartialMilestoneProposal(escrowAddress, 0, 0, "QmEvidence")
+      ).to.be.revertedWith("Release percentage must be between 1 and 100");
+
+      await governance.connect(projectOwner).createPartialMilestoneProposal(escrowAddress, 0, 50, "QmFirstHalf");
+      expect((await governance.getProposal(0)).releasePercentage).to.equal(50);
+      await governance.connect(voter1).vote(0, true);
+      await governance.connect(voter2).vote(0, true);
+      await time.increase(8 * 24 * 60 * 60);
+
+      const balanceBefore = await ethers.provider.getBalance(projectOwner.address);
+      await governance.executeProposal(0);
+      const balanceAfter = await ethers.provider.getBalance(projectOwner.address);
+      expect(balanceAfter - balanceBefore).to.equal(ethers.parseEther("1")); // half of 2 ETH
+      expect(await escrow.stageCompleted(0)).to.be.false;
+
+      // The stage is still open, so the owner proposes the rest without it counting as a resubmission
+      await expect(
+        governance.connect(projectOwner).createMilestoneProposal(escrowAddress, 0, "QmSecondHalf")
+      ).to.not.emit(governance, "ProposalResubmitted");
+      await governance.connect(voter1).vote(1, true);
+      await governance.connect(voter2).vote(1, true);
+      await time.increase(8 * 24 * 60 * 60);
+      await governance.executeProposal(1);
+
+      expect(await escrow.stageCompleted(0)).to.be.true;
+      expect(await escrow.currentStage()).to.equal(1);
+      expect(await governance.getStageProposals(escrowAddress, 0)).to.deep.equal([0n, 1n]);
+    });
   });
 
-  describe("Stake Withdrawal", function () {
-    it("Should allow withdrawal after no active votes", async function () {
+  describe("Milestone Resubmission", function () {
+    const evidence = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
+    const revisedEvidence = "QmRevisedEvidence5CZsnA625s3Xf2nemtYgPpHdWEz7";
+    const rationale = "QmRationale9ojWnPbdGYwAPJzv5CZsnA625s3Xf2nemt";
+
+    // Stage 0 proposed once and rejected
+    async function rejectedMilestoneFixture() {
+      const fixture = await loadFixture(deployGovernanceFixture);
+      const { governance, escrow, projectOwner, voter1, voter2, fundingGoal } = fixture;
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("2") });
+      await governance.connect(voter2).registerVoter({ value: ethers.parseEther("2") });
+      await escrow.connect(voter1).donate({ value: fundingGoal });
+
+      await governance.connect(projectOwner).createMilestoneProposal(await escrow.getAddress(), 0, evidence);
+      await governance.connect(voter1).voteAgainstWithRationale(0, rationale);
+      await governance.connect(voter2).vote(0, false);
+      await time.increase(8 * 24 * 60 * 60);
+      await governance.executeProposal(0);
+
+      return fixture;
+    }
+
+    it("Should record a rationale with a vote against", async function () {
       const { governance, escrow, projectOwner, voter1, fundingGoal } = await loadFixture(deployGovernanceFixture);
-      const stakeAmount = ethers.parseEther("1");
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("2") });
+      await escrow.connect(voter1).donate({ value: fundingGoal });
+      await governance.connect(projectOwner).createMilestoneProposal(await escrow.getAddress(), 0, evidence);
 
-      await governance.connect(voter1).registerVoter({ value: stakeAmount });
+      await expect(governance.connect(voter1).voteAgainstWithRationale(0, ""))
+        .to.be.revertedWith("Rationale hash required");
+      await expect(governance.connect(voter1).voteAgainstWithRationale(0, rationale))
+        .to.emit(governance, "VoteRationale")
+        .withArgs(0, voter1.address, rationale)
+        .and.to.emit(governance, "VoteCast");
+
+      const proposal = await governance.getProposal(0);
+      expect(proposal.votesAgainst).to.be.gt(0);
+      expect(proposal.votesFor).to.equal(0);
+    });
+
+    it("Should link a resubmission to the rejected proposal", async function () {
+      const { governance, escrow, projectOwner } = await loadFixture(rejectedMilestoneFixture);
+      const escrowAddress = await escrow.getAddress();
+
+      await expect(governance.connect(projectOwner).createMilestoneProposal(escrowAddress, 0, revisedEvidence))
+        .to.emit(governance, "ProposalResubmitted")
+        .withArgs(1, 0, 1);
+
+      expect(await governance.getStageProposals(escrowAddress, 0)).to.deep.equal([0n, 1n]);
+    });
+
+    it("Should not allow a second proposal while the first is open", async function () {
+      const { governance, escrow, projectOwner, voter1, fundingGoal } = await loadFixture(deployGovernanceFixture);
       await escrow.connect(voter1).donate({ value: fundingGoal });
+      const escrowAddress = await escrow.getAddress();
+      await governance.connect(projectOwner).createMilestoneProposal(escrowAddress, 0, evidence);
 
-      // Create and vote on proposal
-      await governance.connect(projectOwner).createMilestoneProposal(
-        await escrow.getAddress(),
-        0,
-        "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
-      );
+      await expect(
+        governance.connect(projectOwner).createMilestoneProposal(escrowAddress, 0, revisedEvidence)
+      ).to.be.revertedWith("Stage has an open proposal");
+    });
+
+    it("Should cap resubmissions per stage", async function () {
+      const { governance, escrow, projectOwner } = await loadFixture(rejectedMilestoneFixture);
+      const escrowAddress = await escrow.getAddress();
+      const maxResubmissions = await governance.MAX_RESUBMISSIONS();
+
+      // Each resubmission gets no votes and is rejected for missing quorum
+      for (let i = 1n; i <= maxResubmissions; i++) {
+        await governance.connect(projectOwner).createMilestoneProposal(escrowAddress, 0, revisedEvidence);
+        await time.increase(8 * 24 * 60 * 60);
+        await governance.executeProposal(i);
+      }
+
+      await expect(
+        governance.connect(projectOwner).createMilestoneProposal(escrowAddress, 0, revisedEvidence)
+      ).to.be.revertedWith("Resubmission limit reached");
+    });
+  });
+
+  describe("Cancellation Proposals", function () {
+    const evidenceHash = "QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o";
+
+    async function fundedFixture() {
+      const fixture = await loadFixture(deployGovernanceFixture);
+      const { governance, escrow, voter1, voter2, voter3, voter4 } = fixture;
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("2") });
+      await governance.connect(voter2).registerVoter({ value: ethers.parseEther("2") });
+      await governance.connect(voter3).registerVoter({ value: ethers.parseEther("2") });
+
+      // voter4 is a donor but not a registered voter
+      await escrow.connect(voter4).donate({ value: ethers.parseEther("4") });
+      await escrow.connect(voter1).donate({ value: ethers.parseEther("6") });
+
+      return fixture;
+    }
+
+    it("Should allow a donor to open a cancellation proposal", async function () {
+      const { governance, escrow, projectOwner, voter4 } = await loadFixture(fundedFixture);
+
+      await expect(governance.connect(voter4).createCancellationProposal(await escrow.getAddress(), evidenceHash))
+        .to.emit(governance, "ProposalCreated")
+        .withArgs(0, 0, await escrow.getAddress(), evidenceHash, 1);
+
+      const proposal = await governance.getProposal(0);
+      expect(proposal.proposalType).to.equal(1); // Cancellation
+      expect(proposal.projectOwner).to.equal(projectOwner.address);
+      expect(proposal.evidenceHash).to.equal(evidenceHash);
+      expect(proposal.status).to.equal(1); // Active
+    });
+
+    it("Should allow a registered voter to open a cancellation proposal", async function () {
+      const { governance, escrow, voter2 } = await loadFixture(fundedFixture);
+
+      await expect(governance.connect(voter2).createCancellationProposal(await escrow.getAddress(), evidenceHash))
+        .to.emit(governance, "ProposalCreated");
+    });
+
+    it("Should not allow outsiders to open a cancellation proposal", async function () {
+      const { governance, escrow, projectOwner } = await loadFixture(fundedFixture);
+
+      await expect(
+        governance.connect(projectOwner).createCancellationProposal(await escrow.getAddress(), evidenceHash)
+      ).to.be.revertedWith("Only donors or registered voters can propose cancellation");
+    });
+
+    it("Should require an evidence hash", async function () {
+      const { governance, escrow, voter4 } = await loadFixture(fundedFixture);
+
+      await expect(
+        governance.connect(voter4).createCancellationProposal(await escrow.getAddress(), "")
+      ).to.be.revertedWith("Evidence hash required");
+    });
+
+    it("Should cancel the project and open refunds when approved", async function () {
+      const { governance, escrow, voter1, voter2, voter4 } = await loadFixture(fundedFixture);
+
+      await governance.connect(voter4).createCancellationProposal(await escrow.getAddress(), evidenceHash);
       await governance.connect(voter1).vote(0, true);
+      await governance.connect(voter2).vote(0, true);
 
-      // Complete voting
+      await time.increase(8 * 24 * 60 * 60);
+
+      await expect(governance.executeProposal(0))
+        .to.emit(governance, "ProposalApproved")
+        .and.to.emit(escrow, "ProjectCancelled");
+
+      expect(await escrow.projectCancelled()).to.be.true;
+      await expect(escrow.connect(voter4).refund())
+        .to.changeEtherBalance(voter4, ethers.parseEther("4"));
+    });
+
+    it("Should leave the project running when rejected", async function () {
+      const { governance, escrow, voter1, voter2, voter4 } = await loadFixture(fundedFixture);
+
+      await governance.connect(voter4).createCancellationProposal(await escrow.getAddress(), evidenceHash);
+      await governance.connect(voter1).vote(0, false);
+      await governance.connect(voter2).vote(0, false);
+
+      await time.increase(8 * 24 * 60 * 60);
+
+      await expect(governance.executeProposal(0))
+        .to.emit(governance, "ProposalRejected");
+      expect(await escrow.projectCancelled()).to.be.false;
+    });
+
+    it("Should not open a cancellation proposal while funding is open", async function () {
+      const { governance, escrow, voter4 } = await loadFixture(deployGovernanceFixture);
+
+      await escrow.connect(voter4).donate({ value: ethers.parseEther("4") });
+
+      await expect(
+        governance.connect(voter4).createCancellationProposal(await escrow.getAddress(), evidenceHash)
+      ).to.be.revertedWith("Funding is still open");
+    });
+
+    it("Should allow one open cancellation proposal per project", async function () {
+      const { governance, escrow, voter1, voter2, voter4 } = await loadFixture(fundedFixture);
+
+      await governance.connect(voter4).createCancellationProposal(await escrow.getAddress(), evidenceHash);
+      await expect(
+        governance.connect(voter2).createCancellationProposal(await escrow.getAddress(), evidenceHash)
+      ).to.be.revertedWith("Project has an open cancellation proposal");
+
+      // Another can be opened once the first is rejected
+      await governance.connect(voter1).vote(0, false);
+      await governance.connect(voter2).vote(0, false);
       await time.increase(8 * 24 * 60 * 60);
       await governance.executeProposal(0);
 
-      // Now can withdraw
-      const balanceBefore = await ethers.provider.getBalance(voter1.address);
-      const tx = await governance.connect(voter1).withdrawStake();
-      const receipt = await tx.wait();
-      const gasUsed = receipt.gasUsed * receipt.gasPrice;
-      const balanceAfter = await ethers.provider.getBalance(voter1.address);
+      await expect(governance.connect(voter2).createCancellationProposal(await escrow.getAddress(), evidenceHash))
+        .to.emit(governance, "ProposalCreated");
+    });
 
-      expect(balanceAfter - balanceBefore + gasUsed).to.equal(stakeAmount);
+    it("Should not allow cancelling an already cancelled project", async function () {
+      const { governance, escrow, voter1, voter2, voter4 } = await loadFixture(fundedFixture);
+
+      await governance.connect(voter4).createCancellationProposal(await escrow.getAddress(), evidenceHash);
+      await governance.connect(voter1).vote(0, true);
+      await governance.connect(voter2).vote(0, true);
+      await time.increase(8 * 24 * 60 * 60);
+      await governance.executeProposal(0);
+
+      await expect(
+        governance.connect(voter4).createCancellationProposal(await escrow.getAddress(), evidenceHash)
+      ).to.be.revertedWith("Project already cancelled");
     });
+  });
 
-    it("Should not allow withdrawal with active votes", async function () {
+  describe("Donor-weighted Voting", function () {
+    const evidenceHash = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
+
+    async function donorModeFixture() {
+      const fixture = await loadFixture(deployGovernanceFixture);
+      const { governance, escrow, projectOwner, voter1, voter2, voter3 } = fixture;
+
+      await governance.connect(projectOwner).setVotingMode(await escrow.getAddress(), 1); // DonorWeighted
+
+      // voter3 stakes heavily but never donates
+      await governance.connect(voter3).registerVoter({ value: ethers.parseEther("50") });
+
+      await escrow.connect(voter1).donate({ value: ethers.parseEther("7") });
+      await escrow.connect(voter2).donate({ value: ethers.parseEther("3") });
+
+      await governance.connect(projectOwner).createMilestoneProposal(await escrow.getAddress(), 0, evidenceHash);
+
+      return fixture;
+    }
+
+    it("Should only let the project owner set the voting mode", async function () {
+      const { governance, escrow, projectOwner, voter1 } = await loadFixture(deployGovernanceFixture);
+
+      await expect(governance.connect(voter1).setVotingMode(await escrow.getAddress(), 1))
+        .to.be.revertedWith("Only project owner can set voting mode");
+
+      await expect(governance.connect(projectOwner).setVotingMode(await escrow.getAddress(), 1))
+        .to.emit(governance, "VotingModeSet")
+        .withArgs(await escrow.getAddress(), 1);
+      expect(await governance.escrowVotingMode(await escrow.getAddress())).to.equal(1);
+    });
+
+    it("Should lock the voting mode once funded", async function () {
       const { governance, escrow, projectOwner, voter1, fundingGoal } = await loadFixture(deployGovernanceFixture);
 
-      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("1") });
       await escrow.connect(voter1).donate({ value: fundingGoal });
 
-      await governance.connect(projectOwner).createMilestoneProposal(
-        await escrow.getAddress(),
-        0,
-        "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
-      );
+      await expect(governance.connect(projectOwner).setVotingMode(await escrow.getAddress(), 1))
+        .to.be.revertedWith("Voting mode is locked once funded");
+    });
+
+    it("Should record the voting mode on the proposal", async function () {
+      const { governance } = await loadFixture(donorModeFixture);
+
+      expect((await governance.getProposal(0)).votingMode).to.equal(1);
+    });
+
+    it("Should weight donor votes by contribution without registration", async function () {
+      const { governance, voter1, voter2 } = await loadFixture(donorModeFixture);
+
+      await governance.connect(voter1).vote(0, true);
+      await governance.connect(voter2).vote(0, false);
+
+      const proposal = await governance.getProposal(0);
+      expect(proposal.votesFor).to.equal(ethers.parseEther("7"));
+      expect(proposal.votesAgainst).to.equal(ethers.parseEther("3"));
+    });
+
+    it("Should not let stakers who did not donate vote", async function () {
+      const { governance, voter3 } = await loadFixture(donorModeFixture);
+
+      await expect(governance.connect(voter3).vote(0, true))
+        .to.be.revertedWith("Only donors to this project can vote");
+    });
+
+    it("Should measure quorum against the funds raised", async function () {
+      const { governance, escrow, voter1 } = await loadFixture(donorModeFixture);
+
+      // 7 of 10 ETH raised participates, despite 50 ETH staked in governance
       await governance.connect(voter1).vote(0, true);
+      await time.increase(8 * 24 * 60 * 60);
+
+      await expect(governance.executeProposal(0))
+        .to.emit(governance, "ProposalApproved");
+      expect(await escrow.stageCompleted(0)).to.be.true;
+    });
+
+    it("Should fail quorum when too few donors vote", async function () {
+      const { governance, voter2 } = await loadFixture(donorModeFixture);
+
+      await governance.connect(voter2).vote(0, true);
+      await time.increase(8 * 24 * 60 * 60);
+
+      await expect(governance.executeProposal(0))
+        .to.emit(governance, "ProposalRejected");
+    });
+
+    it("Should not open donor-weighted proposals while donations are open", async function () {
+      const { governance, escrow, projectOwner, voter1 } = await loadFixture(deployGovernanceFixture);
+      await governance.connect(projectOwner).setVotingMode(await escrow.getAddress(), 1); // DonorWeighted
+
+      // Later donations would add weight beyond the funds raised at creation
+      await escrow.connect(voter1).donate({ value: ethers.parseEther("3") });
 
       await expect(
-        governance.connect(voter1).withdrawStake()
-      ).to.be.revertedWith("Cannot withdraw while having active votes");
+        governance.connect(voter1).createCancellationProposal(await escrow.getAddress(), evidenceHash)
+      ).to.be.revertedWith("Funding is still open");
+    });
+
+    it("Should explain vote eligibility", async function () {
+      const { governance, voter1, voter3 } = await loadFixture(donorModeFixture);
+
+      let eligibility = await governance.getVoteEligibility(0, voter1.address);
+      expect(eligibility.eligible).to.be.true;
+      expect(eligibility.weight).to.equal(ethers.parseEther("7"));
+      expect(eligibility.reason).to.equal("");
+
+      eligibility = await governance.getVoteEligibility(0, voter3.address);
+      expect(eligibility.eligible).to.be.false;
+      expect(eligibility.reason).to.equal("Only donors to this project can vote");
+
+      await governance.connect(voter1).vote(0, true);
+      eligibility = await governance.getVoteEligibility(0, voter1.address);
+      expect(eligibility.eligible).to.be.false;
+      expect(eligibility.reason).to.equal("Already voted on this proposal");
+    });
+  });
+
+  describe("Voting Supply Snapshot", function () {
+    const evidenceHash = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
+
+    async function snapshotFixture() {
+      const fixture = await loadFixture(deployGovernanceFixture);
+      const { governance, escrow, projectOwner, voter1, voter2, fundingGoal } = fixture;
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("3") });
+      await governance.connect(voter2).registerVoter({ value: ethers.parseEther("1") });
+      await escrow.connect(voter1).donate({ value: fundingGoal });
+      await governance.connect(projectOwner).createMilestoneProposal(await escrow.getAddress(), 0, evidenceHash);
+
+      return fixture;
+    }
+
+    it("Should return the voting supply snapshot from getProposal", async function () {
+      const { governance } = await loadFixture(snapshotFixture);
+
+      // Stake + reputation bonus of both voters, the unit votes are counted in
+      const proposal = await governance.getProposal(0);
+      expect(proposal.totalVotingSupply).to.equal(ethers.parseEther("6"));
+      expect(await governance.totalVotingPowerAt(proposal.snapshotBlock)).to.equal(ethers.parseEther("6"));
+      expect(await governance.totalStakedAt(proposal.snapshotBlock)).to.equal(ethers.parseEther("4"));
+    });
+
+    it("Should not let reputation carry a minority stake past quorum", async function () {
+      const { governance, escrow, projectOwner, voter1, voter2, fundingGoal } = await loadFixture(deployGovernanceFixture);
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("0.5") });
+      await governance.connect(voter2).registerVoter({ value: ethers.parseEther("2") });
+      await escrow.connect(voter1).donate({ value: fundingGoal });
+      await governance.connect(projectOwner).createMilestoneProposal(await escrow.getAddress(), 0, evidenceHash);
+
+      // 1.5 ETH of votes from 20% of the stake: more than half the stake, but 1.5 / 4.5 of voting power
+      await governance.connect(voter1).vote(0, true);
+      await time.increase(8 * 24 * 60 * 60);
+
+      await expect(governance.executeProposal(0)).to.emit(governance, "ProposalRejected");
+    });
+
+    it("Should not let stake registered after creation vote", async function () {
+      const { governance, voter3 } = await loadFixture(snapshotFixture);
+
+      await governance.connect(voter3).registerVoter({ value: ethers.parseEther("100") });
+
+      await expect(governance.connect(voter3).vote(0, true))
+        .to.be.revertedWith("Insufficient stake at proposal snapshot");
+      expect((await governance.getProposal(0)).totalVotingSupply).to.equal(ethers.parseEther("6"));
+    });
+
+    it("Should weight votes by stake at the snapshot", async function () {
+      const { governance, voter1 } = await loadFixture(snapshotFixture);
+
+      await governance.connect(voter1).addStake({ value: ethers.parseEther("10") });
+      await governance.connect(voter1).vote(0, true);
+
+      // 3 ETH snapshot stake + 1 ETH reputation bonus
+      expect((await governance.getProposal(0)).votesFor).to.equal(ethers.parseEther("4"));
+    });
+
+    it("Should judge quorum against the snapshot, not later stakes", async function () {
+      const { governance, voter1, voter3 } = await loadFixture(snapshotFixture);
+
+      await governance.connect(voter1).vote(0, true);
+      // A large stake after creation would have blocked quorum if measured at execution
+      await governance.connect(voter3).registerVoter({ value: ethers.parseEther("100") });
+      await time.increase(8 * 24 * 60 * 60);
+
+      await expect(governance.executeProposal(0))
+        .to.emit(governance, "ProposalApproved");
+    });
+
+    it("Should track total stake through withdrawals", async function () {
+      const { governance, voter2 } = await loadFixture(snapshotFixture);
+
+      await governance.connect(voter2).requestUnstake(ethers.parseEther("1"));
+      expect(await governance.getTotalStaked()).to.equal(ethers.parseEther("3"));
+    });
+  });
+
+  describe("Delegation", function () {
+    const evidenceHash = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
+
+    // voter1 (1 ETH) and voter2 (2 ETH) delegate to voter3 (3 ETH); each has a 1 ETH reputation bonus
+    async function delegationFixture() {
+      const fixture = await loadFixture(deployGovernanceFixture);
+      const { governance, escrow, projectOwner, voter1, voter2, voter3, voter4, fundingGoal } = fixture;
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("1") });
+      await governance.connect(voter2).registerVoter({ value: ethers.parseEther("2") });
+      await governance.connect(voter3).registerVoter({ value: ethers.parseEther("3") });
+      await governance.connect(voter1).delegate(voter3.address);
+      await governance.connect(voter2).delegate(voter3.address);
+
+      await escrow.connect(voter4).donate({ value: fundingGoal });
+      await governance.connect(projectOwner).createMilestoneProposal(await escrow.getAddress(), 0, evidenceHash);
+
+      return fixture;
+    }
+
+    it("Should move power to the delegate and emit events", async function () {
+      const { governance, voter1, voter3 } = await loadFixture(deployGovernanceFixture);
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("1") });
+      await governance.connect(voter3).registerVoter({ value: ethers.parseEther("3") });
+
+      await expect(governance.connect(voter1).delegate(voter3.address))
+        .to.emit(governance, "DelegateChanged")
+        .withArgs(voter1.address, ethers.ZeroAddress, voter3.address)
+        .and.to.emit(governance, "DelegatedPowerChanged")
+        .withArgs(voter3.address, 0, ethers.parseEther("2"));
+
+      const info = await governance.getDelegationInfo(voter3.address);
+      expect(info.delegatedPower).to.equal(ethers.parseEther("2"));
+      expect((await governance.getDelegationInfo(voter1.address)).delegatee).to.equal(voter3.address);
+    });
+
+    it("Should only delegate to other registered voters", async function () {
+      const { governance, voter1, voter4 } = await loadFixture(deployGovernanceFixture);
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("1") });
+
+      await expect(governance.connect(voter1).delegate(voter1.address))
+        .to.be.revertedWith("Cannot delegate to yourself");
+      await expect(governance.connect(voter1).delegate(voter4.address))
+        .to.be.revertedWith("Delegate must be a registered voter");
+    });
+
+    it("Should count delegated power in the delegate's vote", async function () {
+      const { governance, voter3 } = await loadFixture(delegationFixture);
+
+      await expect(governance.connect(voter3).vote(0, true))
+        .to.emit(governance, "VoteCast")
+        .withArgs(0, voter3.address, true, ethers.parseEther("9")); // 4 own + 2 + 3 delegated
+    });
+
+    it("Should let a delegator override before the delegate votes", async function () {
+      const { governance, voter2, voter3 } = await loadFixture(delegationFixture);
+
+      await expect(governance.connect(voter2).vote(0, false))
+        .to.emit(governance, "DelegationOverridden")
+        .withArgs(0, voter2.address, voter3.address, ethers.parseEther("3"));
+      await governance.connect(voter3).vote(0, true);
+
+      const proposal = await governance.getProposal(0);
+      expect(proposal.votesFor).to.equal(ethers.parseEther("6"));
+      expect(proposal.votesAgainst).to.equal(ethers.parseEther("3"));
+    });
+
+    it("Should let a delegator override after the delegate votes", async function () {
+      const { governance, voter2, voter3 } = await loadFixture(delegationFixture);
+
+      await governance.connect(voter3).vote(0, true);
+      await governance.connect(voter2).vote(0, false);
+
+      const proposal = await governance.getProposal(0);
+      expect(proposal.votesFor).to.equal(ethers.parseEther("6"));
+      expect(proposal.votesAgainst).to.equal(ethers.parseEther("3"));
+    });
+
+    it("Should not count delegation made after the proposal opened", async function () {
+      const { governance, voter1, voter3 } = await loadFixture(delegationFixture);
+
+      await governance.connect(voter1).undelegate();
+      await governance.connect(voter3).vote(0, true);
+
+      expect((await governance.getProposal(0)).votesFor).to.equal(ethers.parseEther("9"));
+      expect((await governance.getDelegationInfo(voter3.address)).delegatedPower).to.equal(ethers.parseEther("3"));
+    });
+
+    it("Should remove a withdrawn stake from delegated power", async function () {
+      const { governance, voter1, voter3 } = await loadFixture(delegationFixture);
+
+      await governance.connect(voter1).requestUnstake(ethers.parseEther("1"));
+
+      expect((await governance.getDelegationInfo(voter3.address)).delegatedPower).to.equal(ethers.parseEther("3"));
+    });
+  });
+
+  describe("Signed Votes", function () {
+    async function signedVoteFixture() {
+      const fixture = await loadFixture(deployGovernanceFixture);
+      const { governance, escrow, projectOwner, voter1, fundingGoal } = fixture;
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("1") });
+      await escrow.connect(voter1).donate({ value: fundingGoal });
+      await governance.connect(projectOwner).createMilestoneProposal(
+        await escrow.getAddress(),
+        0,
+        "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
+      );
+
+      const deadline = (await time.latest()) + 60 * 60;
+      return { ...fixture, deadline };
+    }
+
+    async function signVote(governance, signer, proposalId, inFavor, nonce, deadline) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "MilestoneGovernance",
+        version: "1",
+        chainId,
+        verifyingContract: await governance.getAddress(),
+      };
+      const types = {
+        Vote: [
+          { name: "proposalId", type: "uint256" },
+          { name: "inFavor", type: "bool" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      return signer.signTypedData(domain, types, { proposalId, inFavor, nonce, deadline });
+    }
+
+    it("Should record a relayed vote for the signer", async function () {
+      const { governance, voter1, voter4, deadline } = await loadFixture(signedVoteFixture);
+
+      const signature = await signVote(governance, voter1, 0, true, 0, deadline);
+
+      await expect(governance.connect(voter4).voteBySig(0, true, 0, deadline, signature))
+        .to.emit(governance, "VoteCast")
+        .withArgs(0, voter1.address, true, ethers.parseEther("2"));
+      expect(await governance.hasVoted(0, voter1.address)).to.be.true;
+      expect(await governance.nonces(voter1.address)).to.equal(1);
+    });
+
+    it("Should not accept a signature twice", async function () {
+      const { governance, voter1, voter4, deadline } = await loadFixture(signedVoteFixture);
+
+      const signature = await signVote(governance, voter1, 0, true, 0, deadline);
+      await governance.connect(voter4).voteBySig(0, true, 0, deadline, signature);
+
+      await expect(governance.connect(voter4).voteBySig(0, true, 0, deadline, signature))
+        .to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should reject an expired signature", async function () {
+      const { governance, voter1, voter4, deadline } = await loadFixture(signedVoteFixture);
+
+      const signature = await signVote(governance, voter1, 0, true, 0, deadline);
+      await time.increaseTo(deadline + 1);
+
+      await expect(governance.connect(voter4).voteBySig(0, true, 0, deadline, signature))
+        .to.be.revertedWith("Signature expired");
+    });
+
+    it("Should not count a tampered vote for the signer", async function () {
+      const { governance, voter1, voter4, deadline } = await loadFixture(signedVoteFixture);
+
+      const signature = await signVote(governance, voter1, 0, true, 0, deadline);
+
+      // Flipping the vote changes the recovered address, which is not a registered voter
+      await expect(governance.connect(voter4).voteBySig(0, false, 0, deadline, signature))
+        .to.be.revertedWith("Not a registered voter");
+      expect(await governance.hasVoted(0, voter1.address)).to.be.false;
+    });
+  });
+
+  describe("Commit-Reveal Voting", function () {
+    const votingPeriod = 7 * 24 * 60 * 60;
+    const revealPeriod = 2 * 24 * 60 * 60;
+    const salt1 = ethers.id("voter1-salt");
+    const salt2 = ethers.id("voter2-salt");
+
+    async function commitRevealFixture() {
+      const fixture = await loadFixture(deployGovernanceFixture);
+      const { governance, escrow, projectOwner, voter1, voter2, voter4, fundingGoal } = fixture;
+
+      await governance.connect(projectOwner).setCommitReveal(await escrow.getAddress(), true);
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("3") });
+      await governance.connect(voter2).registerVoter({ value: ethers.parseEther("1") });
+      await escrow.connect(voter4).donate({ value: fundingGoal });
+      await governance.connect(projectOwner).createMilestoneProposal(
+        await escrow.getAddress(),
+        0,
+        "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
+      );
+
+      return fixture;
+    }
+
+    async function commit(governance, voter, proposalId, inFavor, salt) {
+      const hash = await governance.getCommitHash(proposalId, voter.address, inFavor, salt);
+      return governance.connect(voter).commitVote(proposalId, hash);
+    }
+
+    it("Should only let the project owner enable it before funding", async function () {
+      const { governance, escrow, projectOwner, voter1, fundingGoal } = await loadFixture(deployGovernanceFixture);
+      const escrowAddress = await escrow.getAddress();
+
+      await expect(governance.connect(voter1).setCommitReveal(escrowAddress, true))
+        .to.be.revertedWith("Only project owner can set voting mode");
+      await expect(governance.connect(projectOwner).setCommitReveal(escrowAddress, true))
+        .to.emit(governance, "CommitRevealSet")
+        .withArgs(escrowAddress, true);
+
+      await escrow.connect(voter1).donate({ value: fundingGoal });
+      await expect(governance.connect(projectOwner).setCommitReveal(escrowAddress, false))
+        .to.be.revertedWith("Voting mode is locked once funded");
+    });
+
+    it("Should hide votes until they are revealed", async function () {
+      const { governance, voter1 } = await loadFixture(commitRevealFixture);
+
+      await expect(governance.connect(voter1).vote(0, true))
+        .to.be.revertedWith("Proposal uses commit-reveal voting");
+      await expect(commit(governance, voter1, 0, true, salt1))
+        .to.emit(governance, "VoteCommitted")
+        .withArgs(0, voter1.address);
+
+      const proposal = await governance.getProposal(0);
+      expect(proposal.commitReveal).to.be.true;
+      expect(proposal.revealEndTime).to.equal(proposal.endTime + BigInt(revealPeriod));
+      expect(proposal.votesFor).to.equal(0);
+      expect(await governance.hasVoted(0, voter1.address)).to.be.false;
+      await expect(commit(governance, voter1, 0, false, salt1))
+        .to.be.revertedWith("Already committed");
+    });
+
+    it("Should count a vote once revealed after the commit period", async function () {
+      const { governance, voter1 } = await loadFixture(commitRevealFixture);
+
+      await commit(governance, voter1, 0, true, salt1);
+      await expect(governance.connect(voter1).revealVote(0, true, salt1))
+        .to.be.revertedWith("Commit period not ended");
+
+      await time.increase(votingPeriod + 1);
+      await expect(commit(governance, voter1, 0, true, salt1))
+        .to.be.revertedWith("Commit period ended");
+      await expect(governance.connect(voter1).revealVote(0, false, salt1))
+        .to.be.revertedWith("Reveal does not match commitment");
+      await expect(governance.connect(voter1).revealVote(0, true, salt1))
+        .to.emit(governance, "VoteCast")
+        .withArgs(0, voter1.address, true, ethers.parseEther("4"));
+
+      expect((await governance.getProposal(0)).votesFor).to.equal(ethers.parseEther("4"));
+    });
+
+    it("Should not count unrevealed votes and wait for the reveal period to execute", async function () {
+      const { governance, voter1, voter2 } = await loadFixture(commitRevealFixture);
+
+      await commit(governance, voter1, 0, true, salt1);
+      await commit(governance, voter2, 0, false, salt2);
+      await time.increase(votingPeriod + 1);
+      await governance.connect(voter1).revealVote(0, true, salt1);
+
+      await expect(governance.executeProposal(0)).to.be.revertedWith("Reveal period not ended");
+
+      await time.increase(revealPeriod);
+      await expect(governance.connect(voter2).revealVote(0, false, salt2))
+        .to.be.revertedWith("Reveal period ended");
+      await governance.executeProposal(0);
+
+      const proposal = await governance.getProposal(0);
+      expect(proposal.votesAgainst).to.equal(0);
+      expect(proposal.status).to.equal(2); // Approved
+    });
+
+    it("Should cost reputation after repeated missed reveals", async function () {
+      const { governance, escrow, voter1, voter4 } = await loadFixture(commitRevealFixture);
+
+      await governance.connect(voter4).createCancellationProposal(
+        await escrow.getAddress(),
+        "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
+      );
+      await commit(governance, voter1, 0, true, salt1);
+      await commit(governance, voter1, 1, true, salt1);
+      await expect(governance.reportMissedReveal(0, voter1.address))
+        .to.be.revertedWith("Reveal period not ended");
+
+      await time.increase(votingPeriod + revealPeriod + 1);
+
+      // The first miss is free
+      await expect(governance.reportMissedReveal(0, voter1.address))
+        .to.emit(governance, "RevealMissed")
+        .withArgs(0, voter1.address, 1, 100);
+      await expect(governance.reportMissedReveal(0, voter1.address))
+        .to.be.revertedWith("Already reported");
+
+      await expect(governance.reportMissedReveal(1, voter1.address))
+        .to.emit(governance, "RevealMissed")
+        .withArgs(1, voter1.address, 2, 90);
+      expect((await governance.getVoterInfo(voter1.address)).reputation).to.equal(90);
+      expect(await governance.missedReveals(voter1.address)).to.equal(2);
+    });
+  });
+
+  describe("Parameter Changes", function () {
+    const VotingPeriod = 0;
+    const MinimumStake = 1;
+    const QuorumPercentage = 2;
+    const timelock = 2 * 24 * 60 * 60;
+
+    it("Should only let the owner queue a change", async function () {
+      const { governance, voter1 } = await loadFixture(deployGovernanceFixture);
+
+      await expect(governance.connect(voter1).queueParameterChange(VotingPeriod, 60 * 60))
+        .to.be.revertedWithCustomError(governance, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should apply a change after the timelock", async function () {
+      const { governance, voter1 } = await loadFixture(deployGovernanceFixture);
+
+      await expect(governance.queueParameterChange(VotingPeriod, 60 * 60))
+        .to.emit(governance, "ParameterChangeQueued");
+
+      await expect(governance.connect(voter1).executeParameterChange(VotingPeriod))
+        .to.be.revertedWith("Timelock not expired");
+
+      await time.increase(timelock);
+
+      await expect(governance.connect(voter1).executeParameterChange(VotingPeriod))
+        .to.emit(governance, "ParameterChanged")
+        .withArgs(VotingPeriod, 7 * 24 * 60 * 60, 60 * 60);
+      expect(await governance.votingPeriod()).to.equal(60 * 60);
+    });
+
+    it("Should use the new voting period for new proposals only", async function () {
+      const { governance, escrow, projectOwner, voter1, fundingGoal } = await loadFixture(deployGovernanceFixture);
+
+      await escrow.connect(voter1).donate({ value: fundingGoal });
+      await governance.connect(projectOwner).createMilestoneProposal(
+        await escrow.getAddress(),
+        0,
+        "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
+      );
+      const openProposal = await governance.getProposal(0);
+
+      await governance.queueParameterChange(VotingPeriod, 60 * 60);
+      await time.increase(timelock);
+      await governance.executeParameterChange(VotingPeriod);
+
+      expect((await governance.getProposal(0)).endTime).to.equal(openProposal.endTime);
+
+      await governance.connect(voter1).createCancellationProposal(
+        await escrow.getAddress(),
+        "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
+      );
+      const newProposal = await governance.getProposal(1);
+      expect(newProposal.endTime - newProposal.startTime).to.equal(60 * 60);
+    });
+
+    it("Should enforce the new minimum stake", async function () {
+      const { governance, voter1 } = await loadFixture(deployGovernanceFixture);
+
+      await governance.queueParameterChange(MinimumStake, ethers.parseEther("1"));
+      await time.increase(timelock);
+      await governance.executeParameterChange(MinimumStake);
+
+      await expect(governance.connect(voter1).registerVoter({ value: ethers.parseEther("0.5") }))
+        .to.be.revertedWith("Insufficient stake amount");
+    });
+
+    it("Should keep the quorum and minimum stake an open proposal started with", async function () {
+      const { governance, escrow, projectOwner, voter1, voter2, fundingGoal } = await loadFixture(deployGovernanceFixture);
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("3") });
+      await governance.connect(voter2).registerVoter({ value: ethers.parseEther("1") });
+      await escrow.connect(voter1).donate({ value: fundingGoal });
+      await governance.connect(projectOwner).createMilestoneProposal(await escrow.getAddress(), 0, "QmEvidence");
+
+      await governance.queueParameterChange(QuorumPercentage, 100);
+      await governance.queueParameterChange(MinimumStake, ethers.parseEther("5"));
+      await time.increase(timelock);
+      await governance.executeParameterChange(QuorumPercentage);
+      await governance.executeParameterChange(MinimumStake);
+
+      const proposal = await governance.getProposal(0);
+      expect(proposal.quorumPercentage).to.equal(51);
+      expect(proposal.minimumStake).to.equal(ethers.parseEther("0.01"));
+
+      // voter1 is below the new minimum and voter2 never votes, yet the proposal passes on its own terms
+      await governance.connect(voter1).vote(0, true);
+      await time.increase(7 * 24 * 60 * 60);
+      await governance.executeProposal(0);
+      expect((await governance.getProposal(0)).status).to.equal(2); // Approved
+    });
+
+    it("Should reject out-of-range values", async function () {
+      const { governance } = await loadFixture(deployGovernanceFixture);
+
+      await expect(governance.queueParameterChange(VotingPeriod, 60))
+        .to.be.revertedWith("Voting period out of range");
+      await expect(governance.queueParameterChange(MinimumStake, 0))
+        .to.be.revertedWith("Minimum stake must be positive");
+      await expect(governance.queueParameterChange(QuorumPercentage, 101))
+        .to.be.revertedWith("Quorum must be between 1 and 100");
+    });
+
+    it("Should let the owner cancel a queued change", async function () {
+      const { governance } = await loadFixture(deployGovernanceFixture);
+
+      await governance.queueParameterChange(QuorumPercentage, 30);
+      await expect(governance.cancelParameterChange(QuorumPercentage))
+        .to.emit(governance, "ParameterChangeCancelled")
+        .withArgs(QuorumPercentage);
+
+      await time.increase(timelock);
+      await expect(governance.executeParameterChange(QuorumPercentage))
+        .to.be.revertedWith("No pending change");
+      expect(await governance.quorumPercentage()).to.equal(51);
+    });
+
+    it("Should let the unstake cooldown be changed within bounds", async function () {
+      const { governance } = await loadFixture(deployGovernanceFixture);
+      const UnstakeCooldown = 4;
+
+      await expect(governance.queueParameterChange(UnstakeCooldown, 31 * 24 * 60 * 60))
+        .to.be.revertedWith("Cooldown too long");
+
+      await governance.queueParameterChange(UnstakeCooldown, 24 * 60 * 60);
+      await time.increase(timelock);
+      await governance.executeParameterChange(UnstakeCooldown);
+      expect(await governance.unstakeCooldown()).to.equal(24 * 60 * 60);
+    });
+  });
+
+  describe("Reputation", function () {
+    const SlashPercentage = 3;
+    const votingPeriod = 7 * 24 * 60 * 60;
+    const evidence = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
+
+    // voter1 approves milestone 0 and voter2 opposes it; the milestone passes and is executed
+    async function approvedMilestoneFixture() {
+      const fixture = await loadFixture(deployGovernanceFixture);
+      const { governance, escrow, projectOwner, voter1, voter2, voter4, fundingGoal } = fixture;
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("5") });
+      await governance.connect(voter2).registerVoter({ value: ethers.parseEther("1") });
+      await escrow.connect(voter4).donate({ value: fundingGoal });
+      await governance.connect(projectOwner).createMilestoneProposal(await escrow.getAddress(), 0, evidence);
+      await governance.connect(voter1).vote(0, true);
+      await governance.connect(voter2).vote(0, false);
+      await time.increase(votingPeriod + 1);
+      await governance.executeProposal(0);
+
+      return fixture;
+    }
+
+    // voter3 and voter2 then vote through a cancellation of the same project
+    async function cancelledProjectFixture() {
+      const fixture = await loadFixture(approvedMilestoneFixture);
+      const { governance, escrow, voter2, voter3, voter4 } = fixture;
+
+      await governance.connect(voter3).registerVoter({ value: ethers.parseEther("10") });
+      await governance.connect(voter4).createCancellationProposal(await escrow.getAddress(), evidence);
+      await governance.connect(voter2).vote(1, true);
+      await governance.connect(voter3).vote(1, true);
+      await time.increase(votingPeriod + 1);
+      await governance.executeProposal(1);
+
+      return fixture;
+    }
+
+    it("Should reward voters who sided with the outcome", async function () {
+      const { governance, voter1, voter2, voter4 } = await loadFixture(approvedMilestoneFixture);
+
+      await expect(governance.connect(voter4).settleReputation(0, voter1.address))
+        .to.emit(governance, "ReputationChanged")
+        .withArgs(voter1.address, 0, 100, 105);
+      await expect(governance.connect(voter4).settleReputation(0, voter2.address))
+        .to.not.emit(governance, "ReputationChanged");
+
+      expect((await governance.getVoterInfo(voter1.address)).reputation).to.equal(105);
+      expect((await governance.getVoterInfo(voter2.address)).reputation).to.equal(100);
+      const [, votingPower] = await governance.getDelegationInfo(voter1.address);
+      expect(votingPower).to.equal(ethers.parseEther("6.05"));
+      await expect(governance.settleReputation(0, voter1.address)).to.be.revertedWith("Already settled");
+    });
+
+    it("Should only settle executed proposals", async function () {
+      const { governance, escrow, projectOwner, voter1, voter2, fundingGoal } = await loadFixture(deployGovernanceFixture);
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("1") });
+      await escrow.connect(voter2).donate({ value: fundingGoal });
+      await governance.connect(projectOwner).createMilestoneProposal(await escrow.getAddress(), 0, evidence);
+      await governance.connect(voter1).vote(0, true);
+
+      await expect(governance.settleReputation(0, voter1.address)).to.be.revertedWith("Proposal not executed");
+      await expect(governance.settleReputation(0, voter2.address)).to.be.revertedWith("Proposal not executed");
+    });
+
+    it("Should keep earned reputation when re-registering", async function () {
+      const { governance, voter1 } = await loadFixture(approvedMilestoneFixture);
+
+      await governance.settleReputation(0, voter1.address);
+      await governance.connect(voter1).requestUnstake(ethers.parseEther("5"));
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("1") });
+
+      expect((await governance.getVoterInfo(voter1.address)).reputation).to.equal(105);
+    });
+
+    it("Should penalize approvers of a project later cancelled by governance", async function () {
+      const { governance, escrow, voter1, voter2 } = await loadFixture(cancelledProjectFixture);
+
+      expect(await governance.cancelledByGovernance(await escrow.getAddress())).to.be.true;
+
+      await expect(governance.settleReputation(0, voter1.address))
+        .to.emit(governance, "ReputationChanged")
+        .withArgs(voter1.address, 0, 100, 80);
+      // Opposing the milestone sided with the later ruling
+      await expect(governance.settleReputation(0, voter2.address))
+        .to.emit(governance, "ReputationChanged")
+        .withArgs(voter2.address, 0, 100, 105);
+      await expect(governance.settleReputation(0, voter1.address)).to.be.revertedWith("Already settled");
+    });
+
+    it("Should take back an outcome reward paid before the cancellation", async function () {
+      const { governance, escrow, voter1, voter3, voter4 } = await loadFixture(approvedMilestoneFixture);
+
+      await governance.settleReputation(0, voter1.address);
+
+      await governance.connect(voter3).registerVoter({ value: ethers.parseEther("10") });
+      await governance.connect(voter4).createCancellationProposal(await escrow.getAddress(), evidence);
+      await governance.connect(voter3).vote(1, true);
+      await time.increase(votingPeriod + 1);
+      await governance.executeProposal(1);
+
+      await expect(governance.settleReputation(0, voter1.address))
+        .to.emit(governance, "ReputationChanged")
+        .withArgs(voter1.address, 0, 105, 80);
+    });
+
+    it("Should slash approvers' stake into the treasury when enabled", async function () {
+      const { governance, owner, voter1, voter4 } = await loadFixture(cancelledProjectFixture);
+
+      await expect(governance.connect(voter4).setTreasury(voter4.address))
+        .to.be.revertedWithCustomError(governance, "OwnableUnauthorizedAccount");
+      await governance.setTreasury(owner.address);
+      await governance.queueParameterChange(SlashPercentage, 10);
+      await time.increase(2 * 24 * 60 * 60);
+      await governance.executeParameterChange(SlashPercentage);
+
+      const settle = governance.connect(voter4).settleReputation(0, voter1.address);
+      await expect(settle)
+        .to.emit(governance, "StakeSlashed")
+        .withArgs(voter1.address, 0, ethers.parseEther("0.5"));
+      await expect(settle).to.changeEtherBalance(owner, ethers.parseEther("0.5"));
+
+      expect((await governance.getVoterInfo(voter1.address)).stakedAmount).to.equal(ethers.parseEther("4.5"));
+      expect(await governance.getTotalStaked()).to.equal(ethers.parseEther("15.5"));
+    });
+
+    it("Should cap the slash percentage", async function () {
+      const { governance } = await loadFixture(deployGovernanceFixture);
+
+      await expect(governance.queueParameterChange(SlashPercentage, 51))
+        .to.be.revertedWith("Slash percentage too high");
+    });
+  });
+
+  describe("Guardian Pause", function () {
+    it("Should block voting and execution but not unstaking while paused", async function () {
+      const { governance, escrow, owner, projectOwner, voter1, voter2, voter4, fundingGoal } = await loadFixture(deployGovernanceFixture);
+      const stakeAmount = ethers.parseEther("1");
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("3") });
+      await governance.connect(voter2).registerVoter({ value: stakeAmount });
+      await escrow.connect(voter1).donate({ value: fundingGoal });
+      await governance.connect(projectOwner).createMilestoneProposal(
+        await escrow.getAddress(),
+        0,
+        "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
+      );
+      await governance.connect(voter1).vote(0, true);
+
+      await governance.connect(owner).setGuardian(voter4.address);
+      await expect(governance.connect(voter4).pause(3 * 24 * 60 * 60))
+        .to.emit(governance, "Paused");
+
+      await expect(governance.connect(voter2).vote(0, true)).to.be.revertedWith("Contract is paused");
+      await time.increase(2 * 24 * 60 * 60);
+      await governance.connect(voter2).requestUnstake(stakeAmount);
+
+      await time.increase(6 * 24 * 60 * 60);
+      await governance.connect(voter4).pause(24 * 60 * 60);
+      await expect(governance.executeProposal(0)).to.be.revertedWith("Contract is paused");
+
+      await governance.connect(voter4).unpause();
+      await expect(governance.executeProposal(0)).to.emit(governance, "ProposalExecuted");
+    });
+
+    it("Should still take reveals of votes committed before a pause", async function () {
+      const { governance, escrow, owner, projectOwner, voter1, voter2, voter4, fundingGoal } = await loadFixture(deployGovernanceFixture);
+      const salt = ethers.id("voter1-salt");
+
+      await governance.connect(projectOwner).setCommitReveal(await escrow.getAddress(), true);
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("1") });
+      await governance.connect(voter2).registerVoter({ value: ethers.parseEther("1") });
+      await escrow.connect(voter4).donate({ value: fundingGoal });
+      await governance.connect(projectOwner).createMilestoneProposal(
+        await escrow.getAddress(),
+        0,
+        "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
+      );
+      await governance.connect(voter1).commitVote(0, await governance.getCommitHash(0, voter1.address, true, salt));
+
+      // A pause longer than the two-day reveal period starts as it opens
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await governance.connect(owner).setGuardian(voter4.address);
+      await governance.connect(voter4).pause(7 * 24 * 60 * 60);
+
+      await expect(governance.connect(voter1).revealVote(0, true, salt))
+        .to.emit(governance, "VoteCast");
+      await expect(
+        governance.connect(voter2).commitVote(0, ethers.id("late"))
+      ).to.be.revertedWith("Contract is paused");
+    });
+  });
+
+  describe("Stake Withdrawal", function () {
+    it("Should allow withdrawal after no active votes", async function () {
+      const { governance, escrow, projectOwner, voter1, fundingGoal } = await loadFixture(deployGovernanceFixture);
+      const stakeAmount = ethers.parseEther("1");
+
+      await governance.connect(voter1).registerVoter({ value: stakeAmount });
+      await escrow.connect(voter1).donate({ value: fundingGoal });
+
+      // Create and vote on proposal
+      await governance.connect(projectOwner).createMilestoneProposal(
+        await escrow.getAddress(),
+        0,
+        "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
+      );
+      await governance.connect(voter1).vote(0, true);
+
+      // Complete voting
+      await time.increase(8 * 24 * 60 * 60);
+      await governance.executeProposal(0);
+
+      // Now can withdraw, after the cooldown
+      await governance.connect(voter1).requestUnstake(stakeAmount);
+      await time.increase(7 * 24 * 60 * 60);
+
+      const balanceBefore = await ethers.provider.getBalance(voter1.address);
+      const tx = await governance.connect(voter1).completeUnstake();
+      const receipt = await tx.wait();
+      const gasUsed = receipt.gasUsed * receipt.gasPrice;
+      const balanceAfter = await ethers.provider.getBalance(voter1.address);
+
+      expect(balanceAfter - balanceBefore + gasUsed).to.equal(stakeAmount);
+    });
+
+    it("Should not allow withdrawal with active votes", async function () {
+      const { governance, escrow, projectOwner, voter1, fundingGoal } = await loadFixture(deployGovernanceFixture);
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("1") });
+      await escrow.connect(voter1).donate({ value: fundingGoal });
+
+      await governance.connect(projectOwner).createMilestoneProposal(
+        await escrow.getAddress(),
+        0,
+        "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
+      );
+      await governance.connect(voter1).vote(0, true);
+
+      await expect(
+        governance.connect(voter1).requestUnstake(ethers.parseEther("1"))
+      ).to.be.revertedWith("Cannot withdraw while having active votes");
+    });
+
+    it("Should hold requested stake until the cooldown is over", async function () {
+      const { governance, voter1 } = await loadFixture(deployGovernanceFixture);
+      const cooldown = 7 * 24 * 60 * 60;
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("1") });
+      await expect(governance.connect(voter1).requestUnstake(ethers.parseEther("1")))
+        .to.emit(governance, "UnstakeRequested");
+
+      const voterInfo = await governance.getVoterInfo(voter1.address);
+      expect(voterInfo.isRegistered).to.be.false;
+      expect(await governance.getTotalStaked()).to.equal(0);
+      await expect(governance.connect(voter1).completeUnstake())
+        .to.be.revertedWith("Unstake cooldown not over");
+
+      await time.increase(cooldown);
+      await expect(governance.connect(voter1).completeUnstake())
+        .to.emit(governance, "StakeWithdrawn")
+        .withArgs(voter1.address, ethers.parseEther("1"));
+      await expect(governance.connect(voter1).completeUnstake())
+        .to.be.revertedWith("No pending unstake");
+    });
+
+    it("Should allow partial unstaking that stays above the minimum", async function () {
+      const { governance, voter1 } = await loadFixture(deployGovernanceFixture);
+
+      await governance.connect(voter1).registerVoter({ value: ethers.parseEther("1") });
+
+      await expect(governance.connect(voter1).requestUnstake(ethers.parseEther("0.995")))
+        .to.be.revertedWith("Remaining stake below minimum");
+      await expect(governance.connect(voter1).requestUnstake(ethers.parseEther("2")))
+        .to.be.revertedWith("Amount exceeds stake");
+
+      await governance.connect(voter1).requestUnstake(ethers.parseEther("0.4"));
+      const voterInfo = await governance.getVoterInfo(voter1.address);
+      expect(voterInfo.isRegistered).to.be.true;
+      expect(voterInfo.stakedAmount).to.equal(ethers.parseEther("0.6"));
+      expect((await governance.pendingUnstakes(voter1.address)).amount).to.equal(ethers.parseEther("0.4"));
+
+      await expect(governance.connect(voter1).requestUnstake(ethers.parseEther("0.1")))
+        .to.be.revertedWith("Unstake already pending");
     });
   });
 
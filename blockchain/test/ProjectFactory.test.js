@@ -0,0 +1,313 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ProjectFactory", function () {
+  async function deployFactoryFixture() {
+    const [owner, projectOwner, otherOwner, donor1] = await ethers.getSigners();
+
+    const ledger = await ethers.deployContract("VotingPowerLedger");
+    const rules = await ethers.deployContract("ProposalRules");
+    const timelock = await ethers.deployContract("ParameterTimelock");
+    const signatures = await ethers.deployContract("VoteSignatures");
+    const registry = await ethers.deployContract("EscrowRegistry");
+    const MilestoneGovernance = await ethers.getContractFactory("MilestoneGovernance", {
+      libraries: {
+        VotingPowerLedger: await ledger.getAddress(),
+        ProposalRules: await rules.getAddress(),
+        ParameterTimelock: await timelock.getAddress(),
+        VoteSignatures: await signatures.getAddress(),
+        EscrowRegistry: await registry.getAddress(),
+      },
+    });
+    const governance = await MilestoneGovernance.deploy(ethers.ZeroAddress);
+
+    // Template escrow that every clone delegates to
+    const FundingEscrow = await ethers.getContractFactory("FundingEscrow");
+    const implementation = await FundingEscrow.deploy(
+      owner.address,
+      1,
+      0,
+      3,
+      [3334, 3333, 3333],
+      ethers.ZeroAddress,
+      [1, 1, 1],
+      false
+    );
+
+    const ProjectFactory = await ethers.getContractFactory("ProjectFactory");
+    const factory = await ProjectFactory.deploy(
+      await implementation.getAddress(),
+      await governance.getAddress()
+    );
+    await governance.setProjectFactory(await factory.getAddress());
+
+    const fundingGoal = ethers.parseEther("10");
+    const fundingDuration = 30 * 24 * 60 * 60;
+    const stageAllocations = [2000, 2000, 2000, 2000, 2000];
+    const stageDurations = Array(5).fill(fundingDuration);
+
+    return {
+      factory,
+      governance,
+      implementation,
+      owner,
+      projectOwner,
+      otherOwner,
+      donor1,
+      fundingGoal,
+      fundingDuration,
+      stageAllocations,
+      stageDurations,
+    };
+  }
+
+  async function createProject(fixture, projectOwner) {
+    const { factory, fundingGoal, fundingDuration, stageAllocations, stageDurations } = fixture;
+    const tx = await factory.createProject(projectOwner.address, fundingGoal, fundingDuration, 5, stageAllocations, ethers.ZeroAddress, stageDurations, false);
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map((log) => {
+        try {
+          return factory.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find((parsed) => parsed && parsed.name === "ProjectCreated");
+
+    return ethers.getContractAt("FundingEscrow", event.args.escrow);
+  }
+
+  describe("Deployment", function () {
+    it("Should store the implementation and governance addresses", async function () {
+      const { factory, implementation, governance } = await loadFixture(deployFactoryFixture);
+      expect(await factory.escrowImplementation()).to.equal(await implementation.getAddress());
+      expect(await factory.governanceContract()).to.equal(await governance.getAddress());
+    });
+
+    it("Should revert with a zero implementation address", async function () {
+      const ProjectFactory = await ethers.getContractFactory("ProjectFactory");
+      await expect(
+        ProjectFactory.deploy(ethers.ZeroAddress, ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid implementation address");
+    });
+  });
+
+  describe("Project Creation", function () {
+    it("Should emit ProjectCreated and register the escrow", async function () {
+      const fixture = await loadFixture(deployFactoryFixture);
+      const { factory, projectOwner, fundingGoal, fundingDuration, stageAllocations, stageDurations } = fixture;
+
+      await expect(factory.createProject(projectOwner.address, fundingGoal, fundingDuration, 5, stageAllocations, ethers.ZeroAddress, stageDurations, false))
+        .to.emit(factory, "ProjectCreated");
+
+      expect(await factory.getProjectCount()).to.equal(1);
+      const escrowAddress = await factory.getProject(0);
+      expect(await factory.isProject(escrowAddress)).to.be.true;
+      expect(await factory.getProjectsByOwner(projectOwner.address)).to.deep.equal([escrowAddress]);
+    });
+
+    it("Should configure the cloned escrow", async function () {
+      const fixture = await loadFixture(deployFactoryFixture);
+      const { governance, owner, projectOwner, fundingGoal, fundingDuration } = fixture;
+
+      const escrow = await createProject(fixture, projectOwner);
+
+      expect(await escrow.projectOwner()).to.equal(projectOwner.address);
+      expect(await escrow.fundingGoal()).to.equal(fundingGoal);
+      expect(await escrow.totalStages()).to.equal(5);
+      expect(await escrow.flexibleFunding()).to.be.false;
+      expect((await escrow.getStageAllocation(0)).allocation).to.equal(0);
+      expect(await escrow.stageDeadlines(4)).to.equal((await escrow.fundingDeadline()) + BigInt(5 * fundingDuration));
+      expect(await escrow.governanceContract()).to.equal(await governance.getAddress());
+      expect(await governance.isRegisteredEscrow(await escrow.getAddress())).to.be.true;
+      expect(await escrow.owner()).to.equal(owner.address);
+    });
+
+    it("Should give every project a unique address", async function () {
+      const fixture = await loadFixture(deployFactoryFixture);
+      const { factory, projectOwner } = fixture;
+
+      const first = await createProject(fixture, projectOwner);
+      const second = await createProject(fixture, projectOwner);
+
+      expect(await first.getAddress()).to.not.equal(await second.getAddress());
+      expect(await factory.getOwnerProjectCount(projectOwner.address)).to.equal(2);
+      expect(await factory.getOwnerProject(projectOwner.address, 1)).to.equal(await second.getAddress());
+    });
+
+    it("Should keep separate registries per owner", async function () {
+      const fixture = await loadFixture(deployFactoryFixture);
+      const { factory, projectOwner, otherOwner } = fixture;
+
+      await createProject(fixture, projectOwner);
+      const other = await createProject(fixture, otherOwner);
+
+      expect(await factory.getOwnerProjectCount(projectOwner.address)).to.equal(1);
+      expect(await factory.getProjectsByOwner(otherOwner.address)).to.deep.equal([await other.getAddress()]);
+    });
+
+    it("Should move the escrow to the new owner's registry once a transfer is accepted", async function () {
+      const fixture = await loadFixture(deployFactoryFixture);
+      const { factory, projectOwner, otherOwner } = fixture;
+
+      const first = await createProject(fixture, projectOwner);
+      const second = await createProject(fixture, projectOwner);
+      const firstAddress = await first.getAddress();
+
+      await first.connect(projectOwner).transferProjectOwnership(otherOwner.address);
+      // Nothing moves until the new owner accepts
+      expect(await factory.getOwnerProjectCount(otherOwner.address)).to.equal(0);
+
+      await expect(first.connect(otherOwner).acceptProjectOwnership())
+        .to.emit(factory, "ProjectOwnerChanged")
+        .withArgs(firstAddress, projectOwner.address, otherOwner.address);
+      expect(await factory.getProjectsByOwner(projectOwner.address)).to.deep.equal([await second.getAddress()]);
+      expect(await factory.getProjectsByOwner(otherOwner.address)).to.deep.equal([firstAddress]);
+      expect(await first.projectFactory()).to.equal(await factory.getAddress());
+    });
+
+    it("Should only take owner changes from its own escrows", async function () {
+      const { factory, projectOwner, otherOwner } = await loadFixture(deployFactoryFixture);
+
+      await expect(
+        factory.connect(projectOwner).projectOwnerChanged(projectOwner.address, otherOwner.address)
+      ).to.be.revertedWith("Only factory projects can report owner changes");
+    });
+
+    it("Should accept donations on a cloned escrow", async function () {
+      const fixture = await loadFixture(deployFactoryFixture);
+      const { projectOwner, donor1, fundingGoal } = fixture;
+
+      const escrow = await createProject(fixture, projectOwner);
+
+      await expect(escrow.connect(donor1).donate({ value: fundingGoal }))
+        .to.emit(escrow, "FundingGoalReached");
+      expect(await escrow.fundsRaised()).to.equal(fundingGoal);
+    });
+
+    it("Should create token-based escrows", async function () {
+      const { factory, projectOwner, fundingGoal, fundingDuration, stageAllocations, stageDurations } = await loadFixture(deployFactoryFixture);
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+      const tokenAddress = await token.getAddress();
+
+      await expect(factory.createProject(projectOwner.address, fundingGoal, fundingDuration, 5, stageAllocations, tokenAddress, stageDurations, false))
+        .to.emit(factory, "ProjectCreated");
+
+      const escrow = await ethers.getContractAt("FundingEscrow", await factory.getProject(0));
+      expect(await escrow.paymentToken()).to.equal(tokenAddress);
+      expect(await escrow.useTokenPayments()).to.be.true;
+    });
+
+    it("Should create flexible-funding escrows", async function () {
+      const { factory, projectOwner, fundingGoal, fundingDuration, stageAllocations, stageDurations } = await loadFixture(deployFactoryFixture);
+
+      await factory.createProject(projectOwner.address, fundingGoal, fundingDuration, 5, stageAllocations, ethers.ZeroAddress, stageDurations, true);
+
+      const escrow = await ethers.getContractAt("FundingEscrow", await factory.getProject(0));
+      expect(await escrow.flexibleFunding()).to.be.true;
+      const [event] = await factory.queryFilter(factory.filters.ProjectCreated());
+      expect(event.args.flexibleFunding).to.be.true;
+    });
+
+    it("Should revert with invalid stage allocations", async function () {
+      const { factory, projectOwner, fundingGoal, fundingDuration } = await loadFixture(deployFactoryFixture);
+
+      await expect(
+        factory.createProject(projectOwner.address, fundingGoal, fundingDuration, 3, [3000, 3000, 3000], ethers.ZeroAddress, [1, 1, 1], false)
+      ).to.be.revertedWith("Total allocation must equal 10000 (100%)");
+    });
+
+    it("Should not allow re-initializing a cloned escrow", async function () {
+      const fixture = await loadFixture(deployFactoryFixture);
+      const { projectOwner, donor1 } = fixture;
+
+      const escrow = await createProject(fixture, projectOwner);
+
+      await expect(
+        escrow.connect(donor1).initialize(donor1.address, donor1.address, 1, 0, 3, [3334, 3333, 3333], ethers.ZeroAddress, [1, 1, 1], false)
+      ).to.be.revertedWith("Escrow already initialized");
+    });
+
+    it("Should not allow initializing the implementation", async function () {
+      const { implementation, donor1 } = await loadFixture(deployFactoryFixture);
+
+      await expect(
+        implementation.connect(donor1).initialize(donor1.address, donor1.address, 1, 0, 3, [3334, 3333, 3333], ethers.ZeroAddress, [1, 1, 1], false)
+      ).to.be.revertedWith("Escrow already initialized");
+    });
+  });
+
+  describe("Governance Updates", function () {
+    it("Should allow the owner to update the governance contract", async function () {
+      const { factory, owner, donor1 } = await loadFixture(deployFactoryFixture);
+
+      await expect(factory.connect(owner).setGovernanceContract(donor1.address))
+        .to.emit(factory, "GovernanceContractUpdated")
+        .withArgs(donor1.address);
+    });
+
+    it("Should not allow non-owner to update the governance contract", async function () {
+      const { factory, donor1 } = await loadFixture(deployFactoryFixture);
+
+      await expect(
+        factory.connect(donor1).setGovernanceContract(donor1.address)
+      ).to.be.reverted;
+    });
+
+    it("Should refuse to create projects without a governance contract", async function () {
+      const { implementation, projectOwner, fundingGoal, fundingDuration, stageAllocations, stageDurations } = await loadFixture(deployFactoryFixture);
+
+      const ProjectFactory = await ethers.getContractFactory("ProjectFactory");
+      const factory = await ProjectFactory.deploy(await implementation.getAddress(), ethers.ZeroAddress);
+
+      await expect(
+        factory.createProject(projectOwner.address, fundingGoal, fundingDuration, 5, stageAllocations, ethers.ZeroAddress, stageDurations, false)
+      ).to.be.revertedWith("Governance contract not set");
+    });
+  });
+
+  describe("Receipts", function () {
+    it("Should wire and register the receipt contract in new escrows", async function () {
+      const fixture = await loadFixture(deployFactoryFixture);
+      const { factory, owner, projectOwner, donor1 } = fixture;
+
+      const receipts = await ethers.deployContract("ContributionReceipt");
+      await receipts.connect(owner).setProjectFactory(await factory.getAddress());
+      await expect(factory.connect(owner).setReceiptContract(await receipts.getAddress()))
+        .to.emit(factory, "ReceiptContractUpdated")
+        .withArgs(await receipts.getAddress());
+
+      const escrow = await createProject(fixture, projectOwner);
+      expect(await escrow.receiptContract()).to.equal(await receipts.getAddress());
+      expect(await receipts.isEscrow(await escrow.getAddress())).to.be.true;
+
+      await escrow.connect(donor1).donate({ value: ethers.parseEther("1") });
+      expect(await receipts.ownerOf(1)).to.equal(donor1.address);
+    });
+  });
+
+  describe("Guardian", function () {
+    it("Should hand the guardian role to new escrows", async function () {
+      const fixture = await loadFixture(deployFactoryFixture);
+      const { factory, owner, projectOwner, donor1 } = fixture;
+
+      await expect(
+        factory.connect(donor1).setGuardian(donor1.address)
+      ).to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+      await expect(factory.connect(owner).setGuardian(owner.address))
+        .to.emit(factory, "GuardianUpdated")
+        .withArgs(owner.address);
+
+      const escrow = await createProject(fixture, projectOwner);
+      expect(await escrow.guardian()).to.equal(owner.address);
+      await escrow.connect(owner).pause(24 * 60 * 60);
+      await expect(
+        escrow.connect(donor1).donate({ value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Contract is paused");
+    });
+  });
+});
@@ -1,18 +1,28 @@
-import { Check, Clock, Lock } from 'lucide-react';
+import { AlertTriangle, Check, Clock, Lock } from 'lucide-react';
 
 interface Milestone {
   stage: number;
   name: string;
   allocation: number;
   completed: boolean;
+  dueDate?: number; // Unix timestamp the stage funds must be released by
+  released?: {
+    percent: number; // Share of the stage allocation paid out so far
+    label: string; // e.g. "1.2 of 2 ETH released"
+  };
+  vesting?: {
+    percent: number; // Share of the released funds vested to the owner so far
+    label: string; // e.g. "0.5 of 2 ETH vested"
+  };
 }
 
 interface MilestoneTimelineProps {
   milestones: Milestone[];
   currentStage: number;
+  isOverdue?: boolean; // Current stage missed its deadline (from the escrow)
 }
 
-export function MilestoneTimeline({ milestones, currentStage }: MilestoneTimelineProps) {
+export function MilestoneTimeline({ milestones, currentStage, isOverdue = false }: MilestoneTimelineProps) {
   return (
     <div className="relative">
       {/* Timeline line */}
@@ -24,6 +34,7 @@ export function MilestoneTimeline({ milestones, currentStage }: MilestoneTimelin
           const isCompleted = milestone.completed;
           const isCurrent = index === currentStage;
           const isLocked = index > currentStage;
+          const isCurrentOverdue = isCurrent && isOverdue;
 
           return (
             <div key={milestone.stage} className="relative flex gap-4">
@@ -32,6 +43,8 @@ export function MilestoneTimeline({ milestones, currentStage }: MilestoneTimelin
                 className={`relative z-10 w-8 h-8 rounded-full flex items-center justify-center border-2 ${
                   isCompleted
                     ? 'bg-success border-success text-white'
+                    : isCurrentOverdue
+                    ? 'bg-white border-danger text-danger'
                     : isCurrent
                     ? 'bg-white border-primary text-primary'
                     : 'bg-white border-gray-300 text-gray-400'
@@ -39,6 +52,8 @@ export function MilestoneTimeline({ milestones, currentStage }: MilestoneTimelin
               >
                 {isCompleted ? (
                   <Check className="w-4 h-4" />
+                ) : isCurrentOverdue ? (
+                  <AlertTriangle className="w-4 h-4" />
                 ) : isCurrent ? (
                   <Clock className="w-4 h-4" />
                 ) : (
@@ -66,11 +81,41 @@ export function MilestoneTimeline({ milestones, currentStage }: MilestoneTimelin
                 </div>
                 <p className="text-sm text-gray-600">
                   Stage {milestone.stage + 1} of {milestones.length}
+                  {milestone.dueDate ? (
+                    <span className={isCurrentOverdue ? 'text-danger font-medium' : ''}>
+                      {' '}• Due {new Date(milestone.dueDate * 1000).toLocaleDateString()}
+                    </span>
+                  ) : null}
                 </p>
+                {milestone.released && (isCompleted || milestone.released.percent > 0) && (
+                  <div className="mt-2">
+                    <div className="h-1.5 w-full bg-gray-200 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-success"
+                        style={{ width: `${Math.min(milestone.released.percent, 100)}%` }}
+                      />
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">{milestone.released.label}</p>
+                  </div>
+                )}
+                {milestone.vesting && (
+                  <div className="mt-2">
+                    <div className="h-1.5 w-full bg-gray-200 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-primary"
+                        style={{ width: `${Math.min(milestone.vesting.percent, 100)}%` }}
+                      />
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">{milestone.vesting.label}</p>
+                  </div>
+                )}
                 {isCompleted && (
                   <span className="inline-block mt-2 badge-success">Completed</span>
                 )}
-                {isCurrent && (
+                {isCurrentOverdue && (
+                  <span className="inline-block mt-2 badge-danger">Overdue</span>
+                )}
+                {isCurrent && !isCurrentOverdue && (
                   <span className="inline-block mt-2 badge-warning">In Progress</span>
                 )}
                 {isLocked && (
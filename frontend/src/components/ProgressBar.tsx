@@ -4,6 +4,7 @@ interface ProgressBarProps {
   showPercentage?: boolean;
   size?: 'sm' | 'md' | 'lg';
   color?: 'primary' | 'success' | 'warning' | 'danger';
+  markers?: { value: number; label: string }[]; // Tick marks, e.g. the goal and stretch tiers below a hard cap
 }
 
 export function ProgressBar({ 
@@ -11,7 +12,8 @@ export function ProgressBar({
   total, 
   showPercentage = true,
   size = 'md',
-  color = 'primary'
+  color = 'primary',
+  markers = [],
 }: ProgressBarProps) {
   const percentage = total > 0 ? (current / total) * 100 : 0;
   const clampedPercentage = Math.min(100, Math.max(0, percentage));
@@ -31,11 +33,19 @@ export function ProgressBar({
   
   return (
     <div className="w-full">
-      <div className={`w-full bg-gray-200 rounded-full overflow-hidden ${sizeClasses[size]}`}>
+      <div className={`relative w-full bg-gray-200 rounded-full overflow-hidden ${sizeClasses[size]}`}>
         <div
           className={`h-full ${colorClasses[color]} transition-all duration-500 ease-out`}
           style={{ width: `${clampedPercentage}%` }}
         />
+        {total > 0 && markers.map((marker) => (
+          <div
+            key={marker.label}
+            title={marker.label}
+            className={`absolute top-0 h-full w-0.5 ${current >= marker.value ? 'bg-white' : 'bg-gray-400'}`}
+            style={{ left: `${Math.min(100, (marker.value / total) * 100)}%` }}
+          />
+        ))}
       </div>
       {showPercentage && (
         <div className="mt-1 text-sm text-gray-600">
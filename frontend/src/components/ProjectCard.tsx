@@ -2,6 +2,7 @@ import { Link } from 'react-router-dom';
 import { Clock, Target, TrendingUp } from 'lucide-react';
 import { ProgressBar } from './ProgressBar';
 import { formatEther, formatTimeRemaining } from '../lib/utils';
+import { useFundingMode, usePaymentToken } from '../hooks/useEscrow';
 
 interface ProjectCardProps {
   address: string;
@@ -30,6 +31,9 @@ export function ProjectCard({
   imageUrl,
   category,
 }: ProjectCardProps) {
+  const escrowAddress = /^0x[a-fA-F0-9]{40}$/.test(address) ? (address as `0x${string}`) : undefined;
+  const { currency } = usePaymentToken(escrowAddress);
+  const { flexibleFunding } = useFundingMode(escrowAddress);
   const percentage = Number(fundingGoal) > 0 ? (Number(fundsRaised) / Number(fundingGoal) * 100) : 0;
   // Convert timeRemaining to hours if it's bigint (seconds), otherwise use as-is
   const timeRemainingHours = typeof timeRemaining === 'bigint' 
@@ -81,10 +85,10 @@ export function ProjectCard({
             <div>
               <div className="flex justify-between text-sm mb-2">
                 <span className="font-medium text-gray-900">
-                  {formatEther(fundsRaised)} ETH
+                  {formatEther(fundsRaised, 4, currency)}
                 </span>
                 <span className="text-gray-500">
-                  of {formatEther(fundingGoal)} ETH
+                  of {formatEther(fundingGoal, 4, currency)}
                 </span>
               </div>
               <ProgressBar 
@@ -114,15 +118,26 @@ export function ProjectCard({
               </div>
             </div>
 
-            {/* Badge */}
-            <div>
+            {/* Badges */}
+            <div className="flex flex-wrap gap-2">
               {percentage >= 100 ? (
                 <span className="badge-success">Funded</span>
               ) : isActive ? (
                 <span className="badge-primary">Active</span>
+              ) : flexibleFunding && fundsRaised > 0n ? (
+                <span className="badge-success">Funds Kept</span>
               ) : (
                 <span className="badge-danger">Ended</span>
               )}
+              {flexibleFunding ? (
+                <span className="badge-warning" title="Funds raised by the deadline are kept even if the goal is missed">
+                  Flexible
+                </span>
+              ) : (
+                <span className="badge text-gray-600 bg-gray-100" title="Donors are refunded if the goal is missed">
+                  All-or-nothing
+                </span>
+              )}
             </div>
           </div>
         </div>
@@ -2,6 +2,8 @@
 export const CONTRACTS = {
   FUNDING_ESCROW: (import.meta.env.VITE_ESCROW_ADDRESS || '0x0000000000000000000000000000000000000000') as `0x${string}`,
   MILESTONE_GOVERNANCE: (import.meta.env.VITE_GOVERNANCE_ADDRESS || '0x0000000000000000000000000000000000000000') as `0x${string}`,
+  PROJECT_FACTORY: (import.meta.env.VITE_FACTORY_ADDRESS || '0x0000000000000000000000000000000000000000') as `0x${string}`,
+  CONTRIBUTION_RECEIPT: (import.meta.env.VITE_RECEIPT_ADDRESS || '0x0000000000000000000000000000000000000000') as `0x${string}`,
 } as const;
 
 export const CHAIN_ID = import.meta.env.VITE_CHAIN_ID || '1337'; // Local development (1337) by default, use 11155111 for Sepolia
@@ -12,3 +14,7 @@ export const isContractsDeployed = () => {
     CONTRACTS.MILESTONE_GOVERNANCE !== '0x0000000000000000000000000000000000000000'
   );
 };
+
+export const isFactoryDeployed = () => {
+  return CONTRACTS.PROJECT_FACTORY !== '0x0000000000000000000000000000000000000000';
+};
@@ -1,6 +1,10 @@
-import { useReadContract, useWriteContract, useWaitForTransactionReceipt, useAccount } from 'wagmi';
-import { encodeFunctionData } from 'viem';
+import { useState } from 'react';
+import { useReadContract, useReadContracts, useWriteContract, useWaitForTransactionReceipt, useAccount } from 'wagmi';
+import { readContract, waitForTransactionReceipt } from 'wagmi/actions';
+import { encodeFunctionData, erc20Abi, type Abi } from 'viem';
 import { CONTRACTS } from '../contracts/addresses';
+import { config } from '../lib/wagmi';
+import { ETH_DISPLAY, type TokenDisplay } from '../lib/utils';
 import FundingEscrowABI from '../contracts/abis/FundingEscrow.json';
 
 export function useEscrowStatus(escrowAddress?: `0x${string}`) {
@@ -66,6 +70,24 @@ export function useUserContribution(userAddress?: `0x${string}`, escrowAddress?:
   });
 }
 
+// Pro-rata share of the unreleased funds the user would get back from refund()
+export function useRefundableAmount(userAddress?: `0x${string}`, escrowAddress?: `0x${string}`) {
+  const address = escrowAddress || CONTRACTS.FUNDING_ESCROW;
+  
+  return useReadContract({
+    address,
+    abi: FundingEscrowABI.abi,
+    functionName: 'refundableAmount',
+    args: userAddress ? [userAddress] : undefined,
+    query: {
+      enabled: !!userAddress && address !== '0x0000000000000000000000000000000000000000' && !!escrowAddress,
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+      retry: false,
+    },
+  });
+}
+
 export function useStageAllocation(stageIndex: number, escrowAddress?: `0x${string}`) {
   const address = escrowAddress || CONTRACTS.FUNDING_ESCROW;
   
@@ -264,3 +286,614 @@ export function useRefund() {
     hash,
   };
 }
+
+export function useStageDeadlines(escrowAddress?: `0x${string}`) {
+  return useReadContract({
+    address: escrowAddress,
+    abi: FundingEscrowABI.abi,
+    functionName: 'getStageDeadlines',
+    query: {
+      enabled: !!escrowAddress && escrowAddress !== '0x0000000000000000000000000000000000000000',
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+      retry: false,
+    },
+  });
+}
+
+export interface StageRelease {
+  allocation: bigint;
+  released: bigint;
+}
+
+// Allocation and amount released so far for every stage; stages can be paid out in parts
+export function useStageReleases(totalStages: number, escrowAddress?: `0x${string}`) {
+  const { data, ...rest } = useReadContracts({
+    contracts: Array.from({ length: totalStages }, (_, i) => ({
+      address: escrowAddress,
+      abi: FundingEscrowABI.abi as Abi,
+      functionName: 'getStageAllocation',
+      args: [BigInt(i)],
+    })),
+    query: {
+      enabled: !!escrowAddress && escrowAddress !== '0x0000000000000000000000000000000000000000' && totalStages > 0,
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+    },
+  });
+
+  const releases = data?.map((entry) => {
+    const result = entry.result as readonly [bigint, bigint] | undefined;
+    return result ? { allocation: result[0], released: result[1] } : undefined;
+  });
+
+  return { releases, ...rest };
+}
+
+// Flexible escrows keep what was raised by the deadline; all-or-nothing escrows refund unless the goal is met
+export function useFundingMode(escrowAddress?: `0x${string}`) {
+  const enabled = !!escrowAddress && escrowAddress !== '0x0000000000000000000000000000000000000000';
+  const { data, ...rest } = useReadContracts({
+    contracts: [
+      { address: escrowAddress, abi: FundingEscrowABI.abi as Abi, functionName: 'flexibleFunding' },
+      { address: escrowAddress, abi: FundingEscrowABI.abi as Abi, functionName: 'fundingSucceeded' },
+    ],
+    query: {
+      enabled,
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+    },
+  });
+
+  return {
+    flexibleFunding: data?.[0]?.result === true,
+    fundingSucceeded: data?.[1]?.result === true,
+    ...rest,
+  };
+}
+
+export interface StretchGoal {
+  threshold: bigint;
+  stageDuration: bigint; // Seconds for the stage it adds, 0 if its funds raise every stage's allocation
+  reached: boolean;
+}
+
+// Hard cap (0 if donations close at the goal) and stretch goals above the funding goal
+export function useStretchGoals(escrowAddress?: `0x${string}`) {
+  const { data, ...rest } = useReadContract({
+    address: escrowAddress,
+    abi: FundingEscrowABI.abi,
+    functionName: 'getStretchGoals',
+    query: {
+      enabled: !!escrowAddress && escrowAddress !== '0x0000000000000000000000000000000000000000',
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+      retry: false,
+    },
+  });
+
+  const result = data as readonly [bigint, readonly bigint[], readonly bigint[], bigint] | undefined;
+  const stretchGoals: StretchGoal[] = result
+    ? result[1].map((threshold, i) => ({
+        threshold,
+        stageDuration: result[2][i],
+        reached: BigInt(i) < result[3],
+      }))
+    : [];
+
+  return { hardCap: result?.[0] ?? 0n, stretchGoals, ...rest };
+}
+
+export function useSetStretchGoals() {
+  const { writeContractAsync, isPending, error } = useWriteContract();
+
+  // Project owner only, before the first donation
+  const setStretchGoals = async (
+    escrowAddress: `0x${string}`,
+    hardCap: bigint,
+    goals: { threshold: bigint; stageDuration: bigint }[]
+  ) => {
+    const hash = await writeContractAsync({
+      address: escrowAddress,
+      abi: FundingEscrowABI.abi,
+      functionName: 'setStretchGoals',
+      args: [hardCap, goals.map((goal) => goal.threshold), goals.map((goal) => goal.stageDuration)],
+    });
+    await waitForTransactionReceipt(config, { hash });
+    return hash;
+  };
+
+  return {
+    setStretchGoals,
+    isPending,
+    error,
+  };
+}
+
+export interface DeadlineExtension {
+  index: number;
+  duration: bigint; // Seconds added to the funding and stage deadlines
+  approvals: bigint; // Contribution weight of the donors who approved
+  applied: boolean;
+}
+
+// Latest deadline extension request and whether the user approved it or the extension in effect
+export function useDeadlineExtension(escrowAddress?: `0x${string}`, userAddress?: `0x${string}`) {
+  const enabled = !!escrowAddress && escrowAddress !== '0x0000000000000000000000000000000000000000';
+  const abi = FundingEscrowABI.abi as Abi;
+  const { data, refetch, ...rest } = useReadContracts({
+    contracts: [
+      { address: escrowAddress, abi, functionName: 'getLatestDeadlineExtension' },
+      { address: escrowAddress, abi, functionName: 'fundingDeadline' },
+      { address: escrowAddress, abi, functionName: 'deadlineExtensionCount' },
+      { address: escrowAddress, abi, functionName: 'MAX_DEADLINE_EXTENSIONS' },
+      { address: escrowAddress, abi, functionName: 'activeExtension' },
+      { address: escrowAddress, abi, functionName: 'extensionWindowStart' },
+      { address: escrowAddress, abi, functionName: 'projectOwner' },
+    ],
+    query: {
+      enabled,
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+    },
+  });
+
+  const latestResult = data?.[0]?.result as readonly [bigint, bigint, bigint, boolean] | undefined;
+  const latest: DeadlineExtension | undefined = latestResult && latestResult[0] > 0n
+    ? {
+        index: Number(latestResult[0]) - 1,
+        duration: latestResult[1],
+        approvals: latestResult[2],
+        applied: latestResult[3],
+      }
+    : undefined;
+  const extensionCount = (data?.[2]?.result as bigint | undefined) ?? 0n;
+  const activeExtension = (data?.[4]?.result as bigint | undefined) ?? 0n;
+
+  const { data: approvals, refetch: refetchApprovals } = useReadContracts({
+    contracts: [
+      { address: escrowAddress, abi, functionName: 'extensionApprovals', args: [BigInt(latest?.index ?? 0), userAddress] },
+      { address: escrowAddress, abi, functionName: 'extensionApprovals', args: [activeExtension, userAddress] },
+    ],
+    query: {
+      enabled: enabled && !!userAddress && !!latest,
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+    },
+  });
+
+  return {
+    latest,
+    fundingDeadline: data?.[1]?.result as bigint | undefined,
+    extensionCount,
+    maxExtensions: (data?.[3]?.result as bigint | undefined) ?? 0n,
+    // Donors who did not approve the extension in effect can withdraw from this time until fundingDeadline
+    windowStart: extensionCount > 0n ? (data?.[5]?.result as bigint | undefined) : undefined,
+    projectOwner: data?.[6]?.result as `0x${string}` | undefined,
+    hasApprovedLatest: ((approvals?.[0]?.result as bigint | undefined) ?? 0n) > 0n,
+    hasApprovedActive: ((approvals?.[1]?.result as bigint | undefined) ?? 0n) > 0n,
+    refetch: async () => {
+      await refetch();
+      await refetchApprovals();
+    },
+    ...rest,
+  };
+}
+
+export function useDeadlineExtensionActions() {
+  const { writeContractAsync, isPending, error } = useWriteContract();
+
+  const send = async (escrowAddress: `0x${string}`, functionName: string, args: readonly unknown[] = []) => {
+    const hash = await writeContractAsync({
+      address: escrowAddress,
+      abi: FundingEscrowABI.abi,
+      functionName,
+      args,
+    });
+    await waitForTransactionReceipt(config, { hash });
+    return hash;
+  };
+
+  return {
+    // Project owner only, before the deadline and while the goal is unreached
+    requestExtension: (escrowAddress: `0x${string}`, durationSeconds: bigint) =>
+      send(escrowAddress, 'requestDeadlineExtension', [durationSeconds]),
+    // Applies the extension once approvals pass half of the funds raised
+    approveExtension: (escrowAddress: `0x${string}`) => send(escrowAddress, 'approveDeadlineExtension'),
+    // Full refund for donors who did not approve the extension in effect
+    withdrawDuringExtension: (escrowAddress: `0x${string}`) => send(escrowAddress, 'withdrawDuringExtension'),
+    isPending,
+    error,
+  };
+}
+
+// Receipt NFT contract the escrow mints from (zero address if none) and whether receipts carry a transferable profit share
+export function useEscrowReceipts(escrowAddress?: `0x${string}`) {
+  const { data, ...rest } = useReadContracts({
+    contracts: [
+      { address: escrowAddress, abi: FundingEscrowABI.abi as Abi, functionName: 'receiptContract' },
+      { address: escrowAddress, abi: FundingEscrowABI.abi as Abi, functionName: 'transferableReceipts' },
+    ],
+    query: {
+      enabled: !!escrowAddress && escrowAddress !== '0x0000000000000000000000000000000000000000',
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+    },
+  });
+
+  const receiptContract = data?.[0]?.result as `0x${string}` | undefined;
+  return {
+    issuesReceipts: !!receiptContract && receiptContract !== '0x0000000000000000000000000000000000000000',
+    transferableReceipts: data?.[1]?.result === true,
+    ...rest,
+  };
+}
+
+// Guardian emergency pause: donations and releases are blocked until pausedUntil (unix seconds), refunds still work
+export function useEscrowPause(escrowAddress?: `0x${string}`) {
+  const { data, ...rest } = useReadContracts({
+    contracts: [
+      { address: escrowAddress, abi: FundingEscrowABI.abi as Abi, functionName: 'paused' },
+      { address: escrowAddress, abi: FundingEscrowABI.abi as Abi, functionName: 'pausedUntil' },
+    ],
+    query: {
+      enabled: !!escrowAddress && escrowAddress !== '0x0000000000000000000000000000000000000000',
+      refetchInterval: 30000,
+    },
+  });
+
+  return {
+    paused: data?.[0]?.result === true,
+    pausedUntil: (data?.[1]?.result as bigint | undefined) ?? 0n,
+    ...rest,
+  };
+}
+
+export function useSetTransferableReceipts() {
+  const { writeContractAsync, isPending, error } = useWriteContract();
+
+  // Project owner only, before the first donation
+  const setTransferableReceipts = async (escrowAddress: `0x${string}`, transferable: boolean) => {
+    const hash = await writeContractAsync({
+      address: escrowAddress,
+      abi: FundingEscrowABI.abi,
+      functionName: 'setTransferableReceipts',
+      args: [transferable],
+    });
+    await waitForTransactionReceipt(config, { hash });
+    return hash;
+  };
+
+  return {
+    setTransferableReceipts,
+    isPending,
+    error,
+  };
+}
+
+// Vesting period of stage releases, what the owner can withdraw now, and each stage's vesting progress
+export function useVesting(totalStages: number, escrowAddress?: `0x${string}`) {
+  const { data, ...rest } = useReadContracts({
+    contracts: [
+      { address: escrowAddress, abi: FundingEscrowABI.abi as Abi, functionName: 'vestingDuration' },
+      { address: escrowAddress, abi: FundingEscrowABI.abi as Abi, functionName: 'vestedAmount' },
+      { address: escrowAddress, abi: FundingEscrowABI.abi as Abi, functionName: 'vestingWithdrawn' },
+      ...Array.from({ length: totalStages }, (_, i) => ({
+        address: escrowAddress,
+        abi: FundingEscrowABI.abi as Abi,
+        functionName: 'getStageVesting',
+        args: [BigInt(i)],
+      })),
+    ],
+    query: {
+      enabled: !!escrowAddress && escrowAddress !== '0x0000000000000000000000000000000000000000',
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+    },
+  });
+
+  const vested = (data?.[1]?.result as bigint | undefined) ?? 0n;
+  const withdrawn = (data?.[2]?.result as bigint | undefined) ?? 0n;
+  const stages = data?.slice(3).map((entry) => {
+    const result = entry.result as readonly [bigint, bigint] | undefined;
+    return result ? { amount: result[0], vested: result[1] } : undefined;
+  });
+
+  return {
+    vestingDuration: (data?.[0]?.result as bigint | undefined) ?? 0n, // 0 pays releases out at once
+    withdrawable: vested - withdrawn,
+    stages,
+    ...rest,
+  };
+}
+
+export function useVestingActions() {
+  const { writeContractAsync, isPending, error } = useWriteContract();
+
+  const send = async (escrowAddress: `0x${string}`, functionName: string, args: readonly unknown[] = []) => {
+    const hash = await writeContractAsync({
+      address: escrowAddress,
+      abi: FundingEscrowABI.abi,
+      functionName,
+      args,
+    });
+    await waitForTransactionReceipt(config, { hash });
+    return hash;
+  };
+
+  return {
+    // Project owner only, before the first donation
+    setVestingDuration: (escrowAddress: `0x${string}`, durationSeconds: bigint) =>
+      send(escrowAddress, 'setVestingDuration', [durationSeconds]),
+    // Project owner only; pays what has vested across the payout splits
+    withdrawVested: (escrowAddress: `0x${string}`) => send(escrowAddress, 'withdrawVested'),
+    isPending,
+    error,
+  };
+}
+
+export interface PayoutSplit {
+  recipient: `0x${string}`;
+  share: bigint; // basis points, all splits sum to 10000
+}
+
+// Current and nominated project owner, and the payout splits releases and the owner's profit share follow
+export function useProjectOwnership(escrowAddress?: `0x${string}`) {
+  const { data, ...rest } = useReadContracts({
+    contracts: [
+      { address: escrowAddress, abi: FundingEscrowABI.abi as Abi, functionName: 'projectOwner' },
+      { address: escrowAddress, abi: FundingEscrowABI.abi as Abi, functionName: 'pendingProjectOwner' },
+      { address: escrowAddress, abi: FundingEscrowABI.abi as Abi, functionName: 'getPayoutSplits' },
+    ],
+    query: {
+      enabled: !!escrowAddress && escrowAddress !== '0x0000000000000000000000000000000000000000',
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+    },
+  });
+
+  const pendingOwner = data?.[1]?.result as `0x${string}` | undefined;
+  const splits = data?.[2]?.result as readonly [readonly `0x${string}`[], readonly bigint[]] | undefined;
+  const payoutSplits: PayoutSplit[] = splits
+    ? splits[0].map((recipient, i) => ({ recipient, share: splits[1][i] }))
+    : [];
+
+  return {
+    projectOwner: data?.[0]?.result as `0x${string}` | undefined,
+    pendingOwner: pendingOwner && pendingOwner !== '0x0000000000000000000000000000000000000000' ? pendingOwner : undefined,
+    payoutSplits,
+    ...rest,
+  };
+}
+
+// Stage funds credited to a payout split recipient and not yet withdrawn
+export function usePendingPayout(escrowAddress?: `0x${string}`, account?: `0x${string}`) {
+  return useReadContract({
+    address: escrowAddress,
+    abi: FundingEscrowABI.abi,
+    functionName: 'pendingPayouts',
+    args: account ? [account] : undefined,
+    query: {
+      enabled: !!escrowAddress && !!account && escrowAddress !== '0x0000000000000000000000000000000000000000',
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+    },
+  });
+}
+
+export function useProjectOwnershipActions() {
+  const { writeContractAsync, isPending, error } = useWriteContract();
+
+  const send = async (escrowAddress: `0x${string}`, functionName: string, args: readonly unknown[] = []) => {
+    const hash = await writeContractAsync({
+      address: escrowAddress,
+      abi: FundingEscrowABI.abi,
+      functionName,
+      args,
+    });
+    await waitForTransactionReceipt(config, { hash });
+    return hash;
+  };
+
+  return {
+    // Project owner only; the zero address cancels a pending nomination
+    transferOwnership: (escrowAddress: `0x${string}`, newOwner: `0x${string}`) =>
+      send(escrowAddress, 'transferProjectOwnership', [newOwner]),
+    // Nominated owner only
+    acceptOwnership: (escrowAddress: `0x${string}`) => send(escrowAddress, 'acceptProjectOwnership'),
+    // Project owner only; empty splits pay everything to the owner
+    setPayoutSplits: (escrowAddress: `0x${string}`, splits: PayoutSplit[]) =>
+      send(escrowAddress, 'setPayoutSplits', [splits.map((s) => s.recipient), splits.map((s) => s.share)]),
+    // Split recipients only; pays out the stage funds credited to the caller
+    withdrawPayout: (escrowAddress: `0x${string}`) => send(escrowAddress, 'withdrawPayout'),
+    isPending,
+    error,
+  };
+}
+
+// True once a funded project has missed the deadline of its current stage
+export function useIsStageOverdue(escrowAddress?: `0x${string}`) {
+  return useReadContract({
+    address: escrowAddress,
+    abi: FundingEscrowABI.abi,
+    functionName: 'isStageOverdue',
+    query: {
+      enabled: !!escrowAddress && escrowAddress !== '0x0000000000000000000000000000000000000000',
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+      retry: false,
+    },
+  });
+}
+
+export function useCancelOverdueProject() {
+  const { data: hash, writeContract, isPending, error } = useWriteContract();
+  
+  const cancelOverdueProject = (escrowAddress: `0x${string}`) => {
+    writeContract({
+      address: escrowAddress,
+      abi: FundingEscrowABI.abi,
+      functionName: 'cancelOverdueProject',
+    });
+  };
+  
+  const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash });
+  
+  return {
+    cancelOverdueProject,
+    isPending,
+    isConfirming,
+    isSuccess,
+    error,
+    hash,
+  };
+}
+
+export function usePaymentToken(escrowAddress?: `0x${string}`) {
+  const { data: useTokenPayments } = useReadContract({
+    address: escrowAddress,
+    abi: FundingEscrowABI.abi,
+    functionName: 'useTokenPayments',
+    query: {
+      enabled: !!escrowAddress,
+      refetchInterval: false, // Payment mode is fixed at construction
+      staleTime: Infinity,
+      retry: false,
+    },
+  });
+
+  const { data: tokenAddress } = useReadContract({
+    address: escrowAddress,
+    abi: FundingEscrowABI.abi,
+    functionName: 'paymentToken',
+    query: {
+      enabled: !!escrowAddress && useTokenPayments === true,
+      refetchInterval: false,
+      staleTime: Infinity,
+    },
+  });
+
+  const token = tokenAddress as `0x${string}` | undefined;
+  const { data: tokenInfo } = useReadContracts({
+    contracts: [
+      { address: token, abi: erc20Abi, functionName: 'decimals' },
+      { address: token, abi: erc20Abi, functionName: 'symbol' },
+    ],
+    query: {
+      enabled: !!token,
+      staleTime: Infinity,
+    },
+  });
+
+  const isTokenMode = useTokenPayments === true;
+  const currency: TokenDisplay = isTokenMode
+    ? {
+        decimals: Number(tokenInfo?.[0]?.result ?? 18),
+        symbol: String(tokenInfo?.[1]?.result ?? 'TOKEN'),
+      }
+    : ETH_DISPLAY;
+
+  return {
+    isTokenMode,
+    tokenAddress: token,
+    currency,
+  };
+}
+
+export function useDonateToken() {
+  const { writeContractAsync, isPending, error } = useWriteContract();
+  const [hash, setHash] = useState<`0x${string}` | undefined>();
+  const [isApproving, setIsApproving] = useState(false);
+
+  // Approve-then-donate: only asks for an approval when the current allowance is too low
+  const donateToken = async (
+    amount: bigint,
+    escrowAddress: `0x${string}`,
+    tokenAddress: `0x${string}`,
+    donorAddress: `0x${string}`
+  ) => {
+    const allowance = await readContract(config, {
+      address: tokenAddress,
+      abi: erc20Abi,
+      functionName: 'allowance',
+      args: [donorAddress, escrowAddress],
+    });
+
+    if (allowance < amount) {
+      setIsApproving(true);
+      try {
+        const approveHash = await writeContractAsync({
+          address: tokenAddress,
+          abi: erc20Abi,
+          functionName: 'approve',
+          args: [escrowAddress, amount],
+        });
+        await waitForTransactionReceipt(config, { hash: approveHash });
+      } finally {
+        setIsApproving(false);
+      }
+    }
+
+    const donateHash = await writeContractAsync({
+      address: escrowAddress,
+      abi: FundingEscrowABI.abi,
+      functionName: 'donateToken',
+      args: [amount],
+    });
+    setHash(donateHash);
+    return donateHash;
+  };
+
+  const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash });
+
+  return {
+    donateToken,
+    isApproving,
+    isPending,
+    isConfirming,
+    isSuccess,
+    error,
+    hash,
+  };
+}
+
+export function usePendingProfit(userAddress?: `0x${string}`, escrowAddress?: `0x${string}`) {
+  const address = escrowAddress || CONTRACTS.FUNDING_ESCROW;
+
+  return useReadContract({
+    address,
+    abi: FundingEscrowABI.abi,
+    functionName: 'pendingProfit',
+    args: userAddress ? [userAddress] : undefined,
+    query: {
+      enabled: !!userAddress && address !== '0x0000000000000000000000000000000000000000',
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+      retry: false,
+    },
+  });
+}
+
+export function useClaimProfit() {
+  const { data: hash, writeContract, isPending, error } = useWriteContract();
+
+  const claimProfit = (escrowAddress?: `0x${string}`) => {
+    const address = escrowAddress || CONTRACTS.FUNDING_ESCROW;
+    writeContract({
+      address,
+      abi: FundingEscrowABI.abi,
+      functionName: 'claimProfit',
+    });
+  };
+
+  const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash });
+
+  return {
+    claimProfit,
+    isPending,
+    isConfirming,
+    isSuccess,
+    error,
+    hash,
+  };
+}
@@ -1,7 +1,13 @@
-import { useReadContract, useWriteContract, useWaitForTransactionReceipt, useAccount } from 'wagmi';
-import { encodeFunctionData } from 'viem';
+import { useReadContract, useReadContracts, useWriteContract, useWaitForTransactionReceipt, useAccount, useSignTypedData, usePublicClient } from 'wagmi';
+import { useQuery } from '@tanstack/react-query';
+import { readContract, waitForTransactionReceipt } from 'wagmi/actions';
+import { encodeAbiParameters, encodeFunctionData, keccak256, toHex, zeroAddress } from 'viem';
 import { useState, useEffect } from 'react';
 import { CONTRACTS } from '../contracts/addresses';
+import { config } from '../lib/wagmi';
+import { recordVoteRationale, relayVote, syncProposal, syncProposalStatus, syncVote } from '../lib/api';
+import { uploadJSONToIPFS } from '../lib/ipfs';
+import { getStoredCommitment, removeCommitment, saveCommitment } from '../lib/commitStorage';
 import GovernanceABI from '../contracts/abis/MilestoneGovernance.json';
 
 export function useVoterInfo(voterAddress?: `0x${string}`) {
@@ -18,6 +24,47 @@ export function useVoterInfo(voterAddress?: `0x${string}`) {
   });
 }
 
+export interface ReputationChange {
+  proposalId: bigint;
+  oldReputation: number;
+  newReputation: number;
+  blockNumber: bigint;
+  transactionHash: `0x${string}`;
+}
+
+// Reputation moves when votes are settled against outcomes or missed reveals are reported;
+// rebuilt from ReputationChanged events, newest first
+export function useReputationHistory(voterAddress?: `0x${string}`) {
+  const publicClient = usePublicClient();
+
+  return useQuery({
+    queryKey: ['reputationHistory', CONTRACTS.MILESTONE_GOVERNANCE, voterAddress],
+    queryFn: async (): Promise<ReputationChange[]> => {
+      const logs = await publicClient!.getContractEvents({
+        address: CONTRACTS.MILESTONE_GOVERNANCE,
+        abi: GovernanceABI.abi,
+        eventName: 'ReputationChanged',
+        args: { voter: voterAddress },
+        fromBlock: 0n,
+      });
+      return logs
+        .map((log) => {
+          const args = (log as unknown as { args: { proposalId: bigint; oldReputation: bigint; newReputation: bigint } }).args;
+          return {
+            proposalId: args.proposalId,
+            oldReputation: Number(args.oldReputation),
+            newReputation: Number(args.newReputation),
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+          };
+        })
+        .reverse();
+    },
+    enabled: !!voterAddress && !!publicClient && CONTRACTS.MILESTONE_GOVERNANCE !== '0x0000000000000000000000000000000000000000',
+    refetchInterval: 30000,
+  });
+}
+
 export function useTotalStaked() {
   return useReadContract({
     address: CONTRACTS.MILESTONE_GOVERNANCE,
@@ -30,6 +77,53 @@ export function useTotalStaked() {
   });
 }
 
+// Guardian emergency pause: voting and execution are blocked until pausedUntil (unix seconds)
+export function useGovernancePause() {
+  const governance = { address: CONTRACTS.MILESTONE_GOVERNANCE, abi: GovernanceABI.abi } as const;
+  const { data, ...rest } = useReadContracts({
+    contracts: [
+      { ...governance, functionName: 'paused' },
+      { ...governance, functionName: 'pausedUntil' },
+    ],
+    query: {
+      enabled: CONTRACTS.MILESTONE_GOVERNANCE !== '0x0000000000000000000000000000000000000000',
+      refetchInterval: 30000,
+    },
+  });
+
+  return {
+    paused: data?.[0]?.result === true,
+    pausedUntil: (data?.[1]?.result as bigint | undefined) ?? 0n,
+    ...rest,
+  };
+}
+
+// Live voting period (seconds), minimum stake (wei) and quorum (percent); owners change
+// these through a timelocked queue, so they can differ from the original defaults
+export function useGovernanceParameters() {
+  const governance = { address: CONTRACTS.MILESTONE_GOVERNANCE, abi: GovernanceABI.abi } as const;
+  const { data, ...rest } = useReadContracts({
+    contracts: [
+      { ...governance, functionName: 'votingPeriod' },
+      { ...governance, functionName: 'minimumStake' },
+      { ...governance, functionName: 'quorumPercentage' },
+      { ...governance, functionName: 'unstakeCooldown' },
+    ],
+    query: {
+      enabled: CONTRACTS.MILESTONE_GOVERNANCE !== '0x0000000000000000000000000000000000000000',
+      refetchInterval: 30000,
+    },
+  });
+
+  return {
+    votingPeriod: (data?.[0]?.result as bigint | undefined) ?? 7n * 24n * 60n * 60n,
+    minimumStake: (data?.[1]?.result as bigint | undefined) ?? 10n ** 16n, // 0.01 ETH
+    quorumPercentage: Number((data?.[2]?.result as bigint | undefined) ?? 51n),
+    unstakeCooldown: (data?.[3]?.result as bigint | undefined) ?? 7n * 24n * 60n * 60n,
+    ...rest,
+  };
+}
+
 export function useProposal(proposalId: number) {
   return useReadContract({
     address: CONTRACTS.MILESTONE_GOVERNANCE,
@@ -68,6 +162,174 @@ export function useHasVoted(proposalId: number, voterAddress?: `0x${string}`) {
   });
 }
 
+export type VotingMode = 'stake' | 'donor' | 'quadratic';
+
+// Matches the VotingMode enum in MilestoneGovernance
+const VOTING_MODE_VALUES: Record<VotingMode, number> = { stake: 0, donor: 1, quadratic: 2 };
+
+export function useEscrowVotingMode(escrowAddress?: `0x${string}`) {
+  return useReadContract({
+    address: CONTRACTS.MILESTONE_GOVERNANCE,
+    abi: GovernanceABI.abi,
+    functionName: 'escrowVotingMode',
+    args: escrowAddress ? [escrowAddress] : undefined,
+    query: {
+      enabled: !!escrowAddress && CONTRACTS.MILESTONE_GOVERNANCE !== '0x0000000000000000000000000000000000000000',
+    },
+  });
+}
+
+// Whether governance takes proposals for the escrow (factory-created or registered by the owner)
+export function useIsRegisteredEscrow(escrowAddress?: `0x${string}`) {
+  return useReadContract({
+    address: CONTRACTS.MILESTONE_GOVERNANCE,
+    abi: GovernanceABI.abi,
+    functionName: 'isRegisteredEscrow',
+    args: escrowAddress ? [escrowAddress] : undefined,
+    query: {
+      enabled: !!escrowAddress && CONTRACTS.MILESTONE_GOVERNANCE !== '0x0000000000000000000000000000000000000000',
+    },
+  });
+}
+
+// Whether an address can vote on a proposal right now, with the weight it would
+// carry and the contract's reason when it cannot (not a donor, already voted, ...)
+export function useVoteEligibility(proposalId: number, voterAddress?: `0x${string}`) {
+  const { data, ...rest } = useReadContract({
+    address: CONTRACTS.MILESTONE_GOVERNANCE,
+    abi: GovernanceABI.abi,
+    functionName: 'getVoteEligibility',
+    args: [BigInt(proposalId), voterAddress!],
+    query: {
+      enabled: !!voterAddress && CONTRACTS.MILESTONE_GOVERNANCE !== '0x0000000000000000000000000000000000000000',
+      refetchInterval: 5000,
+    },
+  });
+
+  const [eligible, weight, reason] = (data as [boolean, bigint, string] | undefined) ?? [false, 0n, ''];
+
+  return {
+    eligible,
+    weight,
+    reason: voterAddress ? reason : 'Connect your wallet to vote',
+    ...rest,
+  };
+}
+
+export function useSetVotingMode() {
+  const { writeContractAsync, isPending, error } = useWriteContract();
+  
+  // Must be sent by the project owner before the funding goal is reached
+  const setVotingMode = async (escrowAddress: `0x${string}`, mode: VotingMode) => {
+    const hash = await writeContractAsync({
+      address: CONTRACTS.MILESTONE_GOVERNANCE,
+      abi: GovernanceABI.abi,
+      functionName: 'setVotingMode',
+      args: [escrowAddress, VOTING_MODE_VALUES[mode]],
+    });
+    await waitForTransactionReceipt(config, { hash });
+    return hash;
+  };
+  
+  return {
+    setVotingMode,
+    isPending,
+    error,
+  };
+}
+
+export function useSetCommitReveal() {
+  const { writeContractAsync, isPending, error } = useWriteContract();
+  
+  // Same rules as the voting mode: project owner only, before the funding goal is reached
+  const setCommitReveal = async (escrowAddress: `0x${string}`, enabled: boolean) => {
+    const hash = await writeContractAsync({
+      address: CONTRACTS.MILESTONE_GOVERNANCE,
+      abi: GovernanceABI.abi,
+      functionName: 'setCommitReveal',
+      args: [escrowAddress, enabled],
+    });
+    await waitForTransactionReceipt(config, { hash });
+    return hash;
+  };
+  
+  return {
+    setCommitReveal,
+    isPending,
+    error,
+  };
+}
+
+export function useDelegationInfo(voterAddress?: `0x${string}`) {
+  const { data, ...rest } = useReadContract({
+    address: CONTRACTS.MILESTONE_GOVERNANCE,
+    abi: GovernanceABI.abi,
+    functionName: 'getDelegationInfo',
+    args: voterAddress ? [voterAddress] : undefined,
+    query: {
+      enabled: !!voterAddress && CONTRACTS.MILESTONE_GOVERNANCE !== '0x0000000000000000000000000000000000000000',
+      refetchInterval: 5000,
+    },
+  });
+
+  const [delegatee, votingPower, delegatedPower] =
+    (data as [`0x${string}`, bigint, bigint] | undefined) ?? [zeroAddress, 0n, 0n];
+
+  return {
+    delegatee: delegatee === zeroAddress ? undefined : delegatee,
+    votingPower,
+    delegatedPower,
+    ...rest,
+  };
+}
+
+export function useDelegate() {
+  const { data: hash, writeContract, isPending, error } = useWriteContract();
+  
+  const delegate = (delegatee: `0x${string}`) => {
+    writeContract({
+      address: CONTRACTS.MILESTONE_GOVERNANCE,
+      abi: GovernanceABI.abi,
+      functionName: 'delegate',
+      args: [delegatee],
+    });
+  };
+  
+  const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash });
+  
+  return {
+    delegate,
+    isPending,
+    isConfirming,
+    isSuccess,
+    error,
+    hash,
+  };
+}
+
+export function useUndelegate() {
+  const { data: hash, writeContract, isPending, error } = useWriteContract();
+  
+  const undelegate = () => {
+    writeContract({
+      address: CONTRACTS.MILESTONE_GOVERNANCE,
+      abi: GovernanceABI.abi,
+      functionName: 'undelegate',
+    });
+  };
+  
+  const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash });
+  
+  return {
+    undelegate,
+    isPending,
+    isConfirming,
+    isSuccess,
+    error,
+    hash,
+  };
+}
+
 export function useRegisterVoter() {
   const { data: hash, writeContract, isPending, error } = useWriteContract();
   const { address, chainId } = useAccount();
@@ -279,17 +541,30 @@ export function useRegisterVoter() {
 export function useCreateProposal() {
   const { data: hash, writeContract, isPending, error } = useWriteContract();
   
-  const createProposal = (escrowAddress: `0x${string}`, stageIndex: number, evidenceHash: string) => {
+  // releasePercentage below 100 asks for only part of the stage allocation; the stage stays
+  // open for further proposals until all of it has been released
+  const createProposal = (
+    escrowAddress: `0x${string}`,
+    stageIndex: number,
+    evidenceHash: string,
+    releasePercentage = 100
+  ) => {
     writeContract({
       address: CONTRACTS.MILESTONE_GOVERNANCE,
       abi: GovernanceABI.abi,
-      functionName: 'createMilestoneProposal',
-      args: [escrowAddress, BigInt(stageIndex), evidenceHash],
+      functionName: 'createPartialMilestoneProposal',
+      args: [escrowAddress, BigInt(stageIndex), BigInt(releasePercentage), evidenceHash],
     });
   };
   
   const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash });
   
+  // The backend reads the proposal, and the rejected one it resubmits, from the receipt for the stage history
+  useEffect(() => {
+    if (!isSuccess || !hash) return;
+    syncProposal(hash);
+  }, [isSuccess, hash]);
+  
   return {
     createProposal,
     isPending,
@@ -300,10 +575,49 @@ export function useCreateProposal() {
   };
 }
 
+export function useCreateCancellationProposal() {
+  const { data: hash, writeContract, isPending, error } = useWriteContract();
+  
+  const createCancellationProposal = (escrowAddress: `0x${string}`, evidenceHash: string) => {
+    writeContract({
+      address: CONTRACTS.MILESTONE_GOVERNANCE,
+      abi: GovernanceABI.abi,
+      functionName: 'createCancellationProposal',
+      args: [escrowAddress, evidenceHash],
+    });
+  };
+  
+  const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash });
+  
+  useEffect(() => {
+    if (!isSuccess || !hash) return;
+    syncProposal(hash);
+  }, [isSuccess, hash]);
+  
+  return {
+    createCancellationProposal,
+    isPending,
+    isConfirming,
+    isSuccess,
+    error,
+    hash,
+  };
+}
+
+// How long a signed vote stays valid for the relayer
+const SIGNED_VOTE_TTL_SECONDS = 60 * 60;
+
 export function useVote() {
   const { data: hash, writeContract, isPending, error } = useWriteContract();
+  const { address, chainId } = useAccount();
+  const { signTypedDataAsync } = useSignTypedData();
+  const [relayedHash, setRelayedHash] = useState<`0x${string}` | undefined>();
+  const [isSigning, setIsSigning] = useState(false);
+  const [relayError, setRelayError] = useState<Error | null>(null);
+  const [votedProposalId, setVotedProposalId] = useState<number | undefined>();
   
   const vote = (proposalId: number, inFavor: boolean) => {
+    setVotedProposalId(proposalId);
     writeContract({
       address: CONTRACTS.MILESTONE_GOVERNANCE,
       abi: GovernanceABI.abi,
@@ -312,22 +626,184 @@ export function useVote() {
     });
   };
   
-  const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash });
+  // Sign instead of send: the voter signs EIP-712 typed data and the backend relayer submits voteBySig
+  const signVote = async (proposalId: number, inFavor: boolean) => {
+    if (!address || !chainId) {
+      throw new Error('Connect your wallet to vote');
+    }
+    setIsSigning(true);
+    setRelayError(null);
+    try {
+      const nonce = await readContract(config, {
+        address: CONTRACTS.MILESTONE_GOVERNANCE,
+        abi: GovernanceABI.abi,
+        functionName: 'nonces',
+        args: [address],
+      }) as bigint;
+      const deadline = Math.floor(Date.now() / 1000) + SIGNED_VOTE_TTL_SECONDS;
+      
+      const signature = await signTypedDataAsync({
+        domain: {
+          name: 'MilestoneGovernance',
+          version: '1',
+          chainId,
+          verifyingContract: CONTRACTS.MILESTONE_GOVERNANCE,
+        },
+        types: {
+          Vote: [
+            { name: 'proposalId', type: 'uint256' },
+            { name: 'inFavor', type: 'bool' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' },
+          ],
+        },
+        primaryType: 'Vote',
+        message: {
+          proposalId: BigInt(proposalId),
+          inFavor,
+          nonce,
+          deadline: BigInt(deadline),
+        },
+      });
+      
+      const response = await relayVote(proposalId, {
+        in_favor: inFavor,
+        nonce: nonce.toString(),
+        deadline,
+        signature,
+      });
+      if (!response.success || !response.data) {
+        throw new Error(response.error || 'Relayer rejected the vote');
+      }
+      setRelayedHash(response.data.transactionHash);
+    } catch (err) {
+      setRelayError(err as Error);
+      throw err;
+    } finally {
+      setIsSigning(false);
+    }
+  };
+  
+  const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash: relayedHash || hash });
+  
+  // The relay endpoint mirrors relayed votes itself; direct votes are synced once confirmed
+  useEffect(() => {
+    if (!isSuccess || !hash || relayedHash || votedProposalId === undefined) return;
+    syncVote(votedProposalId, hash);
+  }, [isSuccess, hash, relayedHash, votedProposalId]);
   
   return {
     vote,
-    isPending,
+    signVote,
+    isPending: isPending || isSigning,
     isConfirming,
     isSuccess,
+    error: error || relayError,
+    hash: relayedHash || hash,
+  };
+}
+
+// Vote against with a written rationale: the text goes to IPFS, its hash on-chain, and the
+// backend keeps a copy for the project's milestone history. The vote counts either way, so a
+// rationale the backend could not save is returned (rationaleSaved false) for the caller to report
+export function useVoteAgainstWithRationale() {
+  const { writeContractAsync, isPending, error } = useWriteContract();
+  const { address } = useAccount();
+  
+  const voteAgainst = async (proposalId: number, rationale: string) => {
+    if (!address) {
+      throw new Error('Connect your wallet to vote');
+    }
+    const rationaleHash = await uploadJSONToIPFS({
+      proposalId,
+      voter: address,
+      rationale,
+      createdAt: Date.now(),
+    });
+    const hash = await writeContractAsync({
+      address: CONTRACTS.MILESTONE_GOVERNANCE,
+      abi: GovernanceABI.abi,
+      functionName: 'voteAgainstWithRationale',
+      args: [BigInt(proposalId), rationaleHash],
+    });
+    await waitForTransactionReceipt(config, { hash });
+    syncVote(proposalId, hash);
+    const saved = await recordVoteRationale(proposalId, hash);
+    return { hash, rationaleSaved: saved.success, rationaleError: saved.error };
+  };
+  
+  return {
+    voteAgainst,
+    isPending,
+    error,
+  };
+}
+
+// Commit-reveal proposals: commit a hash while voting is open, reveal the choice and
+// salt once it closes. The salt is kept in localStorage between the two steps.
+export function useCommitRevealVote() {
+  const { writeContractAsync, isPending, error } = useWriteContract();
+  const { address } = useAccount();
+  
+  const commit = async (proposalId: number, inFavor: boolean) => {
+    if (!address) {
+      throw new Error('Connect your wallet to vote');
+    }
+    const salt = toHex(crypto.getRandomValues(new Uint8Array(32)));
+    // Must match getCommitHash in MilestoneGovernance
+    const commitHash = keccak256(encodeAbiParameters(
+      [{ type: 'uint256' }, { type: 'address' }, { type: 'bool' }, { type: 'bytes32' }],
+      [BigInt(proposalId), address, inFavor, salt]
+    ));
+    
+    // Save first so the salt survives even if the page closes before the receipt
+    saveCommitment(CONTRACTS.MILESTONE_GOVERNANCE, proposalId, address, {
+      inFavor,
+      salt,
+      committedAt: Date.now(),
+    });
+    const hash = await writeContractAsync({
+      address: CONTRACTS.MILESTONE_GOVERNANCE,
+      abi: GovernanceABI.abi,
+      functionName: 'commitVote',
+      args: [BigInt(proposalId), commitHash],
+    });
+    await waitForTransactionReceipt(config, { hash });
+    return hash;
+  };
+  
+  const reveal = async (proposalId: number) => {
+    const stored = getStoredCommitment(CONTRACTS.MILESTONE_GOVERNANCE, proposalId, address);
+    if (!address || !stored) {
+      throw new Error('No saved commitment for this proposal in this browser');
+    }
+    const hash = await writeContractAsync({
+      address: CONTRACTS.MILESTONE_GOVERNANCE,
+      abi: GovernanceABI.abi,
+      functionName: 'revealVote',
+      args: [BigInt(proposalId), stored.inFavor, stored.salt],
+    });
+    await waitForTransactionReceipt(config, { hash });
+    removeCommitment(CONTRACTS.MILESTONE_GOVERNANCE, proposalId, address);
+    return hash;
+  };
+  
+  return {
+    commit,
+    reveal,
+    getCommitment: (proposalId: number) =>
+      getStoredCommitment(CONTRACTS.MILESTONE_GOVERNANCE, proposalId, address),
+    isPending,
     error,
-    hash,
   };
 }
 
 export function useExecuteProposal() {
   const { data: hash, writeContract, isPending, error } = useWriteContract();
+  const [executedProposalId, setExecutedProposalId] = useState<number | undefined>();
   
   const execute = (proposalId: number) => {
+    setExecutedProposalId(proposalId);
     writeContract({
       address: CONTRACTS.MILESTONE_GOVERNANCE,
       abi: GovernanceABI.abi,
@@ -338,6 +814,12 @@ export function useExecuteProposal() {
   
   const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash });
   
+  // Execution approves or rejects the proposal; the backend copies the outcome from governance
+  useEffect(() => {
+    if (!isSuccess || !hash || executedProposalId === undefined) return;
+    syncProposalStatus(executedProposalId);
+  }, [isSuccess, hash, executedProposalId]);
+  
   return {
     execute,
     isPending,
@@ -372,21 +854,67 @@ export function useAddStake() {
   };
 }
 
-export function useWithdrawStake() {
+// Stake requested for withdrawal; amount is 0 when nothing is pending
+export function usePendingUnstake(voterAddress?: `0x${string}`) {
+  const { data, ...rest } = useReadContract({
+    address: CONTRACTS.MILESTONE_GOVERNANCE,
+    abi: GovernanceABI.abi,
+    functionName: 'pendingUnstakes',
+    args: voterAddress ? [voterAddress] : undefined,
+    query: {
+      enabled: !!voterAddress && CONTRACTS.MILESTONE_GOVERNANCE !== '0x0000000000000000000000000000000000000000',
+      refetchInterval: 5000,
+    },
+  });
+
+  const [amount, availableAt] = (data as [bigint, bigint] | undefined) ?? [0n, 0n];
+
+  return {
+    amount,
+    availableAt,
+    ...rest,
+  };
+}
+
+export function useRequestUnstake() {
+  const { data: hash, writeContract, isPending, error } = useWriteContract();
+  
+  const requestUnstake = (amount: bigint) => {
+    writeContract({
+      address: CONTRACTS.MILESTONE_GOVERNANCE,
+      abi: GovernanceABI.abi,
+      functionName: 'requestUnstake',
+      args: [amount],
+    });
+  };
+  
+  const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash });
+  
+  return {
+    requestUnstake,
+    isPending,
+    isConfirming,
+    isSuccess,
+    error,
+    hash,
+  };
+}
+
+export function useCompleteUnstake() {
   const { data: hash, writeContract, isPending, error } = useWriteContract();
   
-  const withdraw = () => {
+  const completeUnstake = () => {
     writeContract({
       address: CONTRACTS.MILESTONE_GOVERNANCE,
       abi: GovernanceABI.abi,
-      functionName: 'withdrawStake',
+      functionName: 'completeUnstake',
     });
   };
   
   const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash });
   
   return {
-    withdraw,
+    completeUnstake,
     isPending,
     isConfirming,
     isSuccess,
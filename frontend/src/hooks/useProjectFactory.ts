@@ -0,0 +1,76 @@
+import { useReadContract, useWriteContract } from 'wagmi';
+import { waitForTransactionReceipt } from 'wagmi/actions';
+import { parseEventLogs, zeroAddress } from 'viem';
+import { CONTRACTS, isFactoryDeployed } from '../contracts/addresses';
+import { config } from '../lib/wagmi';
+import ProjectFactoryABI from '../contracts/abis/ProjectFactory.json';
+
+export interface CreateProjectParams {
+  projectOwner: `0x${string}`;
+  fundingGoal: bigint; // in wei
+  fundingDuration: bigint; // in seconds
+  stageAllocations: number[]; // basis points, must sum to 10000
+  stageDurations: number[]; // seconds per stage, counted from the funding deadline
+  paymentToken?: `0x${string}`; // ERC-20 accepted for donations (ETH if omitted)
+  flexibleFunding?: boolean; // Keep funds raised by the deadline even if the goal is missed
+}
+
+export function useProjectsByOwner(ownerAddress?: `0x${string}`) {
+  return useReadContract({
+    address: CONTRACTS.PROJECT_FACTORY,
+    abi: ProjectFactoryABI.abi,
+    functionName: 'getProjectsByOwner',
+    args: ownerAddress ? [ownerAddress] : undefined,
+    query: {
+      enabled: !!ownerAddress && isFactoryDeployed(),
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+    },
+  });
+}
+
+export function useCreateProject() {
+  const { writeContractAsync, isPending, error } = useWriteContract();
+
+  // Creates the escrow through the factory and resolves with its address from the ProjectCreated event
+  const createProject = async ({ projectOwner, fundingGoal, fundingDuration, stageAllocations, stageDurations, paymentToken, flexibleFunding = false }: CreateProjectParams) => {
+    if (!isFactoryDeployed()) {
+      throw new Error('ProjectFactory address not configured (VITE_FACTORY_ADDRESS)');
+    }
+
+    const hash = await writeContractAsync({
+      address: CONTRACTS.PROJECT_FACTORY,
+      abi: ProjectFactoryABI.abi,
+      functionName: 'createProject',
+      args: [
+        projectOwner,
+        fundingGoal,
+        fundingDuration,
+        BigInt(stageAllocations.length),
+        stageAllocations.map((allocation) => BigInt(allocation)),
+        paymentToken ?? zeroAddress,
+        stageDurations.map((duration) => BigInt(duration)),
+        flexibleFunding,
+      ],
+    });
+
+    const receipt = await waitForTransactionReceipt(config, { hash });
+    const [created] = parseEventLogs({
+      abi: ProjectFactoryABI.abi,
+      eventName: 'ProjectCreated',
+      logs: receipt.logs,
+    }) as unknown as { args: { escrow: `0x${string}` } }[];
+
+    if (!created) {
+      throw new Error('ProjectCreated event not found in transaction receipt');
+    }
+
+    return { escrowAddress: created.args.escrow, hash };
+  };
+
+  return {
+    createProject,
+    isPending,
+    error,
+  };
+}
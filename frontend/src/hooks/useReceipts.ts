@@ -0,0 +1,48 @@
+import { useReadContract, useReadContracts } from 'wagmi';
+import { zeroAddress, type Abi } from 'viem';
+import { CONTRACTS } from '../contracts/addresses';
+import ContributionReceiptABI from '../contracts/abis/ContributionReceipt.json';
+
+export interface ContributionReceipt {
+  tokenId: bigint;
+  escrow: `0x${string}`; // Project the receipt was minted for
+  tokenURI: string; // ipfs://<hash> once the backend has generated metadata, empty before
+}
+
+// Every contribution receipt NFT the holder owns, one per project backed
+export function useReceipts(holderAddress?: `0x${string}`) {
+  const enabled = !!holderAddress && CONTRACTS.CONTRIBUTION_RECEIPT !== zeroAddress;
+  const { data: tokenIds, ...rest } = useReadContract({
+    address: CONTRACTS.CONTRIBUTION_RECEIPT,
+    abi: ContributionReceiptABI.abi,
+    functionName: 'getReceipts',
+    args: holderAddress ? [holderAddress] : undefined,
+    query: {
+      enabled,
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+    },
+  });
+
+  const ids = (tokenIds as readonly bigint[] | undefined) ?? [];
+  const abi = ContributionReceiptABI.abi as Abi;
+  const { data: details } = useReadContracts({
+    contracts: ids.flatMap((tokenId) => [
+      { address: CONTRACTS.CONTRIBUTION_RECEIPT, abi, functionName: 'escrowOf', args: [tokenId] },
+      { address: CONTRACTS.CONTRIBUTION_RECEIPT, abi, functionName: 'tokenURI', args: [tokenId] },
+    ]),
+    query: {
+      enabled: enabled && ids.length > 0,
+      refetchInterval: false, // Don't auto-refetch
+      staleTime: 30000,
+    },
+  });
+
+  const receipts: ContributionReceipt[] = ids.map((tokenId, i) => ({
+    tokenId,
+    escrow: (details?.[i * 2]?.result as `0x${string}` | undefined) ?? zeroAddress,
+    tokenURI: (details?.[i * 2 + 1]?.result as string | undefined) ?? '',
+  }));
+
+  return { receipts, ...rest };
+}
@@ -80,6 +80,9 @@ export interface BackendMilestone {
   title: string;
   description: string;
   allocation_percentage: number;
+  duration_days?: number;
+  due_date?: number; // Unix timestamp the stage funds must be released by
+  is_overdue?: number; // 1 if past due_date and not completed
   status: string;
 }
 
@@ -95,11 +98,13 @@ export async function createProject(projectData: {
   funding_goal: string;
   funding_deadline: string;
   total_stages: number;
+  flexible_funding?: boolean; // Keep funds raised by the deadline even if the goal is missed
   milestones: Array<{
     stage_index: number;
     title: string;
     description: string;
     allocation_percentage: number;
+    duration_days?: number;
   }>;
 }): Promise<ApiResponse<BackendProject>> {
   return apiRequest<BackendProject>('/api/projects', {
@@ -149,6 +154,7 @@ export async function deployProjectContract(projectData: {
   fundingDuration: string; // seconds
   totalStages: number;
   stageAllocations: number[]; // basis points
+  flexibleFunding?: boolean;
 }): Promise<ApiResponse<{ contractAddress: string }>> {
   return apiRequest<{ contractAddress: string }>('/api/deploy/project', {
     method: 'POST',
@@ -167,3 +173,125 @@ export async function updateProjectContractAddress(
   });
 }
 
+// Re-read funding and milestone deadlines from the escrow after a deadline extension
+export async function syncProjectDeadlines(
+  contractAddress: string
+): Promise<ApiResponse<{ funding_deadline: number; stage_deadlines: number[] }>> {
+  return apiRequest<{ funding_deadline: number; stage_deadlines: number[] }>(`/api/projects/contract/${contractAddress}/sync-deadlines`, {
+    method: 'POST',
+  });
+}
+
+// Record an accepted ownership transfer; the backend reads the new owner from the transaction's event
+export async function syncProjectOwner(
+  contractAddress: string,
+  transactionHash: `0x${string}`
+): Promise<ApiResponse<{ previous_owner: string; owner_address: string }>> {
+  return apiRequest<{ previous_owner: string; owner_address: string }>(`/api/projects/contract/${contractAddress}/sync-owner`, {
+    method: 'POST',
+    body: JSON.stringify({ transaction_hash: transactionHash }),
+  });
+}
+
+// Regenerate a donor's receipt metadata from the escrow; the backend pins it to IPFS and sets the token URI
+// unless the metadata is unchanged (no transaction then)
+export async function refreshReceiptMetadata(
+  escrowAddress: string,
+  holderAddress: string
+): Promise<ApiResponse<{ token_id: string; token_uri: string; transaction_hash: `0x${string}` | null; unchanged: boolean }>> {
+  return apiRequest<{ token_id: string; token_uri: string; transaction_hash: `0x${string}` | null; unchanged: boolean }>('/api/receipts/refresh', {
+    method: 'POST',
+    body: JSON.stringify({ escrow_address: escrowAddress, holder_address: holderAddress }),
+  });
+}
+
+// Relay an EIP-712 signed vote; the backend pays the gas (proposalId is the on-chain ID)
+export async function relayVote(
+  proposalId: number,
+  vote: {
+    in_favor: boolean;
+    nonce: string;
+    deadline: number; // unix seconds
+    signature: `0x${string}`;
+  }
+): Promise<ApiResponse<{ voter: string; weight: string; transactionHash: `0x${string}` }>> {
+  return apiRequest<{ voter: string; weight: string; transactionHash: `0x${string}` }>(`/api/proposals/${proposalId}/relay-vote`, {
+    method: 'POST',
+    body: JSON.stringify(vote),
+  });
+}
+
+// Record a vote sent straight to governance; the backend reads the counted weight from the receipt
+export async function syncVote(
+  proposalId: number,
+  transactionHash: `0x${string}`
+): Promise<ApiResponse<{ voter: string; in_favor: boolean; weight: string; transactionHash: `0x${string}` }>> {
+  return apiRequest<{ voter: string; in_favor: boolean; weight: string; transactionHash: `0x${string}` }>(`/api/proposals/${proposalId}/sync-vote`, {
+    method: 'POST',
+    body: JSON.stringify({ transaction_hash: transactionHash }),
+  });
+}
+
+// Record a proposal created on governance; the backend reads its type, stage and resubmission from the receipt
+export async function syncProposal(
+  transactionHash: `0x${string}`
+): Promise<ApiResponse<Omit<BackendStageAttempt, 'rationales'>>> {
+  return apiRequest<Omit<BackendStageAttempt, 'rationales'>>('/api/proposals/sync', {
+    method: 'POST',
+    body: JSON.stringify({ transaction_hash: transactionHash }),
+  });
+}
+
+// Re-read a proposal's status and vote totals from governance once it was executed (proposalId is the on-chain ID)
+export async function syncProposalStatus(
+  proposalId: number
+): Promise<ApiResponse<{ status: string; executed: boolean; votes_for: string; votes_against: string }>> {
+  return apiRequest<{ status: string; executed: boolean; votes_for: string; votes_against: string }>(`/api/proposals/${proposalId}/sync-status`, {
+    method: 'POST',
+  });
+}
+
+export interface BackendVoteRationale {
+  id: number;
+  proposal_id: number;
+  voter_address: string;
+  rationale_hash: string; // IPFS hash
+  tx_hash?: string;
+  created_at: string;
+}
+
+export interface BackendStageAttempt {
+  id: number;
+  proposal_id_onchain: number;
+  stage_index: number;
+  evidence_hash: string;
+  previous_proposal_id_onchain?: number | null; // rejected proposal this one resubmits
+  status: string;
+  votes_for: string;
+  votes_against: string;
+  start_time: number;
+  end_time: number;
+  created_at: string;
+  rationales: BackendVoteRationale[];
+}
+
+// Milestone proposals of a project grouped by stage, oldest attempt first
+export async function getStageHistory(
+  projectId: number
+): Promise<ApiResponse<Array<{ stage_index: number; attempts: BackendStageAttempt[] }>>> {
+  return apiRequest<Array<{ stage_index: number; attempts: BackendStageAttempt[] }>>(
+    `/api/proposals/project/${projectId}/stage-history`
+  );
+}
+
+// Store the IPFS rationale of a vote against; the backend reads the voter and hash from the
+// transaction's VoteRationale event (proposalId is the on-chain ID)
+export async function recordVoteRationale(
+  proposalId: number,
+  transactionHash: `0x${string}`
+): Promise<ApiResponse<void>> {
+  return apiRequest<void>(`/api/proposals/${proposalId}/rationales`, {
+    method: 'POST',
+    body: JSON.stringify({ tx_hash: transactionHash }),
+  });
+}
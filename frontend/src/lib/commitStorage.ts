@@ -0,0 +1,72 @@
+/**
+ * Commit-reveal vote storage
+ * Keeps the choice and salt of committed votes in localStorage so they can be
+ * revealed after the commit period. Losing the salt means the vote can't be revealed.
+ */
+
+const STORAGE_KEY = 'de-fund-vote-commitments';
+
+export interface StoredCommitment {
+  inFavor: boolean;
+  salt: `0x${string}`;
+  committedAt: number; // Timestamp
+}
+
+function commitmentKey(governance: string, proposalId: number, voter: string): string {
+  return `${governance.toLowerCase()}:${proposalId}:${voter.toLowerCase()}`;
+}
+
+function getCommitments(): Record<string, StoredCommitment> {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error reading commitment storage:', error);
+    return {};
+  }
+}
+
+/**
+ * Get the stored commitment for a voter on a proposal
+ */
+export function getStoredCommitment(
+  governance: string,
+  proposalId: number,
+  voter?: string
+): StoredCommitment | null {
+  if (!voter) return null;
+  return getCommitments()[commitmentKey(governance, proposalId, voter)] || null;
+}
+
+/**
+ * Save a commitment before it is sent on-chain
+ */
+export function saveCommitment(
+  governance: string,
+  proposalId: number,
+  voter: string,
+  commitment: StoredCommitment
+): void {
+  const commitments = getCommitments();
+  commitments[commitmentKey(governance, proposalId, voter)] = commitment;
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(commitments));
+  } catch (error) {
+    console.error('Error saving commitment:', error);
+  }
+}
+
+/**
+ * Forget a commitment once it has been revealed
+ */
+export function removeCommitment(governance: string, proposalId: number, voter: string): void {
+  const commitments = getCommitments();
+  delete commitments[commitmentKey(governance, proposalId, voter)];
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(commitments));
+  } catch (error) {
+    console.error('Error removing commitment:', error);
+  }
+}
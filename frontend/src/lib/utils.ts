@@ -9,7 +9,25 @@ export function formatAddress(address: string): string {
   return `${address.slice(0, 6)}...${address.slice(-4)}`;
 }
 
-export function formatEther(value: bigint | number | string | null | undefined, decimals: number = 4): string {
+// Currency an amount is denominated in (ETH or the escrow's ERC-20 token)
+export interface TokenDisplay {
+  decimals: number;
+  symbol: string;
+}
+
+export const ETH_DISPLAY: TokenDisplay = { decimals: 18, symbol: 'ETH' };
+
+/**
+ * Formats a base-unit amount for display.
+ * Without `token` the value is treated as wei and returned without a unit (callers append "ETH");
+ * with `token` it is scaled by the token's decimals and suffixed with its symbol.
+ */
+export function formatEther(value: bigint | number | string | null | undefined, decimals: number = 4, token?: TokenDisplay): string {
+  const amount = formatUnitsSafe(value, decimals, token?.decimals ?? 18);
+  return token ? `${amount} ${token.symbol}` : amount;
+}
+
+function formatUnitsSafe(value: bigint | number | string | null | undefined, decimals: number, unitDecimals: number): string {
   // Handle all types safely
   let valueBig: bigint;
   
@@ -19,8 +37,8 @@ export function formatEther(value: bigint | number | string | null | undefined,
     } else if (value === null || value === undefined || value === '') {
       return '0.0000';
     } else if (typeof value === 'number') {
-      // If already in ETH (not wei), return as is
-      if (value < 1e12) {
+      // If already in whole units (not base units), return as is
+      if (value < 10 ** Math.min(12, unitDecimals)) {
         return value.toFixed(decimals);
       }
       valueBig = BigInt(Math.floor(value));
@@ -34,8 +52,8 @@ export function formatEther(value: bigint | number | string | null | undefined,
       return '0.0000';
     }
     
-    const eth = Number(valueBig) / 1e18;
-    return eth.toFixed(decimals);
+    const units = Number(valueBig) / 10 ** unitDecimals;
+    return units.toFixed(decimals);
   } catch {
     return '0.0000';
   }
@@ -128,6 +146,11 @@ export function getProposalStatusText(status: number): string {
   return statuses[status] || 'Unknown';
 }
 
+export function getProposalTypeText(proposalType: number): string {
+  const types = ['Milestone', 'Cancellation'];
+  return types[proposalType] || 'Unknown';
+}
+
 export function getProposalStatusColor(status: number): string {
   const colors = ['gray', 'blue', 'green', 'red', 'purple'];
   return colors[status] || 'gray';
@@ -6,6 +6,10 @@ import toast from 'react-hot-toast';
 import { createProject as createProjectAPI } from '../lib/api';
 import { uploadToIPFS } from '../lib/ipfs';
 import { parseEther } from 'viem';
+import { useCreateProject } from '../hooks/useProjectFactory';
+import { useSetVotingMode, useSetCommitReveal, type VotingMode } from '../hooks/useGovernance';
+import { useSetStretchGoals, useSetTransferableReceipts, useVestingActions } from '../hooks/useEscrow';
+import { isFactoryDeployed } from '../contracts/addresses';
 
 export function CreateProject() {
   const { isConnected, address } = useAccount();
@@ -20,22 +24,39 @@ export function CreateProject() {
     category: 'technology',
     fundingGoal: '',
     duration: '30',
+    fundingModel: 'all-or-nothing' as 'all-or-nothing' | 'flexible',
+    hardCap: '', // ETH; empty closes donations at the goal
     totalStages: '5',
+    votingMode: 'stake' as VotingMode,
+    hiddenVotes: false,
+    transferableReceipts: false,
+    vestingDays: '', // Empty pays each approved milestone out at once
     image: null as File | null,
   });
 
   // Manual deployment option
-  const [deploymentMode, setDeploymentMode] = useState<'auto' | 'manual'>('auto');
+  const [deploymentMode, setDeploymentMode] = useState<'auto' | 'wallet' | 'manual'>(isFactoryDeployed() ? 'wallet' : 'auto');
+  const { createProject: createFactoryProject } = useCreateProject();
+  const { setVotingMode } = useSetVotingMode();
+  const { setCommitReveal } = useSetCommitReveal();
+  const { setStretchGoals } = useSetStretchGoals();
+  const { setTransferableReceipts } = useSetTransferableReceipts();
+  const { setVestingDuration } = useVestingActions();
   const [manualContractAddress, setManualContractAddress] = useState('');
 
   const [milestones, setMilestones] = useState([
-    { title: 'Milestone 1', description: '', allocation: '20' },
-    { title: 'Milestone 2', description: '', allocation: '20' },
-    { title: 'Milestone 3', description: '', allocation: '20' },
-    { title: 'Milestone 4', description: '', allocation: '20' },
-    { title: 'Milestone 5', description: '', allocation: '20' },
+    { title: 'Milestone 1', description: '', allocation: '20', durationDays: '30' },
+    { title: 'Milestone 2', description: '', allocation: '20', durationDays: '30' },
+    { title: 'Milestone 3', description: '', allocation: '20', durationDays: '30' },
+    { title: 'Milestone 4', description: '', allocation: '20', durationDays: '30' },
+    { title: 'Milestone 5', description: '', allocation: '20', durationDays: '30' },
   ]);
 
+  // Funding tiers above the goal; each adds a milestone or raises every milestone's allocation
+  const [stretchGoals, setStretchGoalsForm] = useState<
+    { threshold: string; addsMilestone: boolean; durationDays: string }[]
+  >([]);
+
   const categories = [
     'technology',
     'art',
@@ -54,6 +75,91 @@ export function CreateProject() {
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
+  // Stake-weighted, open voting is the contract default, so only other choices need a transaction.
+  // A failure here leaves the project on the default; the project is still created.
+  const applyVotingMode = async (contractAddress: `0x${string}`) => {
+    if (formData.votingMode !== 'stake') {
+      const modeName = formData.votingMode === 'donor' ? 'donor' : 'quadratic';
+      try {
+        toast.loading(formData.votingMode === 'donor'
+          ? 'Confirm the transaction in your wallet to let only donors vote...'
+          : 'Confirm the transaction in your wallet to switch to quadratic voting...');
+        await setVotingMode(contractAddress, formData.votingMode);
+        toast.dismiss();
+      } catch (error) {
+        console.error('Failed to set voting mode:', error);
+        toast.dismiss();
+        toast.error(`Could not switch to ${modeName} voting. Proposals will use staked voting.`);
+      }
+    }
+    if (formData.hiddenVotes) {
+      try {
+        toast.loading('Confirm the transaction in your wallet to hide votes until voting closes...');
+        await setCommitReveal(contractAddress, true);
+        toast.dismiss();
+      } catch (error) {
+        console.error('Failed to enable commit-reveal voting:', error);
+        toast.dismiss();
+        toast.error('Could not enable hidden votes. Proposals will use open voting.');
+      }
+    }
+  };
+
+  // Needs the connected wallet to be the project owner, and must happen before the first donation.
+  // A failure leaves donations closing at the goal; the project is still created.
+  const applyStretchGoals = async (contractAddress: `0x${string}`) => {
+    if (!formData.hardCap) return;
+    try {
+      toast.loading('Confirm the transaction in your wallet to set the hard cap and stretch goals...');
+      await setStretchGoals(
+        contractAddress,
+        parseEther(formData.hardCap),
+        stretchGoals.map(goal => ({
+          threshold: parseEther(goal.threshold),
+          stageDuration: goal.addsMilestone ? BigInt(parseInt(goal.durationDays) * 24 * 60 * 60) : 0n,
+        }))
+      );
+      toast.dismiss();
+    } catch (error) {
+      console.error('Failed to set stretch goals:', error);
+      toast.dismiss();
+      toast.error('Could not set stretch goals. Donations will close at the funding goal.');
+    }
+  };
+
+  // Receipts are non-transferable by default; like stretch goals this must precede the first donation
+  const applyReceiptTerms = async (contractAddress: `0x${string}`) => {
+    if (!formData.transferableReceipts) return;
+    try {
+      toast.loading('Confirm the transaction in your wallet to make donor receipts transferable...');
+      await setTransferableReceipts(contractAddress, true);
+      toast.dismiss();
+    } catch (error) {
+      console.error('Failed to make receipts transferable:', error);
+      toast.dismiss();
+      toast.error('Could not make receipts transferable. Donors will keep their profit share.');
+    }
+  };
+
+  // Vesting is off by default; like stretch goals this must precede the first donation
+  const applyVestingTerms = async (contractAddress: `0x${string}`) => {
+    const days = parseInt(formData.vestingDays);
+    if (!days) return;
+    try {
+      toast.loading('Confirm the transaction in your wallet to vest milestone payouts...');
+      await setVestingDuration(contractAddress, BigInt(days * 24 * 60 * 60));
+      toast.dismiss();
+    } catch (error) {
+      console.error('Failed to set vesting:', error);
+      toast.dismiss();
+      toast.error('Could not set vesting. Approved milestones will be paid out at once.');
+    }
+  };
+
+  const handleStretchGoalChange = (index: number, field: string, value: string | boolean) => {
+    setStretchGoalsForm(goals => goals.map((goal, i) => (i === index ? { ...goal, [field]: value } : goal)));
+  };
+
   const handleImageChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     if (e.target.files && e.target.files[0]) {
       setFormData(prev => ({ ...prev, image: e.target.files![0] }));
@@ -68,7 +174,7 @@ export function CreateProject() {
 
   const addMilestone = () => {
     if (milestones.length < 7) {
-      setMilestones([...milestones, { title: `Milestone ${milestones.length + 1}`, description: '', allocation: '0' }]);
+      setMilestones([...milestones, { title: `Milestone ${milestones.length + 1}`, description: '', allocation: '0', durationDays: '30' }]);
     }
   };
 
@@ -100,6 +206,36 @@ export function CreateProject() {
         toast.error('All milestones must have a title');
         return false;
       }
+      if (milestones.some(m => !(parseInt(m.durationDays) > 0))) {
+        toast.error('Each milestone needs a duration of at least 1 day');
+        return false;
+      }
+      if (formData.hardCap) {
+        const goal = parseFloat(formData.fundingGoal);
+        const cap = parseFloat(formData.hardCap);
+        if (!(cap > goal)) {
+          toast.error('Hard cap must be above the funding goal');
+          return false;
+        }
+        let previous = goal;
+        for (const stretchGoal of stretchGoals) {
+          const threshold = parseFloat(stretchGoal.threshold);
+          if (!(threshold > previous && threshold <= cap)) {
+            toast.error('Stretch goals must rise in order between the funding goal and the hard cap');
+            return false;
+          }
+          previous = threshold;
+        }
+        const addedMilestones = stretchGoals.filter(g => g.addsMilestone);
+        if (milestones.length + addedMilestones.length > 7) {
+          toast.error('Milestones and stretch milestones together cannot exceed 7');
+          return false;
+        }
+        if (addedMilestones.some(g => !(parseInt(g.durationDays) > 0))) {
+          toast.error('Each stretch milestone needs a duration of at least 1 day');
+          return false;
+        }
+      }
     }
 
     return true;
@@ -163,19 +299,36 @@ export function CreateProject() {
       // Step 2: Create project in backend
       let contractAddress: `0x${string}` | undefined;
       
-      if (deploymentMode === 'manual') {
-        // Manual deployment mode - user provides contract address
-        const trimmedAddress = manualContractAddress.trim();
-        if (!trimmedAddress || !trimmedAddress.match(/^0x[a-fA-F0-9]{40}$/i)) {
-          toast.error('Please enter a valid contract address (0x followed by 40 hex characters)');
-          setIsSubmitting(false);
-          return;
+      if (deploymentMode === 'manual' || deploymentMode === 'wallet') {
+        if (deploymentMode === 'wallet') {
+          // Wallet deployment mode - user's wallet creates the escrow through the ProjectFactory
+          toast.loading('Confirm the transaction in your wallet to create the contract...');
+          const { escrowAddress } = await createFactoryProject({
+            projectOwner: address,
+            fundingGoal: parseEther(formData.fundingGoal),
+            fundingDuration: BigInt(parseInt(formData.duration) * 24 * 60 * 60),
+            stageAllocations: milestones.map(m => Math.round(parseFloat(m.allocation) * 100)),
+            stageDurations: milestones.map(m => parseInt(m.durationDays) * 24 * 60 * 60),
+            flexibleFunding: formData.fundingModel === 'flexible',
+          });
+          toast.dismiss();
+
+          contractAddress = escrowAddress.toLowerCase() as `0x${string}`;
+          toast.loading('Creating project with factory contract...');
+        } else {
+          // Manual deployment mode - user provides contract address
+          const trimmedAddress = manualContractAddress.trim();
+          if (!trimmedAddress || !trimmedAddress.match(/^0x[a-fA-F0-9]{40}$/i)) {
+            toast.error('Please enter a valid contract address (0x followed by 40 hex characters)');
+            setIsSubmitting(false);
+            return;
+          }
+
+          contractAddress = trimmedAddress.toLowerCase() as `0x${string}`;
+          toast.loading('Creating project with manual contract address...');
         }
         
-        contractAddress = trimmedAddress.toLowerCase() as `0x${string}`;
-        toast.loading('Creating project with manual contract address...');
-        
-        // For manual deployment, we include the contract_address
+        // For manual and wallet deployment, we include the contract_address
         const projectData = {
           contract_address: contractAddress, // Include contract address for manual deployment
           owner_address: address,
@@ -191,18 +344,23 @@ export function CreateProject() {
             title: m.title,
             description: m.description,
             allocation_percentage: parseFloat(m.allocation) * 100,
+            duration_days: parseInt(m.durationDays),
           })),
         };
         
         const apiResponse = await createProjectAPI(projectData);
         
         if (!apiResponse.success) {
-          toast.error(apiResponse.error || 'Failed to create project with manual contract address');
+          toast.error(apiResponse.error || `Failed to create project with ${deploymentMode} contract address`);
           return;
         }
         
         toast.dismiss();
-        toast.success(`Project created with manual contract at ${contractAddress.slice(0, 10)}...`);
+        await applyVotingMode(contractAddress);
+        await applyStretchGoals(contractAddress);
+        await applyReceiptTerms(contractAddress);
+        await applyVestingTerms(contractAddress);
+        toast.success(`Project created with ${deploymentMode === 'wallet' ? 'factory' : 'manual'} contract at ${contractAddress.slice(0, 10)}...`);
         
         setTimeout(() => {
           navigate(`/project/${contractAddress}`);
@@ -223,11 +381,13 @@ export function CreateProject() {
           funding_goal: fundingGoalWei,
           funding_deadline: deadline.toString(),
           total_stages: parseInt(formData.totalStages),
+          flexible_funding: formData.fundingModel === 'flexible',
           milestones: milestones.map((m, idx) => ({
             stage_index: idx,
             title: m.title,
             description: m.description,
             allocation_percentage: parseFloat(m.allocation) * 100, // Convert to basis points (100 = 1%)
+            duration_days: parseInt(m.durationDays),
           })),
         };
         
@@ -283,6 +443,10 @@ export function CreateProject() {
         }
         
         toast.dismiss();
+        await applyVotingMode(contractAddress);
+        await applyStretchGoals(contractAddress);
+        await applyReceiptTerms(contractAddress);
+        await applyVestingTerms(contractAddress);
         toast.success(`Project created! Contract deployed at ${contractAddress.slice(0, 10)}...`);
         
         // Wait a bit longer to ensure contract is fully confirmed on chain
@@ -439,6 +603,44 @@ export function CreateProject() {
                 />
               </div>
 
+              <div>
+                <label className="label">Funding Model</label>
+                <select
+                  name="fundingModel"
+                  value={formData.fundingModel}
+                  onChange={handleInputChange}
+                  className="input"
+                >
+                  <option value="all-or-nothing">All-or-nothing (donors are refunded if the goal is missed)</option>
+                  <option value="flexible">Flexible (keep whatever is raised by the deadline)</option>
+                </select>
+                <label className="flex items-center gap-2 mt-2 text-sm text-gray-600 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={formData.transferableReceipts}
+                    onChange={(e) => setFormData(prev => ({ ...prev, transferableReceipts: e.target.checked }))}
+                  />
+                  Let donors transfer their receipt NFT, and with it their profit share, once funded
+                </label>
+              </div>
+
+              <div>
+                <label className="label">Milestone Payout Vesting (days, optional)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="365"
+                  name="vestingDays"
+                  value={formData.vestingDays}
+                  onChange={handleInputChange}
+                  placeholder="Paid out at once"
+                  className="input"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Approved milestone funds reach you gradually over this period; if the project is cancelled, donors get back the unvested part
+                </p>
+              </div>
+
               <div>
                 <label className="label">Total Milestones (3-7)</label>
                 <input
@@ -455,6 +657,7 @@ export function CreateProject() {
                         title: `Milestone ${i + 1}`,
                         description: '',
                         allocation: (100 / num).toFixed(2),
+                        durationDays: '30',
                       }));
                       setMilestones(newMilestones);
                     }
@@ -462,6 +665,28 @@ export function CreateProject() {
                   className="input"
                 />
               </div>
+
+              <div>
+                <label className="label">Who Votes on Milestones</label>
+                <select
+                  name="votingMode"
+                  value={formData.votingMode}
+                  onChange={handleInputChange}
+                  className="input"
+                >
+                  <option value="stake">Registered voters (weighted by stake)</option>
+                  <option value="donor">Only this project's donors (weighted by contribution)</option>
+                  <option value="quadratic">Attested voters (square root of stake, one attestation per person)</option>
+                </select>
+                <label className="flex items-center gap-2 mt-2 text-sm text-gray-600 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={formData.hiddenVotes}
+                    onChange={(e) => setFormData(prev => ({ ...prev, hiddenVotes: e.target.checked }))}
+                  />
+                  Hide votes until voting closes (voters commit, then reveal)
+                </label>
+              </div>
             </div>
 
             <div>
@@ -544,21 +769,130 @@ export function CreateProject() {
                     className="input h-20"
                   />
 
-                  <div>
-                    <label className="label">Allocation (%)</label>
-                    <input
-                      type="number"
-                      step="0.01"
-                      min="0"
-                      max="100"
-                      value={milestone.allocation}
-                      onChange={(e) => handleMilestoneChange(index, 'allocation', e.target.value)}
-                      className="input"
-                    />
+                  <div className="grid md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="label">Allocation (%)</label>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        max="100"
+                        value={milestone.allocation}
+                        onChange={(e) => handleMilestoneChange(index, 'allocation', e.target.value)}
+                        className="input"
+                      />
+                    </div>
+                    <div>
+                      <label className="label">Duration (days)</label>
+                      <input
+                        type="number"
+                        step="1"
+                        min="1"
+                        value={milestone.durationDays}
+                        onChange={(e) => handleMilestoneChange(index, 'durationDays', e.target.value)}
+                        className="input"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">
+                        Due this many days after the {index === 0 ? 'funding deadline' : 'previous milestone'}
+                      </p>
+                    </div>
                   </div>
                 </div>
               </div>
             ))}
+
+            <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+              <div>
+                <h4 className="font-semibold text-gray-900">Stretch Goals (optional)</h4>
+                <p className="text-sm text-gray-600">
+                  Set a hard cap to keep donations open after the goal is reached. Funds in each stretch tier
+                  either pay for an extra milestone or raise every milestone's allocation.
+                </p>
+              </div>
+              <div>
+                <label className="label">Hard Cap (ETH)</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  name="hardCap"
+                  value={formData.hardCap}
+                  onChange={handleInputChange}
+                  placeholder="Leave empty to close donations at the goal"
+                  className="input"
+                />
+              </div>
+
+              {formData.hardCap && (
+                <>
+                  {stretchGoals.map((goal, index) => (
+                    <div key={index} className="p-3 bg-gray-50 rounded space-y-3">
+                      <div className="flex justify-between items-center">
+                        <span className="font-medium text-gray-900">Stretch Goal {index + 1}</span>
+                        <button
+                          type="button"
+                          onClick={() => setStretchGoalsForm(goals => goals.filter((_, i) => i !== index))}
+                          className="text-danger hover:bg-danger-light p-2 rounded"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                      <div className="grid md:grid-cols-2 gap-4">
+                        <div>
+                          <label className="label">Unlocks at (ETH raised)</label>
+                          <input
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            value={goal.threshold}
+                            onChange={(e) => handleStretchGoalChange(index, 'threshold', e.target.value)}
+                            className="input"
+                          />
+                        </div>
+                        <div>
+                          <label className="label">Funds go to</label>
+                          <select
+                            value={goal.addsMilestone ? 'milestone' : 'allocations'}
+                            onChange={(e) => handleStretchGoalChange(index, 'addsMilestone', e.target.value === 'milestone')}
+                            className="input"
+                          >
+                            <option value="milestone">An extra milestone</option>
+                            <option value="allocations">Every milestone's allocation</option>
+                          </select>
+                        </div>
+                      </div>
+                      {goal.addsMilestone && (
+                        <div>
+                          <label className="label">Extra milestone duration (days)</label>
+                          <input
+                            type="number"
+                            step="1"
+                            min="1"
+                            value={goal.durationDays}
+                            onChange={(e) => handleStretchGoalChange(index, 'durationDays', e.target.value)}
+                            className="input"
+                          />
+                          <p className="text-xs text-gray-500 mt-1">
+                            Added after the last milestone, due this many days after it
+                          </p>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => setStretchGoalsForm(goals => [
+                      ...goals,
+                      { threshold: '', addsMilestone: true, durationDays: '30' },
+                    ])}
+                    className="btn-secondary"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Add Stretch Goal
+                  </button>
+                </>
+              )}
+            </div>
           </div>
         )}
 
@@ -589,6 +923,21 @@ export function CreateProject() {
                   <h4 className="font-semibold text-gray-700">Duration</h4>
                   <p className="text-gray-900">{formData.duration} days</p>
                 </div>
+                <div>
+                  <h4 className="font-semibold text-gray-700">Funding Model</h4>
+                  <p className="text-gray-900">
+                    {formData.fundingModel === 'flexible' ? 'Flexible (keep what is raised)' : 'All-or-nothing'}
+                  </p>
+                </div>
+                {formData.hardCap && (
+                  <div>
+                    <h4 className="font-semibold text-gray-700">Hard Cap</h4>
+                    <p className="text-gray-900">
+                      {formData.hardCap} ETH
+                      {stretchGoals.length > 0 && `, ${stretchGoals.length} stretch goal${stretchGoals.length > 1 ? 's' : ''}`}
+                    </p>
+                  </div>
+                )}
                 <div>
                   <h4 className="font-semibold text-gray-700">Category</h4>
                   <p className="text-gray-900 capitalize">{formData.category}</p>
@@ -597,6 +946,29 @@ export function CreateProject() {
                   <h4 className="font-semibold text-gray-700">Milestones</h4>
                   <p className="text-gray-900">{milestones.length} stages</p>
                 </div>
+                <div>
+                  <h4 className="font-semibold text-gray-700">Voting</h4>
+                  <p className="text-gray-900">
+                    {formData.votingMode === 'donor'
+                      ? 'Donors only'
+                      : formData.votingMode === 'quadratic'
+                        ? 'Attested voters, quadratic weighting'
+                        : 'Registered voters'}
+                    {formData.hiddenVotes && ', hidden until voting closes'}
+                  </p>
+                </div>
+                <div>
+                  <h4 className="font-semibold text-gray-700">Donor Receipts</h4>
+                  <p className="text-gray-900">
+                    {formData.transferableReceipts ? 'Transferable with profit share' : 'Non-transferable'}
+                  </p>
+                </div>
+                <div>
+                  <h4 className="font-semibold text-gray-700">Milestone Payouts</h4>
+                  <p className="text-gray-900">
+                    {parseInt(formData.vestingDays) > 0 ? `Vested over ${parseInt(formData.vestingDays)} days` : 'Paid out at once'}
+                  </p>
+                </div>
               </div>
 
               <div>
@@ -605,7 +977,10 @@ export function CreateProject() {
                   {milestones.map((milestone, index) => (
                     <div key={index} className="flex justify-between p-3 bg-gray-50 rounded">
                       <span>{milestone.title}</span>
-                      <span className="font-medium text-primary">{milestone.allocation}%</span>
+                      <span className="text-gray-600">
+                        {milestone.durationDays} days •{' '}
+                        <span className="font-medium text-primary">{milestone.allocation}%</span>
+                      </span>
                     </div>
                   ))}
                 </div>
@@ -616,17 +991,36 @@ export function CreateProject() {
                 <h4 className="font-semibold text-gray-700 mb-4">Contract Deployment</h4>
                 
                 <div className="space-y-4">
+                  {isFactoryDeployed() && (
+                    <label className="flex items-center gap-3 cursor-pointer">
+                      <input
+                        type="radio"
+                        name="deploymentMode"
+                        value="wallet"
+                        checked={deploymentMode === 'wallet'}
+                        onChange={(e) => setDeploymentMode(e.target.value as 'auto' | 'wallet' | 'manual')}
+                        className="w-4 h-4 text-primary"
+                      />
+                      <div>
+                        <div className="font-medium text-gray-900">Create from Wallet (Recommended)</div>
+                        <div className="text-sm text-gray-600">
+                          Your wallet creates the contract through the platform ProjectFactory
+                        </div>
+                      </div>
+                    </label>
+                  )}
+
                   <label className="flex items-center gap-3 cursor-pointer">
                     <input
                       type="radio"
                       name="deploymentMode"
                       value="auto"
                       checked={deploymentMode === 'auto'}
-                      onChange={(e) => setDeploymentMode(e.target.value as 'auto' | 'manual')}
+                      onChange={(e) => setDeploymentMode(e.target.value as 'auto' | 'wallet' | 'manual')}
                       className="w-4 h-4 text-primary"
                     />
                     <div>
-                      <div className="font-medium text-gray-900">Automatic Deployment (Recommended)</div>
+                      <div className="font-medium text-gray-900">Automatic Deployment{!isFactoryDeployed() && ' (Recommended)'}</div>
                       <div className="text-sm text-gray-600">
                         Contract will be deployed automatically when you create the project
                       </div>
@@ -639,7 +1033,7 @@ export function CreateProject() {
                       name="deploymentMode"
                       value="manual"
                       checked={deploymentMode === 'manual'}
-                      onChange={(e) => setDeploymentMode(e.target.value as 'auto' | 'manual')}
+                      onChange={(e) => setDeploymentMode(e.target.value as 'auto' | 'wallet' | 'manual')}
                       className="w-4 h-4 text-primary"
                     />
                     <div>
@@ -682,7 +1076,9 @@ export function CreateProject() {
   ${formData.fundingGoal || '10'} \\
   ${formData.duration || '30'} \\
   ${formData.totalStages || '5'} \\
-  "[${milestones.map(m => Math.floor(parseFloat(m.allocation || '20') * 100)).join(',')}]"`}
+  "[${milestones.map(m => Math.floor(parseFloat(m.allocation || '20') * 100)).join(',')}]" \\
+  0x0000000000000000000000000000000000000000 \\
+  "[${milestones.map(m => parseInt(m.durationDays || '30')).join(',')}]"`}
                         </pre>
                         <p><strong>4.</strong> Copy the contract address from the output</p>
                         <p><strong>5.</strong> Paste it in the field above</p>
@@ -1,9 +1,9 @@
 import { useState, useEffect, useRef } from 'react';
 import { useAccount } from 'wagmi';
 import { useQueryClient } from '@tanstack/react-query';
-import { Vote, ThumbsUp, ThumbsDown, Loader2, Shield, AlertCircle } from 'lucide-react';
-import { useProposalCount, useProposal, useVote, useExecuteProposal, useHasVoted, useRegisterVoter, useVoterInfo } from '../hooks/useGovernance';
-import { formatEther, getProposalStatusText } from '../lib/utils';
+import { Vote, ThumbsUp, ThumbsDown, Loader2, Shield, AlertCircle, Users, Clock } from 'lucide-react';
+import { useProposalCount, useProposal, useVote, useExecuteProposal, useHasVoted, useVoteEligibility, useRegisterVoter, useVoterInfo, useGovernanceParameters, useGovernancePause, useDelegationInfo, useDelegate, useUndelegate, useCommitRevealVote, useVoteAgainstWithRationale, usePendingUnstake, useRequestUnstake, useCompleteUnstake } from '../hooks/useGovernance';
+import { formatEther, formatTimeRemaining, getProposalStatusText, getProposalTypeText } from '../lib/utils';
 import { CONTRACTS } from '../contracts/addresses';
 import { 
   isOffChainVoterRegistered, 
@@ -12,6 +12,7 @@ import {
   type OffChainVoter 
 } from '../lib/voterStorage';
 import toast from 'react-hot-toast';
+import { formatUnits, parseUnits } from 'viem';
 
 export function Governance() {
   const { address, isConnected } = useAccount();
@@ -25,8 +26,12 @@ export function Governance() {
   const { data: proposalCount } = useProposalCount();
   const { data: voterInfo, refetch: refetchVoterInfo } = useVoterInfo(address);
   const { register, isPending: isRegistering, isSuccess: isRegisterSuccess, error: registerError } = useRegisterVoter();
-  const { vote, isPending: isVoting, isSuccess: isVoteSuccess, error: voteError } = useVote();
+  const { vote, signVote, isPending: isVoting, isSuccess: isVoteSuccess, error: voteError } = useVote();
+  const [gaslessVoting, setGaslessVoting] = useState(false);
   const { execute, isPending: isExecuting } = useExecuteProposal();
+  const { votingPeriod, minimumStake, quorumPercentage } = useGovernanceParameters();
+  const { paused: governancePaused, pausedUntil } = useGovernancePause();
+  const minimumStakeText = `${formatEther(minimumStake)} ETH`;
 
   // Off-chain voter storage (persists across Hardhat resets)
   const [offChainVoter, setOffChainVoter] = useState<OffChainVoter | null>(null);
@@ -180,7 +185,7 @@ export function Governance() {
         shouldRegisterOffChain = true;
         userMessage = 'Already registered on-chain, registering off-chain for testing...';
       } else if (lowerError.includes('insufficient stake') || lowerError.includes('insufficient')) {
-        userMessage = 'Stake amount must be at least 0.01 ETH';
+        userMessage = `Stake amount must be at least ${minimumStakeText}`;
         shouldRegisterOffChain = false; // Don't register if stake is too low
       } else if (lowerError.includes('user rejected') || lowerError.includes('user cancelled')) {
         userMessage = 'Transaction was cancelled';
@@ -210,7 +215,7 @@ export function Governance() {
     if (!registerError) {
       hasShownRegisterError.current = false;
     }
-  }, [registerError, refetchVoterInfo, isRegistered, address, stakeAmount]);
+  }, [registerError, refetchVoterInfo, isRegistered, address, stakeAmount, minimumStakeText]);
 
   useEffect(() => {
     if (voteError && !hasShownVoteError.current) {
@@ -261,14 +266,14 @@ export function Governance() {
       return;
     }
 
-    // Validate minimum stake amount (0.01 ETH)
-    if (amount < 0.01) {
-      toast.error('Minimum stake amount is 0.01 ETH');
+    const stakeAmountWei = BigInt(Math.floor(amount * 1e18));
+
+    // Validate against the contract's current minimum stake
+    if (stakeAmountWei < minimumStake) {
+      toast.error(`Minimum stake amount is ${minimumStakeText}`);
       return;
     }
 
-    const stakeAmountWei = BigInt(Math.floor(amount * 1e18));
-
     // Primary: Attempt on-chain registration first (this is the main flow)
     // Off-chain registration will only happen as backup if on-chain fails
     if (CONTRACTS.MILESTONE_GOVERNANCE !== '0x0000000000000000000000000000000000000000' && isNodeConnected !== false) {
@@ -300,9 +305,12 @@ export function Governance() {
     }
   };
 
+  // Eligibility depends on each proposal's voting mode, so ProposalCard decides
+  // whether to offer the vote buttons
   const handleVote = (proposalId: number, inFavor: boolean) => {
-    if (!isRegistered) {
-      toast.error('You must be a registered voter');
+    if (gaslessVoting) {
+      // Errors surface through voteError
+      signVote(proposalId, inFavor).catch(() => {});
       return;
     }
     vote(proposalId, inFavor);
@@ -324,6 +332,29 @@ export function Governance() {
         </p>
       </div>
 
+      {governancePaused && (
+        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          ⚠️ Governance is paused by the platform guardian until {new Date(Number(pausedUntil) * 1000).toLocaleString()}.
+          Voting and proposal execution are on hold; you can still reveal committed votes and request and complete unstaking.
+        </div>
+      )}
+
+      {/* Governance Parameters */}
+      <div className="grid md:grid-cols-3 gap-4">
+        <div className="card">
+          <div className="text-sm text-gray-600 mb-1">Voting Period</div>
+          <div className="text-2xl font-bold text-gray-900">{formatTimeRemaining(votingPeriod)}</div>
+        </div>
+        <div className="card">
+          <div className="text-sm text-gray-600 mb-1">Quorum</div>
+          <div className="text-2xl font-bold text-gray-900">{quorumPercentage}%</div>
+        </div>
+        <div className="card">
+          <div className="text-sm text-gray-600 mb-1">Minimum Stake</div>
+          <div className="text-2xl font-bold text-gray-900">{minimumStakeText}</div>
+        </div>
+      </div>
+
       {/* Connection Status Warning */}
       {isNodeConnected === false && (
         <div className="card bg-red-50 border-red-200 mb-4">
@@ -533,7 +564,7 @@ export function Governance() {
                 </button>
               </div>
               <p className="text-sm text-gray-500 mt-2">
-                Minimum stake: 0.01 ETH • {isRegistered ? 'Testing mode: Multiple registrations allowed' : 'Registration will be on-chain (off-chain backup if error occurs)'}
+                Minimum stake: {minimumStakeText} • {isRegistered ? 'Testing mode: Multiple registrations allowed' : 'Registration will be on-chain (off-chain backup if error occurs)'}
               </p>
             </div>
           </div>
@@ -580,11 +611,35 @@ export function Governance() {
         </div>
       )}
 
+      {/* Delegation */}
+      {isConnected && address && onChainVoter?.isRegistered && (
+        <DelegationPanel userAddress={address} />
+      )}
+
+      {/* Unstaking */}
+      {isConnected && address && (
+        <UnstakePanel
+          userAddress={address}
+          stakedAmount={onChainVoter?.isRegistered ? (onChainVoter.stakedAmount as bigint) : 0n}
+          onUnstaked={refetchVoterInfo}
+        />
+      )}
+
       {/* Proposals */}
       <div className="space-y-6">
-        <h2 className="text-2xl font-bold text-gray-900">
-          Active Proposals
-        </h2>
+        <div className="flex justify-between items-center">
+          <h2 className="text-2xl font-bold text-gray-900">
+            Active Proposals
+          </h2>
+          <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={gaslessVoting}
+              onChange={(e) => setGaslessVoting(e.target.checked)}
+            />
+            Sign instead of send (no gas, relayed by the backend)
+          </label>
+        </div>
 
         {proposalCount && Number(proposalCount) > 0 ? (
           <div className="space-y-4">
@@ -593,7 +648,6 @@ export function Governance() {
                 key={i}
                 proposalId={i}
                 userAddress={address}
-                isRegistered={isRegistered}
                 onVote={handleVote}
                 onExecute={handleExecute}
                 isVoting={isVoting}
@@ -608,7 +662,7 @@ export function Governance() {
               No Active Proposals
             </h3>
             <p className="text-gray-600">
-              Check back later for milestone completion proposals to vote on.
+              Check back later for milestone completion or cancellation proposals to vote on.
             </p>
           </div>
         )}
@@ -617,11 +671,202 @@ export function Governance() {
   );
 }
 
+// Delegation Panel Component
+function DelegationPanel({ userAddress }: { userAddress: `0x${string}` }) {
+  const [delegateInput, setDelegateInput] = useState('');
+  const { delegatee, votingPower, delegatedPower, refetch } = useDelegationInfo(userAddress);
+  const { delegate, isPending: isDelegating, isSuccess: isDelegateSuccess, error: delegateError } = useDelegate();
+  const { undelegate, isPending: isUndelegating, isSuccess: isUndelegateSuccess, error: undelegateError } = useUndelegate();
+
+  useEffect(() => {
+    if (isDelegateSuccess || isUndelegateSuccess) {
+      toast.success(isDelegateSuccess ? 'Voting power delegated' : 'Delegation removed');
+      setDelegateInput('');
+      refetch();
+    }
+  }, [isDelegateSuccess, isUndelegateSuccess, refetch]);
+
+  useEffect(() => {
+    const error = delegateError || undelegateError;
+    if (error) {
+      toast.error(error.message.split('\n')[0]);
+    }
+  }, [delegateError, undelegateError]);
+
+  const handleDelegate = () => {
+    const target = delegateInput.trim();
+    if (!/^0x[a-fA-F0-9]{40}$/.test(target)) {
+      toast.error('Please enter a valid voter address');
+      return;
+    }
+    delegate(target as `0x${string}`);
+  };
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-center gap-2">
+        <Users className="w-5 h-5 text-primary" />
+        <h2 className="text-xl font-bold text-gray-900">Delegates</h2>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4">
+        <div>
+          <div className="text-sm text-gray-600 mb-1">Your Voting Power</div>
+          <div className="text-2xl font-bold text-gray-900">{formatEther(votingPower, 2)} ETH</div>
+        </div>
+        <div>
+          <div className="text-sm text-gray-600 mb-1">Delegated To You</div>
+          <div className="text-2xl font-bold text-primary">{formatEther(delegatedPower, 2)} ETH</div>
+        </div>
+        <div>
+          <div className="text-sm text-gray-600 mb-1">Your Delegate</div>
+          <div className="text-lg font-mono text-gray-900">
+            {delegatee ? `${delegatee.slice(0, 6)}...${delegatee.slice(-4)}` : 'None'}
+          </div>
+        </div>
+      </div>
+
+      <div className="flex gap-3">
+        <input
+          type="text"
+          value={delegateInput}
+          onChange={(e) => setDelegateInput(e.target.value)}
+          placeholder="0x... registered voter address"
+          className="input flex-1 font-mono"
+        />
+        <button onClick={handleDelegate} disabled={isDelegating} className="btn-primary">
+          {isDelegating ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Delegate'}
+        </button>
+        {delegatee && (
+          <button onClick={undelegate} disabled={isUndelegating} className="btn-secondary">
+            {isUndelegating ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Undelegate'}
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500">
+        Your delegate votes with your stake and reputation on proposals opened after you delegate.
+        Voting on a proposal yourself takes your power back for that proposal.
+      </p>
+    </div>
+  );
+}
+
+// Unstake Panel Component
+function UnstakePanel({
+  userAddress,
+  stakedAmount,
+  onUnstaked,
+}: {
+  userAddress: `0x${string}`;
+  stakedAmount: bigint;
+  onUnstaked: () => void;
+}) {
+  const [unstakeInput, setUnstakeInput] = useState('');
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  const { minimumStake, unstakeCooldown } = useGovernanceParameters();
+  const { amount: pendingAmount, availableAt, refetch } = usePendingUnstake(userAddress);
+  const { requestUnstake, isPending: isRequesting, isSuccess: isRequestSuccess, error: requestError } = useRequestUnstake();
+  const { completeUnstake, isPending: isCompleting, isSuccess: isCompleteSuccess, error: completeError } = useCompleteUnstake();
+
+  // Tick the cooldown countdown
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    if (isRequestSuccess || isCompleteSuccess) {
+      toast.success(isRequestSuccess ? 'Unstake requested' : 'Stake withdrawn');
+      setUnstakeInput('');
+      refetch();
+      onUnstaked();
+    }
+  }, [isRequestSuccess, isCompleteSuccess, refetch, onUnstaked]);
+
+  useEffect(() => {
+    const error = requestError || completeError;
+    if (error) {
+      toast.error(error.message.split('\n')[0]);
+    }
+  }, [requestError, completeError]);
+
+  if (stakedAmount === 0n && pendingAmount === 0n) {
+    return null;
+  }
+
+  const remaining = availableAt - BigInt(now);
+  const cooldownOver = pendingAmount > 0n && remaining <= 0n;
+
+  const handleRequest = () => {
+    let amount = 0n;
+    try {
+      amount = parseUnits(unstakeInput || '0', 18);
+    } catch {
+      // Falls through to the validation error below
+    }
+    if (amount <= 0n || amount > stakedAmount) {
+      toast.error('Please enter an amount up to your stake');
+      return;
+    }
+    const left = stakedAmount - amount;
+    if (left > 0n && left < minimumStake) {
+      toast.error(`Leave at least ${formatEther(minimumStake, 4)} ETH staked, or unstake everything`);
+      return;
+    }
+    requestUnstake(amount);
+  };
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-center gap-2">
+        <Clock className="w-5 h-5 text-primary" />
+        <h2 className="text-xl font-bold text-gray-900">Unstake</h2>
+      </div>
+
+      {pendingAmount > 0n ? (
+        <div className="flex items-center justify-between gap-4 p-4 bg-gray-50 rounded-lg">
+          <div>
+            <div className="text-sm text-gray-600 mb-1">Pending Unstake</div>
+            <div className="text-2xl font-bold text-gray-900">{formatEther(pendingAmount, 4)} ETH</div>
+            <div className="text-sm text-gray-500">
+              {cooldownOver ? 'Ready to withdraw' : `Available in ${formatTimeRemaining(remaining)}`}
+            </div>
+          </div>
+          <button onClick={completeUnstake} disabled={!cooldownOver || isCompleting} className="btn-primary">
+            {isCompleting ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Withdraw'}
+          </button>
+        </div>
+      ) : (
+        <div className="flex gap-3">
+          <input
+            type="number"
+            value={unstakeInput}
+            onChange={(e) => setUnstakeInput(e.target.value)}
+            placeholder={`Up to ${formatEther(stakedAmount, 4)} ETH`}
+            min="0"
+            step="0.01"
+            className="input flex-1"
+          />
+          <button onClick={() => setUnstakeInput(formatUnits(stakedAmount, 18))} className="btn-secondary">
+            Max
+          </button>
+          <button onClick={handleRequest} disabled={isRequesting} className="btn-primary">
+            {isRequesting ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Request Unstake'}
+          </button>
+        </div>
+      )}
+      <p className="text-sm text-gray-500">
+        Unstaked funds can be withdrawn {formatTimeRemaining(unstakeCooldown)} after the request. Keeping at
+        least {formatEther(minimumStake, 4)} ETH staked keeps you registered; unstaking everything deregisters you.
+      </p>
+    </div>
+  );
+}
+
 // Proposal Card Component
 function ProposalCard({
   proposalId,
   userAddress,
-  isRegistered,
   onVote,
   onExecute,
   isVoting,
@@ -629,7 +874,6 @@ function ProposalCard({
 }: {
   proposalId: number;
   userAddress?: `0x${string}`;
-  isRegistered: boolean;
   onVote: (id: number, inFavor: boolean) => void;
   onExecute: (id: number) => void;
   isVoting: boolean;
@@ -637,6 +881,12 @@ function ProposalCard({
 }) {
   const { data: proposal } = useProposal(proposalId);
   const { data: hasVoted } = useHasVoted(proposalId, userAddress);
+  const { eligible, weight, reason } = useVoteEligibility(proposalId, userAddress);
+  const { paused } = useGovernancePause();
+  const { commit, reveal, getCommitment, isPending: isCommitRevealPending } = useCommitRevealVote();
+  const { voteAgainst, isPending: isRationalePending } = useVoteAgainstWithRationale();
+  const [rationale, setRationale] = useState('');
+  const [isUploadingRationale, setIsUploadingRationale] = useState(false);
 
   const prop = proposal as any;
   
@@ -644,19 +894,72 @@ function ProposalCard({
 
   const totalVotes = prop.votesFor + prop.votesAgainst;
   const votesForPercentage = totalVotes > 0n ? Number((prop.votesFor * 100n) / totalVotes) : 0;
+  // Quorum is measured against the voting supply snapshotted when the proposal was created,
+  // with the quorum percentage of that time
+  const quorumPercentage = Number(prop.quorumPercentage);
+  const quorumVotes = (prop.totalVotingSupply * BigInt(quorumPercentage)) / 100n;
+  const isQuadratic = prop.votingMode === 2;
+  // Quadratic tallies are square roots, so quorum counts the stake behind the votes instead
+  const quorumTurnout = isQuadratic ? prop.stakeVoted : totalVotes;
+  const quorumReached = quorumTurnout >= quorumVotes;
+  const voteUnit = isQuadratic ? 'votes' : 'ETH';
   const statusText = getProposalStatusText(prop.status);
   const isActive = prop.status === 1;
+  const isCancellation = prop.proposalType === 1;
+  const isDonorWeighted = prop.votingMode === 1;
+  // What the quorum base counts: contributions, stake behind quadratic votes, or stake + reputation
+  const supplyLabel = isDonorWeighted ? 'raised' : isQuadratic ? 'staked' : 'of voting power';
   const votingEnded = Date.now() / 1000 > Number(prop.endTime);
+  // Commit-reveal: votes are hidden until endTime, then revealed until revealEndTime
+  const isCommitReveal = prop.commitReveal;
+  const revealEnded = !isCommitReveal || Date.now() / 1000 > Number(prop.revealEndTime);
+  const storedCommitment = isCommitReveal ? getCommitment(proposalId) : null;
+  const canReveal = isActive && isCommitReveal && votingEnded && !revealEnded && !hasVoted && !!storedCommitment;
+
+  const handleVote = (inFavor: boolean) => {
+    if (!isCommitReveal && !inFavor && rationale.trim()) {
+      setIsUploadingRationale(true);
+      voteAgainst(proposalId, rationale.trim())
+        .then(({ rationaleSaved, rationaleError }) => {
+          if (rationaleSaved) {
+            toast.success('Vote cast with your rationale');
+          } else {
+            toast.error(`Vote cast, but the rationale was not saved to the project history: ${rationaleError}`);
+          }
+          setRationale('');
+        })
+        .catch((error: Error) => toast.error(error.message.split('\n')[0]))
+        .finally(() => setIsUploadingRationale(false));
+      return;
+    }
+    if (!isCommitReveal) {
+      onVote(proposalId, inFavor);
+      return;
+    }
+    commit(proposalId, inFavor)
+      .then(() => toast.success('Vote committed. Reveal it after voting closes.'))
+      .catch((error: Error) => toast.error(error.message.split('\n')[0]));
+  };
+
+  const handleReveal = () => {
+    reveal(proposalId)
+      .then(() => toast.success('Vote revealed'))
+      .catch((error: Error) => toast.error(error.message.split('\n')[0]));
+  };
 
   return (
     <div className="card">
       <div className="flex justify-between items-start mb-4">
         <div>
           <h3 className="text-xl font-bold text-gray-900 mb-1">
-            Milestone {Number(prop.stageIndex) + 1} Completion
+            {isCancellation
+              ? `Cancel Project (at Milestone ${Number(prop.stageIndex) + 1})`
+              : `Milestone ${Number(prop.stageIndex) + 1} Completion`}
           </h3>
           <p className="text-sm text-gray-600">
-            Proposal #{prop.id.toString()}
+            Proposal #{prop.id.toString()} • {getProposalTypeText(prop.proposalType)} •{' '}
+            {isDonorWeighted ? 'Donors vote' : isQuadratic ? 'Attested stakers vote (quadratic)' : 'Stakers vote'}
+            {isCommitReveal && ' • Hidden votes (commit-reveal)'}
           </p>
         </div>
         <span className={`badge ${
@@ -681,7 +984,7 @@ function ProposalCard({
       <div className="space-y-3 mb-4">
         <div>
           <div className="flex justify-between text-sm mb-1">
-            <span className="text-gray-600">For: {formatEther(prop.votesFor, 2)} ETH</span>
+            <span className="text-gray-600">For: {formatEther(prop.votesFor, 2)} {voteUnit}</span>
             <span className="text-gray-600">{votesForPercentage.toFixed(1)}%</span>
           </div>
           <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
@@ -693,7 +996,7 @@ function ProposalCard({
         </div>
         <div>
           <div className="flex justify-between text-sm mb-1">
-            <span className="text-gray-600">Against: {formatEther(prop.votesAgainst, 2)} ETH</span>
+            <span className="text-gray-600">Against: {formatEther(prop.votesAgainst, 2)} {voteUnit}</span>
             <span className="text-gray-600">{(100 - votesForPercentage).toFixed(1)}%</span>
           </div>
           <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
@@ -703,39 +1006,90 @@ function ProposalCard({
             />
           </div>
         </div>
+        <div className={`text-sm ${quorumReached ? 'text-success' : 'text-gray-600'}`}>
+          Quorum: {formatEther(quorumTurnout, 2)} / {formatEther(quorumVotes, 2)} ETH{isQuadratic && ' staked'}
+          ({quorumPercentage}% of {formatEther(prop.totalVotingSupply, 2)} ETH {supplyLabel} at proposal creation)
+        </div>
+        {isCommitReveal && isActive && (
+          <div className="text-sm text-gray-600">
+            {votingEnded
+              ? `Reveal period ends ${new Date(Number(prop.revealEndTime) * 1000).toLocaleString()}. Unrevealed votes don't count.`
+              : 'Votes are hidden until voting closes; totals only include revealed votes.'}
+          </div>
+        )}
       </div>
 
+      {/* Eligibility */}
+      {isActive && !votingEnded && !hasVoted && (
+        <div className={`mb-4 text-sm ${eligible ? 'text-gray-600' : 'text-warning-dark'}`}>
+          {eligible
+            ? isQuadratic
+              ? `Your vote weight: ${formatEther(weight, 2)} votes (square root of your stake, plus reputation)`
+              : `Your vote weight: ${formatEther(weight, 2)} ETH`
+            : storedCommitment
+              ? `You committed a vote ${storedCommitment.inFavor ? 'for' : 'against'}. Reveal it after voting closes.`
+              : `You can't vote on this proposal: ${reason}`}
+        </div>
+      )}
+
+      {/* Rationale for voting against, so the owner knows what to fix before resubmitting */}
+      {isActive && !hasVoted && eligible && !votingEnded && !isCommitReveal && !isCancellation && (
+        <textarea
+          value={rationale}
+          onChange={(e) => setRationale(e.target.value)}
+          placeholder="Voting against? Explain what's missing (optional, stored on IPFS)"
+          rows={2}
+          className="input w-full mb-3"
+        />
+      )}
+
       {/* Actions */}
       <div className="flex gap-3">
-        {isActive && !hasVoted && isRegistered && !votingEnded && (
+        {isActive && !hasVoted && eligible && !votingEnded && (
           <>
             <button
-              onClick={() => onVote(proposalId, true)}
-              disabled={isVoting}
+              onClick={() => handleVote(true)}
+              disabled={paused || isVoting || isCommitRevealPending || isRationalePending || isUploadingRationale}
               className="btn-primary flex-1"
             >
               <ThumbsUp className="w-4 h-4" />
-              Vote For
+              {isCommitReveal ? 'Commit For' : 'Vote For'}
             </button>
             <button
-              onClick={() => onVote(proposalId, false)}
-              disabled={isVoting}
+              onClick={() => handleVote(false)}
+              disabled={paused || isVoting || isCommitRevealPending || isRationalePending || isUploadingRationale}
               className="btn-danger flex-1"
             >
               <ThumbsDown className="w-4 h-4" />
-              Vote Against
+              {isCommitReveal ? 'Commit Against' : 'Vote Against'}
             </button>
           </>
         )}
+        {canReveal && (
+          <button
+            onClick={handleReveal}
+            disabled={isCommitRevealPending}
+            className="btn-primary flex-1"
+          >
+            {isCommitRevealPending ? (
+              <>
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Revealing...
+              </>
+            ) : (
+              `Reveal Vote (${storedCommitment?.inFavor ? 'For' : 'Against'})`
+            )}
+          </button>
+        )}
         {hasVoted && (
           <div className="flex-1 text-center py-2 bg-primary-50 text-primary-700 rounded-lg font-medium">
             You have voted
           </div> as any
         )}
-        {votingEnded && isActive && (
+        {votingEnded && revealEnded && isActive && (
           <button
             onClick={() => onExecute(proposalId)}
-            disabled={isExecuting}
+            disabled={paused || isExecuting}
             className="btn-primary flex-1"
           >
             {isExecuting ? (
@@ -1,16 +1,31 @@
+import { useEffect, useState } from 'react';
 import { useAccount } from 'wagmi';
-import { Wallet, TrendingUp, Vote, AlertCircle } from 'lucide-react';
-import { useVoterInfo, useTotalStaked } from '../hooks/useGovernance';
-import { useUserContribution } from '../hooks/useEscrow';
+import { Wallet, TrendingUp, Vote, AlertCircle, Loader2, Award } from 'lucide-react';
+import { useVoterInfo, useTotalStaked, useReputationHistory } from '../hooks/useGovernance';
+import { useUserContribution, usePendingProfit, useClaimProfit, usePaymentToken } from '../hooks/useEscrow';
+import { useReceipts, type ContributionReceipt } from '../hooks/useReceipts';
 import { CONTRACTS } from '../contracts/addresses';
 import { formatEther, formatAddress } from '../lib/utils';
 import { getOffChainVoterInfo, isOffChainVoterRegistered } from '../lib/voterStorage';
+import { fetchFromIPFS, getIPFSUrl } from '../lib/ipfs';
 
 export function Profile() {
   const { address, isConnected } = useAccount();
   const { data: voterInfo } = useVoterInfo(address);
   const { data: totalStaked } = useTotalStaked();
+  const { data: reputationHistory } = useReputationHistory(address);
   const { data: userContribution } = useUserContribution(address, CONTRACTS.FUNDING_ESCROW);
+  const { data: pendingProfit, refetch: refetchPendingProfit } = usePendingProfit(address, CONTRACTS.FUNDING_ESCROW);
+  const { claimProfit, isPending: isClaiming, isConfirming: isClaimConfirming, isSuccess: isClaimSuccess } = useClaimProfit();
+  const { currency } = usePaymentToken(CONTRACTS.FUNDING_ESCROW);
+  const { receipts } = useReceipts(address);
+
+  // Refresh unclaimed earnings once a claim is mined
+  useEffect(() => {
+    if (isClaimSuccess) {
+      refetchPendingProfit();
+    }
+  }, [isClaimSuccess, refetchPendingProfit]);
 
   // Check off-chain voter registration (for testing)
   const offChainVoter = address ? getOffChainVoterInfo(address) : null;
@@ -19,6 +34,7 @@ export function Profile() {
   // Use off-chain data if available, otherwise on-chain
   const voter = offChainVoter || onChainVoter;
   const contribution = userContribution as any;
+  const unclaimedProfit = (pendingProfit as bigint | undefined) ?? 0n;
   
   if (!isConnected) {
     return (
@@ -90,7 +106,7 @@ export function Profile() {
               Total Contributed
             </div>
             <div className="font-bold text-gray-900">
-              {contribution ? formatEther(BigInt(contribution), 4) : '0'} ETH
+              {formatEther(contribution ? BigInt(contribution) : 0n, 4, currency)}
             </div>
           </div>
         </div>
@@ -151,6 +167,35 @@ export function Profile() {
               </div>
             </div>
           )}
+
+          {!offChainVoter && reputationHistory && reputationHistory.length > 0 && (
+            <div className="mt-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-3">Reputation History</h3>
+              <div className="space-y-2">
+                {reputationHistory.map((change) => {
+                  const delta = change.newReputation - change.oldReputation;
+                  return (
+                    <div
+                      key={`${change.transactionHash}-${change.proposalId}`}
+                      className="flex items-center justify-between p-3 bg-gray-50 rounded-lg text-sm"
+                    >
+                      <span className="text-gray-600">
+                        Proposal #{change.proposalId.toString()} • block {change.blockNumber.toString()}
+                      </span>
+                      <span className="flex items-center gap-3">
+                        <span className={delta > 0 ? 'text-success font-medium' : 'text-danger font-medium'}>
+                          {delta > 0 ? `+${delta}` : delta}
+                        </span>
+                        <span className="text-gray-900 font-medium">
+                          {change.oldReputation} → {change.newReputation}
+                        </span>
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
         </div>
       )}
 
@@ -159,18 +204,40 @@ export function Profile() {
         <h2 className="text-2xl font-bold text-gray-900 mb-4">
           Projects Supported
         </h2>
-        {contribution && BigInt(contribution) > 0n ? (
+        {(contribution && BigInt(contribution) > 0n) || unclaimedProfit > 0n ? (
           <div className="space-y-3">
             <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
               <div>
                 <h4 className="font-semibold text-gray-900">Sample Project</h4>
                 <p className="text-sm text-gray-600">{CONTRACTS.FUNDING_ESCROW}</p>
               </div>
-              <div className="text-right">
-                <div className="font-bold text-primary">
-                  {formatEther(BigInt(contribution), 4)} ETH
+              <div className="flex items-center gap-6">
+                <div className="text-right">
+                  <div className="font-bold text-primary">
+                    {formatEther(contribution ? BigInt(contribution) : 0n, 4, currency)}
+                  </div>
+                  <div className="text-sm text-gray-600">Contributed</div>
+                </div>
+                <div className="text-right">
+                  <div className="font-bold text-success">
+                    {formatEther(unclaimedProfit, 4, currency)}
+                  </div>
+                  <div className="text-sm text-gray-600">Unclaimed Profit</div>
                 </div>
-                <div className="text-sm text-gray-600">Contributed</div>
+                <button
+                  onClick={() => claimProfit(CONTRACTS.FUNDING_ESCROW)}
+                  disabled={unclaimedProfit === 0n || isClaiming || isClaimConfirming}
+                  className="btn-primary"
+                >
+                  {isClaiming || isClaimConfirming ? (
+                    <>
+                      <Loader2 className="w-4 h-4 animate-spin" />
+                      Claiming...
+                    </>
+                  ) : (
+                    'Claim'
+                  )}
+                </button>
               </div>
             </div>
           </div>
@@ -182,6 +249,20 @@ export function Profile() {
         )}
       </div>
 
+      {/* Contribution receipts */}
+      {receipts.length > 0 && (
+        <div className="card">
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">
+            Backer Receipts
+          </h2>
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {receipts.map((receipt) => (
+              <ReceiptCard key={receipt.tokenId.toString()} receipt={receipt} />
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Call to Action */}
       {!isVoter && (
         <div className="card bg-gradient-to-br from-primary-50 to-primary-100 border-primary-200">
@@ -199,3 +280,60 @@ export function Profile() {
     </div>
   );
 }
+
+interface ReceiptMetadata {
+  name?: string;
+  image?: string;
+  attributes?: { trait_type: string; value: string }[];
+}
+
+// One receipt NFT, described by the IPFS metadata the backend generates from the escrow
+function ReceiptCard({ receipt }: { receipt: ContributionReceipt }) {
+  const [metadata, setMetadata] = useState<ReceiptMetadata | null>(null);
+
+  useEffect(() => {
+    if (!receipt.tokenURI) return;
+    fetchFromIPFS<ReceiptMetadata>(receipt.tokenURI)
+      .then(setMetadata)
+      .catch(() => setMetadata(null));
+  }, [receipt.tokenURI]);
+
+  return (
+    <a
+      href={`/project/${receipt.escrow}`}
+      className="block p-4 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
+    >
+      <div className="flex items-center gap-3 mb-3">
+        {metadata?.image ? (
+          <img
+            src={metadata.image.startsWith('http') ? metadata.image : getIPFSUrl(metadata.image)}
+            alt=""
+            className="w-12 h-12 rounded-lg object-cover"
+          />
+        ) : (
+          <Award className="w-12 h-12 text-primary" />
+        )}
+        <div>
+          <h4 className="font-semibold text-gray-900">
+            {metadata?.name || `Receipt #${receipt.tokenId.toString()}`}
+          </h4>
+          <p className="text-sm text-gray-600">{formatAddress(receipt.escrow)}</p>
+        </div>
+      </div>
+      {metadata?.attributes ? (
+        <dl className="space-y-1 text-sm">
+          {metadata.attributes
+            .filter((attribute) => attribute.trait_type !== 'Project')
+            .map((attribute) => (
+              <div key={attribute.trait_type} className="flex justify-between">
+                <dt className="text-gray-600">{attribute.trait_type}</dt>
+                <dd className="font-medium text-gray-900">{attribute.value}</dd>
+              </div>
+            ))}
+        </dl>
+      ) : (
+        <p className="text-sm text-gray-500">Metadata is being generated</p>
+      )}
+    </a>
+  );
+}
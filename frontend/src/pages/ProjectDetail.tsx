@@ -4,11 +4,13 @@ import { useAccount } from 'wagmi';
 import { Heart, Share2, AlertCircle, Loader2 } from 'lucide-react';
 import { ProgressBar } from '../components/ProgressBar';
 import { MilestoneTimeline } from '../components/MilestoneTimeline';
-import { useEscrowStatus, useDonate, useUserContribution, useRefund } from '../hooks/useEscrow';
-import { formatEther, formatTimeRemaining, parseEtherSafe, calculatePercentage } from '../lib/utils';
-import { getProjectByAddress, type BackendProject } from '../lib/api';
+import { useEscrowStatus, useDonate, useUserContribution, useRefund, useRefundableAmount, usePaymentToken, useStageDeadlines, useStageReleases, useFundingMode, useStretchGoals, useIsStageOverdue, useCancelOverdueProject, useDonateToken, useDeadlineExtension, useDeadlineExtensionActions, useEscrowReceipts, useEscrowPause, useProjectOwnership, useProjectOwnershipActions, usePendingPayout, useVesting, useVestingActions, type PayoutSplit } from '../hooks/useEscrow';
+import { formatEther, formatTimeRemaining, parseEtherSafe, calculatePercentage, type TokenDisplay } from '../lib/utils';
+import { getProjectByAddress, getStageHistory, syncProjectDeadlines, syncProjectOwner, refreshReceiptMetadata, type BackendProject, type BackendStageAttempt } from '../lib/api';
+import { getIPFSUrl } from '../lib/ipfs';
 import { getProjectById, type Project } from '../lib/projectStorage';
 import toast from 'react-hot-toast';
+import { isAddress, parseUnits } from 'viem';
 
 export function ProjectDetail() {
   const { address: projectAddress } = useParams<{ address: string }>();
@@ -86,7 +88,7 @@ export function ProjectDetail() {
     }
   }, [projectData]);
   
-  const { data: projectStatus, isLoading: isLoadingContract, error: contractError } = useEscrowStatus(
+  const { data: projectStatus, isLoading: isLoadingContract, error: contractError, refetch: refetchStatus } = useEscrowStatus(
     isValidContractAddress ? contractAddress : undefined
   );
   
@@ -123,8 +125,53 @@ export function ProjectDetail() {
     userAddress, 
     isValidContractAddress ? contractAddress : undefined
   );
-  const { donate, isPending, isConfirming, isSuccess } = useDonate();
+  const { data: refundableAmount } = useRefundableAmount(
+    userAddress,
+    isValidContractAddress ? contractAddress : undefined
+  );
+  const { isTokenMode, tokenAddress, currency } = usePaymentToken(
+    isValidContractAddress ? contractAddress : undefined
+  );
+  const { donate, isPending: isEthPending, isConfirming: isEthConfirming, isSuccess: isEthSuccess } = useDonate();
+  const {
+    donateToken,
+    isApproving,
+    isPending: isTokenPending,
+    isConfirming: isTokenConfirming,
+    isSuccess: isTokenSuccess,
+  } = useDonateToken();
+  const isPending = isEthPending || isTokenPending || isApproving;
+  const isConfirming = isEthConfirming || isTokenConfirming;
+  const isSuccess = isEthSuccess || isTokenSuccess;
   const { refund, isPending: isRefunding, isSuccess: isRefundSuccess } = useRefund();
+  const { data: stageDeadlines, refetch: refetchStageDeadlines } = useStageDeadlines(isValidContractAddress ? contractAddress : undefined);
+  // getProjectStatus returns [fundsRaised, fundingGoal, currentStage, totalStages, ...]
+  const { releases: stageReleases } = useStageReleases(
+    Number((projectStatus as readonly unknown[] | undefined)?.[3] ?? 0),
+    isValidContractAddress ? contractAddress : undefined
+  );
+  const { hardCap, stretchGoals } = useStretchGoals(isValidContractAddress ? contractAddress : undefined);
+  const { flexibleFunding, fundingSucceeded } = useFundingMode(isValidContractAddress ? contractAddress : undefined);
+  const { issuesReceipts, transferableReceipts } = useEscrowReceipts(isValidContractAddress ? contractAddress : undefined);
+  const { paused: escrowPaused, pausedUntil } = useEscrowPause(isValidContractAddress ? contractAddress : undefined);
+  const {
+    vestingDuration,
+    withdrawable: withdrawableVested,
+    stages: stageVesting,
+    refetch: refetchVesting,
+  } = useVesting(
+    Number((projectStatus as readonly unknown[] | undefined)?.[3] ?? 0),
+    isValidContractAddress ? contractAddress : undefined
+  );
+  const { withdrawVested, isPending: isWithdrawingVested } = useVestingActions();
+  const { projectOwner } = useProjectOwnership(isValidContractAddress ? contractAddress : undefined);
+  const { data: isStageOverdue } = useIsStageOverdue(isValidContractAddress ? contractAddress : undefined);
+  const {
+    cancelOverdueProject,
+    isPending: isCancellingOverdue,
+    isConfirming: isConfirmingCancel,
+    isSuccess: isCancelOverdueSuccess,
+  } = useCancelOverdueProject();
   
   const isLoading = isLoadingProject || (isValidContractAddress && isLoadingContract);
 
@@ -135,6 +182,27 @@ export function ProjectDetail() {
   if (isRefundSuccess) {
     toast.success('Refund successful!');
   }
+  if (isCancelOverdueSuccess) {
+    toast.success('Project cancelled - refunds are now open');
+  }
+
+  // The donation minted or grew the donor's receipt, so have the backend regenerate its metadata
+  useEffect(() => {
+    if (isSuccess && issuesReceipts && userAddress && contractAddress) {
+      refreshReceiptMetadata(contractAddress, userAddress);
+    }
+  }, [isSuccess, issuesReceipts, userAddress, contractAddress]);
+
+  const handleWithdrawVested = async () => {
+    try {
+      await withdrawVested(contractAddress);
+      toast.success('Vested funds withdrawn');
+      refetchVesting();
+    } catch (error) {
+      const err = error as { shortMessage?: string; message?: string };
+      toast.error(err.shortMessage || err.message || 'Transaction failed');
+    }
+  };
 
   const handleDonate = async () => {
     if (!isConnected) {
@@ -142,8 +210,17 @@ export function ProjectDetail() {
       return;
     }
     
-    const amount = parseEtherSafe(donationAmount);
-    if (amount === 0n) {
+    let amount = 0n;
+    if (isTokenMode) {
+      try {
+        amount = parseUnits(donationAmount || '0', currency.decimals);
+      } catch {
+        amount = 0n;
+      }
+    } else {
+      amount = parseEtherSafe(donationAmount);
+    }
+    if (amount <= 0n) {
       toast.error('Please enter a valid amount');
       return;
     }
@@ -154,7 +231,15 @@ export function ProjectDetail() {
     }
     
     try {
-      await donate(amount, contractAddress);
+      if (isTokenMode) {
+        if (!tokenAddress || !userAddress) {
+          toast.error('Payment token not loaded yet - please try again');
+          return;
+        }
+        await donateToken(amount, contractAddress as `0x${string}`, tokenAddress, userAddress);
+      } else {
+        await donate(amount, contractAddress);
+      }
       setDonationAmount('');
       toast.success('Donation transaction submitted!');
     } catch (error: any) {
@@ -175,6 +260,18 @@ export function ProjectDetail() {
     refund(contractAddress);
   };
 
+  const handleCancelOverdue = () => {
+    if (!isConnected) {
+      toast.error('Please connect your wallet');
+      return;
+    }
+    if (!isValidContractAddress) {
+      toast.error('Invalid contract address - cannot cancel');
+      return;
+    }
+    cancelOverdueProject(contractAddress as `0x${string}`);
+  };
+
   if (isLoading) {
     return (
       <div className="flex justify-center items-center py-20">
@@ -253,7 +350,7 @@ export function ProjectDetail() {
   
   // If project exists in database, we can enable donations even without contract status
   // The contract read is optional - if it fails, we still trust the database
-  const canDonate = projectExistsInDB && isValidContractAddress && !status._projectCancelled;
+  const canDonate = projectExistsInDB && isValidContractAddress && !status._projectCancelled && !escrowPaused;
   
   // Get project title/description from loaded data
   const projectTitle = (projectData as any).title || 'Project';
@@ -261,22 +358,65 @@ export function ProjectDetail() {
   const projectMilestones = (projectData as any).milestones || [];
   // Calculate percentage - handle all types safely
   const percentage = calculatePercentage(status._fundsRaised, status._fundingGoal);
-  const canRefund = !status._fundingGoalReached || status._projectCancelled;
+  // Flexible projects keep what was raised, so only a cancellation opens refunds
+  const canRefund = (!status._fundingGoalReached && !flexibleFunding) || status._projectCancelled;
   
-  // Use milestones from project data if available, otherwise create generic ones
+  // Prefer on-chain stage deadlines, falling back to the due dates stored by the backend
+  const deadlines = stageDeadlines as readonly bigint[] | undefined;
+  const getDueDate = (i: number, backendDueDate?: number) =>
+    deadlines?.[i] !== undefined ? Number(deadlines[i]) : backendDueDate;
+  const getReleased = (i: number) => {
+    const stage = stageReleases?.[i];
+    if (!stage || stage.allocation === 0n) return undefined;
+    return {
+      percent: Number((stage.released * 10000n) / stage.allocation) / 100,
+      label: `${formatEther(stage.released, 4, currency)} of ${formatEther(stage.allocation, 4, currency)} released`,
+    };
+  };
+  // Released funds of projects with vesting reach the owner gradually
+  const getVesting = (i: number) => {
+    const stage = stageVesting?.[i];
+    if (!stage || stage.amount === 0n) return undefined;
+    return {
+      percent: Number((stage.vested * 10000n) / stage.amount) / 100,
+      label: `${formatEther(stage.vested, 4, currency)} of ${formatEther(stage.amount, 4, currency)} vested`,
+    };
+  };
+  const isProjectOwner = !!userAddress && userAddress.toLowerCase() === projectOwner?.toLowerCase();
+
+  // Use milestones from project data if available, otherwise create generic ones.
+  // Stages added on-chain by stretch goals come after the ones stored by the backend.
+  const stretchMilestones = Array.from(
+    { length: Math.max(0, Number(status._totalStages) - projectMilestones.length) },
+    (_, n) => projectMilestones.length + n
+  ).map((i) => ({
+    stage: i,
+    name: `Stretch Milestone ${i - projectMilestones.length + 1}`,
+    allocation: 0,
+    completed: i < Number(status._currentStage),
+    dueDate: getDueDate(i),
+    released: getReleased(i),
+    vesting: getVesting(i),
+  }));
   const milestones = projectMilestones.length > 0
-    ? projectMilestones.map((m: any, i: number) => ({
+    ? [...projectMilestones.map((m: any, i: number) => ({
         stage: i,
         name: m.title || `Milestone ${i + 1}`,
         allocation: m.allocationPercentage || (m.allocation_percentage ? m.allocation_percentage / 100 : 100 / Number(status._totalStages)),
         completed: i < Number(status._currentStage),
         description: m.description || '',
-      }))
+        dueDate: getDueDate(i, m.due_date),
+        released: getReleased(i),
+        vesting: getVesting(i),
+      })), ...stretchMilestones]
     : Array.from({ length: Number(status._totalStages) }, (_, i) => ({
         stage: i,
         name: `Milestone ${i + 1}`,
         allocation: 100 / Number(status._totalStages),
         completed: i < Number(status._currentStage),
+        dueDate: getDueDate(i),
+        released: getReleased(i),
+        vesting: getVesting(i),
       }));
 
   return (
@@ -307,10 +447,10 @@ export function ProjectDetail() {
           <div className="flex justify-between items-baseline mb-3">
             <div>
               <span className="text-3xl font-bold text-gray-900">
-                {formatEther(status._fundsRaised, 2)} ETH
+                {formatEther(status._fundsRaised, 2, currency)}
               </span>
               <span className="text-gray-500 ml-2">
-                raised of {formatEther(status._fundingGoal, 2)} ETH goal
+                raised of {formatEther(status._fundingGoal, 2, currency)} goal
               </span>
             </div>
             <div className="text-right">
@@ -324,10 +464,34 @@ export function ProjectDetail() {
           </div>
           <ProgressBar
             current={Number(status._fundsRaised)}
-            total={Number(status._fundingGoal)}
+            total={Number(hardCap > 0n ? hardCap : status._fundingGoal)}
             showPercentage={false}
             size="lg"
+            markers={hardCap > 0n ? [
+              { value: Number(status._fundingGoal), label: 'Funding goal' },
+              ...stretchGoals.map((goal, i) => ({ value: Number(goal.threshold), label: `Stretch goal ${i + 1}` })),
+            ] : []}
           />
+          {hardCap > 0n && (
+            <div className="mt-3 space-y-1 text-sm">
+              {stretchGoals.map((goal, i) => (
+                <div key={i} className={`flex justify-between ${goal.reached ? 'text-success' : 'text-gray-600'}`}>
+                  <span>
+                    Stretch goal {i + 1}: {formatEther(goal.threshold, 2, currency)}
+                    {goal.reached && ' ✓'}
+                  </span>
+                  <span>
+                    {goal.stageDuration > 0n
+                      ? `Adds a ${Number(goal.stageDuration) / 86400}-day milestone`
+                      : 'Raises every milestone'}
+                  </span>
+                </div>
+              ))}
+              <p className="text-gray-500">
+                Donations stay open until the {formatEther(hardCap, 2, currency)} hard cap or the deadline
+              </p>
+            </div>
+          )}
         </div>
 
         {/* Status Badges */}
@@ -335,6 +499,27 @@ export function ProjectDetail() {
           {status._fundingGoalReached && (
             <span className="badge-success">Goal Reached</span>
           )}
+          {!status._fundingGoalReached && fundingSucceeded && (
+            <span className="badge-success">Funds Kept</span>
+          )}
+          <span
+            className={flexibleFunding ? 'badge-warning' : 'badge text-gray-600 bg-gray-100'}
+            title={flexibleFunding
+              ? 'Funds raised by the deadline are kept even if the goal is missed'
+              : 'Donors are refunded if the goal is missed'}
+          >
+            {flexibleFunding ? 'Flexible' : 'All-or-nothing'}
+          </span>
+          {issuesReceipts && (
+            <span
+              className="badge text-gray-600 bg-gray-100"
+              title={transferableReceipts
+                ? 'Donors get a receipt NFT that can be transferred, with its profit share, once funded'
+                : 'Donors get a non-transferable receipt NFT'}
+            >
+              {transferableReceipts ? 'Transferable Receipts' : 'Receipts'}
+            </span>
+          )}
           {status._projectCancelled && (
             <span className="badge-danger">Cancelled</span>
           )}
@@ -426,8 +611,58 @@ export function ProjectDetail() {
             <MilestoneTimeline 
               milestones={milestones}
               currentStage={Number(status._currentStage)}
+              isOverdue={!!isStageOverdue}
             />
+            {vestingDuration > 0n && (
+              <div className="mt-6 p-4 bg-gray-50 rounded-lg text-sm">
+                <p className="text-gray-600">
+                  Approved milestone funds vest to the owner over {Number(vestingDuration) / 86400} days. If the project is cancelled, the unvested part is refunded to donors.
+                </p>
+                {isProjectOwner && withdrawableVested > 0n && (
+                  <button
+                    onClick={handleWithdrawVested}
+                    disabled={isWithdrawingVested || escrowPaused}
+                    className="btn-primary w-full mt-3"
+                  >
+                    {isWithdrawingVested ? (
+                      <>
+                        <Loader2 className="w-4 h-4 animate-spin" />
+                        Withdrawing...
+                      </>
+                    ) : (
+                      `Withdraw ${formatEther(withdrawableVested, 4, currency)} Vested`
+                    )}
+                  </button>
+                )}
+              </div>
+            )}
+            {!!isStageOverdue && (
+              <div className="mt-6 p-4 bg-danger-light border border-danger rounded-lg">
+                <p className="text-sm text-danger font-medium mb-3">
+                  Milestone {Number(status._currentStage) + 1} missed its deadline. Anyone can cancel the project so donors can claim refunds.
+                </p>
+                <button
+                  onClick={handleCancelOverdue}
+                  disabled={!isConnected || isCancellingOverdue || isConfirmingCancel}
+                  className="btn-danger w-full"
+                >
+                  {isCancellingOverdue || isConfirmingCancel ? (
+                    <>
+                      <Loader2 className="w-4 h-4 animate-spin" />
+                      Cancelling...
+                    </>
+                  ) : (
+                    'Cancel Project & Enable Refunds'
+                  )}
+                </button>
+              </div>
+            )}
           </div>
+
+          {/* Milestone attempts (only tracked for projects stored in the backend) */}
+          {typeof (projectData as BackendProject | null)?.id === 'number' && (
+            <StageAttemptHistory projectId={(projectData as BackendProject).id} />
+          )}
         </div>
 
         {/* Sidebar */}
@@ -438,15 +673,22 @@ export function ProjectDetail() {
               Support This Project
             </h3>
 
+            {escrowPaused && (
+              <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 mb-4">
+                ⚠️ Paused by the platform guardian until {new Date(Number(pausedUntil) * 1000).toLocaleString()}.
+                Donations and fund releases are on hold; refunds still work.
+              </div>
+            )}
+
             {userContribution && BigInt(userContribution as any) > 0n && (
               <div className="bg-primary-50 text-primary-700 p-3 rounded-lg mb-4 text-sm">
-                You've contributed: {formatEther(BigInt(userContribution as any), 4)} ETH
+                You've contributed: {formatEther(BigInt(userContribution as any), 4, currency)}
               </div> as any
             )}
 
             <div className="space-y-4">
               <div>
-                <label className="label">Donation Amount (ETH)</label>
+                <label className="label">Donation Amount ({currency.symbol})</label>
                 <input
                   type="number"
                   step="0.01"
@@ -479,13 +721,15 @@ export function ProjectDetail() {
                     ? 'Project not found in database - contract may not be deployed'
                     : status._projectCancelled
                     ? 'Project has been cancelled'
+                    : escrowPaused
+                    ? 'Project is paused'
                     : ''
                 }
               >
                 {isPending || isConfirming ? (
                   <>
                     <Loader2 className="w-4 h-4 animate-spin" />
-                    {isPending ? 'Confirming...' : 'Processing...'}
+                    {isApproving ? `Approving ${currency.symbol}...` : isPending ? 'Confirming...' : 'Processing...'}
                   </>
                 ) : (
                   'Donate Now'
@@ -503,6 +747,8 @@ export function ProjectDetail() {
                       <Loader2 className="w-4 h-4 animate-spin" />
                       Refunding...
                     </>
+                  ) : refundableAmount !== undefined ? (
+                    `Request Refund (${formatEther(refundableAmount as bigint, 4, currency)})`
                   ) : (
                     'Request Refund'
                   )}
@@ -517,6 +763,24 @@ export function ProjectDetail() {
             </div>
           </div>
 
+          {isValidContractAddress && !status._projectCancelled && (
+            <DeadlineExtensionPanel
+              escrowAddress={contractAddress as `0x${string}`}
+              fundsRaised={BigInt(status._fundsRaised)}
+              fundingGoalReached={status._fundingGoalReached}
+              userContribution={userContribution as bigint | undefined}
+              currency={currency}
+              onDeadlineChanged={() => {
+                refetchStatus();
+                refetchStageDeadlines();
+              }}
+            />
+          )}
+
+          {isValidContractAddress && (
+            <ProjectOwnershipPanel escrowAddress={contractAddress as `0x${string}`} currency={currency} />
+          )}
+
           {/* Project Info */}
           <div className="card">
             <h3 className="font-bold text-gray-900 mb-3">Project Details</h3>
@@ -546,3 +810,415 @@ export function ProjectDetail() {
     </div>
   );
 }
+
+// Every proposal made for each milestone, with the reasons voters gave for rejecting it
+function StageAttemptHistory({ projectId }: { projectId: number }) {
+  const [stages, setStages] = useState<Array<{ stage_index: number; attempts: BackendStageAttempt[] }>>([]);
+
+  useEffect(() => {
+    getStageHistory(projectId).then((response) => {
+      if (response.success && response.data) {
+        setStages(response.data);
+      }
+    });
+  }, [projectId]);
+
+  if (stages.length === 0) return null;
+
+  return (
+    <div className="card">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">
+        Milestone Attempts
+      </h2>
+      <div className="space-y-6">
+        {stages.map((stage) => (
+          <div key={stage.stage_index}>
+            <h3 className="font-semibold text-gray-900 mb-2">Milestone {stage.stage_index + 1}</h3>
+            <ol className="space-y-3">
+              {stage.attempts.map((attempt, i) => (
+                <li key={attempt.id} className="p-3 bg-gray-50 rounded-lg text-sm">
+                  <div className="flex justify-between items-center mb-1">
+                    <span className="font-medium text-gray-900">
+                      {i === 0 ? 'First submission' : `Resubmission ${i}`} • Proposal #{attempt.proposal_id_onchain}
+                    </span>
+                    <span className={`badge ${
+                      attempt.status === 'approved' || attempt.status === 'executed' ? 'badge-success' :
+                      attempt.status === 'rejected' ? 'badge-danger' :
+                      'badge-primary'
+                    }`}>
+                      {attempt.status}
+                    </span>
+                  </div>
+                  <a
+                    href={getIPFSUrl(attempt.evidence_hash)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="font-mono text-primary hover:underline truncate block"
+                  >
+                    Evidence: {attempt.evidence_hash}
+                  </a>
+                  {attempt.rationales.length > 0 && (
+                    <ul className="mt-2 space-y-1 text-gray-600">
+                      {attempt.rationales.map((r) => (
+                        <li key={r.id}>
+                          <a
+                            href={getIPFSUrl(r.rationale_hash)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="hover:underline"
+                          >
+                            Why {r.voter_address.slice(0, 6)}...{r.voter_address.slice(-4)} voted against
+                          </a>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Owner requests to push the funding deadline back, donor approvals, and early withdrawal for objectors
+function DeadlineExtensionPanel({
+  escrowAddress,
+  fundsRaised,
+  fundingGoalReached,
+  userContribution,
+  currency,
+  onDeadlineChanged,
+}: {
+  escrowAddress: `0x${string}`;
+  fundsRaised: bigint;
+  fundingGoalReached: boolean;
+  userContribution?: bigint;
+  currency: TokenDisplay;
+  onDeadlineChanged: () => void;
+}) {
+  const { address: userAddress } = useAccount();
+  const [extensionDays, setExtensionDays] = useState('7');
+  const {
+    latest,
+    fundingDeadline,
+    extensionCount,
+    maxExtensions,
+    windowStart,
+    projectOwner,
+    hasApprovedLatest,
+    hasApprovedActive,
+    refetch,
+  } = useDeadlineExtension(escrowAddress, userAddress);
+  const { requestExtension, approveExtension, withdrawDuringExtension, isPending } = useDeadlineExtensionActions();
+  const { issuesReceipts } = useEscrowReceipts(escrowAddress);
+
+  if (fundingGoalReached || fundingDeadline === undefined) return null;
+
+  const now = BigInt(Math.floor(Date.now() / 1000));
+  const fundingOpen = now < fundingDeadline;
+  const isOwner = !!userAddress && userAddress.toLowerCase() === projectOwner?.toLowerCase();
+  const isDonor = !!userContribution && userContribution > 0n;
+  const pending = latest && !latest.applied && fundingOpen ? latest : undefined;
+  const canRequest = isOwner && fundingOpen && extensionCount < maxExtensions;
+  const inWindow = windowStart !== undefined && now >= windowStart && fundingOpen;
+  const canWithdraw = inWindow && isDonor && !hasApprovedActive;
+
+  if (!canRequest && !pending && !canWithdraw) return null;
+
+  const run = async (action: () => Promise<unknown>, message: string) => {
+    try {
+      await action();
+      toast.success(message);
+      // The backend keeps its own copy of the funding and milestone deadlines
+      await syncProjectDeadlines(escrowAddress);
+      await refetch();
+      onDeadlineChanged();
+    } catch (error) {
+      const err = error as { shortMessage?: string; message?: string };
+      toast.error(err.shortMessage || err.message || 'Transaction failed');
+    }
+  };
+
+  // The receipt still shows the withdrawn contribution until the backend regenerates its metadata
+  const handleWithdraw = () =>
+    run(async () => {
+      await withdrawDuringExtension(escrowAddress);
+      if (issuesReceipts && userAddress) {
+        refreshReceiptMetadata(escrowAddress, userAddress).catch(() => undefined);
+      }
+    }, 'Contribution withdrawn');
+
+  const handleRequest = () => {
+    const days = parseInt(extensionDays);
+    if (!days || days < 1 || days > 30) {
+      toast.error('Extensions can be 1 to 30 days');
+      return;
+    }
+    run(() => requestExtension(escrowAddress, BigInt(days * 86400)), 'Extension requested - donors can now approve it');
+  };
+
+  return (
+    <div className="card">
+      <h3 className="font-bold text-gray-900 mb-3">Deadline Extension</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {Number(extensionCount)} of {Number(maxExtensions)} extensions used. Donors holding more than half of the funds raised must approve each one.
+      </p>
+
+      {pending && (
+        <div className="p-3 bg-gray-50 rounded-lg text-sm mb-4">
+          <p className="font-medium text-gray-900 mb-1">
+            The owner asks for {Number(pending.duration) / 86400} more days
+          </p>
+          <p className="text-gray-600 mb-3">
+            Approved by {formatEther(pending.approvals, 4, currency)} of {formatEther(fundsRaised, 4, currency)} raised
+          </p>
+          {isDonor && !hasApprovedLatest && (
+            <button
+              onClick={() => run(() => approveExtension(escrowAddress), 'Extension approved')}
+              disabled={isPending}
+              className="btn-primary w-full"
+            >
+              {isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Approve Extension'}
+            </button>
+          )}
+          {hasApprovedLatest && <p className="text-success">You approved this extension</p>}
+        </div>
+      )}
+
+      {canWithdraw && (
+        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm mb-4">
+          <p className="text-yellow-800 mb-3">
+            The deadline was extended without your approval. Until it ends you can take back your whole contribution.
+          </p>
+          <button
+            onClick={handleWithdraw}
+            disabled={isPending}
+            className="btn-secondary w-full"
+          >
+            {isPending ? (
+              <Loader2 className="w-4 h-4 animate-spin" />
+            ) : (
+              `Withdraw ${formatEther(userContribution, 4, currency)}`
+            )}
+          </button>
+        </div>
+      )}
+
+      {canRequest && (
+        <div className="space-y-2">
+          <label className="label">Extend by (days)</label>
+          <input
+            type="number"
+            min="1"
+            max="30"
+            value={extensionDays}
+            onChange={(e) => setExtensionDays(e.target.value)}
+            className="input"
+          />
+          <button onClick={handleRequest} disabled={isPending} className="btn-secondary w-full">
+            {isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : pending ? 'Replace Request' : 'Request Extension'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Who the project's payouts go to, with the owner's controls for handing the project over and splitting payouts
+function ProjectOwnershipPanel({ escrowAddress, currency }: { escrowAddress: `0x${string}`; currency: TokenDisplay }) {
+  const { address: userAddress } = useAccount();
+  const [newOwner, setNewOwner] = useState('');
+  const [splitRows, setSplitRows] = useState<Array<{ recipient: string; percent: string }> | null>(null);
+  const { projectOwner, pendingOwner, payoutSplits, refetch } = useProjectOwnership(escrowAddress);
+  const { data: pendingPayout, refetch: refetchPendingPayout } = usePendingPayout(escrowAddress, userAddress);
+  const { transferOwnership, acceptOwnership, setPayoutSplits, withdrawPayout, isPending } = useProjectOwnershipActions();
+
+  if (!projectOwner) return null;
+
+  const isOwner = !!userAddress && userAddress.toLowerCase() === projectOwner.toLowerCase();
+  const isPendingOwner = !!userAddress && userAddress.toLowerCase() === pendingOwner?.toLowerCase();
+  const shortAddress = (address: string) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+  const run = async (action: () => Promise<unknown>, message: string) => {
+    try {
+      await action();
+      toast.success(message);
+      await refetch();
+      return true;
+    } catch (error) {
+      const err = error as { shortMessage?: string; message?: string };
+      toast.error(err.shortMessage || err.message || 'Transaction failed');
+      return false;
+    }
+  };
+
+  const handleTransfer = () => {
+    if (!isAddress(newOwner)) {
+      toast.error('Enter a valid wallet address');
+      return;
+    }
+    run(() => transferOwnership(escrowAddress, newOwner), 'Transfer started - the new owner must accept it');
+  };
+
+  const handleAccept = () =>
+    run(async () => {
+      const hash = await acceptOwnership(escrowAddress);
+      // The backend updates the project's owner from the ProjectOwnershipTransferred event
+      await syncProjectOwner(escrowAddress, hash);
+    }, 'You are now the project owner');
+
+  const handleWithdrawPayout = () =>
+    run(async () => {
+      await withdrawPayout(escrowAddress);
+      await refetchPendingPayout();
+    }, 'Payout withdrawn');
+
+  const handleSaveSplits = async () => {
+    const rows = (splitRows ?? []).filter((row) => row.recipient || row.percent);
+    const splits: PayoutSplit[] = [];
+    for (const row of rows) {
+      const share = Math.round(parseFloat(row.percent) * 100);
+      if (!isAddress(row.recipient) || !(share > 0)) {
+        toast.error('Each split needs a valid address and a positive percentage');
+        return;
+      }
+      splits.push({ recipient: row.recipient, share: BigInt(share) });
+    }
+    if (splits.length > 0 && splits.reduce((sum, s) => sum + s.share, 0n) !== 10000n) {
+      toast.error('Split percentages must add up to 100');
+      return;
+    }
+    if (await run(() => setPayoutSplits(escrowAddress, splits), 'Payout splits updated')) {
+      setSplitRows(null);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3 className="font-bold text-gray-900 mb-3">Ownership & Payouts</h3>
+      <dl className="space-y-2 text-sm mb-4">
+        <div className="flex justify-between">
+          <dt className="text-gray-600">Project Owner</dt>
+          <dd className="font-medium text-gray-900">{shortAddress(projectOwner)}</dd>
+        </div>
+        {payoutSplits.length === 0 ? (
+          <div className="flex justify-between">
+            <dt className="text-gray-600">Payouts</dt>
+            <dd className="font-medium text-gray-900">100% to owner</dd>
+          </div>
+        ) : (
+          payoutSplits.map((split) => (
+            <div key={split.recipient} className="flex justify-between">
+              <dt className="text-gray-600">{shortAddress(split.recipient)}</dt>
+              <dd className="font-medium text-gray-900">{Number(split.share) / 100}%</dd>
+            </div>
+          ))
+        )}
+      </dl>
+
+      {!!pendingPayout && (pendingPayout as bigint) > 0n && (
+        <div className="p-3 bg-gray-50 rounded-lg text-sm mb-4">
+          <p className="text-gray-600 mb-3">
+            {formatEther(pendingPayout as bigint, 4, currency)} of released stage funds is waiting for you.
+          </p>
+          <button onClick={handleWithdrawPayout} disabled={isPending} className="btn-primary w-full">
+            {isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Withdraw Payout'}
+          </button>
+        </div>
+      )}
+
+      {pendingOwner && (
+        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm mb-4">
+          <p className="text-yellow-800">
+            Ownership is being transferred to {shortAddress(pendingOwner)}. It takes effect once they accept.
+          </p>
+          {isPendingOwner && (
+            <button onClick={handleAccept} disabled={isPending} className="btn-primary w-full mt-3">
+              {isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Accept Ownership'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {isOwner && (
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <label className="label">Transfer ownership to</label>
+            <input
+              type="text"
+              placeholder="0x..."
+              value={newOwner}
+              onChange={(e) => setNewOwner(e.target.value)}
+              className="input"
+            />
+            <button onClick={handleTransfer} disabled={isPending} className="btn-secondary w-full">
+              {isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : pendingOwner ? 'Replace Nomination' : 'Start Transfer'}
+            </button>
+          </div>
+
+          {splitRows === null ? (
+            <button
+              onClick={() =>
+                setSplitRows(
+                  payoutSplits.length > 0
+                    ? payoutSplits.map((s) => ({ recipient: s.recipient, percent: String(Number(s.share) / 100) }))
+                    : [{ recipient: '', percent: '' }]
+                )
+              }
+              className="btn-secondary w-full"
+            >
+              Edit Payout Splits
+            </button>
+          ) : (
+            <div className="space-y-2">
+              <label className="label">Payout splits (leave empty to pay the owner)</label>
+              {splitRows.map((row, i) => (
+                <div key={i} className="flex gap-2">
+                  <input
+                    type="text"
+                    placeholder="0x..."
+                    value={row.recipient}
+                    onChange={(e) =>
+                      setSplitRows(splitRows.map((r, j) => (j === i ? { ...r, recipient: e.target.value } : r)))
+                    }
+                    className="input flex-1"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    placeholder="%"
+                    value={row.percent}
+                    onChange={(e) =>
+                      setSplitRows(splitRows.map((r, j) => (j === i ? { ...r, percent: e.target.value } : r)))
+                    }
+                    className="input w-20"
+                  />
+                </div>
+              ))}
+              {splitRows.length < 10 && (
+                <button
+                  onClick={() => setSplitRows([...splitRows, { recipient: '', percent: '' }])}
+                  className="text-sm text-primary-600 hover:underline"
+                >
+                  + Add recipient
+                </button>
+              )}
+              <div className="flex gap-2">
+                <button onClick={() => setSplitRows(null)} className="btn-secondary flex-1">
+                  Cancel
+                </button>
+                <button onClick={handleSaveSplits} disabled={isPending} className="btn-primary flex-1">
+                  {isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Save Splits'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,19 @@
-import { BigInt, Bytes } from "@graphprotocol/graph-ts"
+import { Address, BigInt, Bytes } from "@graphprotocol/graph-ts"
 import {
   DonationReceived,
   FundingGoalReached,
+  StretchGoalReached,
+  FundingDeadlineExtended,
+  ProjectOwnershipTransferred,
   FundsReleased,
   RefundIssued,
-  ProjectCancelled
-} from "../generated/FundingEscrow/FundingEscrow"
-import { Project, Donation, Milestone, PlatformStats } from "../generated/schema"
+  ContributionWithdrawn,
+  ProjectCancelled,
+  ProfitDistributed,
+  ProfitClaimed,
+  FundingEscrow
+} from "../generated/templates/FundingEscrow/FundingEscrow"
+import { Project, Donation, ContributionWithdrawal, Milestone, PlatformStats, ProfitDeposit, ProfitClaim } from "../generated/schema"
 
 export function handleDonationReceived(event: DonationReceived): void {
   let projectId = event.address.toHex()
@@ -20,11 +27,16 @@ export function handleDonationReceived(event: DonationReceived): void {
     project.fundingDeadline = BigInt.fromI32(0)
     project.totalStages = 0
     project.currentStage = 0
+    project.flexibleFunding = false
     project.goalReached = false
+    project.stretchGoalsReached = 0
     project.cancelled = false
     project.createdAt = event.block.timestamp
     project.donorCount = 0
     project.totalDonations = 0
+    project.totalWithdrawn = BigInt.fromI32(0)
+    project.totalProfitDeposited = BigInt.fromI32(0)
+    project.totalProfitClaimed = BigInt.fromI32(0)
   }
   
   project.fundsRaised = event.params.totalRaised
@@ -58,12 +70,55 @@ export function handleFundingGoalReached(event: FundingGoalReached): void {
   }
 }
 
+export function handleStretchGoalReached(event: StretchGoalReached): void {
+  let projectId = event.address.toHex()
+  let project = Project.load(projectId)
+  
+  if (project != null) {
+    // Stretch goals that add a stage append it after the last one
+    project.totalStages = event.params.totalStages.toI32()
+    project.stretchGoalsReached = event.params.goalIndex.toI32() + 1
+    project.updatedAt = event.block.timestamp
+    project.save()
+  }
+}
+
+export function handleFundingDeadlineExtended(event: FundingDeadlineExtended): void {
+  let projectId = event.address.toHex()
+  let project = Project.load(projectId)
+  
+  if (project != null) {
+    // Backers approved pushing the deadline back; stage deadlines moved by the same amount
+    project.fundingDeadline = event.params.newDeadline
+    project.updatedAt = event.block.timestamp
+    project.save()
+  }
+}
+
+export function handleProjectOwnershipTransferred(event: ProjectOwnershipTransferred): void {
+  let projectId = event.address.toHex()
+  let project = Project.load(projectId)
+  
+  if (project != null) {
+    project.owner = event.params.newOwner
+    project.updatedAt = event.block.timestamp
+    project.save()
+  }
+}
+
 export function handleFundsReleased(event: FundsReleased): void {
   let projectId = event.address.toHex()
   let project = Project.load(projectId)
   
   if (project != null) {
-    project.currentStage = project.currentStage + 1
+    // A stage can be released in parts; it only completes once its full allocation is out
+    let escrow = FundingEscrow.bind(event.address)
+    let stageCompleted = escrow.try_stageCompleted(event.params.stageIndex)
+    let completed = !stageCompleted.reverted && stageCompleted.value
+    
+    if (completed) {
+      project.currentStage = project.currentStage + 1
+    }
     project.updatedAt = event.block.timestamp
     project.save()
     
@@ -80,10 +135,15 @@ export function handleFundsReleased(event: FundsReleased): void {
       milestone.fundsReleased = BigInt.fromI32(0)
     }
     
-    milestone.completed = true
-    milestone.completedAt = event.block.timestamp
-    milestone.fundsReleased = event.params.amount
-    milestone.recipient = event.params.recipient
+    if (completed) {
+      milestone.completed = true
+      milestone.completedAt = event.block.timestamp
+    }
+    milestone.fundsReleased = event.params.stageReleased
+    // Zero when the release was split between payout recipients or vests
+    if (!event.params.recipient.equals(Address.zero())) {
+      milestone.recipient = event.params.recipient
+    }
     milestone.save()
   }
 }
@@ -92,6 +152,27 @@ export function handleRefundIssued(event: RefundIssued): void {
   // Track refunds if needed
 }
 
+export function handleContributionWithdrawn(event: ContributionWithdrawn): void {
+  let projectId = event.address.toHex()
+  let project = Project.load(projectId)
+  
+  if (project != null) {
+    project.fundsRaised = event.params.totalRaised
+    project.totalWithdrawn = project.totalWithdrawn.plus(event.params.amount)
+    project.updatedAt = event.block.timestamp
+    project.save()
+    
+    let withdrawalId = event.transaction.hash.toHex() + "-" + event.logIndex.toString()
+    let withdrawal = new ContributionWithdrawal(withdrawalId)
+    withdrawal.project = projectId
+    withdrawal.donor = event.params.donor
+    withdrawal.amount = event.params.amount
+    withdrawal.timestamp = event.block.timestamp
+    withdrawal.txHash = event.transaction.hash
+    withdrawal.save()
+  }
+}
+
 export function handleProjectCancelled(event: ProjectCancelled): void {
   let projectId = event.address.toHex()
   let project = Project.load(projectId)
@@ -103,7 +184,54 @@ export function handleProjectCancelled(event: ProjectCancelled): void {
   }
 }
 
-function updatePlatformStats(timestamp: BigInt): void {
+export function handleProfitDistributed(event: ProfitDistributed): void {
+  let projectId = event.address.toHex()
+  let project = Project.load(projectId)
+  
+  if (project != null) {
+    project.totalProfitDeposited = project.totalProfitDeposited.plus(event.params.totalProfit)
+    project.updatedAt = event.block.timestamp
+    project.save()
+    
+    let depositId = event.transaction.hash.toHex() + "-" + event.logIndex.toString()
+    let deposit = new ProfitDeposit(depositId)
+    deposit.project = projectId
+    deposit.amount = event.params.totalProfit
+    deposit.ownerShare = event.params.ownerShare
+    deposit.donorShare = event.params.donorShare
+    deposit.timestamp = event.block.timestamp
+    deposit.txHash = event.transaction.hash
+    deposit.save()
+  }
+}
+
+export function handleProfitClaimed(event: ProfitClaimed): void {
+  let projectId = event.address.toHex()
+  let project = Project.load(projectId)
+  
+  if (project != null) {
+    project.totalProfitClaimed = project.totalProfitClaimed.plus(event.params.amount)
+    project.updatedAt = event.block.timestamp
+    project.save()
+    
+    let claimId = event.transaction.hash.toHex() + "-" + event.logIndex.toString()
+    let claim = new ProfitClaim(claimId)
+    claim.project = projectId
+    claim.account = event.params.account
+    claim.amount = event.params.amount
+    claim.timestamp = event.block.timestamp
+    claim.txHash = event.transaction.hash
+    claim.save()
+  }
+}
+
+export function updatePlatformStats(timestamp: BigInt): void {
+  let stats = loadPlatformStats()
+  stats.updatedAt = timestamp
+  stats.save()
+}
+
+export function loadPlatformStats(): PlatformStats {
   let stats = PlatformStats.load("1")
   
   if (stats == null) {
@@ -114,8 +242,8 @@ function updatePlatformStats(timestamp: BigInt): void {
     stats.totalVoters = 0
     stats.totalProposals = 0
     stats.totalVotes = 0
+    stats.updatedAt = BigInt.fromI32(0)
   }
   
-  stats.updatedAt = timestamp
-  stats.save()
+  return stats
 }
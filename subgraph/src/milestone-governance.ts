@@ -1,28 +1,54 @@
-import { BigInt } from "@graphprotocol/graph-ts"
+import { Address, BigInt } from "@graphprotocol/graph-ts"
 import {
+  MilestoneGovernance,
   ProposalCreated,
   VoteCast,
   ProposalApproved,
   ProposalRejected,
   ProposalExecuted,
-  VoterRegistered
+  VoterRegistered,
+  DelegateChanged,
+  DelegatedPowerChanged,
+  DelegationOverridden,
+  ReputationChanged,
+  StakeSlashed,
+  ProposalResubmitted,
+  VoteRationale
 } from "../generated/MilestoneGovernance/MilestoneGovernance"
-import { Proposal, Vote, Voter, Project } from "../generated/schema"
+import { Proposal, Vote, Voter, Project, ReputationChange } from "../generated/schema"
 
 export function handleProposalCreated(event: ProposalCreated): void {
   let proposalId = event.params.proposalId.toString()
   let proposal = new Proposal(proposalId)
   
   proposal.project = event.params.escrowContract.toHex()
+  proposal.proposalType = event.params.proposalType == 1 ? "CANCELLATION" : "MILESTONE"
   proposal.stageIndex = event.params.stageIndex.toI32()
   proposal.evidenceHash = event.params.evidenceHash
   proposal.votesFor = BigInt.fromI32(0)
   proposal.votesAgainst = BigInt.fromI32(0)
   proposal.status = "ACTIVE"
   proposal.startTime = event.block.timestamp
-  proposal.endTime = event.block.timestamp.plus(BigInt.fromI32(604800)) // 7 days
+  // The voting period is configurable, so take the end time from the contract
+  let governance = MilestoneGovernance.bind(event.address)
+  let onChain = governance.try_getProposal(event.params.proposalId)
+  if (onChain.reverted) {
+    proposal.endTime = event.block.timestamp.plus(governance.votingPeriod())
+    proposal.totalVotingSupply = BigInt.fromI32(0)
+    proposal.commitReveal = false
+    proposal.releasePercentage = 100
+  } else {
+    proposal.endTime = onChain.value.endTime
+    proposal.totalVotingSupply = onChain.value.totalVotingSupply
+    proposal.commitReveal = onChain.value.commitReveal
+    proposal.releasePercentage = onChain.value.releasePercentage.toI32()
+    if (onChain.value.commitReveal) {
+      proposal.revealEndTime = onChain.value.revealEndTime
+    }
+  }
   proposal.executed = false
   proposal.createdAt = event.block.timestamp
+  proposal.resubmission = 0
   
   proposal.save()
 }
@@ -94,13 +120,104 @@ export function handleProposalExecuted(event: ProposalExecuted): void {
 
 export function handleVoterRegistered(event: VoterRegistered): void {
   let voterId = event.params.voter.toHex()
-  let voter = new Voter(voterId)
+  let voter = Voter.load(voterId)
   
-  voter.address = event.params.voter
+  // Returning voters keep the reputation they earned
+  if (voter == null) {
+    voter = new Voter(voterId)
+    voter.address = event.params.voter
+    voter.reputation = 100 // Initial reputation
+    voter.proposalsVoted = 0
+    voter.delegatedPower = BigInt.fromI32(0)
+    voter.totalSlashed = BigInt.fromI32(0)
+  }
   voter.stakedAmount = event.params.stakedAmount
-  voter.reputation = 100 // Initial reputation
-  voter.proposalsVoted = 0
   voter.registeredAt = event.block.timestamp
   
   voter.save()
 }
+
+export function handleDelegateChanged(event: DelegateChanged): void {
+  let voter = Voter.load(event.params.delegator.toHex())
+  
+  if (voter != null) {
+    voter.delegate = event.params.toDelegate == Address.zero() ? null : event.params.toDelegate.toHex()
+    voter.save()
+  }
+}
+
+export function handleDelegatedPowerChanged(event: DelegatedPowerChanged): void {
+  let voter = Voter.load(event.params.delegate.toHex())
+  
+  if (voter != null) {
+    voter.delegatedPower = event.params.newPower
+    voter.save()
+  }
+}
+
+export function handleDelegationOverridden(event: DelegationOverridden): void {
+  // The delegator voted directly, so their power no longer counts in the delegate's vote
+  let proposalId = event.params.proposalId.toString()
+  let vote = Vote.load(proposalId + "-" + event.params.delegate.toHex())
+  let proposal = Proposal.load(proposalId)
+  
+  if (vote != null && proposal != null) {
+    vote.weight = vote.weight.minus(event.params.power)
+    vote.save()
+    
+    if (vote.inFavor) {
+      proposal.votesFor = proposal.votesFor.minus(event.params.power)
+    } else {
+      proposal.votesAgainst = proposal.votesAgainst.minus(event.params.power)
+    }
+    proposal.save()
+  }
+}
+
+export function handleReputationChanged(event: ReputationChanged): void {
+  let voter = Voter.load(event.params.voter.toHex())
+  if (voter == null) {
+    return
+  }
+  voter.reputation = event.params.newReputation.toI32()
+  voter.save()
+  
+  let change = new ReputationChange(event.transaction.hash.toHex() + "-" + event.logIndex.toString())
+  change.voter = voter.id
+  change.proposalId = event.params.proposalId
+  change.oldReputation = event.params.oldReputation.toI32()
+  change.newReputation = event.params.newReputation.toI32()
+  change.timestamp = event.block.timestamp
+  change.txHash = event.transaction.hash
+  change.save()
+}
+
+export function handleStakeSlashed(event: StakeSlashed): void {
+  let voter = Voter.load(event.params.voter.toHex())
+  if (voter == null) {
+    return
+  }
+  voter.stakedAmount = voter.stakedAmount.minus(event.params.amount)
+  voter.totalSlashed = voter.totalSlashed.plus(event.params.amount)
+  voter.save()
+}
+
+export function handleProposalResubmitted(event: ProposalResubmitted): void {
+  let proposal = Proposal.load(event.params.proposalId.toString())
+  if (proposal == null) {
+    return
+  }
+  proposal.previousProposal = event.params.previousProposalId.toString()
+  proposal.resubmission = event.params.resubmission.toI32()
+  proposal.save()
+}
+
+export function handleVoteRationale(event: VoteRationale): void {
+  // Emitted right after the VoteCast it explains
+  let vote = Vote.load(event.params.proposalId.toString() + "-" + event.params.voter.toHex())
+  if (vote == null) {
+    return
+  }
+  vote.rationaleHash = event.params.rationaleHash
+  vote.save()
+}
@@ -0,0 +1,44 @@
+import { Address, BigInt } from "@graphprotocol/graph-ts"
+import { ProjectCreated } from "../generated/ProjectFactory/ProjectFactory"
+import { FundingEscrow } from "../generated/templates"
+import { Project } from "../generated/schema"
+import { loadPlatformStats } from "./funding-escrow"
+
+export function handleProjectCreated(event: ProjectCreated): void {
+  let projectId = event.params.escrow.toHex()
+  let project = Project.load(projectId)
+  
+  if (project == null) {
+    project = new Project(projectId)
+    project.fundsRaised = BigInt.fromI32(0)
+    project.currentStage = 0
+    project.goalReached = false
+    project.stretchGoalsReached = 0
+    project.cancelled = false
+    project.donorCount = 0
+    project.totalDonations = 0
+    project.totalWithdrawn = BigInt.fromI32(0)
+    project.totalProfitDeposited = BigInt.fromI32(0)
+    project.totalProfitClaimed = BigInt.fromI32(0)
+  }
+  
+  project.owner = event.params.projectOwner
+  project.fundingGoal = event.params.fundingGoal
+  project.fundingDeadline = event.params.fundingDeadline
+  project.totalStages = event.params.totalStages.toI32()
+  if (event.params.paymentToken != Address.zero()) {
+    project.paymentToken = event.params.paymentToken
+  }
+  project.flexibleFunding = event.params.flexibleFunding
+  project.createdAt = event.block.timestamp
+  project.updatedAt = event.block.timestamp
+  project.save()
+  
+  // Start indexing the new escrow's events
+  FundingEscrow.create(event.params.escrow)
+  
+  let stats = loadPlatformStats()
+  stats.totalProjects = stats.totalProjects + 1
+  stats.updatedAt = event.block.timestamp
+  stats.save()
+}